@@ -0,0 +1,255 @@
+// RactrAbilities: ability definitions and the executor that runs them.
+//
+// Definition format (RACTR_ABILITIES):
+//   {
+//     name, description, color,        // color tints the hotbar icon
+//     cost,                            // mana, spent when the ability fires
+//     cooldown,                        // seconds, starts when it fires
+//     castTime,                        // seconds; 0 = instant
+//     range,                           // world units to the target
+//     target: "self" | "enemy",
+//     gcd,                             // uses the global cooldown (default)
+//     effects: [ effect, ... ]
+//   }
+// Effects:
+//   { type: "heal", amount, intScale }         heals the caster
+//   { type: "damage", power }                  a spell hit on the target
+//   { type: "status", effect }                 a RACTR_STATUS_EFFECTS id,
+//                                              on the caster
+//   { type: "campfire", radius, healPerSecond, duration }
+//
+// RactrAbilityCaster tracks one caster's cooldowns, global cooldown and
+// current cast. It only decides *whether* and *when* an ability fires; the
+// game applies the effects, so the same caster works for mobs later.
+
+const RACTR_ABILITIES = {
+  minor_heal: {
+    name: "Minor Heal",
+    description: "Mends light wounds.",
+    color: "#6fdc8c",
+    cost: 12,
+    cooldown: 6,
+    castTime: 1.5,
+    range: 0,
+    target: "self",
+    effects: [{ type: "heal", amount: 28, intScale: 1 }],
+  },
+  spirit_bolt: {
+    name: "Spirit Bolt",
+    description: "Hurls a bolt of pale light at your target.",
+    color: "#8fb8ff",
+    cost: 10,
+    cooldown: 3,
+    castTime: 1,
+    range: 260,
+    target: "enemy",
+    effects: [{ type: "damage", power: 16 }],
+  },
+  sprint: {
+    name: "Sprint",
+    description: "Run 40% faster for 8 seconds.",
+    color: "#f5d76e",
+    cost: 8,
+    cooldown: 20,
+    castTime: 0,
+    range: 0,
+    target: "self",
+    gcd: false,
+    effects: [{ type: "status", effect: "sprint" }],
+  },
+  campfire: {
+    name: "Campfire",
+    description: "Build a fire that slowly heals anyone resting by it.",
+    color: "#ff9f43",
+    cost: 0,
+    cooldown: 60,
+    castTime: 3,
+    range: 0,
+    target: "self",
+    effects: [
+      { type: "campfire", radius: 70, healPerSecond: 4, duration: 30 },
+    ],
+  },
+  barkskin: {
+    name: "Barkskin",
+    description: "Hardens your skin like oak bark for 20 seconds.",
+    color: "#a67c52",
+    cost: 14,
+    cooldown: 45,
+    castTime: 0,
+    range: 0,
+    target: "self",
+    effects: [{ type: "status", effect: "barkskin" }],
+  },
+  mend: {
+    name: "Mend",
+    description: "A slow, deep heal that closes serious wounds.",
+    color: "#3fbf7f",
+    cost: 26,
+    cooldown: 12,
+    castTime: 2.5,
+    range: 0,
+    target: "self",
+    effects: [{ type: "heal", amount: 60, intScale: 1.5 }],
+  },
+  keen_edge: {
+    name: "Keen Edge",
+    description: "Hone your blade: harder, more often critical hits.",
+    color: "#e0e6f0",
+    cost: 10,
+    cooldown: 30,
+    castTime: 0,
+    range: 0,
+    target: "self",
+    effects: [{ type: "status", effect: "keen_edge" }],
+  },
+  throwing_knife: {
+    name: "Throwing Knife",
+    description: "Flings a knife at your target from a distance.",
+    color: "#c8ccd4",
+    cost: 6,
+    cooldown: 5,
+    castTime: 0,
+    range: 200,
+    target: "enemy",
+    effects: [{ type: "damage", power: 14 }],
+  },
+  evasion: {
+    name: "Evasion",
+    description: "Duck and weave: take less damage and move faster.",
+    color: "#9be7ff",
+    cost: 12,
+    cooldown: 40,
+    castTime: 0,
+    range: 0,
+    target: "self",
+    gcd: false,
+    effects: [{ type: "status", effect: "evasion" }],
+  },
+};
+
+class RactrAbilityCaster {
+  constructor(abilities, options) {
+    const opts = options || {};
+    this.abilities = abilities || RACTR_ABILITIES;
+    this.globalCooldown = opts.globalCooldown || 1;
+
+    // abilityId -> seconds remaining
+    this.cooldowns = {};
+    this.gcdTimer = 0;
+    // { abilityId, time, castTime, target } while casting
+    this.cast = null;
+  }
+
+  get(abilityId) {
+    return this.abilities[abilityId] || null;
+  }
+
+  isCasting() {
+    return this.cast !== null;
+  }
+
+  // Remaining fraction (0..1) of whichever cooldown is holding the ability
+  // back, for the hotbar sweep.
+  cooldownFraction(abilityId) {
+    const ability = this.get(abilityId);
+    if (!ability) return 0;
+    const own = this.cooldowns[abilityId] || 0;
+    const ownFrac = ability.cooldown > 0 ? own / ability.cooldown : 0;
+    const gcdFrac =
+      ability.gcd !== false && this.globalCooldown > 0
+        ? this.gcdTimer / this.globalCooldown
+        : 0;
+    return Math.max(ownFrac, gcdFrac);
+  }
+
+  // Why the ability cannot be used right now, or null if it can.
+  // caster: { mana, x, y, isDead() }; target: { x, y, isAlive() } or null.
+  blockedReason(abilityId, caster, target) {
+    const ability = this.get(abilityId);
+    if (!ability) return "You do not know that ability.";
+    if (caster.isDead()) return "You can't do that while dead.";
+    if (this.cast) return "You are already casting.";
+    if ((this.cooldowns[abilityId] || 0) > 0) {
+      return `${ability.name} is not ready.`;
+    }
+    if (ability.gcd !== false && this.gcdTimer > 0) {
+      return "You are not ready yet.";
+    }
+    if (caster.mana < ability.cost) return "Insufficient mana.";
+    return this._targetProblem(ability, caster, target);
+  }
+
+  _targetProblem(ability, caster, target) {
+    if (ability.target !== "enemy") return null;
+    if (!target || !target.isAlive()) return "You must first select a target.";
+    const dist = Math.hypot(target.x - caster.x, target.y - caster.y);
+    if (dist > ability.range) return "Your target is out of range.";
+    return null;
+  }
+
+  // Starts the ability. Instant abilities fire at once and are returned as
+  // { ability, abilityId, target } for the caller to apply; cast-time ones
+  // return { started: true } and fire later from update(). Returns
+  // { error } when blocked.
+  use(abilityId, caster, target) {
+    const reason = this.blockedReason(abilityId, caster, target);
+    if (reason) return { error: reason };
+    const ability = this.get(abilityId);
+    if (ability.gcd !== false) this.gcdTimer = this.globalCooldown;
+    const aimed = ability.target === "enemy" ? target : null;
+    if (ability.castTime > 0) {
+      this.cast = {
+        abilityId,
+        time: 0,
+        castTime: ability.castTime,
+        target: aimed,
+      };
+      return { started: true };
+    }
+    return this._fire(abilityId, caster, aimed);
+  }
+
+  _fire(abilityId, caster, target) {
+    const ability = this.get(abilityId);
+    caster.mana -= ability.cost;
+    if (ability.cooldown > 0) this.cooldowns[abilityId] = ability.cooldown;
+    return { ability, abilityId, target };
+  }
+
+  interrupt() {
+    const cast = this.cast;
+    this.cast = null;
+    return cast;
+  }
+
+  // Advances timers and the current cast. Returns a fired ability (as from
+  // use()), { error } if the cast fizzled at the end, or null.
+  update(dt, caster) {
+    this.gcdTimer = Math.max(0, this.gcdTimer - dt);
+    for (const id of Object.keys(this.cooldowns)) {
+      this.cooldowns[id] = Math.max(0, this.cooldowns[id] - dt);
+      if (this.cooldowns[id] === 0) delete this.cooldowns[id];
+    }
+
+    const cast = this.cast;
+    if (!cast) return null;
+    cast.time += dt;
+    if (cast.time < cast.castTime) return null;
+    this.cast = null;
+
+    const ability = this.get(cast.abilityId);
+    if (caster.mana < ability.cost) return { error: "Insufficient mana." };
+    const problem = this._targetProblem(ability, caster, cast.target);
+    if (problem) return { error: problem };
+    return this._fire(cast.abilityId, caster, cast.target);
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.RACTR_ABILITIES = RACTR_ABILITIES;
+  window.RactrAbilityCaster = RactrAbilityCaster;
+}
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { RACTR_ABILITIES, RactrAbilityCaster };
+}
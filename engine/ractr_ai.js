@@ -0,0 +1,523 @@
+// RactrAI: navigation grids, A* paths and the behaviours that walk NPCs
+// and mobs around.
+//
+// RactrNavGrid rasterises a zone's static colliders (solid tiles,
+// buildings, containers) into walkable cells half a tile across and finds
+// paths between them with A*. A cell is blocked when a circle of
+// `clearance` radius at its centre would touch one of them, which keeps
+// paths off corners.
+//
+// RactrBrain is the AI core shared by town NPCs and hostile mobs. It runs
+// a behaviour definition for an agent ({ x, y, radius, speed, homeX,
+// homeY, facingAngle }) one step at a time, given an environment
+// { collision, nav, hour, random, ignore } (ignore: the agent's own
+// collider id, if it has one).
+//
+// Behaviour definitions (the `behavior` field of an `npc` object, or of a
+// mob type):
+//   { type: "idle", x, y, facing }     stand at x, y (default: home), facing
+//                                      an angle in radians if given
+//   { type: "wander", radius, pause: [min, max], x, y }
+//                                      stroll to random spots within radius
+//                                      of x, y (default: home)
+//   { type: "patrol", route: [ { x, y, wait } ], loop }
+//                                      walk the route; with loop: false it
+//                                      is walked back and forth
+//   { type: "schedule", entries: [ { from, to, ...behaviour } ] }
+//                                      by in-game hour, from inclusive and
+//                                      to exclusive, wrapping past midnight;
+//                                      idle at home outside every entry
+// Any behaviour can set `speed` to walk slower than the agent normally
+// does.
+
+const RACTR_BRAIN_IDLE = { type: "idle" };
+
+// True when hour falls in [from, to), which may wrap past midnight.
+function ractrHourInRange(hour, from, to) {
+  if (from <= to) return hour >= from && hour < to;
+  return hour >= from || hour < to;
+}
+
+class RactrNavGrid {
+  constructor(cols, rows, cellSize, blocked) {
+    this.cols = cols;
+    this.rows = rows;
+    this.cellSize = cellSize;
+    // One byte per cell, row-major; 1 = blocked.
+    this.blocked = blocked || new Uint8Array(cols * rows);
+  }
+
+  // Builds the grid from everything static in a zone's collision world.
+  // options: { cellSize, clearance, kinds }; kinds lists the collider
+  // `kind`s that count as walls, so moving NPC colliders are left out.
+  static fromCollision(map, collision, options) {
+    const opts = options || {};
+    const cellSize = opts.cellSize || map.tileSize / 2;
+    const clearance = opts.clearance === undefined ? 8 : opts.clearance;
+    const kinds = opts.kinds || ["tiles", "building", "container"];
+    const cols = Math.ceil(map.width / cellSize);
+    const rows = Math.ceil(map.height / cellSize);
+    const grid = new RactrNavGrid(cols, rows, cellSize);
+    const circle = { type: "circle", x: 0, y: 0, r: clearance };
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        circle.x = (col + 0.5) * cellSize;
+        circle.y = (row + 0.5) * cellSize;
+        const walls = collision.query(
+          circle,
+          (b) => b.solid && kinds.includes(b.data.kind)
+        );
+        if (walls.length) grid.blocked[row * cols + col] = 1;
+      }
+    }
+    return grid;
+  }
+
+  walkable(col, row) {
+    return (
+      col >= 0 &&
+      row >= 0 &&
+      col < this.cols &&
+      row < this.rows &&
+      !this.blocked[row * this.cols + col]
+    );
+  }
+
+  walkableAt(x, y) {
+    return this.walkable(
+      Math.floor(x / this.cellSize),
+      Math.floor(y / this.cellSize)
+    );
+  }
+
+  // True when every cell a straight walk from a to b crosses is walkable.
+  clearLine(ax, ay, bx, by) {
+    const dist = Math.hypot(bx - ax, by - ay);
+    const steps = Math.max(1, Math.ceil(dist / (this.cellSize / 3)));
+    for (let i = 0; i <= steps; i++) {
+      const t = i / steps;
+      if (!this.walkableAt(ax + (bx - ax) * t, ay + (by - ay) * t)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // A* from (ax, ay) to (bx, by) over 8-connected cells, without cutting
+  // corners. Returns world-space waypoints after the start, ending at the
+  // goal (or the nearest walkable cell to it), or null when there is no
+  // way there. The start cell counts as walkable even when it is not, so
+  // an agent pushed against a wall can still leave.
+  findPath(ax, ay, bx, by) {
+    const cols = this.cols;
+    const start = this._cellIndex(ax, ay);
+    let goal = this._cellIndex(bx, by);
+    if (start < 0 || goal < 0) return null;
+    let exact = true;
+    if (this.blocked[goal]) {
+      goal = this._nearestWalkable(goal, 4);
+      if (goal < 0) return null;
+      exact = false;
+    }
+    if (start === goal) return [exact ? { x: bx, y: by } : this._center(goal)];
+
+    const count = cols * this.rows;
+    const g = new Float64Array(count).fill(Infinity);
+    const from = new Int32Array(count).fill(-1);
+    const closed = new Uint8Array(count);
+    const goalCol = goal % cols;
+    const goalRow = Math.floor(goal / cols);
+    const h = (i) => {
+      const dx = Math.abs((i % cols) - goalCol);
+      const dy = Math.abs(Math.floor(i / cols) - goalRow);
+      return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+    };
+    // Binary min-heap of [f, index]; stale entries are skipped on pop.
+    const open = [];
+    const push = (f, i) => {
+      open.push([f, i]);
+      let n = open.length - 1;
+      while (n > 0) {
+        const parent = (n - 1) >> 1;
+        if (open[parent][0] <= open[n][0]) break;
+        [open[parent], open[n]] = [open[n], open[parent]];
+        n = parent;
+      }
+    };
+    const pop = () => {
+      const top = open[0];
+      const last = open.pop();
+      if (open.length) {
+        open[0] = last;
+        let n = 0;
+        for (;;) {
+          const l = 2 * n + 1;
+          const r = l + 1;
+          let m = n;
+          if (l < open.length && open[l][0] < open[m][0]) m = l;
+          if (r < open.length && open[r][0] < open[m][0]) m = r;
+          if (m === n) break;
+          [open[m], open[n]] = [open[n], open[m]];
+          n = m;
+        }
+      }
+      return top;
+    };
+
+    g[start] = 0;
+    push(h(start), start);
+    while (open.length) {
+      const current = pop()[1];
+      if (closed[current]) continue;
+      if (current === goal) break;
+      closed[current] = 1;
+      const col = current % cols;
+      const row = Math.floor(current / cols);
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if (!dx && !dy) continue;
+          const nc = col + dx;
+          const nr = row + dy;
+          if (!this.walkable(nc, nr)) continue;
+          if (dx && dy && !(this.walkable(nc, row) && this.walkable(col, nr))) {
+            continue;
+          }
+          const next = nr * cols + nc;
+          const cost = g[current] + (dx && dy ? Math.SQRT2 : 1);
+          if (cost >= g[next]) continue;
+          g[next] = cost;
+          from[next] = current;
+          push(cost + h(next), next);
+        }
+      }
+    }
+    if (from[goal] < 0) return null;
+
+    const cells = [];
+    for (let i = goal; i !== start; i = from[i]) cells.push(i);
+    cells.reverse();
+    const points = cells.map((i) => this._center(i));
+    if (exact) points[points.length - 1] = { x: bx, y: by };
+    return this._smooth(ax, ay, points);
+  }
+
+  // String-pulls a cell path: drops every waypoint that can be skipped
+  // with a clear straight line.
+  _smooth(ax, ay, points) {
+    const out = [];
+    let fromX = ax;
+    let fromY = ay;
+    let i = 0;
+    while (i < points.length) {
+      let far = i;
+      for (let j = points.length - 1; j > i; j--) {
+        if (this.clearLine(fromX, fromY, points[j].x, points[j].y)) {
+          far = j;
+          break;
+        }
+      }
+      out.push(points[far]);
+      fromX = points[far].x;
+      fromY = points[far].y;
+      i = far + 1;
+    }
+    return out;
+  }
+
+  _cellIndex(x, y) {
+    const col = Math.floor(x / this.cellSize);
+    const row = Math.floor(y / this.cellSize);
+    if (col < 0 || row < 0 || col >= this.cols || row >= this.rows) {
+      return -1;
+    }
+    return row * this.cols + col;
+  }
+
+  _center(index) {
+    return {
+      x: ((index % this.cols) + 0.5) * this.cellSize,
+      y: (Math.floor(index / this.cols) + 0.5) * this.cellSize,
+    };
+  }
+
+  // The closest walkable cell within `reach` rings of a blocked one.
+  _nearestWalkable(index, reach) {
+    const col = index % this.cols;
+    const row = Math.floor(index / this.cols);
+    for (let ring = 1; ring <= reach; ring++) {
+      let best = -1;
+      let bestDist = Infinity;
+      for (let dy = -ring; dy <= ring; dy++) {
+        for (let dx = -ring; dx <= ring; dx++) {
+          if (Math.max(Math.abs(dx), Math.abs(dy)) !== ring) continue;
+          if (!this.walkable(col + dx, row + dy)) continue;
+          const d = dx * dx + dy * dy;
+          if (d < bestDist) {
+            bestDist = d;
+            best = (row + dy) * this.cols + col + dx;
+          }
+        }
+      }
+      if (best >= 0) return best;
+    }
+    return -1;
+  }
+}
+
+class RactrBrain {
+  constructor(behavior) {
+    this.behavior = behavior || RACTR_BRAIN_IDLE;
+    // What the agent is doing: idle, walk or talk.
+    this.activity = "idle";
+    // Someone the agent has stopped for: { target, range, linger, timer }.
+    this.engaged = null;
+    this.reset();
+  }
+
+  // Forgets where it was going, e.g. after a respawn or a zone reload.
+  reset() {
+    this._plan = null;
+    this.goal = null;
+    this.path = null;
+    this._repathTimer = 0;
+    this._stuckTime = 0;
+    this.waitTimer = 0;
+    this.spot = null;
+    this.routeIndex = 0;
+    this.routeStep = 1;
+  }
+
+  // Stops and turns to `target` (the player) for a conversation. The agent
+  // stays put while the target is within `range`, and for `linger`
+  // seconds after they move away.
+  engage(agent, target, options) {
+    const opts = options || {};
+    const linger = opts.linger === undefined ? 3 : opts.linger;
+    this.engaged = { target, range: opts.range || 120, linger, timer: linger };
+    this.path = null;
+    this.goal = null;
+    this.activity = "talk";
+    this._face(agent, target.x, target.y);
+  }
+
+  disengage() {
+    this.engaged = null;
+  }
+
+  // The behaviour in force at `hour`.
+  planFor(hour) {
+    const b = this.behavior;
+    if (b.type !== "schedule") return b;
+    const entry = (b.entries || []).find((e) =>
+      ractrHourInRange(hour, e.from, e.to)
+    );
+    return entry || RACTR_BRAIN_IDLE;
+  }
+
+  // Runs the behaviour for one step and returns the activity.
+  update(dt, agent, env) {
+    const engaged = this.engaged;
+    if (engaged) {
+      const t = engaged.target;
+      this._face(agent, t.x, t.y);
+      if (Math.hypot(t.x - agent.x, t.y - agent.y) <= engaged.range) {
+        engaged.timer = engaged.linger;
+      } else {
+        engaged.timer -= dt;
+      }
+      if (engaged.timer > 0) {
+        this.activity = "talk";
+        return this.activity;
+      }
+      this.engaged = null;
+    }
+
+    const plan = this.planFor(env.hour || 0);
+    if (plan !== this._plan) {
+      this.reset();
+      this._plan = plan;
+    }
+    switch (plan.type) {
+      case "idle":
+        this._idle(dt, agent, env, plan);
+        break;
+      case "wander":
+        this._wander(dt, agent, env, plan);
+        break;
+      case "patrol":
+        this._patrol(dt, agent, env, plan);
+        break;
+      default:
+        throw new Error(`RactrBrain: unknown behavior '${plan.type}'`);
+    }
+    return this.activity;
+  }
+
+  // Walks toward (x, y) at `speed` (default: the agent's), straight when
+  // nothing is in the way and along an A* path otherwise. Moving goals
+  // are re-pathed twice a second. Returns true on arrival, or when the
+  // agent has been stuck for a while, so callers move on either way.
+  travel(dt, agent, x, y, env, speed) {
+    if (Math.hypot(x - agent.x, y - agent.y) <= 4) {
+      this.path = null;
+      this.goal = null;
+      this._stuckTime = 0;
+      return true;
+    }
+    this._repathTimer -= dt;
+    const goal = this.goal;
+    const moved = !goal || goal.x !== x || goal.y !== y;
+    if (!this.path || (moved && this._repathTimer <= 0)) {
+      this._planPath(agent, x, y, env);
+    } else if (moved && this.path.length === 1) {
+      // Straight-line chase: keep aiming at where the goal is now.
+      this.path[0] = { x, y };
+      this.goal = { x, y };
+    }
+
+    const waypoint = this.path[0];
+    const step = (speed || agent.speed) * dt;
+    const fromX = agent.x;
+    const fromY = agent.y;
+    this._moveToward(agent, waypoint.x, waypoint.y, step, env);
+    if (Math.hypot(waypoint.x - agent.x, waypoint.y - agent.y) <= 2) {
+      this.path.shift();
+      if (!this.path.length) {
+        this.path = null;
+        this.goal = null;
+        return true;
+      }
+    }
+
+    const progress = Math.hypot(agent.x - fromX, agent.y - fromY);
+    this._stuckTime = progress < step * 0.1 ? this._stuckTime + dt : 0;
+    if (this._stuckTime > 1.5) {
+      this._stuckTime = 0;
+      this.path = null;
+      this.goal = null;
+      return true;
+    }
+    this.activity = "walk";
+    return false;
+  }
+
+  _planPath(agent, x, y, env) {
+    const nav = env.nav;
+    let path = null;
+    if (nav && !nav.clearLine(agent.x, agent.y, x, y)) {
+      path = nav.findPath(agent.x, agent.y, x, y);
+    }
+    this.path = path && path.length ? path : [{ x, y }];
+    this.goal = { x, y };
+    this._repathTimer = 0.5;
+  }
+
+  _idle(dt, agent, env, plan) {
+    const x = plan.x === undefined ? agent.homeX : plan.x;
+    const y = plan.y === undefined ? agent.homeY : plan.y;
+    if (this.travel(dt, agent, x, y, env, plan.speed)) {
+      this.activity = "idle";
+      if (plan.facing !== undefined) agent.facingAngle = plan.facing;
+    }
+  }
+
+  _wander(dt, agent, env, plan) {
+    if (this.waitTimer > 0) {
+      this.waitTimer -= dt;
+      this.activity = "idle";
+      return;
+    }
+    const random = env.random || Math.random;
+    if (!this.spot) {
+      this.spot = this._pickSpot(agent, env, plan, random);
+      if (!this.spot) {
+        this.waitTimer = 1;
+        return;
+      }
+    }
+    if (this.travel(dt, agent, this.spot.x, this.spot.y, env, plan.speed)) {
+      this.spot = null;
+      const [min, max] = plan.pause || [2, 5];
+      this.waitTimer = min + random() * (max - min);
+      this.activity = "idle";
+    }
+  }
+
+  _pickSpot(agent, env, plan, random) {
+    const cx = plan.x === undefined ? agent.homeX : plan.x;
+    const cy = plan.y === undefined ? agent.homeY : plan.y;
+    const radius = plan.radius || 60;
+    for (let attempt = 0; attempt < 8; attempt++) {
+      const angle = random() * Math.PI * 2;
+      const dist = Math.sqrt(random()) * radius;
+      const x = cx + Math.cos(angle) * dist;
+      const y = cy + Math.sin(angle) * dist;
+      if (!env.nav || env.nav.walkableAt(x, y)) return { x, y };
+    }
+    return null;
+  }
+
+  _patrol(dt, agent, env, plan) {
+    const route = plan.route || [];
+    if (!route.length) {
+      this.activity = "idle";
+      return;
+    }
+    if (this.waitTimer > 0) {
+      this.waitTimer -= dt;
+      this.activity = "idle";
+      return;
+    }
+    const point = route[this.routeIndex];
+    if (!this.travel(dt, agent, point.x, point.y, env, plan.speed)) return;
+    this.waitTimer = point.wait || 0;
+    this.activity = "idle";
+    if (route.length < 2) return;
+    if (plan.loop === false) {
+      const next = this.routeIndex + this.routeStep;
+      if (next < 0 || next >= route.length) this.routeStep = -this.routeStep;
+      this.routeIndex += this.routeStep;
+    } else {
+      this.routeIndex = (this.routeIndex + 1) % route.length;
+    }
+  }
+
+  _moveToward(agent, tx, ty, step, env) {
+    const dx = tx - agent.x;
+    const dy = ty - agent.y;
+    const dist = Math.hypot(dx, dy);
+    if (dist < 0.001) return;
+    const len = Math.min(step, dist);
+    if (env.collision) {
+      const moved = env.collision.moveCircle(
+        agent.x,
+        agent.y,
+        agent.radius,
+        (dx / dist) * len,
+        (dy / dist) * len,
+        { ignore: env.ignore }
+      );
+      agent.x = moved.x;
+      agent.y = moved.y;
+    } else {
+      agent.x += (dx / dist) * len;
+      agent.y += (dy / dist) * len;
+    }
+    agent.facingAngle = Math.atan2(dy, dx);
+  }
+
+  _face(agent, x, y) {
+    if (x !== agent.x || y !== agent.y) {
+      agent.facingAngle = Math.atan2(y - agent.y, x - agent.x);
+    }
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.ractrHourInRange = ractrHourInRange;
+  window.RactrNavGrid = RactrNavGrid;
+  window.RactrBrain = RactrBrain;
+}
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { ractrHourInRange, RactrNavGrid, RactrBrain };
+}
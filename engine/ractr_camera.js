@@ -0,0 +1,224 @@
+// RactrCamera: maps world space onto the canvas.
+// (x, y) is the world point at the centre of the viewport. The camera
+// follows a target with a deadzone (the target can move freely inside it)
+// and exponential smoothing, is clamped to world bounds, and supports zoom
+// and screen shake. Like the player, it keeps its previous position so
+// rendering can interpolate between fixed simulation steps.
+
+class RactrCamera {
+  constructor(options) {
+    const opts = options || {};
+
+    this.x = 0;
+    this.y = 0;
+    this.prevX = 0;
+    this.prevY = 0;
+
+    this.minZoom = opts.minZoom || 0.5;
+    this.maxZoom = opts.maxZoom || 2.5;
+    this.zoom = Math.max(this.minZoom, Math.min(this.maxZoom, opts.zoom || 1));
+
+    // Viewport size in CSS pixels; kept current by setViewport().
+    this.viewWidth = opts.viewWidth || 960;
+    this.viewHeight = opts.viewHeight || 540;
+
+    // Deadzone size in world units, centred on the camera.
+    this.deadzoneWidth =
+      typeof opts.deadzoneWidth === "number" ? opts.deadzoneWidth : 96;
+    this.deadzoneHeight =
+      typeof opts.deadzoneHeight === "number" ? opts.deadzoneHeight : 64;
+    // Catch-up rate per second; 0 snaps straight to the desired position.
+    this.smoothing = typeof opts.smoothing === "number" ? opts.smoothing : 6;
+
+    // { minX, minY, maxX, maxY } in world units, or null for no clamping.
+    this.bounds = opts.bounds || null;
+
+    // Shake is a visual offset in screen pixels; it never moves x/y.
+    this.shakeIntensity = 0;
+    this.shakeDuration = 0;
+    this.shakeTime = 0;
+    this.shakeX = 0;
+    this.shakeY = 0;
+    this.random = opts.random || Math.random;
+  }
+
+  setViewport(width, height) {
+    this.viewWidth = width;
+    this.viewHeight = height;
+  }
+
+  setBounds(bounds) {
+    this.bounds = bounds || null;
+    this._clampToBounds();
+  }
+
+  setZoom(zoom) {
+    this.zoom = Math.max(this.minZoom, Math.min(this.maxZoom, zoom));
+    this._clampToBounds();
+  }
+
+  // Jumps to a point with no smoothing and no interpolation across the
+  // jump (spawns, teleports, zone changes).
+  snapTo(x, y) {
+    this.x = x;
+    this.y = y;
+    this._clampToBounds();
+    this.prevX = this.x;
+    this.prevY = this.y;
+  }
+
+  // Stronger or longer shakes override weaker ones already running.
+  shake(intensity, duration) {
+    const remaining = this.shakeDuration - this.shakeTime;
+    if (intensity >= this.shakeIntensity || duration > remaining) {
+      this.shakeIntensity = Math.max(intensity, this.shakeIntensity);
+      this.shakeDuration = duration;
+      this.shakeTime = 0;
+    }
+  }
+
+  // Called once per simulation step.
+  update(dt, target) {
+    this.prevX = this.x;
+    this.prevY = this.y;
+
+    if (target) {
+      this._follow(dt, target);
+    }
+    this._clampToBounds();
+    this._updateShake(dt);
+  }
+
+  _follow(dt, target) {
+    let desiredX = this.x;
+    let desiredY = this.y;
+    const halfW = this.deadzoneWidth / 2;
+    const halfH = this.deadzoneHeight / 2;
+
+    const dx = target.x - this.x;
+    const dy = target.y - this.y;
+    if (dx > halfW) desiredX = target.x - halfW;
+    if (dx < -halfW) desiredX = target.x + halfW;
+    if (dy > halfH) desiredY = target.y - halfH;
+    if (dy < -halfH) desiredY = target.y + halfH;
+
+    // Frame-rate independent exponential approach.
+    const k = this.smoothing > 0 ? 1 - Math.exp(-this.smoothing * dt) : 1;
+    this.x += (desiredX - this.x) * k;
+    this.y += (desiredY - this.y) * k;
+  }
+
+  _clampToBounds() {
+    const b = this.bounds;
+    if (!b) return;
+    const halfW = this.viewWidth / (2 * this.zoom);
+    const halfH = this.viewHeight / (2 * this.zoom);
+
+    // A world smaller than the view is centred rather than clamped.
+    if (b.maxX - b.minX <= halfW * 2) {
+      this.x = (b.minX + b.maxX) / 2;
+    } else {
+      this.x = Math.max(b.minX + halfW, Math.min(b.maxX - halfW, this.x));
+    }
+    if (b.maxY - b.minY <= halfH * 2) {
+      this.y = (b.minY + b.maxY) / 2;
+    } else {
+      this.y = Math.max(b.minY + halfH, Math.min(b.maxY - halfH, this.y));
+    }
+  }
+
+  _updateShake(dt) {
+    if (this.shakeTime >= this.shakeDuration) {
+      this.shakeIntensity = 0;
+      this.shakeX = 0;
+      this.shakeY = 0;
+      return;
+    }
+    this.shakeTime += dt;
+    const falloff = Math.max(0, 1 - this.shakeTime / this.shakeDuration);
+    const amount = this.shakeIntensity * falloff;
+    this.shakeX = (this.random() * 2 - 1) * amount;
+    this.shakeY = (this.random() * 2 - 1) * amount;
+  }
+
+  // Camera centre for drawing, interpolated like other moving entities.
+  renderPosition(alpha) {
+    const a = typeof alpha === "number" ? alpha : 1;
+    return {
+      x: this.prevX + (this.x - this.prevX) * a,
+      y: this.prevY + (this.y - this.prevY) * a,
+    };
+  }
+
+  // Pushes the world transform; pair with ctx.restore().
+  begin(ctx, alpha) {
+    const pos = this.renderPosition(alpha);
+    ctx.save();
+    ctx.translate(
+      Math.round(this.viewWidth / 2 + this.shakeX),
+      Math.round(this.viewHeight / 2 + this.shakeY)
+    );
+    ctx.scale(this.zoom, this.zoom);
+    ctx.translate(-pos.x, -pos.y);
+  }
+
+  worldToScreen(wx, wy) {
+    return {
+      x: (wx - this.x) * this.zoom + this.viewWidth / 2 + this.shakeX,
+      y: (wy - this.y) * this.zoom + this.viewHeight / 2 + this.shakeY,
+    };
+  }
+
+  screenToWorld(sx, sy) {
+    return {
+      x: (sx - this.viewWidth / 2 - this.shakeX) / this.zoom + this.x,
+      y: (sy - this.viewHeight / 2 - this.shakeY) / this.zoom + this.y,
+    };
+  }
+
+  // World-space rectangle currently on screen, grown by `margin`. Pass
+  // the render alpha to get the rectangle as drawn this frame.
+  visibleRect(margin, alpha) {
+    const m = margin || 0;
+    const pos =
+      typeof alpha === "number" ? this.renderPosition(alpha) : this;
+    const halfW = this.viewWidth / (2 * this.zoom);
+    const halfH = this.viewHeight / (2 * this.zoom);
+    return {
+      minX: pos.x - halfW - m,
+      minY: pos.y - halfH - m,
+      maxX: pos.x + halfW + m,
+      maxY: pos.y + halfH + m,
+    };
+  }
+
+  // Culling tests against a visibleRect(). Pass the one the frame is drawn
+  // with (margin and render alpha) so nothing pops at the screen edge;
+  // without one they use the current, uninterpolated view.
+  isPointVisible(x, y, view) {
+    const v = view || this.visibleRect();
+    return x >= v.minX && x <= v.maxX && y >= v.minY && y <= v.maxY;
+  }
+
+  isRectVisible(x, y, w, h, view) {
+    const v = view || this.visibleRect();
+    return x + w >= v.minX && x <= v.maxX && y + h >= v.minY && y <= v.maxY;
+  }
+
+  isCircleVisible(x, y, radius, view) {
+    return this.isRectVisible(
+      x - radius,
+      y - radius,
+      radius * 2,
+      radius * 2,
+      view
+    );
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.RactrCamera = RactrCamera;
+}
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { RactrCamera };
+}
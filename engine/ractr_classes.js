@@ -0,0 +1,144 @@
+// RactrClasses: character classes, XP tables and trainable skills.
+//
+// Definition format (RACTR_CLASSES):
+//   {
+//     name, description,               // shown at character creation
+//     color,                           // class swatch in the UI
+//     base: { maxHealth, baseAgility, ... },
+//                                      // starting values, same keys as
+//                                      // RACTR_PLAYER_DEFAULTS
+//     growth: { maxHealth, strength, ... },
+//                                      // added on every level-up, same
+//                                      // keys as growthPerLevel
+//     xpTable,                         // key of RACTR_XP_TABLES
+//     levelCap,
+//     skills: [ { abilityId, level, cost } ],
+//     hotbar: [ abilityId, ... ],      // a new character's hotbar
+//   }
+// Skills are abilities (RACTR_ABILITIES) the class can learn. Free ones
+// (no cost) are learned as soon as the level is reached; the rest are
+// trained for `cost` gold at a trainer. config.player values still win
+// over a class's base and growth, so a config can tune every class at once.
+//
+// An XP table lists the XP needed to leave each level, starting with level
+// 1; a class can't level past the end of its table or its levelCap.
+
+const RACTR_DEFAULT_CLASS_ID = "warden";
+
+const RACTR_XP_TABLES = {
+  // floor(120 * L^1.25) + 40, with 120 for level 1.
+  standard: [
+    120, 325, 513, 718, 937, 1166, 1406, 1654, 1910, 2173, 2443, 2720, 3002,
+    3289, 3582, 3880, 4182, 4489, 4800,
+  ],
+  // Quicker to start, steeper towards the cap.
+  brisk: [
+    100, 286, 457, 646, 850, 1067, 1294, 1532, 1779, 2035, 2298, 2568, 2846,
+    3130, 3420, 3715, 4017, 4324, 4635,
+  ],
+};
+
+const RACTR_CLASSES = {
+  warden: {
+    name: "Warden",
+    description:
+      "A hardy keeper of the roads who mends wounds and strikes with spirit light.",
+    color: "#6fdc8c",
+    base: {
+      maxHealth: 120,
+      baseMaxMana: 60,
+      baseStrength: 10,
+      baseAgility: 11,
+      baseIntelligence: 9,
+      baseAttackPower: 15,
+      baseDefense: 3,
+      baseCritChance: 0.05,
+    },
+    growth: {
+      maxHealth: 10,
+      maxMana: 4,
+      strength: 1,
+      agility: 1,
+      intelligence: 1,
+      attackPower: 2,
+      defense: 1,
+      critChance: 0.003,
+    },
+    xpTable: "standard",
+    levelCap: 20,
+    skills: [
+      { abilityId: "minor_heal", level: 1 },
+      { abilityId: "spirit_bolt", level: 1 },
+      { abilityId: "sprint", level: 1 },
+      { abilityId: "campfire", level: 1 },
+      { abilityId: "barkskin", level: 4, cost: 15 },
+      { abilityId: "mend", level: 8, cost: 40 },
+    ],
+    hotbar: ["minor_heal", "spirit_bolt", "sprint", "campfire"],
+  },
+  dashblade: {
+    name: "Dashblade",
+    description:
+      "A quick skirmisher who trusts speed and sharp steel over spells.",
+    color: "#f5d76e",
+    base: {
+      maxHealth: 100,
+      baseMaxMana: 40,
+      baseStrength: 9,
+      baseAgility: 15,
+      baseIntelligence: 6,
+      baseAttackPower: 17,
+      baseDefense: 2,
+      baseCritChance: 0.09,
+      dashCooldown: 0.5,
+    },
+    growth: {
+      maxHealth: 8,
+      maxMana: 2,
+      strength: 1,
+      agility: 2,
+      intelligence: 0,
+      attackPower: 3,
+      defense: 1,
+      critChance: 0.005,
+    },
+    xpTable: "brisk",
+    levelCap: 20,
+    skills: [
+      { abilityId: "sprint", level: 1 },
+      { abilityId: "keen_edge", level: 1 },
+      { abilityId: "campfire", level: 1 },
+      { abilityId: "throwing_knife", level: 3, cost: 8 },
+      { abilityId: "evasion", level: 6, cost: 30 },
+    ],
+    hotbar: ["keen_edge", "sprint", "campfire"],
+  },
+};
+
+// The class definition for an id. Ids are matched without regard to case
+// (older saves stored "Warden"); unknown ones fall back to the default.
+function ractrClassId(classId) {
+  const id = typeof classId === "string" ? classId.toLowerCase() : "";
+  return RACTR_CLASSES[id] ? id : RACTR_DEFAULT_CLASS_ID;
+}
+
+function ractrClass(classId) {
+  return RACTR_CLASSES[ractrClassId(classId)];
+}
+
+if (typeof window !== "undefined") {
+  window.RACTR_DEFAULT_CLASS_ID = RACTR_DEFAULT_CLASS_ID;
+  window.RACTR_XP_TABLES = RACTR_XP_TABLES;
+  window.RACTR_CLASSES = RACTR_CLASSES;
+  window.ractrClassId = ractrClassId;
+  window.ractrClass = ractrClass;
+}
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    RACTR_DEFAULT_CLASS_ID,
+    RACTR_XP_TABLES,
+    RACTR_CLASSES,
+    ractrClassId,
+    ractrClass,
+  };
+}
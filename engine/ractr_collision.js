@@ -0,0 +1,346 @@
+// RactrCollision: static/dynamic colliders, trigger volumes and movement.
+//
+// Shapes are plain objects:
+// - { type: "aabb", x, y, w, h }   (x, y = top-left corner)
+// - { type: "circle", x, y, r }
+//
+// Solid colliders block movement; triggers never block but report
+// enter/exit events for the entities that overlap them. Everything lives
+// in one spatial hash so movement and trigger checks only test nearby
+// shapes.
+
+function ractrShapeBounds(shape) {
+  if (shape.type === "circle") {
+    return {
+      minX: shape.x - shape.r,
+      minY: shape.y - shape.r,
+      maxX: shape.x + shape.r,
+      maxY: shape.y + shape.r,
+    };
+  }
+  return {
+    minX: shape.x,
+    minY: shape.y,
+    maxX: shape.x + shape.w,
+    maxY: shape.y + shape.h,
+  };
+}
+
+function ractrShapesOverlap(a, b) {
+  if (a.type === "circle" && b.type === "circle") {
+    const r = a.r + b.r;
+    const dx = a.x - b.x;
+    const dy = a.y - b.y;
+    return dx * dx + dy * dy < r * r;
+  }
+  if (a.type === "aabb" && b.type === "aabb") {
+    return (
+      a.x < b.x + b.w && a.x + a.w > b.x && a.y < b.y + b.h && a.y + a.h > b.y
+    );
+  }
+  const circle = a.type === "circle" ? a : b;
+  const box = a.type === "circle" ? b : a;
+  const cx = Math.max(box.x, Math.min(circle.x, box.x + box.w));
+  const cy = Math.max(box.y, Math.min(circle.y, box.y + box.h));
+  const dx = circle.x - cx;
+  const dy = circle.y - cy;
+  return dx * dx + dy * dy < circle.r * circle.r;
+}
+
+// Broadphase: items are bucketed by every cell their bounds touch.
+class RactrSpatialHash {
+  constructor(cellSize) {
+    this.cellSize = cellSize || 64;
+    this.cells = new Map();
+    this.itemCells = new Map();
+  }
+
+  _key(cx, cy) {
+    return `${cx},${cy}`;
+  }
+
+  _cellRange(bounds) {
+    const s = this.cellSize;
+    return {
+      x0: Math.floor(bounds.minX / s),
+      y0: Math.floor(bounds.minY / s),
+      x1: Math.floor(bounds.maxX / s),
+      y1: Math.floor(bounds.maxY / s),
+    };
+  }
+
+  insert(item, bounds) {
+    this.remove(item);
+    const keys = [];
+    const r = this._cellRange(bounds);
+    for (let cy = r.y0; cy <= r.y1; cy++) {
+      for (let cx = r.x0; cx <= r.x1; cx++) {
+        const key = this._key(cx, cy);
+        let cell = this.cells.get(key);
+        if (!cell) {
+          cell = new Set();
+          this.cells.set(key, cell);
+        }
+        cell.add(item);
+        keys.push(key);
+      }
+    }
+    this.itemCells.set(item, keys);
+  }
+
+  remove(item) {
+    const keys = this.itemCells.get(item);
+    if (!keys) return;
+    for (const key of keys) {
+      const cell = this.cells.get(key);
+      if (!cell) continue;
+      cell.delete(item);
+      if (!cell.size) this.cells.delete(key);
+    }
+    this.itemCells.delete(item);
+  }
+
+  query(bounds) {
+    const out = new Set();
+    const r = this._cellRange(bounds);
+    for (let cy = r.y0; cy <= r.y1; cy++) {
+      for (let cx = r.x0; cx <= r.x1; cx++) {
+        const cell = this.cells.get(this._key(cx, cy));
+        if (!cell) continue;
+        for (const item of cell) out.add(item);
+      }
+    }
+    return out;
+  }
+
+  clear() {
+    this.cells.clear();
+    this.itemCells.clear();
+  }
+}
+
+class RactrCollisionWorld {
+  constructor(options) {
+    const opts = options || {};
+    this.hash = new RactrSpatialHash(opts.cellSize || 72);
+    // id -> { id, shape, solid, trigger, data }
+    this.bodies = new Map();
+    // entityId -> Set of trigger ids it currently overlaps
+    this._overlaps = new Map();
+    this._listeners = { enter: [], exit: [] };
+  }
+
+  // ---------------- BODIES ----------------
+
+  addCollider(id, shape, data) {
+    return this._add({ id, shape, solid: true, trigger: false, data: data || {} });
+  }
+
+  addTrigger(id, shape, data) {
+    return this._add({ id, shape, solid: false, trigger: true, data: data || {} });
+  }
+
+  _add(body) {
+    if (this.bodies.has(body.id)) this.remove(body.id);
+    this.bodies.set(body.id, body);
+    this.hash.insert(body, ractrShapeBounds(body.shape));
+    return body;
+  }
+
+  // Re-buckets a body after its shape was moved (e.g. a walking NPC).
+  moveBody(id, x, y) {
+    const body = this.bodies.get(id);
+    if (!body) return;
+    body.shape.x = x;
+    body.shape.y = y;
+    this.hash.insert(body, ractrShapeBounds(body.shape));
+  }
+
+  remove(id) {
+    const body = this.bodies.get(id);
+    if (!body) return;
+    this.hash.remove(body);
+    this.bodies.delete(id);
+    for (const set of this._overlaps.values()) set.delete(id);
+  }
+
+  clear() {
+    this.hash.clear();
+    this.bodies.clear();
+    this._overlaps.clear();
+  }
+
+  // Solid tiles become static AABBs, merged into horizontal runs so a
+  // wall is a handful of boxes rather than one per tile.
+  addTilemap(map) {
+    const size = map.tileSize;
+    for (let row = 0; row < map.rows; row++) {
+      let runStart = -1;
+      for (let col = 0; col <= map.cols; col++) {
+        const solid = col < map.cols && map.isSolidCell(col, row);
+        if (solid && runStart < 0) {
+          runStart = col;
+        } else if (!solid && runStart >= 0) {
+          this.addCollider(
+            `tiles:${row}:${runStart}`,
+            {
+              type: "aabb",
+              x: runStart * size,
+              y: row * size,
+              w: (col - runStart) * size,
+              h: size,
+            },
+            { kind: "tiles" }
+          );
+          runStart = -1;
+        }
+      }
+    }
+  }
+
+  // ---------------- QUERIES ----------------
+
+  query(shape, filter) {
+    const out = [];
+    for (const body of this.hash.query(ractrShapeBounds(shape))) {
+      if (filter && !filter(body)) continue;
+      if (ractrShapesOverlap(shape, body.shape)) out.push(body);
+    }
+    return out;
+  }
+
+  overlapsSolid(shape, ignoreId) {
+    return this.query(
+      shape,
+      (body) => body.solid && body.id !== ignoreId
+    ).length > 0;
+  }
+
+  // ---------------- MOVEMENT ----------------
+
+  // Moves a circle by (dx, dy) against solid bodies. The move is split into
+  // substeps no longer than half the radius (so thin walls cannot be
+  // tunnelled through), and after each substep the circle is pushed out of
+  // anything it overlaps along the contact normal. Pushing out only along
+  // the normal is what makes the circle slide along walls.
+  moveCircle(x, y, r, dx, dy, options) {
+    const ignoreId = options && options.ignore;
+    const dist = Math.hypot(dx, dy);
+    const steps = Math.max(1, Math.ceil(dist / (r * 0.5)));
+    const circle = { type: "circle", x, y, r };
+    let blocked = false;
+
+    for (let i = 0; i < steps; i++) {
+      circle.x += dx / steps;
+      circle.y += dy / steps;
+      for (const body of this.query(
+        circle,
+        (b) => b.solid && b.id !== ignoreId
+      )) {
+        if (this._pushOut(circle, body.shape)) blocked = true;
+      }
+    }
+
+    return { x: circle.x, y: circle.y, blocked };
+  }
+
+  _pushOut(circle, shape) {
+    if (shape.type === "circle") {
+      const dx = circle.x - shape.x;
+      const dy = circle.y - shape.y;
+      const d = Math.hypot(dx, dy);
+      const overlap = circle.r + shape.r - d;
+      if (overlap <= 0) return false;
+      const nx = d > 0 ? dx / d : 1;
+      const ny = d > 0 ? dy / d : 0;
+      circle.x += nx * overlap;
+      circle.y += ny * overlap;
+      return true;
+    }
+
+    const cx = Math.max(shape.x, Math.min(circle.x, shape.x + shape.w));
+    const cy = Math.max(shape.y, Math.min(circle.y, shape.y + shape.h));
+    const dx = circle.x - cx;
+    const dy = circle.y - cy;
+    const d2 = dx * dx + dy * dy;
+    if (d2 >= circle.r * circle.r) return false;
+
+    if (d2 > 0) {
+      const d = Math.sqrt(d2);
+      const overlap = circle.r - d;
+      circle.x += (dx / d) * overlap;
+      circle.y += (dy / d) * overlap;
+      return true;
+    }
+
+    // Centre is inside the box: leave through the nearest side.
+    const left = circle.x - shape.x;
+    const right = shape.x + shape.w - circle.x;
+    const top = circle.y - shape.y;
+    const bottom = shape.y + shape.h - circle.y;
+    const min = Math.min(left, right, top, bottom);
+    if (min === left) circle.x = shape.x - circle.r;
+    else if (min === right) circle.x = shape.x + shape.w + circle.r;
+    else if (min === top) circle.y = shape.y - circle.r;
+    else circle.y = shape.y + shape.h + circle.r;
+    return true;
+  }
+
+  // ---------------- TRIGGERS ----------------
+
+  // fn receives { type, entityId, trigger }; returns an unsubscribe function.
+  on(type, fn) {
+    const list = this._listeners[type];
+    if (!list) throw new Error(`RactrCollisionWorld: unknown event '${type}'`);
+    list.push(fn);
+    return () => {
+      const idx = list.indexOf(fn);
+      if (idx >= 0) list.splice(idx, 1);
+    };
+  }
+
+  // Compares what `shape` overlaps now with last call for the same entity
+  // and fires enter/exit for the difference. Returns the fired events.
+  updateTriggers(entityId, shape) {
+    const previous = this._overlaps.get(entityId) || new Set();
+    const current = new Set(
+      this.query(shape, (body) => body.trigger).map((body) => body.id)
+    );
+    this._overlaps.set(entityId, current);
+
+    const events = [];
+    for (const id of current) {
+      if (!previous.has(id)) {
+        events.push({ type: "enter", entityId, trigger: this.bodies.get(id) });
+      }
+    }
+    for (const id of previous) {
+      if (!current.has(id)) {
+        events.push({ type: "exit", entityId, trigger: this.bodies.get(id) || null });
+      }
+    }
+    for (const event of events) {
+      for (const fn of this._listeners[event.type].slice()) fn(event);
+    }
+    return events;
+  }
+
+  forgetEntity(entityId) {
+    this._overlaps.delete(entityId);
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.ractrShapeBounds = ractrShapeBounds;
+  window.ractrShapesOverlap = ractrShapesOverlap;
+  window.RactrSpatialHash = RactrSpatialHash;
+  window.RactrCollisionWorld = RactrCollisionWorld;
+}
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    ractrShapeBounds,
+    ractrShapesOverlap,
+    RactrSpatialHash,
+    RactrCollisionWorld,
+  };
+}
@@ -0,0 +1,222 @@
+// RactrCombat: damage rules and hostile mobs.
+//
+// Melee and spell hits both go through RactrCombat, so the same attacker
+// and defender fields apply to the player and to mobs:
+//   attacker: { level, attackPower, intelligence, critChance }
+//   defender: { level, defense }
+// Damage is the base rolled within +/- variance, multiplied by
+// critMultiplier on a crit, then reduced by defense / (defense +
+// armorConstant).
+//
+// RactrMob is one hostile creature: it idles at home (or runs its type's
+// `behavior`, see RactrBrain in ractr_ai.js), chases anything alive that
+// comes within its aggro radius, swings on its own timer once in reach,
+// and runs home (healing fully) when dragged past its leash. Chasing and
+// running home path around walls.
+
+const RACTR_COMBAT_DEFAULTS = {
+  critMultiplier: 1.75,
+  // Defense needed to halve incoming damage.
+  armorConstant: 25,
+  // Hits land within +/- this fraction of their base damage.
+  variance: 0.15,
+  // Spells scale with intelligence and only half of defense applies.
+  spellIntScale: 0.8,
+  spellDefenseFactor: 0.5,
+  // Seconds after the last hit before someone is out of combat.
+  combatTimeout: 6,
+  // Corpses stay this long; mobs come back this long after dying.
+  corpseTime: 10,
+  respawnTime: 30,
+};
+
+class RactrCombat {
+  constructor(options) {
+    const opts = options || {};
+    this.rules = { ...RACTR_COMBAT_DEFAULTS, ...(opts.rules || {}) };
+    this.random = opts.random || Math.random;
+  }
+
+  mitigation(defense) {
+    const d = Math.max(0, defense || 0);
+    return d / (d + this.rules.armorConstant);
+  }
+
+  // One melee swing. Returns { amount, crit }.
+  rollMelee(attacker, defender) {
+    return this._roll(attacker.attackPower, attacker, defender, 1);
+  }
+
+  // One spell hit of the given base power. Returns { amount, crit }.
+  rollSpell(caster, target, power) {
+    const base = power + (caster.intelligence || 0) * this.rules.spellIntScale;
+    return this._roll(base, caster, target, this.rules.spellDefenseFactor);
+  }
+
+  _roll(base, attacker, defender, defenseFactor) {
+    const r = this.rules;
+    let amount = base * (1 - r.variance + this.random() * r.variance * 2);
+    const crit = this.random() < (attacker.critChance || 0);
+    if (crit) amount *= r.critMultiplier;
+    amount *= 1 - this.mitigation((defender.defense || 0) * defenseFactor);
+    return { amount: Math.max(1, Math.round(amount)), crit };
+  }
+
+  // Kill XP falls off for mobs below the killer's level (nothing for
+  // anything five or more levels lower) and rises for tougher ones.
+  xpForKill(mob, killerLevel) {
+    const diff = mob.level - killerLevel;
+    if (diff <= -5) return 0;
+    const scale = Math.max(0.2, Math.min(1.6, 1 + diff * 0.15));
+    return Math.round(mob.xp * scale);
+  }
+}
+
+class RactrMob {
+  constructor(id, typeId, type, x, y) {
+    this.id = id;
+    this.typeId = typeId;
+    this.name = type.name;
+    this.level = type.level;
+    this.color = type.color || "#999999";
+
+    this.maxHealth = type.maxHealth;
+    this.health = this.maxHealth;
+    this.attackPower = type.attackPower;
+    this.defense = type.defense || 0;
+    this.critChance = type.critChance || 0;
+    this.swingTime = type.swingTime;
+    this.swingTimer = 0;
+    this.reach = type.reach || 8;
+    this.xp = type.xp || 0;
+    // { effect, chance }: a status effect its hits can leave on the target.
+    this.onHit = type.onHit || null;
+    // The loot table its corpse rolls, and what it rolled ({ gold, items })
+    // once dead.
+    this.lootTable = type.loot || null;
+    this.loot = null;
+
+    this.radius = type.radius || 12;
+    this.speed = type.speed;
+    this.aggroRadius = type.aggroRadius;
+    this.leashRadius = type.leashRadius;
+
+    this.homeX = x;
+    this.homeY = y;
+    this.x = x;
+    this.y = y;
+    this.prevX = x;
+    this.prevY = y;
+    this.facingAngle = 0;
+    // Walks it about while idle, and finds the way when chasing or
+    // running home.
+    this.brain = new RactrBrain(type.behavior);
+
+    // idle | chase | return | dead
+    this.state = "idle";
+    this.deadTime = 0;
+  }
+
+  isAlive() {
+    return this.state !== "dead";
+  }
+
+  // Anything that hurts a mob pulls it, even from outside its aggro range.
+  provoke() {
+    if (this.state !== "idle") return;
+    this.state = "chase";
+    this.brain.reset();
+  }
+
+  takeDamage(amount) {
+    if (!this.isAlive()) return false;
+    this.health = Math.max(0, this.health - amount);
+    if (this.health <= 0) {
+      this.state = "dead";
+      this.deadTime = 0;
+      return true;
+    }
+    this.provoke();
+    return false;
+  }
+
+  respawn() {
+    this.health = this.maxHealth;
+    this.loot = null;
+    this.state = "idle";
+    this.swingTimer = 0;
+    this.deadTime = 0;
+    this.x = this.prevX = this.homeX;
+    this.y = this.prevY = this.homeY;
+    this.brain.reset();
+  }
+
+  // One simulation step against `target` (the player), in a RactrBrain
+  // environment ({ collision, nav, hour, random }). Returns "swing" when
+  // the mob attacks this step, "leash" when it gives up the chase,
+  // otherwise null.
+  update(dt, target, env) {
+    this.prevX = this.x;
+    this.prevY = this.y;
+    if (this.state === "dead") {
+      this.deadTime += dt;
+      return null;
+    }
+    if (this.swingTimer > 0) {
+      this.swingTimer = Math.max(0, this.swingTimer - dt);
+    }
+
+    const homeDist = Math.hypot(this.x - this.homeX, this.y - this.homeY);
+    if (this.state === "return") {
+      // Leashing mobs ignore everything until they are home.
+      const speed = this.speed * 1.5;
+      if (this.brain.travel(dt, this, this.homeX, this.homeY, env, speed)) {
+        this.state = "idle";
+        this.brain.reset();
+      }
+      return null;
+    }
+
+    const targetAlive = target && target.health > 0;
+    const dist = targetAlive
+      ? Math.hypot(target.x - this.x, target.y - this.y)
+      : Infinity;
+
+    if (this.state === "idle") {
+      if (dist > this.aggroRadius) {
+        this.brain.update(dt, this, env);
+        return null;
+      }
+      this.state = "chase";
+      this.brain.reset();
+    }
+
+    if (!targetAlive || homeDist > this.leashRadius) {
+      this.state = "return";
+      this.health = this.maxHealth;
+      this.brain.reset();
+      return "leash";
+    }
+
+    this.facingAngle = Math.atan2(target.y - this.y, target.x - this.x);
+    const reach = this.radius + target.radius + this.reach;
+    if (dist > reach) {
+      this.brain.travel(dt, this, target.x, target.y, env);
+      return null;
+    }
+    if (this.swingTimer <= 0) {
+      this.swingTimer = this.swingTime;
+      return "swing";
+    }
+    return null;
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.RACTR_COMBAT_DEFAULTS = RACTR_COMBAT_DEFAULTS;
+  window.RactrCombat = RactrCombat;
+  window.RactrMob = RactrMob;
+}
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { RACTR_COMBAT_DEFAULTS, RactrCombat, RactrMob };
+}
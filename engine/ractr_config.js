@@ -0,0 +1,410 @@
+// RactrConfig: loads ractr_config.json, validates it and hands each part to
+// the piece that uses it:
+//   engine -> RactrEngine options
+//   player, meta -> RactrGameState (RactrPlayerState, RactrWorldState)
+//   combat -> RactrCombat rules
+//   loot -> RactrLootRoller ({ seed } makes drops repeatable)
+//   net -> RactrNetClient
+//   camera -> RactrCamera (starting zoom and the range it can be zoomed in)
+// Every key is optional; anything left out keeps the built-in default.
+// player values win over every class's own (RACTR_CLASSES), so they are
+// for tuning only; the shipped ractr_config.json leaves them out.
+// Query parameters named "ractr.<path>" override single values, e.g.
+//   ?ractr.player.maxHealth=200&ractr.net.websocketUrl=ws://localhost:8080
+
+const RACTR_CONFIG_QUERY_PREFIX = "ractr.";
+
+// Schema nodes:
+// - { type: "object", fields: { key: node } }   unknown keys are errors
+// - { type: "map", values: node }               any keys, same value shape
+// - { type: "array", items: node, length }
+// - { type: "number", min, max, integer }
+// - { type: "string" }, { type: "boolean" }
+const RACTR_CONFIG_SCHEMA = {
+  type: "object",
+  fields: {
+    engine: {
+      type: "object",
+      fields: {
+        simulationHz: { type: "number", min: 10, max: 240, integer: true },
+        maxCatchUpSteps: { type: "number", min: 1, max: 60, integer: true },
+        maxFrameTime: { type: "number", min: 0.01, max: 5 },
+        gamepadDeadzone: { type: "number", min: 0, max: 0.9 },
+      },
+    },
+    player: {
+      type: "object",
+      fields: {
+        name: { type: "string" },
+        classId: { type: "string" },
+        maxHealth: { type: "number", min: 1 },
+        baseMaxMana: { type: "number", min: 0 },
+        baseStrength: { type: "number", min: 0 },
+        baseAgility: { type: "number", min: 0 },
+        baseIntelligence: { type: "number", min: 0 },
+        baseAttackPower: { type: "number", min: 0 },
+        baseDefense: { type: "number", min: 0 },
+        baseCritChance: { type: "number", min: 0, max: 1 },
+        startingGold: { type: "number", min: 0, integer: true },
+        startingItems: {
+          type: "array",
+          items: {
+            type: "object",
+            fields: {
+              itemId: { type: "string" },
+              count: { type: "number", min: 1, integer: true },
+            },
+          },
+        },
+        startingEquipment: { type: "map", values: { type: "string" } },
+        carryBase: { type: "number", min: 0 },
+        carryPerStrength: { type: "number", min: 0 },
+        encumberedSpeed: { type: "number", min: 0, max: 1 },
+        radius: { type: "number", min: 1 },
+        baseSpeed: { type: "number", min: 0 },
+        dashSpeed: { type: "number", min: 0 },
+        dashCooldown: { type: "number", min: 0 },
+        swingTime: { type: "number", min: 0.2 },
+        meleeReach: { type: "number", min: 0 },
+        growthPerLevel: {
+          type: "object",
+          fields: {
+            maxHealth: { type: "number" },
+            maxMana: { type: "number" },
+            strength: { type: "number" },
+            agility: { type: "number" },
+            intelligence: { type: "number" },
+            attackPower: { type: "number" },
+            defense: { type: "number" },
+            critChance: { type: "number" },
+          },
+        },
+        xpCurve: {
+          type: "object",
+          fields: {
+            first: { type: "number", min: 1 },
+            base: { type: "number", min: 1 },
+            exponent: { type: "number", min: 0 },
+            offset: { type: "number" },
+          },
+        },
+        levelCap: { type: "number", min: 1, integer: true },
+        regen: {
+          type: "object",
+          fields: {
+            healthBase: { type: "number", min: 0 },
+            healthPerStrength: { type: "number", min: 0 },
+            manaBase: { type: "number", min: 0 },
+            manaPerIntelligence: { type: "number", min: 0 },
+            inCombatFactor: { type: "number", min: 0 },
+            restFactor: { type: "number", min: 0 },
+          },
+        },
+        death: {
+          type: "object",
+          fields: {
+            xpPenalty: { type: "number", min: 0, max: 1 },
+            recoverFraction: { type: "number", min: 0, max: 1 },
+            corpseDecay: { type: "number", min: 0 },
+            respawnVitals: { type: "number", min: 0.01, max: 1 },
+          },
+        },
+      },
+    },
+    meta: {
+      type: "object",
+      fields: {
+        startingZoneId: { type: "string" },
+        dayLength: { type: "number", min: 1 },
+        startHour: { type: "number", min: 0, max: 23.99 },
+        zones: {
+          type: "map",
+          values: {
+            type: "object",
+            fields: {
+              id: { type: "string" },
+              name: { type: "string" },
+              levelRange: {
+                type: "array",
+                length: 2,
+                items: { type: "number", min: 1, integer: true },
+              },
+            },
+          },
+        },
+      },
+    },
+    combat: {
+      type: "object",
+      fields: {
+        critMultiplier: { type: "number", min: 1 },
+        armorConstant: { type: "number", min: 1 },
+        variance: { type: "number", min: 0, max: 1 },
+        spellIntScale: { type: "number", min: 0 },
+        spellDefenseFactor: { type: "number", min: 0, max: 1 },
+        combatTimeout: { type: "number", min: 0 },
+        corpseTime: { type: "number", min: 0 },
+        respawnTime: { type: "number", min: 0 },
+      },
+    },
+    loot: {
+      type: "object",
+      fields: {
+        seed: { type: "number", min: 0, integer: true },
+      },
+    },
+    camera: {
+      type: "object",
+      fields: {
+        zoom: { type: "number", min: 0.1, max: 10 },
+        minZoom: { type: "number", min: 0.1, max: 10 },
+        maxZoom: { type: "number", min: 0.1, max: 10 },
+      },
+    },
+    net: {
+      type: "object",
+      fields: {
+        websocketUrl: { type: "string" },
+        httpBaseUrl: { type: "string" },
+        interpolationDelay: { type: "number", min: 0, max: 2 },
+        remoteTimeout: { type: "number", min: 0.5 },
+        correctionTime: { type: "number", min: 0, max: 2 },
+        snapDistance: { type: "number", min: 0 },
+      },
+    },
+  },
+};
+
+class RactrConfig {
+  // Returns a list of "path: problem" strings; empty when valid.
+  static validate(config, schema) {
+    const errors = [];
+    RactrConfig._check(config, schema || RACTR_CONFIG_SCHEMA, "", errors);
+    return errors;
+  }
+
+  static _check(value, node, path, errors) {
+    const where = path || "(root)";
+    const actual = Array.isArray(value)
+      ? "array"
+      : value === null
+      ? "null"
+      : typeof value;
+
+    if (node.type === "object" || node.type === "map") {
+      if (actual !== "object") {
+        errors.push(`${where}: expected an object, got ${actual}`);
+        return;
+      }
+      for (const key of Object.keys(value)) {
+        const childPath = path ? `${path}.${key}` : key;
+        if (node.type === "map") {
+          RactrConfig._check(value[key], node.values, childPath, errors);
+        } else if (node.fields[key]) {
+          RactrConfig._check(value[key], node.fields[key], childPath, errors);
+        } else {
+          errors.push(
+            `${childPath}: unknown key${RactrConfig._suggest(key, node.fields)}`
+          );
+        }
+      }
+      return;
+    }
+
+    if (node.type === "array") {
+      if (actual !== "array") {
+        errors.push(`${where}: expected an array, got ${actual}`);
+        return;
+      }
+      if (node.length && value.length !== node.length) {
+        errors.push(
+          `${where}: expected ${node.length} entries, got ${value.length}`
+        );
+      }
+      value.forEach((item, i) =>
+        RactrConfig._check(item, node.items, `${path}[${i}]`, errors)
+      );
+      return;
+    }
+
+    if (actual !== node.type || (actual === "number" && !isFinite(value))) {
+      errors.push(`${where}: expected ${node.type}, got ${actual}`);
+      return;
+    }
+    if (node.type === "number") {
+      if (node.integer && !Number.isInteger(value)) {
+        errors.push(`${where}: expected a whole number, got ${value}`);
+      }
+      if (typeof node.min === "number" && value < node.min) {
+        errors.push(`${where}: must be at least ${node.min}, got ${value}`);
+      }
+      if (typeof node.max === "number" && value > node.max) {
+        errors.push(`${where}: must be at most ${node.max}, got ${value}`);
+      }
+    }
+  }
+
+  // Catches the common slip of getting a key's capitalisation wrong.
+  static _suggest(key, fields) {
+    const lower = key.toLowerCase();
+    const match = Object.keys(fields).find((k) => k.toLowerCase() === lower);
+    return match ? ` (did you mean '${match}'?)` : "";
+  }
+
+  static assertValid(config, source) {
+    const errors = RactrConfig.validate(config);
+    if (errors.length) {
+      throw new Error(
+        `RactrConfig: invalid ${source || "config"}:\n- ${errors.join("\n- ")}`
+      );
+    }
+    return config;
+  }
+
+  // Applies "ractr.<path>=<value>" query parameters to a copy of config.
+  // Values are read according to the schema type at that path; objects
+  // and arrays are given as JSON.
+  static applyOverrides(config, search) {
+    const out = JSON.parse(JSON.stringify(config || {}));
+    const params = new URLSearchParams(search || "");
+    const errors = [];
+
+    for (const [name, raw] of params) {
+      if (!name.startsWith(RACTR_CONFIG_QUERY_PREFIX)) continue;
+      const path = name.slice(RACTR_CONFIG_QUERY_PREFIX.length).split(".");
+      const node = RactrConfig._nodeAt(path);
+      if (!node) {
+        errors.push(`${name}: unknown config key`);
+        continue;
+      }
+      const value = RactrConfig._parseOverride(raw, node);
+      if (value === undefined) {
+        errors.push(`${name}: '${raw}' is not a valid ${node.type}`);
+        continue;
+      }
+      let target = out;
+      for (const key of path.slice(0, -1)) {
+        if (!target[key] || typeof target[key] !== "object") target[key] = {};
+        target = target[key];
+      }
+      target[path[path.length - 1]] = value;
+    }
+
+    if (errors.length) {
+      throw new Error(
+        `RactrConfig: invalid URL overrides:\n- ${errors.join("\n- ")}`
+      );
+    }
+    return out;
+  }
+
+  static _nodeAt(path) {
+    let node = RACTR_CONFIG_SCHEMA;
+    for (const key of path) {
+      if (node.type === "object") node = node.fields[key];
+      else if (node.type === "map") node = node.values;
+      else return null;
+      if (!node) return null;
+    }
+    return node;
+  }
+
+  static _parseOverride(raw, node) {
+    if (node.type === "string") return raw;
+    if (node.type === "number") {
+      const n = Number(raw);
+      return raw.trim() !== "" && isFinite(n) ? n : undefined;
+    }
+    if (node.type === "boolean") {
+      if (raw === "true" || raw === "1") return true;
+      if (raw === "false" || raw === "0") return false;
+      return undefined;
+    }
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      return undefined;
+    }
+  }
+
+  // Fetches, validates and applies URL overrides. A missing file (404) is
+  // an empty config; any other failure rejects with the reason.
+  // options: { search, fetch }
+  static load(url, options) {
+    const opts = options || {};
+    const source = url || "ractr_config.json";
+    const doFetch = opts.fetch || fetch;
+    const search =
+      opts.search !== undefined
+        ? opts.search
+        : typeof location !== "undefined"
+        ? location.search
+        : "";
+
+    return doFetch(source)
+      .then((res) => {
+        if (res.status === 404) return {};
+        if (!res.ok) {
+          throw new Error(`RactrConfig: failed to load '${source}' (${res.status})`);
+        }
+        return res.json().catch(() => {
+          throw new Error(`RactrConfig: '${source}' is not valid JSON`);
+        });
+      })
+      .then((json) => {
+        RactrConfig.assertValid(json, source);
+        return RactrConfig.assertValid(
+          RactrConfig.applyOverrides(json, search),
+          `${source} with URL overrides`
+        );
+      });
+  }
+
+  // RactrEngine options from config.engine, with explicit options winning.
+  static engineOptions(config, options) {
+    return { ...((config && config.engine) || {}), ...(options || {}) };
+  }
+}
+
+// Page entry point: loads the config, then builds the engine and game
+// from it and starts the loop. Resolves to { config, engine, game }.
+// options: { configUrl, search, engine: extra RactrEngine options }
+function ractrLaunch(canvasId, options) {
+  const opts = options || {};
+  return RactrConfig.load(opts.configUrl, { search: opts.search }).then(
+    (config) => {
+      const engine = new RactrEngine(
+        canvasId,
+        RactrConfig.engineOptions(config, opts.engine)
+      );
+      const game = new RactrGame(engine, config);
+      engine.setGame(game);
+      engine.start();
+      return { config, engine, game };
+    }
+  );
+}
+
+if (typeof window !== "undefined") {
+  window.RACTR_CONFIG_SCHEMA = RACTR_CONFIG_SCHEMA;
+  window.RactrConfig = RactrConfig;
+  window.ractrLaunch = ractrLaunch;
+}
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { RACTR_CONFIG_SCHEMA, RactrConfig, ractrLaunch };
+}
+
+// `node ractr_config.js [file]` checks a config file (the shipped
+// ractr_config.json by default) and exits non-zero when it is invalid.
+if (typeof require !== "undefined" && require.main === module) {
+  const fs = require("fs");
+  const path = require("path");
+  const file = process.argv[2] || path.join(__dirname, "ractr_config.json");
+  try {
+    RactrConfig.assertValid(JSON.parse(fs.readFileSync(file, "utf8")), file);
+    console.log(`${file}: ok`);
+  } catch (e) {
+    console.error(e.message);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,566 @@
+// RactrDialogue: branching conversations with NPCs.
+//
+// Tree format (RACTR_DIALOGUES), keyed by the `dialogue` field of an `npc`
+// object in a zone map:
+//   { start: nodeId, nodes: { nodeId: node } }
+// Nodes:
+//   {
+//     text: "..." | [ { text, conditions }, ... ],   // first match wins
+//     actions: [ action, ... ],        // run when the node is reached
+//     responses: [ response, ... ],
+//   }
+// Responses:
+//   {
+//     text,                            // shown in the response list
+//     keyword,                         // a [bracketed] word that picks it
+//     conditions: [ condition, ... ],  // hidden unless all are met
+//     actions: [ action, ... ],
+//     next,                            // node id; leave out to end
+//   }
+// A response with a keyword but no text can only be picked by clicking
+// its [keyword] in the NPC's words, EverQuest style.
+//
+// Conditions (checked against RactrPlayerState):
+//   { type: "level", min, max }
+//   { type: "gold", min }
+//   { type: "item", itemId, count }    at least count in the bags
+//   { type: "flag", flag, value }      value defaults to true
+//   { type: "quest", quest, state }    state: a state name or a list, see
+//                                      RactrQuestLog (ractr_quests.js)
+// Actions (run by RactrGame.runDialogueActions):
+//   { type: "giveItem", itemId, count }   { type: "takeItem", itemId, count }
+//   { type: "giveGold", amount }          { type: "takeGold", amount }
+//   { type: "startQuest", quest }         { type: "setFlag", flag, value }
+//   { type: "openShop" }                  the NPC's `vendor` shop
+//   { type: "openTrainer" }               class skill training
+//   { type: "teleport", zone, spawn }     { type: "restore" }
+// openShop, openTrainer and teleport should only end a conversation. If
+// the player can't pay a takeGold or takeItem, the response is refused
+// and nothing runs, so pair them with gold and item conditions.
+// RactrGame checks every tree with ractrDialogueProblems() when it starts,
+// so a typo in a type or node id fails then rather than mid-conversation.
+
+const RACTR_DIALOGUES = {
+  gate_guard: {
+    start: "hail",
+    nodes: {
+      hail: {
+        text: [
+          {
+            text:
+              "Hail, Warden. The gate stands open for you. Mind the [wolves] out there.",
+            conditions: [{ type: "flag", flag: "north_gate_open" }],
+          },
+          {
+            text:
+              "Hail, traveller. Beyond this gate lie [wolves], bandits and worse. Say the word and I'll [open the gate].",
+          },
+        ],
+        responses: [
+          { text: "What about the wolves?", keyword: "wolves", next: "wolves" },
+          { text: "Am I ready for the forest?", next: "ready" },
+          {
+            text: "Open the gate, please.",
+            keyword: "open the gate",
+            conditions: [
+              { type: "flag", flag: "north_gate_open", value: false },
+            ],
+            actions: [{ type: "setFlag", flag: "north_gate_open" }],
+            next: "gate_opened",
+          },
+          {
+            text: "Take me through the gate.",
+            conditions: [{ type: "flag", flag: "north_gate_open" }],
+            actions: [
+              {
+                type: "teleport",
+                zone: "everlight_forest",
+                spawn: "south_gate",
+              },
+            ],
+          },
+          { text: "Farewell." },
+        ],
+      },
+      wolves: {
+        text:
+          "Forest wolves run in the meadows. The timber wolves out east are bigger and meaner. Kerrin at General Goods pays for their pelts.",
+        responses: [
+          { text: "Anything else?", next: "hail" },
+          { text: "Farewell." },
+        ],
+      },
+      ready: {
+        text: [
+          {
+            text:
+              "You carry yourself like a Warden now. The forest won't scare you.",
+            conditions: [{ type: "level", min: 3 }],
+          },
+          {
+            text:
+              "Stick to the south meadow until you've a few more seasons on you, and keep a potion handy.",
+          },
+        ],
+        responses: [
+          { text: "Anything else?", next: "hail" },
+          { text: "Farewell." },
+        ],
+      },
+      gate_opened: {
+        text: "Stand back... There. The North Gate is open to you, Warden.",
+        responses: [
+          {
+            text: "Take me through.",
+            actions: [
+              {
+                type: "teleport",
+                zone: "everlight_forest",
+                spawn: "south_gate",
+              },
+            ],
+          },
+          { text: "Thanks, Bren." },
+        ],
+      },
+    },
+  },
+
+  merchant: {
+    start: "hail",
+    nodes: {
+      hail: {
+        text:
+          "Welcome to General Goods! Here to [trade]? I'm also buying [wolf pelts].",
+        responses: [
+          {
+            text: "Show me your wares.",
+            keyword: "trade",
+            actions: [{ type: "openShop" }],
+          },
+          { text: "Wolf pelts?", keyword: "wolf pelts", next: "pelts" },
+          { text: "Farewell." },
+        ],
+      },
+      pelts: {
+        text: [
+          {
+            text:
+              "Bring me five wolf pelts and I'll pay better than my usual price. The meadow wolves north of the gate have plenty.",
+            conditions: [
+              { type: "quest", quest: "pelts_for_kerrin", state: "available" },
+            ],
+          },
+          {
+            text:
+              "I'm after pelts from grown hunters, not fresh recruits. Come back when you've a few more seasons on you.",
+            conditions: [
+              {
+                type: "quest",
+                quest: "pelts_for_kerrin",
+                state: "unavailable",
+              },
+            ],
+          },
+          {
+            text: "Five pelts, friend. The meadow wolves have plenty.",
+            conditions: [
+              {
+                type: "quest",
+                quest: "pelts_for_kerrin",
+                state: ["active", "complete"],
+              },
+            ],
+          },
+          {
+            text:
+              "Now those are fine pelts. Five more and I'll pay over the odds again.",
+            conditions: [{ type: "item", itemId: "wolf_pelt", count: 5 }],
+          },
+          {
+            text:
+              "I'll always take five pelts off your hands, for a fair price.",
+          },
+        ],
+        responses: [
+          {
+            text: "I'll bring you some.",
+            conditions: [
+              { type: "quest", quest: "pelts_for_kerrin", state: "available" },
+            ],
+            actions: [{ type: "startQuest", quest: "pelts_for_kerrin" }],
+          },
+          {
+            text: "Here are five pelts.",
+            conditions: [
+              { type: "quest", quest: "pelts_for_kerrin", state: "done" },
+              { type: "item", itemId: "wolf_pelt", count: 5 },
+            ],
+            actions: [
+              { type: "takeItem", itemId: "wolf_pelt", count: 5 },
+              { type: "giveGold", amount: 15 },
+            ],
+            next: "pelts_paid",
+          },
+          { text: "Let me see your wares.", actions: [{ type: "openShop" }] },
+          { text: "Farewell." },
+        ],
+      },
+      pelts_paid: {
+        text: "Pleasure doing business. Bring me more any time.",
+        responses: [{ text: "Farewell." }],
+      },
+    },
+  },
+
+  innkeeper: {
+    start: "hail",
+    nodes: {
+      hail: {
+        text:
+          "Welcome to the Everlight Inn. Need a [room], or [food and drink]? Or is it [work] you're after?",
+        responses: [
+          { text: "I'd like a room.", keyword: "room", next: "room" },
+          { text: "I'm looking for work.", keyword: "work", next: "work" },
+          {
+            text: "Something to eat.",
+            keyword: "food and drink",
+            actions: [{ type: "openShop" }],
+          },
+          { text: "Farewell." },
+        ],
+      },
+      room: {
+        text: [
+          {
+            text:
+              "Five gold and the bed by the hearth is yours. You'll wake up good as new.",
+            conditions: [{ type: "gold", min: 5 }],
+          },
+          { text: "Five gold a night, love, and you look a little short." },
+        ],
+        responses: [
+          {
+            text: "Here's five gold.",
+            conditions: [{ type: "gold", min: 5 }],
+            actions: [{ type: "takeGold", amount: 5 }, { type: "restore" }],
+            next: "rested",
+          },
+          { text: "Maybe later." },
+        ],
+      },
+      rested: {
+        text: "There. Sleep well, and mind the stairs.",
+        responses: [{ text: "Thank you, Seren." }],
+      },
+      work: {
+        text: [
+          {
+            text:
+              "Every new Warden starts the same way. Get Bren to open the North Gate, find the supply cache the last patrol left out there, then tell Elowen at the guildhall what you saw.",
+            conditions: [
+              { type: "quest", quest: "beyond_the_gate", state: "available" },
+            ],
+          },
+          {
+            text:
+              "Still here? Bren's at the North Gate, and the cache is somewhere in the north-east of the forest.",
+            conditions: [
+              {
+                type: "quest",
+                quest: "beyond_the_gate",
+                state: ["active", "complete"],
+              },
+            ],
+          },
+          {
+            text:
+              "Elowen's the one handing out work now, love. Try the guildhall.",
+          },
+        ],
+        responses: [
+          {
+            text: "I'll do it.",
+            conditions: [
+              { type: "quest", quest: "beyond_the_gate", state: "available" },
+            ],
+            actions: [{ type: "startQuest", quest: "beyond_the_gate" }],
+          },
+          { text: "Farewell." },
+        ],
+      },
+    },
+  },
+
+  guildmaster: {
+    start: "hail",
+    nodes: {
+      hail: {
+        text:
+          "Wardens watch the line between forest and stone. Are you here to [serve], or for [training]?",
+        responses: [
+          { text: "I want to serve.", keyword: "serve", next: "serve" },
+          {
+            text: "I'd like some training.",
+            keyword: "training",
+            actions: [{ type: "openTrainer" }],
+          },
+          { text: "Farewell." },
+        ],
+      },
+      serve: {
+        text: [
+          {
+            text:
+              "Not so fast. Go past the North Gate and find the cache the last patrol left. Seren at the inn will tell you more.",
+            conditions: [
+              {
+                type: "quest",
+                quest: "beyond_the_gate",
+                state: ["unavailable", "available", "active"],
+              },
+            ],
+          },
+          {
+            text: "You're already out there for us. Keep at it.",
+            conditions: [
+              { type: "quest", quest: "cull_the_pack", state: "active" },
+            ],
+          },
+          {
+            text:
+              "The meadows are quieter already. The caravans are grateful, and so am I.",
+            conditions: [
+              { type: "quest", quest: "cull_the_pack", state: "done" },
+            ],
+          },
+          {
+            text:
+              "The forest wolves grow bold and the caravans are nervous. Thin their numbers and the Guild will remember it.",
+          },
+        ],
+        responses: [
+          {
+            text: "I'll do it.",
+            conditions: [
+              { type: "quest", quest: "cull_the_pack", state: "available" },
+            ],
+            actions: [{ type: "startQuest", quest: "cull_the_pack" }],
+            next: "accepted",
+          },
+          { text: "Farewell." },
+        ],
+      },
+      accepted: {
+        text: "Good. Bren at the North Gate will let you through.",
+        responses: [{ text: "Farewell." }],
+      },
+    },
+  },
+};
+
+const RACTR_DIALOGUE_CONDITION_TYPES = [
+  "level",
+  "gold",
+  "item",
+  "flag",
+  "quest",
+];
+
+const RACTR_DIALOGUE_ACTION_TYPES = [
+  "giveItem",
+  "takeItem",
+  "giveGold",
+  "takeGold",
+  "startQuest",
+  "setFlag",
+  "openShop",
+  "openTrainer",
+  "teleport",
+  "restore",
+];
+
+// Returns a list of "treeId.nodeId: problem" strings; empty when the tree
+// only uses known condition and action types and existing nodes.
+function ractrDialogueProblems(tree, treeId) {
+  const problems = [];
+  const nodes = (tree && tree.nodes) || {};
+  const checkNext = (where, next) => {
+    if (next !== undefined && !nodes[next]) {
+      problems.push(`${where}: unknown node '${next}'`);
+    }
+  };
+  const checkList = (where, list, kind) => {
+    const types =
+      kind === "action"
+        ? RACTR_DIALOGUE_ACTION_TYPES
+        : RACTR_DIALOGUE_CONDITION_TYPES;
+    for (const entry of list || []) {
+      if (!entry || !types.includes(entry.type)) {
+        problems.push(`${where}: unknown ${kind} '${entry && entry.type}'`);
+      }
+    }
+  };
+
+  if (!nodes[tree && tree.start]) {
+    problems.push(`${treeId}: start node '${tree && tree.start}' is missing`);
+  }
+  for (const [nodeId, node] of Object.entries(nodes)) {
+    const where = `${treeId}.${nodeId}`;
+    const variants = Array.isArray(node.text) ? node.text : [];
+    for (const v of variants) {
+      checkList(where, v.conditions, "condition");
+    }
+    checkList(where, node.actions, "action");
+    for (const r of node.responses || []) {
+      checkList(where, r.conditions, "condition");
+      checkList(where, r.actions, "action");
+      checkNext(where, r.next);
+    }
+  }
+  return problems;
+}
+
+// Throws with every problem in every tree, like RactrConfig.assertValid.
+function ractrAssertDialogues(defs) {
+  const problems = [];
+  for (const [id, tree] of Object.entries(defs)) {
+    problems.push(...ractrDialogueProblems(tree, id));
+  }
+  if (problems.length) {
+    throw new Error(
+      `RactrDialogue: invalid dialogue data:\n- ${problems.join("\n- ")}`
+    );
+  }
+  return defs;
+}
+
+function ractrConditionMet(cond, player) {
+  switch (cond.type) {
+    case "level":
+      return (
+        player.level >= (cond.min || 1) &&
+        (cond.max === undefined || player.level <= cond.max)
+      );
+    case "gold":
+      return player.gold >= (cond.min || 0);
+    case "item":
+      return player.inventory.count(cond.itemId) >= (cond.count || 1);
+    case "flag":
+      return !!player.flags[cond.flag] === (cond.value !== false);
+    case "quest": {
+      const states = [].concat(cond.state);
+      return states.includes(player.questState(cond.quest));
+    }
+    default:
+      throw new Error(`RactrDialogue: unknown condition '${cond.type}'`);
+  }
+}
+
+function ractrConditionsMet(conditions, player) {
+  return (conditions || []).every((c) => ractrConditionMet(c, player));
+}
+
+// One conversation with one NPC. The game runs the actions it hands back;
+// conditions are re-checked against the player every time they are read.
+class RactrConversation {
+  constructor(tree, player) {
+    this.tree = tree;
+    this.player = player;
+    this.nodeId = null;
+    this.ended = false;
+  }
+
+  get node() {
+    return this.tree.nodes[this.nodeId] || null;
+  }
+
+  // Enters the start node; returns its actions.
+  start() {
+    return this._enter(this.tree.start);
+  }
+
+  // The node's words, with [keywords] left in.
+  text() {
+    const node = this.node;
+    if (!node) return "";
+    if (!Array.isArray(node.text)) return node.text || "";
+    const variant = node.text.find((v) =>
+      ractrConditionsMet(v.conditions, this.player)
+    );
+    return variant ? variant.text : "";
+  }
+
+  // Responses the player can pick right now.
+  available() {
+    const node = this.node;
+    if (!node) return [];
+    return (node.responses || []).filter((r) =>
+      ractrConditionsMet(r.conditions, this.player)
+    );
+  }
+
+  // The ones shown in the list (keyword-only responses are not).
+  listed() {
+    return this.available().filter((r) => r.text);
+  }
+
+  forKeyword(word) {
+    const lower = word.toLowerCase();
+    return (
+      this.available().find(
+        (r) => r.keyword && r.keyword.toLowerCase() === lower
+      ) || null
+    );
+  }
+
+  // The actions choose(response) would hand back, without choosing it.
+  actionsFor(response) {
+    const next = response.next ? this.tree.nodes[response.next] : null;
+    return (response.actions || []).concat((next && next.actions) || []);
+  }
+
+  // Picks a response. Returns the actions to run: the response's, then
+  // those of the node it leads to. Ends the conversation when it has no
+  // next node.
+  choose(response) {
+    const actions = (response.actions || []).slice();
+    if (response.next) {
+      actions.push(...this._enter(response.next));
+    } else {
+      this.ended = true;
+    }
+    return actions;
+  }
+
+  _enter(nodeId) {
+    if (!this.tree.nodes[nodeId]) {
+      throw new Error(`RactrDialogue: unknown node '${nodeId}'`);
+    }
+    this.nodeId = nodeId;
+    return (this.node.actions || []).slice();
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.RACTR_DIALOGUES = RACTR_DIALOGUES;
+  window.RACTR_DIALOGUE_CONDITION_TYPES = RACTR_DIALOGUE_CONDITION_TYPES;
+  window.RACTR_DIALOGUE_ACTION_TYPES = RACTR_DIALOGUE_ACTION_TYPES;
+  window.ractrDialogueProblems = ractrDialogueProblems;
+  window.ractrAssertDialogues = ractrAssertDialogues;
+  window.ractrConditionMet = ractrConditionMet;
+  window.ractrConditionsMet = ractrConditionsMet;
+  window.RactrConversation = RactrConversation;
+}
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    RACTR_DIALOGUES,
+    RACTR_DIALOGUE_CONDITION_TYPES,
+    RACTR_DIALOGUE_ACTION_TYPES,
+    ractrDialogueProblems,
+    ractrAssertDialogues,
+    ractrConditionMet,
+    ractrConditionsMet,
+    RactrConversation,
+  };
+}
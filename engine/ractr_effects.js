@@ -0,0 +1,222 @@
+// RactrEffects: timed buffs, debuffs and other status effects.
+//
+// Definition format (RACTR_STATUS_EFFECTS):
+//   {
+//     name, kind: "buff" | "debuff",
+//     icon, color,                     // HUD square: 1-2 letters on colour
+//     duration,                        // seconds
+//     stacking: "refresh" | "stack" | "ignore",
+//     maxStacks,                       // for "stack"
+//     modifiers: { stat: { add, multiply } },
+//     tick: { interval, health },      // health < 0 is damage over time
+//   }
+// Stacking: "refresh" restarts the duration, "stack" adds a stack (up to
+// maxStacks) and restarts it, "ignore" keeps the running one untouched.
+// Modifiers and tick amounts apply once per stack. Modifiable stats are the
+// ones RactrPlayerState.derivedStats() reports: strength, agility,
+// intelligence, attackPower, defense, critChance, moveSpeed, dashSpeed.
+//
+// RactrStatusEffects holds the effects on one creature. It never touches
+// the creature itself: update() returns tick and expire events for the
+// owner to act on.
+
+const RACTR_STATUS_EFFECTS = {
+  sprint: {
+    name: "Sprint",
+    kind: "buff",
+    icon: "Sp",
+    color: "#f5d76e",
+    duration: 8,
+    stacking: "refresh",
+    modifiers: {
+      moveSpeed: { multiply: 1.4 },
+      dashSpeed: { multiply: 1.2 },
+    },
+  },
+  warmth: {
+    // Kept topped up while resting by a campfire; the fire itself does the
+    // healing, at its own rate.
+    name: "Warmth",
+    kind: "buff",
+    icon: "Wa",
+    color: "#ff9f43",
+    duration: 2,
+    stacking: "refresh",
+  },
+  bleeding: {
+    name: "Bleeding",
+    kind: "debuff",
+    icon: "Bl",
+    color: "#c0392b",
+    duration: 6,
+    stacking: "stack",
+    maxStacks: 3,
+    tick: { interval: 1.5, health: -2 },
+  },
+  barkskin: {
+    name: "Barkskin",
+    kind: "buff",
+    icon: "Bk",
+    color: "#a67c52",
+    duration: 20,
+    stacking: "refresh",
+    modifiers: { defense: { add: 6 } },
+  },
+  keen_edge: {
+    name: "Keen Edge",
+    kind: "buff",
+    icon: "Ke",
+    color: "#e0e6f0",
+    duration: 12,
+    stacking: "refresh",
+    modifiers: {
+      attackPower: { multiply: 1.15 },
+      critChance: { add: 0.1 },
+    },
+  },
+  evasion: {
+    name: "Evasion",
+    kind: "buff",
+    icon: "Ev",
+    color: "#9be7ff",
+    duration: 8,
+    stacking: "refresh",
+    modifiers: {
+      defense: { multiply: 1.5 },
+      moveSpeed: { multiply: 1.15 },
+    },
+  },
+  revival_sickness: {
+    // Left on anyone who has just come back from death.
+    name: "Revival Sickness",
+    kind: "debuff",
+    icon: "Rs",
+    color: "#6c7a89",
+    duration: 60,
+    stacking: "refresh",
+    modifiers: {
+      attackPower: { multiply: 0.75 },
+      defense: { multiply: 0.75 },
+    },
+  },
+  dazed: {
+    name: "Dazed",
+    kind: "debuff",
+    icon: "Dz",
+    color: "#9b8cff",
+    duration: 4,
+    stacking: "ignore",
+    modifiers: {
+      moveSpeed: { multiply: 0.7 },
+      dashSpeed: { multiply: 0.7 },
+      attackPower: { add: -3 },
+    },
+  },
+};
+
+class RactrStatusEffects {
+  constructor(definitions) {
+    this.definitions = definitions || RACTR_STATUS_EFFECTS;
+    // { id, def, stacks, remaining, tickTimer, source }
+    this.active = [];
+  }
+
+  get(id) {
+    return this.active.find((e) => e.id === id) || null;
+  }
+
+  has(id) {
+    return this.get(id) !== null;
+  }
+
+  // Applies (or re-applies) an effect following its stacking rule.
+  // Returns the active effect, or null when an "ignore" effect was
+  // already running. source is whatever caused it (a mob, an ability id).
+  apply(id, source) {
+    const def = this.definitions[id];
+    if (!def) throw new Error(`RactrStatusEffects: unknown effect '${id}'`);
+
+    const current = this.get(id);
+    if (!current) {
+      const effect = {
+        id,
+        def,
+        stacks: 1,
+        remaining: def.duration,
+        tickTimer: 0,
+        source: source || null,
+      };
+      this.active.push(effect);
+      return effect;
+    }
+
+    const stacking = def.stacking || "refresh";
+    if (stacking === "ignore") return null;
+    if (stacking === "stack") {
+      current.stacks = Math.min(def.maxStacks || 1, current.stacks + 1);
+    }
+    current.remaining = def.duration;
+    current.source = source || current.source;
+    return current;
+  }
+
+  remove(id) {
+    const effect = this.get(id);
+    if (effect) this.active = this.active.filter((e) => e !== effect);
+    return effect;
+  }
+
+  // Drops everything without events (death, respawn).
+  clear() {
+    this.active = [];
+  }
+
+  // Advances every effect by dt. Returns events in order:
+  //   { type: "tick", effect, health }   one per tick that came due
+  //   { type: "expire", effect }         after its last tick
+  update(dt) {
+    const events = [];
+    for (const effect of this.active) {
+      const tick = effect.def.tick;
+      // Time past the end does not count towards another tick.
+      const elapsed = Math.min(dt, Math.max(0, effect.remaining));
+      effect.remaining -= dt;
+      if (tick) {
+        effect.tickTimer += elapsed;
+        // A hair of slack so a 6s effect ticking every 1s gets all six.
+        while (effect.tickTimer >= tick.interval - 1e-6) {
+          effect.tickTimer -= tick.interval;
+          const health = tick.health * effect.stacks;
+          events.push({ type: "tick", effect, health });
+        }
+      }
+      if (effect.remaining <= 0) events.push({ type: "expire", effect });
+    }
+    if (events.some((e) => e.type === "expire")) {
+      this.active = this.active.filter((e) => e.remaining > 0);
+    }
+    return events;
+  }
+
+  // base with every active modifier for `stat`: all additions first, then
+  // all multipliers.
+  modify(stat, base) {
+    let add = 0;
+    let mult = 1;
+    for (const effect of this.active) {
+      const mod = effect.def.modifiers && effect.def.modifiers[stat];
+      if (!mod) continue;
+      if (mod.add) add += mod.add * effect.stacks;
+      if (mod.multiply) mult *= Math.pow(mod.multiply, effect.stacks);
+    }
+    return (base + add) * mult;
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.RACTR_STATUS_EFFECTS = RACTR_STATUS_EFFECTS;
+  window.RactrStatusEffects = RactrStatusEffects;
+}
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { RACTR_STATUS_EFFECTS, RactrStatusEffects };
+}
@@ -1,28 +1,100 @@
 // RactrEngine: tiny JS engine wrapper with a main loop and input handling.
+// With { headless: true } it runs without a DOM: the canvas is a stub from
+// ractr_headless.js, time comes from an injectable clock, and input comes
+// from scripted snapshots instead of the keyboard. Device input is mapped to
+// named actions by RactrInputMap (ractr_input.js).
 
 class RactrEngine {
-  constructor(canvasId) {
-    this.canvas = document.getElementById(canvasId);
-    if (!this.canvas) {
-      throw new Error(`RactrEngine: canvas '${canvasId}' not found`);
+  constructor(canvasId, options) {
+    const opts = options || {};
+
+    this.headless = !!opts.headless;
+    this.clock =
+      typeof opts.clock === "function" ? opts.clock : () => performance.now();
+
+    if (this.headless) {
+      this.canvas =
+        opts.canvas ||
+        new RactrHeadlessCanvas(opts.width, opts.height, {
+          record: !!opts.recordRender,
+        });
+    } else {
+      this.canvas = document.getElementById(canvasId);
+      if (!this.canvas) {
+        throw new Error(`RactrEngine: canvas '${canvasId}' not found`);
+      }
     }
 
     this.ctx = this.canvas.getContext("2d");
     this.game = null;
 
+    // Drawing size in CSS pixels (the context is pre-scaled by the device
+    // pixel ratio), which is what the game lays its HUD and camera out in.
+    this.viewWidth = this.canvas.width;
+    this.viewHeight = this.canvas.height;
+
     this.lastTime = 0;
     this.running = false;
 
-    this.keysDown = new Set();
-    this._hookResize();
-    this._hookInput();
+    // Fixed-timestep simulation: game.update always receives the same dt,
+    // and whatever time is left over is handed to render as an
+    // interpolation alpha in [0, 1).
+    this.simulationHz = opts.simulationHz || 60;
+    this.fixedDt = 1 / this.simulationHz;
+    // Spiral-of-death guard: never run more than this many updates per
+    // frame, and never feed more than maxFrameTime seconds into the
+    // accumulator at once (e.g. after a breakpoint or a long GC pause).
+    this.maxCatchUpSteps = opts.maxCatchUpSteps || 5;
+    this.maxFrameTime = opts.maxFrameTime || 0.25;
+    this.accumulator = 0;
+    this.alpha = 0;
+    this.tick = 0;
+    this.droppedTime = 0;
+
+    // Paused while the tab is hidden so the simulation does not try to
+    // catch up on time the player never saw.
+    this.paused = false;
+
+    // localStorage, when the page allows it; headless engines get none
+    // unless one is injected.
+    this.storage = this.headless
+      ? opts.storage || null
+      : RactrEngine._localStorage();
+
+    this.input = new RactrInputMap({
+      storage: this.storage,
+      deadzone: opts.gamepadDeadzone,
+    });
+    // Kept as an alias for code that still peeks at raw keys.
+    this.keysDown = this.input.keysDown;
+    // Headless only: the snapshot, per-tick array or per-tick function fed
+    // to updates. Arrays and functions are indexed from the tick at which
+    // the script was set.
+    this.scriptedInput = null;
+    this._scriptStartTick = 0;
+
+    // Window/document listeners owned by the engine itself (the input map
+    // tracks its own), removed again by dispose().
+    this._listeners = [];
+    this._rafId = null;
+    if (!this.headless) {
+      this._hookResize();
+      this._hookInput();
+      this._hookVisibility();
+    }
 
     this.fps = 0;
-    this._fpsLastSample = performance.now();
+    this._fpsLastSample = this.clock();
     this._fpsFrames = 0;
   }
 
+  // Swapping games disposes the previous one so it cannot leave handlers
+  // behind.
   setGame(game) {
+    const previous = this.game;
+    if (previous && previous !== game && typeof previous.dispose === "function") {
+      previous.dispose();
+    }
     this.game = game;
   }
 
@@ -32,30 +104,147 @@ class RactrEngine {
       return;
     }
     this.running = true;
-    this.lastTime = performance.now();
-    window.requestAnimationFrame(this._loop.bind(this));
+    this.lastTime = this.clock();
+    this.accumulator = 0;
+    // Headless callers drive the loop themselves via frame()/stepTicks().
+    if (!this.headless) {
+      this._rafId = window.requestAnimationFrame(this._loop.bind(this));
+    }
   }
 
   stop() {
     this.running = false;
+    if (this._rafId !== null) {
+      window.cancelAnimationFrame(this._rafId);
+      this._rafId = null;
+    }
+  }
+
+  // Stops the loop and unhooks every listener the engine added, including
+  // the input map's and the current game's.
+  dispose() {
+    this.stop();
+    for (const { target, type, handler } of this._listeners) {
+      target.removeEventListener(type, handler);
+    }
+    this._listeners = [];
+    this.input.detach();
+    if (this.game && typeof this.game.dispose === "function") {
+      this.game.dispose();
+    }
+    this.game = null;
+  }
+
+  setPaused(paused) {
+    if (this.paused === !!paused) return;
+    this.paused = !!paused;
+    // Coming back from a pause must not count the paused time as a frame.
+    this.lastTime = this.clock();
+    this.accumulator = 0;
+  }
+
+  setScriptedInput(input) {
+    this.scriptedInput = input || null;
+    this._scriptStartTick = this.tick;
+  }
+
+  // Runs exactly `count` simulation steps, bypassing the clock. Used by the
+  // headless driver so tests are independent of wall-clock timing.
+  stepTicks(count, input) {
+    if (input !== undefined) {
+      this.setScriptedInput(input);
+    }
+    for (let i = 0; i < count; i++) {
+      if (this.game && typeof this.game.update === "function") {
+        this.game.update(this.fixedDt, this._inputSnapshot());
+      }
+      this.tick++;
+    }
+    this.alpha = 0;
+  }
+
+  // One iteration of the main loop at the clock's current time. The
+  // browser calls this from requestAnimationFrame; headless callers
+  // advance their clock and call it directly.
+  frame() {
+    this._frame(this.clock());
+  }
+
+  // Offscreen canvas for caches (pre-rendered layers etc.); a stub canvas
+  // when headless.
+  createCanvas(width, height) {
+    if (this.headless) {
+      return new RactrHeadlessCanvas(width, height);
+    }
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+
+  renderFrame() {
+    if (this.game && typeof this.game.render === "function") {
+      this.game.render(
+        this.ctx,
+        this.viewWidth,
+        this.viewHeight,
+        this.alpha
+      );
+    }
+    this.input.renderTouchOverlay(this.ctx);
   }
 
   _loop(timestamp) {
     if (!this.running) return;
 
-    const dt = (timestamp - this.lastTime) / 1000.0;
+    this._frame(timestamp);
+
+    this._rafId = window.requestAnimationFrame(this._loop.bind(this));
+  }
+
+  _frame(timestamp) {
+    let frameTime = (timestamp - this.lastTime) / 1000.0;
     this.lastTime = timestamp;
+    if (frameTime < 0) frameTime = 0;
+    if (frameTime > this.maxFrameTime) {
+      this.droppedTime += frameTime - this.maxFrameTime;
+      frameTime = this.maxFrameTime;
+    }
 
     this._updateFps(timestamp);
 
-    if (this.game && typeof this.game.update === "function") {
-      this.game.update(dt, this._inputSnapshot());
+    if (!this.paused) {
+      this._advance(frameTime);
     }
-    if (this.game && typeof this.game.render === "function") {
-      this.game.render(this.ctx, this.canvas.width, this.canvas.height);
+
+    this.renderFrame();
+  }
+
+  _advance(frameTime) {
+    this.accumulator += frameTime;
+
+    // Input is sampled per step, so a press shows up as `pressed` in exactly
+    // one update even when a frame runs several; a frame that runs no step
+    // leaves it pending for the next one.
+    let steps = 0;
+    while (this.accumulator >= this.fixedDt) {
+      if (steps >= this.maxCatchUpSteps) {
+        // Still behind after the allowed catch-up: drop the backlog
+        // rather than spiral, keeping only the sub-step remainder.
+        const remainder = this.accumulator % this.fixedDt;
+        this.droppedTime += this.accumulator - remainder;
+        this.accumulator = remainder;
+        break;
+      }
+      if (this.game && typeof this.game.update === "function") {
+        this.game.update(this.fixedDt, this._inputSnapshot());
+      }
+      this.accumulator -= this.fixedDt;
+      this.tick++;
+      steps++;
     }
 
-    window.requestAnimationFrame(this._loop.bind(this));
+    this.alpha = this.accumulator / this.fixedDt;
   }
 
   _updateFps(now) {
@@ -66,6 +255,7 @@ class RactrEngine {
       this._fpsFrames = 0;
       this._fpsLastSample = now;
 
+      if (this.headless) return;
       const fpsEl = document.getElementById("hud-fps");
       if (fpsEl) {
         fpsEl.textContent = `FPS: ${this.fps.toFixed(0)}`;
@@ -79,51 +269,58 @@ class RactrEngine {
       const dpr = window.devicePixelRatio || 1;
       this.canvas.width = rect.width * dpr;
       this.canvas.height = rect.height * dpr;
+      this.viewWidth = rect.width;
+      this.viewHeight = rect.height;
       this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
     };
-    window.addEventListener("resize", resize);
+    this._listen(window, "resize", resize);
     resize();
   }
 
-  _hookInput() {
-    window.addEventListener("keydown", (e) => {
-      const key = e.key.toLowerCase();
-      this.keysDown.add(key);
+  _hookVisibility() {
+    this._listen(document, "visibilitychange", () => {
+      this.setPaused(document.hidden);
     });
+  }
 
-    window.addEventListener("keyup", (e) => {
-      const key = e.key.toLowerCase();
-      this.keysDown.delete(key);
-    });
+  _listen(target, type, handler) {
+    target.addEventListener(type, handler);
+    this._listeners.push({ target, type, handler });
+  }
+
+  _hookInput() {
+    this.input.attach(window, this.canvas);
   }
 
   _inputSnapshot() {
-    // Normalize common movement keys
-    return {
-      left:
-        this.keysDown.has("a") ||
-        this.keysDown.has("arrowleft") ||
-        this.keysDown.has("h"),
-      right:
-        this.keysDown.has("d") ||
-        this.keysDown.has("arrowright") ||
-        this.keysDown.has("l"),
-      up:
-        this.keysDown.has("w") ||
-        this.keysDown.has("arrowup") ||
-        this.keysDown.has("k"),
-      down:
-        this.keysDown.has("s") ||
-        this.keysDown.has("arrowdown") ||
-        this.keysDown.has("j"),
-      dash: this.keysDown.has(" ") || this.keysDown.has("shift"),
-      // Higher-level inputs (used by game/UI); these are non-movement keys
-      // and do not affect dash or movement directly.
-      openCharacter: this.keysDown.has("i"),
-      openInventory: this.keysDown.has("b") || this.keysDown.has("\""),
-      confirm: this.keysDown.has("enter"),
-      cancel: this.keysDown.has("escape")
-    };
+    if (this.headless) {
+      return this._scriptedSnapshot();
+    }
+    return this.input.snapshot(this.fixedDt);
+  }
+
+  static _localStorage() {
+    try {
+      return window.localStorage;
+    } catch (e) {
+      // Access can throw when storage is disabled for the page.
+      return null;
+    }
+  }
+
+  _scriptedSnapshot() {
+    const scriptTick = this.tick - this._scriptStartTick;
+    let scripted = this.scriptedInput;
+    if (typeof scripted === "function") {
+      scripted = scripted(scriptTick, this.game);
+    } else if (Array.isArray(scripted)) {
+      scripted = scripted[scriptTick];
+    }
+    // Scripted input goes through the input map too, so pressed/released
+    // edges and buffering behave exactly as with real devices. Missing
+    // fields read as "not pressed", like an idle keyboard.
+    this.input.setScriptedSource(scripted);
+    return this.input.snapshot(this.fixedDt);
   }
 }
 
@@ -131,3 +328,6 @@ class RactrEngine {
 if (typeof window !== 'undefined') {
   window.RactrEngine = RactrEngine;
 }
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { RactrEngine };
+}
@@ -3,77 +3,123 @@
 // - You walk around a small town (top-down).
 // - There are NPCs with names over their heads.
 // - There’s an EQ-ish HUD: HP/MP bars, XP bar, level, gold, hotbar, chat log.
-// Controls:
-// - WASD / arrows: move
+// Controls (defaults; see RactrInputMap for rebinding):
+// - WASD / arrows / left stick / virtual joystick: move
+// - Click or tap: walk to that spot
 // - Space: dash / sprint
-// - J: interact with nearest NPC (shows chat line)
+// - J: talk to the nearest NPC, or search a corpse or container
+// - X: sit down / stand up (sitting regenerates faster)
+// - Tab / click a mob: target, Q: toggle auto-attack, Esc: clear target
+// - 1–8 / click a hotbar slot: use that slot's ability
+// - K: abilities window (drag abilities onto the hotbar)
+// - B: bags and equipment, I: character sheet, L: quest journal,
+//   Esc: pause menu
+// - Mouse wheel / + and -: zoom the camera in and out
+// Walking into a door or through the North Gate moves to another zone
+// (RactrZoneRegistry, with the maps in ractr_zone_data.js).
+// Flow between intro, play, menus and game over runs on a scene stack
+// (RactrSceneManager, with the scenes in ractr_game_scenes.js).
+// RactrGame only touches the DOM through its engine, so it also runs under
+// a headless engine (see ractr_headless.js).
+// Simulation state (clock, player, known zones) lives in a RactrGameState;
+// RactrGame runs the rules over it and draws it. Progress is autosaved on
+// level-up and zone change, and restored from the autosave on startup
+// (RactrSaveStore, ractr_save.js).
+// Dying costs some XP and leaves a corpse where it happened; walking back
+// to it recovers part of that XP. The player respawns at the bind point.
+// Slain mobs and zone containers roll loot tables (ractr_loot.js); a
+// corpse with loot left on it stays until its mob respawns.
+// NPCs talk through dialogue trees (ractr_dialogue.js) whose actions can
+// hand out items, start quests, set story flags (which open gated
+// portals), open shops and move the player. Quests (ractr_quests.js) track
+// kills, collected items, NPCs hailed and places reached; finished ones
+// are handed in by hailing their turn-in NPC.
+// NPCs and mobs share one AI core (RactrBrain, ractr_ai.js): NPCs idle,
+// wander, walk patrol routes or follow a schedule by in-game hour, finding
+// their way around buildings on the zone's navigation grid, and stop to
+// face the player when hailed.
+// With a server configured, other players in the zone are drawn from the
+// net client's world snapshots (RactrRemotePlayers, ractr_net.js).
+// A new character picks a name and class (ractr_classes.js) after the
+// intro; the class sets starting stats, growth per level, the XP table and
+// which skills can be learned. Free skills come with the level, the rest
+// are bought from a trainer.
 
 class RactrGame {
-  constructor(engine) {
+  constructor(engine, config) {
     this.engine = engine;
     this.canvas = engine.canvas;
     this.ctx = engine.ctx;
 
-    this.time = 0;
-    this.state = "intro"; // intro | playing
+    // config is the validated ractr_config.json (see RactrConfig); every
+    // section is optional.
+    this.state = new RactrGameState(config);
+    this.net = new RactrNetClient(this.state.config.net);
+    this.combat = new RactrCombat({ rules: this.state.config.combat });
+    // config.loot.seed makes every drop repeatable.
+    const lootCfg = this.state.config.loot || {};
+    this.lootRoller = new RactrLootRoller(RACTR_LOOT_TABLES, {
+      random:
+        lootCfg.seed !== undefined ? ractrSeededRandom(lootCfg.seed) : null,
+    });
+    // Dialogue is only read mid-conversation; check all of it up front.
+    ractrAssertDialogues(RACTR_DIALOGUES);
 
     // --- World / zone definition ---
-    this.zone = {
-      id: "everlight_town",
-      name: "Everlight Crossroads",
-      levelRange: [1, 5],
-      description:
-        "A frontier town at the edge of the Everlight Forest, where new adventurers wake up.",
-    };
-
-    // Player state (simple, but RPG-ish)
-    this.player = {
-      x: 0,
-      y: 0,
-      vx: 0,
-      vy: 0,
-      radius: 14,
-      baseSpeed: 150,
-      dashSpeed: 280,
-      dashCooldown: 0,
-      dashCooldownMax: 0.65,
-
-      name: "Adventurer",
-      classId: "Warden",
-      level: 1,
-      xp: 0,
-      xpToNext: 120,
-      maxHealth: 120,
-      health: 120,
-      maxMana: 60,
-      mana: 60,
-      strength: 10,
-      agility: 11,
-      intelligence: 9,
-      attackPower: 15,
-      defense: 3,
-      critChance: 0.05,
-      gold: 12,
-
-      facingAngle: 0,
-    };
-
-    // Simple “fake MMO” hooks
-    this.totalPlayTime = 0;
-
-    // Town layout: buildings + NPCs
+    // Every zone the player can reach; only the current one (and the one
+    // before it) stays parsed.
+    this.zones = new RactrZoneRegistry(RACTR_ZONE_DATA);
+    for (const id of this.zones.entries.keys()) {
+      this.state.world.registerZone(this.zones.meta(id));
+    }
+    // The current zone is a RactrTilemap (see _loadZone); its bounds are
+    // the walkable area in world units, independent of the canvas size.
+    this.zone = null;
+    this._groundCache = null;
+    // Where the player wakes up at the start and after falling;
+    // config.meta.startingZoneId can move it to another known zone.
+    const startZone = this.zones.has(this.player.zoneId)
+      ? this.player.zoneId
+      : "everlight_inn";
+    this.bindPoint = { zoneId: startZone, spawn: "start" };
+    // True from stepping into a portal until the next zone is entered.
+    this._traveling = false;
+    // { text, time } shown over the world for a moment after arriving.
+    this.zoneBanner = null;
+
+    // World-space camera; the HUD is drawn in screen space on top of it.
+    // config.camera sets the starting zoom and how far it can go.
+    this.camera = new RactrCamera(this.state.config.camera);
+
+    // Zone content, taken from the zone map's object layers
     this.buildings = [];
+    this.doors = [];
     this.npcs = [];
-    this.hotbarSlots = [
-      { key: "1", name: "Minor Heal" },
-      { key: "2", name: "Spirit Bolt" },
-      { key: "3", name: "Sprint" },
-      { key: "4", name: "Campfire" },
-      { key: "5", name: "" },
-      { key: "6", name: "" },
-      { key: "7", name: "" },
-      { key: "8", name: "" },
-    ];
+    // Lootable `container` objects: { kind, id, name, x, y, table, level,
+    // loot }, with loot rolled on first opening.
+    this.containers = [];
+    // Shops by vendor id (RACTR_MERCHANTS), created on first visit. They
+    // outlive zone changes so stock keeps restocking.
+    this.merchants = {};
+    // RactrCollisionWorld for the current zone, and the RactrNavGrid that
+    // NPCs and mobs find paths on
+    this.collision = null;
+    this.nav = null;
+    // Abilities (RACTR_ABILITIES) are used from hotbar slots; abilityId
+    // is null for an empty slot.
+    this.abilities = new RactrAbilityCaster(RACTR_ABILITIES);
+    // Only skills the player knows can go on the bar; a new character
+    // starts with their class's hotbar.
+    this.hotbarSlots = [1, 2, 3, 4, 5, 6, 7, 8].map((n) => ({
+      key: `${n}`,
+      abilityId: null,
+    }));
+    this._resetHotbar();
+    // Fires built with Campfire ({ x, y, radius, healPerSecond, remaining })
+    // and spell bolts in flight for drawing ({ fromX, fromY, toX, toY,
+    // color, time }); both belong to the current zone.
+    this.campfires = [];
+    this.spellEffects = [];
 
     this.chatLog = [
       { system: true, text: "Welcome to Everlight Crossroads." },
@@ -81,143 +127,238 @@ class RactrGame {
     ];
 
     this.pendingInteract = false;
-    this._attachCoreInput();
-    this._attachInteractInput();
 
-    this._initTownLayout();
+    // Click-to-move destination, and the id of the last click consumed so a
+    // held-over snapshot does not restart a finished walk.
+    this.moveTarget = null;
+    this._lastMoveTargetId = 0;
+
+    this.saves = new RactrSaveStore(RactrSaveStore.backendFor(engine));
+
+    // Combat: the selected mob, whether auto-attack is on, and floating
+    // damage numbers ({ x, y, text, color, time }).
+    this.target = null;
+    this.autoAttack = false;
+    this.combatText = [];
+
+    // Where the player last died: { zoneId, x, y, xp, diedAt }, with xp
+    // the experience recovered by reaching it and diedAt in play time.
+    this.corpse = null;
+
     this._resetPlayerToInn();
+    // The game opens with the character sitting at the inn.
+    this.player.resting = true;
+    // Until a character is created (or restored from the autosave), the
+    // intro leads to character creation. A config that names the player
+    // skips it.
+    const playerCfg = this.state.config.player || {};
+    this.newCharacter = !playerCfg.name;
 
     if (this.canvas && this.canvas.classList) {
       this.canvas.classList.add("ractr-active");
     }
+
+    // The town is always at the bottom; the intro overlays it until the
+    // player stands up.
+    this.scenes = new RactrSceneManager();
+    this.scenes.push(new RactrPlayingScene(this));
+    this.scenes.push(new RactrIntroScene(this));
+
+    this._restoreAutosave();
   }
 
-  // ---------------- INPUT ----------------
+  get player() {
+    return this.state.player;
+  }
 
-  _attachCoreInput() {
-    window.addEventListener("keydown", (e) => {
-      if (e.repeat) return;
-      const key = e.key.toLowerCase();
-      if (key === " " || key === "enter") {
-        if (this.state === "intro") {
-          this.state = "playing";
-          this._pushChatSystem("You wake up in the Everlight Inn.");
-        }
-      }
-    });
+  get time() {
+    return this.state.time;
   }
 
-  _attachInteractInput() {
-    window.addEventListener("keydown", (e) => {
-      if (e.repeat) return;
-      const key = e.key.toLowerCase();
-      if (key === "j") {
-        this.pendingInteract = true;
-      }
-    });
+  get totalPlayTime() {
+    return this.state.totalPlayTime;
   }
 
   // ------------- WORLD INIT -------------
 
-  _initTownLayout() {
-    // We don’t have tiles / assets, so we fake a town with rectangles.
-    // Coordinates are in canvas space; we’ll compute relative later.
-
-    // Buildings: inn, shop, gatehouse, etc.
-    this.buildings = [
-      {
-        id: "inn",
-        name: "Everlight Inn",
-        x: 140,
-        y: 130,
-        w: 200,
-        h: 120,
-        color: "#4b3424",
-        roofColor: "#8b5a2b",
-      },
-      {
-        id: "shop",
-        name: "General Goods",
-        x: 430,
-        y: 140,
-        w: 170,
-        h: 110,
-        color: "#3e2f27",
-        roofColor: "#7a5634",
-      },
-      {
-        id: "guildhall",
-        name: "Warden Guildhall",
-        x: 210,
-        y: 310,
-        w: 220,
-        h: 120,
-        color: "#3c3430",
-        roofColor: "#6f4a3a",
-      },
-      {
-        id: "gatehouse",
-        name: "North Gate",
-        x: 420,
-        y: 310,
-        w: 190,
-        h: 100,
-        color: "#3b3f4a",
-        roofColor: "#70788a",
-      },
-    ];
+  _loadZone(map) {
+    this.zone = map;
+    this.player.zoneId = map.id;
+    this.buildings = map.buildings;
+    this.doors = map.doors;
+    // Walking copies of the zone's npc objects, each with its RactrBrain;
+    // they start from their map positions whenever the zone loads.
+    this.npcs = map.npcs.map((npc) => ({
+      ...npc,
+      prevX: npc.x,
+      prevY: npc.y,
+      homeX: npc.x,
+      homeY: npc.y,
+      radius: npc.radius || 12,
+      speed: npc.speed || 45,
+      facingAngle: npc.facing === undefined ? Math.PI / 2 : npc.facing,
+      brain: new RactrBrain(npc.behavior),
+    }));
+    this.containers = map.objects
+      .filter((o) => o.type === "container")
+      .map((o) => ({
+        kind: "container",
+        id: o.id,
+        name: o.name || "Chest",
+        x: o.x,
+        y: o.y,
+        table: o.loot,
+        level: o.level || (map.levelRange ? map.levelRange[0] : 1),
+        loot: null,
+      }));
+    this.camera.setBounds(this._cameraBoundsFor(map));
+    this._buildCollision(map);
+    this._spawnMobs(map);
+    this.abilities.interrupt();
+    this.campfires = [];
+    this.spellEffects = [];
+
+    // Tiles never change at runtime, so the ground is painted once.
+    this._groundCache = map.paintStatic(
+      this.engine.createCanvas(map.width, map.height)
+    );
+  }
 
-    // NPCs
-    this.npcs = [
-      {
-        id: "innkeeper",
-        name: "Seren the Innkeeper",
-        x: 230,
-        y: 190,
-        dialog: [
-          "A rough night? Rooms are cheap, stories are free.",
-          "Most new Wardens head to the forest north of the gate.",
-        ],
-      },
-      {
-        id: "merchant",
-        name: "Kerrin the Trader",
-        x: 490,
-        y: 200,
-        dialog: [
-          "If it rattles, clinks, or burns, I’ve probably got it.",
-          "Bring me wolf pelts and I’ll see what I can do.",
-        ],
-      },
-      {
-        id: "guildmaster",
-        name: "Guildmaster Elowen",
-        x: 260,
-        y: 350,
-        dialog: [
-          "Wardens watch the line between forest and stone.",
-          "You’re green now, but you’ll harden fast.",
-        ],
-      },
-      {
-        id: "gate_guard",
-        name: "Gate Guard Bren",
-        x: 480,
-        y: 350,
-        dialog: [
-          "Beyond this gate? Wolves, bandits, and worse.",
-          "We’ll open it for you when you’re ready.",
-        ],
-      },
-    ];
+  // Solid tiles, buildings and NPCs block movement; door rectangles are
+  // triggers that reach a little past the wall so the player can touch them.
+  // Doors with a target zone, and portal objects, are portals. The
+  // navigation grid only sees the static colliders.
+  _buildCollision(map) {
+    const world = new RactrCollisionWorld({ cellSize: map.tileSize * 2 });
+    world.addTilemap(map);
+    for (const b of this.buildings) {
+      world.addCollider(
+        `building:${b.id}`,
+        { type: "aabb", x: b.x, y: b.y, w: b.w, h: b.h },
+        { kind: "building", building: b }
+      );
+    }
+    for (const npc of this.npcs) {
+      world.addCollider(
+        `npc:${npc.id}`,
+        { type: "circle", x: npc.x, y: npc.y, r: npc.radius },
+        { kind: "npc", npc }
+      );
+    }
+    for (const c of this.containers) {
+      world.addCollider(
+        `container:${c.id}`,
+        { type: "aabb", x: c.x - 12, y: c.y - 8, w: 24, h: 16 },
+        { kind: "container", container: c }
+      );
+    }
+    for (const d of this.doors) {
+      world.addTrigger(
+        `door:${d.id}`,
+        { type: "aabb", x: d.x - 4, y: d.y, w: d.w + 8, h: d.h + 10 },
+        d.target ? { kind: "portal", portal: d } : { kind: "door", door: d }
+      );
+    }
+    for (const o of map.objects) {
+      if (o.type !== "portal") continue;
+      world.addTrigger(
+        `portal:${o.id}`,
+        { type: "aabb", x: o.x, y: o.y, w: o.w, h: o.h },
+        { kind: "portal", portal: o }
+      );
+    }
+    world.on("enter", (event) => this._onTriggerEnter(event));
+    this.collision = world;
+    this.nav = RactrNavGrid.fromCollision(map, world);
   }
 
+  _onTriggerEnter(event) {
+    if (event.entityId !== "player") return;
+    const data = event.trigger.data;
+    if (data.kind === "portal") {
+      const portal = data.portal;
+      if (portal.requiresFlag && !this.player.flags[portal.requiresFlag]) {
+        this._pushChatSystem(portal.lockedMessage || "The way is shut.");
+        return;
+      }
+      this.travelTo(portal.target, portal.targetSpawn);
+    } else if (data.kind === "door") {
+      const building = this.buildings.find((b) => b.id === data.door.building);
+      if (building) {
+        this._pushChatSystem(`The door of the ${building.name} is barred.`);
+      }
+    }
+  }
+
+  // Used at startup and on respawn, while the screen is covered, so it
+  // swaps zones directly instead of going through a loading scene.
   _resetPlayerToInn() {
-    // Roughly the center of the inn
-    this.player.x = 240;
-    this.player.y = 220;
-    this.player.vx = 0;
-    this.player.vy = 0;
+    const bind = this.bindPoint;
+    if (!this.zone || this.zone.id !== bind.zoneId) {
+      this._loadZone(this.zones.get(bind.zoneId));
+    }
+    this._placePlayerAt(bind.spawn);
+  }
+
+  _placePlayerAt(spawnName) {
+    const zone = this.zone;
+    const spawn = zone.spawns[spawnName] || {
+      x: zone.width / 2,
+      y: zone.height / 2,
+    };
+    this.player.placeAt(spawn.x, spawn.y);
+    this.net.teleport(spawn.x, spawn.y, zone.id);
+    this.moveTarget = null;
+    this.camera.snapTo(this.player.x, this.player.y);
+  }
+
+  // ------------- ZONE TRAVEL -------------
+
+  // Starts moving the player to another zone's spawn point. The switch
+  // itself happens in RactrLoadingScene, behind a fade.
+  travelTo(zoneId, spawnName) {
+    if (this._traveling) return false;
+    if (!this.zones.has(zoneId)) {
+      this._pushChatSystem("That way leads nowhere yet.");
+      return false;
+    }
+    this._traveling = true;
+    this.pendingInteract = false;
+    this.moveTarget = null;
+    this.scenes.push(new RactrLoadingScene(this, zoneId, spawnName), {
+      transition: { type: "fade", duration: 0.5 },
+    });
+    return true;
+  }
+
+  _enterZone(map, spawnName) {
+    this._loadZone(map);
+    this._placePlayerAt(spawnName);
+    this._traveling = false;
+    this.zoneBanner = { text: map.name, time: 0 };
+    this._pushChatSystem(`You have entered ${map.name}.`);
+    this._autosave();
+  }
+
+  _travelFailed(zoneId, err) {
+    this._traveling = false;
+    const meta = this.zones.meta(zoneId);
+    this._pushChatSystem(`The way to ${meta ? meta.name : zoneId} is blocked.`);
+    if (typeof console !== "undefined") {
+      console.warn("RactrGame: zone load failed", err);
+    }
+  }
+
+  // Lets the camera show a strip of sky past the zone edge.
+  _cameraBoundsFor(zone) {
+    const b = zone.bounds;
+    const margin = 60;
+    return {
+      minX: b.minX - margin,
+      minY: b.minY - margin,
+      maxX: b.maxX + margin,
+      maxY: b.maxY + margin,
+    };
   }
 
   // ------------- CHAT HELPERS -------------
@@ -238,71 +379,423 @@ class RactrGame {
 
   // ------------- UPDATE LOOP -------------
 
+  // dt is the engine's fixed simulation step, so everything below can
+  // assume a constant, small timestep.
   update(dt, input) {
-    this.time += dt;
+    this.state.time += dt;
 
-    if (this.state !== "playing") {
-      return;
+    this.player.prevX = this.player.x;
+    this.player.prevY = this.player.y;
+
+    this.scenes.update(dt, input);
+    this.state.state = this.scenes.current ? this.scenes.current.name : null;
+
+    // A no-op unless config.net names a server.
+    this.net.tick(dt, () => this._netContext());
+  }
+
+  _netContext() {
+    const p = this.player;
+    return {
+      player: {
+        ...p.snapshot(),
+        x: p.x,
+        y: p.y,
+        facingAngle: p.facingAngle,
+      },
+      timeAlive: this.state.totalPlayTime,
+      zoneId: this.zone.id,
+    };
+  }
+
+  // Per-tick world simulation; only runs while the playing scene is on top.
+  _updatePlaying(dt, input) {
+    // Interact fires once per press, not every tick the key is held.
+    if (input.pressed.interact) {
+      this.pendingInteract = true;
+    }
+    if (input.pressed.targetNext) this._cycleTarget();
+    if (input.pressed.attack) this._toggleAutoAttack();
+    if (input.pressed.sit) this._toggleResting();
+    for (let i = 0; i < this.hotbarSlots.length; i++) {
+      if (input.pressed[`hotbar${i + 1}`]) this.useHotbarSlot(i);
     }
+    this._updateZoom(input);
 
-    this.totalPlayTime += dt;
+    this.state.totalPlayTime += dt;
+
+    if (this.zoneBanner) {
+      this.zoneBanner.time += dt;
+      if (this.zoneBanner.time > 3) this.zoneBanner = null;
+    }
 
     // Level the character *very* gently over time for now
     this._grantExplorationXp(dt);
 
     this._updatePlayer(dt, input);
+    this._updateNpcs(dt);
     this._handleInteractIfRequested();
+    this._updateAbilities(dt);
+    this._updateStatusEffects(dt);
+    this._updateCombat(dt);
+    this.player.regenerate(dt);
+    this._updateCorpse();
+    this._updateQuests();
+    for (const id of Object.keys(this.merchants)) {
+      this.merchants[id].update(dt);
+    }
+
+    this.camera.update(dt, this.player);
+  }
+
+  // Each wheel notch or key press zooms by the same step; the camera keeps
+  // it within its minZoom..maxZoom.
+  _updateZoom(input) {
+    const steps =
+      (input.pressed.zoomIn ? 1 : 0) -
+      (input.pressed.zoomOut ? 1 : 0) -
+      input.wheel;
+    if (steps) this.camera.setZoom(this.camera.zoom * Math.pow(1.15, steps));
+  }
+
+  // Counterpart to the constructor for when the engine swaps games. The
+  // game reads input only through engine snapshots, so there are no
+  // listeners of its own to remove; it just lets go of the canvas.
+  dispose() {
+    if (this.canvas && this.canvas.classList) {
+      this.canvas.classList.remove("ractr-active");
+    }
+    this.pendingInteract = false;
+    this.moveTarget = null;
+  }
+
+  _standUp() {
+    this.player.resting = false;
+    this._pushChatSystem("You wake up in the Everlight Inn.");
+  }
+
+  // Replaces the starting character with a freshly made one.
+  createCharacter(name, classId) {
+    const state = this.state;
+    state.player = new RactrPlayerState(state.config, state.config.meta, {
+      name,
+      classId,
+    });
+    this.newCharacter = false;
+    this.abilities.interrupt();
+    this._resetHotbar();
+    this._resetPlayerToInn();
+    this.player.resting = true;
+    const classDef = this.player.classDef();
+    this._pushChatSystem(`${this.player.name} the ${classDef.name} arrives.`);
+  }
+
+  // ------------- REST / DEATH -------------
+
+  _toggleResting() {
+    const p = this.player;
+    if (p.resting) {
+      this._stopResting();
+      return;
+    }
+    p.resting = true;
+    this.moveTarget = null;
+    this.abilities.interrupt();
+    this._pushChatSystem(
+      p.inCombat()
+        ? "You sit down, but you cannot rest while in combat."
+        : "You sit down to rest."
+    );
+  }
+
+  // Moving, fighting, casting or being hit gets the player back up.
+  _stopResting() {
+    if (!this.player.resting) return;
+    this.player.resting = false;
+    this._pushChatSystem("You stand up.");
+  }
+
+  // Runs once as the player dies, before the death screen. Takes the XP
+  // penalty and leaves a corpse holding part of it; returns the XP lost.
+  _onPlayerDeath() {
+    const p = this.player;
+    const lost = p.applyDeathPenalty();
+    p.resting = false;
+    p.effects.clear();
+    this.abilities.interrupt();
+    this.clearTarget();
+    this.moveTarget = null;
+    this.corpse = {
+      zoneId: this.zone.id,
+      x: p.x,
+      y: p.y,
+      xp: Math.round(lost * p.deathRules.recoverFraction),
+      diedAt: this.state.totalPlayTime,
+    };
+    if (lost > 0) this._pushChatSystem(`You lose ${lost} experience.`);
+    return lost;
+  }
+
+  // Called while the death screen fades out.
+  _respawnAfterGameOver() {
+    const p = this.player;
+    this._resetPlayerToInn();
+    this.abilities.interrupt();
+    p.effects.clear();
+    const vitals = p.deathRules.respawnVitals;
+    p.health = Math.max(1, Math.round(p.maxHealth * vitals));
+    p.mana = Math.round(p.maxMana * vitals);
+    p.combatTimer = 0;
+    p.effects.apply("revival_sickness", "death");
+    this._pushChatSystem(`You wake up in ${this.zone.name}, weak but alive.`);
+    if (this.corpse) {
+      const meta = this.zones.meta(this.corpse.zoneId);
+      this._pushChatSystem(
+        `Your corpse lies in ${meta ? meta.name : this.corpse.zoneId}.`
+      );
+    }
+    this._autosave();
+  }
+
+  // Corpses decay after a while; reaching one in time recovers its XP.
+  _updateCorpse() {
+    const corpse = this.corpse;
+    if (!corpse) return;
+    const p = this.player;
+    const decay = p.deathRules.corpseDecay;
+    if (this.state.totalPlayTime - corpse.diedAt > decay) {
+      this.corpse = null;
+      this._pushChatSystem("Your corpse has decayed.");
+      return;
+    }
+    if (corpse.zoneId !== this.zone.id || p.isDead()) return;
+    if (Math.hypot(corpse.x - p.x, corpse.y - p.y) > p.radius + 14) return;
+    this.corpse = null;
+    if (corpse.xp > 0) {
+      this._pushChatSystem(
+        `You recover your corpse and regain ${corpse.xp} experience.`
+      );
+      this._grantXp(corpse.xp);
+    } else {
+      this._pushChatSystem("You recover your corpse.");
+    }
+    this._autosave();
+  }
+
+  // Plain-data view of the simulation, for headless tests and tooling.
+  snapshot() {
+    const p = this.player;
+    return {
+      time: this.time,
+      state: this.state.state,
+      scenes: this.scenes.names(),
+      totalPlayTime: this.totalPlayTime,
+      zoneId: this.zone.id,
+      traveling: this._traveling,
+      player: {
+        ...p.snapshot(),
+        x: p.x,
+        y: p.y,
+        vx: p.vx,
+        vy: p.vy,
+        facingAngle: p.facingAngle,
+        dashCooldown: p.dashCooldown,
+        resting: p.resting,
+        effects: p.effects.active.map((e) => ({
+          id: e.id,
+          stacks: e.stacks,
+          remaining: e.remaining,
+        })),
+      },
+      targetId: this.target ? this.target.id : null,
+      autoAttack: this.autoAttack,
+      hotbar: this.hotbarSlots.map((slot) => slot.abilityId),
+      casting: this.abilities.cast
+        ? {
+            abilityId: this.abilities.cast.abilityId,
+            time: this.abilities.cast.time,
+          }
+        : null,
+      cooldowns: { ...this.abilities.cooldowns },
+      campfires: this.campfires.map((f) => ({ x: f.x, y: f.y })),
+      corpse: this.corpse ? { ...this.corpse } : null,
+      merchants: this._merchantSnapshots(),
+      hour: this.state.hour,
+      npcs: this.npcs.map((n) => ({
+        id: n.id,
+        x: n.x,
+        y: n.y,
+        facingAngle: n.facingAngle,
+        activity: n.brain.activity,
+      })),
+      remotePlayers: Array.from(this.net.remotePlayers.players.values()).map(
+        (r) => ({
+          id: r.id,
+          name: r.name,
+          zoneId: r.zoneId,
+          x: r.x,
+          y: r.y,
+          facingAngle: r.facingAngle,
+        })
+      ),
+      mobs: this.mobs.map((m) => ({
+        id: m.id,
+        typeId: m.typeId,
+        x: m.x,
+        y: m.y,
+        health: m.health,
+        state: m.state,
+        loot: m.loot
+          ? { gold: m.loot.gold, items: m.loot.items.map((i) => ({ ...i })) }
+          : null,
+      })),
+      containers: this.containers.map((c) => ({
+        id: c.id,
+        x: c.x,
+        y: c.y,
+        opened: !!c.loot,
+        empty: !!c.loot && !this._hasLoot(c),
+      })),
+      chatLog: this.chatLog.map((entry) => ({ ...entry })),
+    };
   }
 
   _updatePlayer(dt, input) {
     const p = this.player;
+    // With a server, first take any position it has confirmed and replay
+    // the moves it hasn't seen yet on top.
+    this.net.prediction.reconcile(p, this.zone.id, (from, cmd) =>
+      this._stepMovement(from, cmd)
+    );
+
+    // Status effects (Sprint, Dazed) change these; read them once per step.
+    const derived = p.derivedStats();
+    const walkSpeed = derived.moveSpeed;
 
     if (p.dashCooldown > 0) {
       p.dashCooldown = Math.max(0, p.dashCooldown - dt);
     }
 
-    // Movement
-    let moveX = 0;
-    let moveY = 0;
-    if (input.left) moveX -= 1;
-    if (input.right) moveX += 1;
-    if (input.up) moveY -= 1;
-    if (input.down) moveY += 1;
+    // Movement: analog (stick/joystick) input keeps its magnitude, so a
+    // half-tilted stick walks at half speed.
+    let moveX = input.moveX || 0;
+    let moveY = input.moveY || 0;
+    const mag = Math.hypot(moveX, moveY);
+    if (mag > 1) {
+      moveX /= mag;
+      moveY /= mag;
+    }
+
+    if (input.moveTarget && input.moveTarget.id !== this._lastMoveTargetId) {
+      this._lastMoveTargetId = input.moveTarget.id;
+      // Clicks arrive in screen space. Clicks on the hotbar use a slot;
+      // clicking a mob targets it (and clicking the current target attacks
+      // it) instead of walking there.
+      const sx = input.moveTarget.x;
+      const sy = input.moveTarget.y;
+      const point = this.camera.screenToWorld(sx, sy);
+      const mob = this._mobAt(point.x, point.y);
+      const lootable = mob ? null : this._lootSourceAt(point.x, point.y);
+      if (this._isOverHotbar(sx, sy)) {
+        const slot = this._hotbarSlotAt(sx, sy);
+        if (slot >= 0) this.useHotbarSlot(slot);
+      } else if (lootable && this._inLootReach(lootable)) {
+        this.openLoot(lootable);
+      } else if (!mob) {
+        this.moveTarget = point;
+      } else if (mob === this.target) {
+        this.autoAttack = true;
+      } else {
+        this.setTarget(mob);
+      }
+    }
+
+    if (moveX !== 0 || moveY !== 0 || this.moveTarget) this._stopResting();
+
+    let arriving = false;
+    if (moveX !== 0 || moveY !== 0) {
+      // Any direct movement cancels click-to-move.
+      this.moveTarget = null;
+    } else if (this.moveTarget) {
+      const dx = this.moveTarget.x - p.x;
+      const dy = this.moveTarget.y - p.y;
+      const dist = Math.hypot(dx, dy);
+      if (dist < 1) {
+        this.moveTarget = null;
+      } else {
+        moveX = dx / dist;
+        moveY = dy / dist;
+        arriving = dist <= walkSpeed * dt;
+      }
+    }
 
-    const mag = Math.hypot(moveX, moveY) || 1;
-    moveX /= mag;
-    moveY /= mag;
+    // Casts need the caster to stand still.
+    if ((moveX !== 0 || moveY !== 0) && this.abilities.isCasting()) {
+      this.abilities.interrupt();
+      this._pushChatSystem("Your spell is interrupted.");
+    }
 
-    let speed = p.baseSpeed;
-    if (input.dash && p.dashCooldown <= 0) {
-      speed = p.dashSpeed;
+    // Holding dash repeats it; a press made shortly before the cooldown
+    // ends is buffered and still fires.
+    let speed = walkSpeed;
+    let dashed = false;
+    if ((input.dash || input.buffered.dash) && p.dashCooldown <= 0) {
+      speed = derived.dashSpeed;
       p.dashCooldown = p.dashCooldownMax;
+      input.consume("dash");
+      dashed = true;
+    }
+
+    // The step as a movement command, which is what the server gets and
+    // what reconciliation replays.
+    const cmd = { dt, moveX, moveY, speed, dash: dashed, arrive: null };
+    if (arriving && !dashed) {
+      // Land exactly on the clicked spot instead of oscillating around it.
+      cmd.arrive = { x: this.moveTarget.x, y: this.moveTarget.y };
+      this.moveTarget = null;
     }
 
     p.vx = moveX * speed;
     p.vy = moveY * speed;
-    p.x += p.vx * dt;
-    p.y += p.vy * dt;
+    const moved = this._stepMovement(p, cmd);
+    const wanted = cmd.arrive
+      ? Math.hypot(cmd.arrive.x - p.x, cmd.arrive.y - p.y)
+      : Math.hypot(p.vx * dt, p.vy * dt);
+    const progress = Math.hypot(moved.x - p.x, moved.y - p.y);
+    p.x = moved.x;
+    p.y = moved.y;
+    this.net.sendInput(cmd, this.zone.id);
+    // Walking into a wall towards a clicked spot: give up rather than
+    // pushing against it forever.
+    if (this.moveTarget && moved.blocked && progress < wanted * 0.1) {
+      this.moveTarget = null;
+    }
 
     if (moveX !== 0 || moveY !== 0) {
       p.facingAngle = Math.atan2(moveY, moveX);
     }
 
-    // Clamp to a soft "town area" derived from canvas
-    const rect = this._getTownRect();
-    const r = p.radius;
-    if (p.x < rect.minX + r) p.x = rect.minX + r;
-    if (p.x > rect.maxX - r) p.x = rect.maxX - r;
-    if (p.y < rect.minY + r) p.y = rect.minY + r;
-    if (p.y > rect.maxY - r) p.y = rect.maxY - r;
+    this.collision.updateTriggers("player", {
+      type: "circle",
+      x: p.x,
+      y: p.y,
+      r: p.radius,
+    });
   }
 
   _handleInteractIfRequested() {
     if (!this.pendingInteract) return;
     this.pendingInteract = false;
 
-    // Find nearest NPC within a reasonable radius
+    // Something to loot within reach comes before talking.
     const p = this.player;
+    const lootable = this._lootSourceNear(p.x, p.y);
+    if (lootable) {
+      this.openLoot(lootable);
+      return;
+    }
+
+    // Find nearest NPC within a reasonable radius
     let bestNpc = null;
     let bestDist = 80;
 
@@ -320,6 +813,17 @@ class RactrGame {
       this._pushChatSystem("No one nearby to talk to.");
       return;
     }
+    bestNpc.brain.engage(bestNpc, p);
+
+    if (bestNpc.dialogue && RACTR_DIALOGUES[bestNpc.dialogue]) {
+      this.talkTo(bestNpc);
+      this._grantXp(2);
+      return;
+    }
+    if (bestNpc.vendor && RACTR_MERCHANTS[bestNpc.vendor]) {
+      this.openShop(bestNpc);
+      return;
+    }
 
     // Pick a random line from the NPC
     if (Array.isArray(bestNpc.dialog) && bestNpc.dialog.length) {
@@ -331,42 +835,1042 @@ class RactrGame {
     }
   }
 
-  _grantExplorationXp(dt) {
-    // 1 XP every ~3 seconds of active play
-    const rate = 1 / 3;
-    this._grantXp(rate * dt);
+  // Where one movement command takes a body ({ x, y, radius }): through
+  // the zone's collision and clamped to its walkable area. Pure, so
+  // reconciliation can replay commands from a server position and land
+  // where _updatePlayer did. Returns { x, y, blocked }.
+  _stepMovement(from, cmd) {
+    let stepX = cmd.moveX * cmd.speed * cmd.dt;
+    let stepY = cmd.moveY * cmd.speed * cmd.dt;
+    if (cmd.arrive) {
+      stepX = cmd.arrive.x - from.x;
+      stepY = cmd.arrive.y - from.y;
+    }
+    const moved = this.collision.moveCircle(
+      from.x,
+      from.y,
+      from.radius,
+      stepX,
+      stepY
+    );
+    const rect = this.zone.bounds;
+    const r = from.radius;
+    return {
+      x: Math.max(rect.minX + r, Math.min(rect.maxX - r, moved.x)),
+      y: Math.max(rect.minY + r, Math.min(rect.maxY - r, moved.y)),
+      blocked: moved.blocked,
+    };
+  }
+
+  // ------------- NPC AI -------------
+
+  // What RactrBrain needs to move someone around the current zone.
+  _aiEnv(ignore) {
+    return {
+      collision: this.collision,
+      nav: this.nav,
+      hour: this.state.hour,
+      random: this.combat.random,
+      ignore,
+    };
+  }
+
+  _updateNpcs(dt) {
+    for (const npc of this.npcs) {
+      npc.prevX = npc.x;
+      npc.prevY = npc.y;
+      const id = `npc:${npc.id}`;
+      npc.brain.update(dt, npc, this._aiEnv(id));
+      if (npc.x !== npc.prevX || npc.y !== npc.prevY) {
+        this.collision.moveBody(id, npc.x, npc.y);
+      }
+    }
+  }
+
+  // ------------- COMBAT -------------
+
+  // Mobs are rebuilt from the zone's mob_spawn objects whenever a zone
+  // loads, scattered within each spawn's radius on open ground.
+  _spawnMobs(map) {
+    const mobs = [];
+    const random = this.combat.random;
+    for (const spawn of map.objects) {
+      if (spawn.type !== "mob_spawn") continue;
+      const type = RACTR_MOB_TYPES[spawn.mob];
+      if (!type) continue;
+      for (let i = 0; i < (spawn.count || 1); i++) {
+        let x = spawn.x;
+        let y = spawn.y;
+        for (let attempt = 0; attempt < 8; attempt++) {
+          const angle = random() * Math.PI * 2;
+          const dist = random() * (spawn.radius || 0);
+          const cx = spawn.x + Math.cos(angle) * dist;
+          const cy = spawn.y + Math.sin(angle) * dist;
+          const circle = { type: "circle", x: cx, y: cy, r: type.radius || 12 };
+          if (!this.collision.overlapsSolid(circle)) {
+            x = cx;
+            y = cy;
+            break;
+          }
+        }
+        mobs.push(new RactrMob(`${spawn.id}:${i}`, spawn.mob, type, x, y));
+      }
+    }
+    this.state.mobs = mobs;
+    this.target = null;
+    this.autoAttack = false;
+    this.combatText = [];
+  }
+
+  get mobs() {
+    return this.state.mobs;
+  }
+
+  setTarget(mob) {
+    this.target = mob && mob.isAlive() ? mob : null;
+    if (!this.target) this.autoAttack = false;
+  }
+
+  clearTarget() {
+    this.setTarget(null);
+  }
+
+  _mobAt(x, y) {
+    let best = null;
+    let bestDist = Infinity;
+    for (const mob of this.mobs) {
+      if (!mob.isAlive()) continue;
+      const d = Math.hypot(mob.x - x, mob.y - y);
+      if (d <= mob.radius + 8 && d < bestDist) {
+        best = mob;
+        bestDist = d;
+      }
+    }
+    return best;
+  }
+
+  // Tab-targeting: steps through living mobs near the player, closest
+  // first, wrapping around.
+  _cycleTarget() {
+    const p = this.player;
+    const nearby = this.mobs
+      .filter((m) => m.isAlive() && Math.hypot(m.x - p.x, m.y - p.y) <= 360)
+      .sort(
+        (a, b) =>
+          Math.hypot(a.x - p.x, a.y - p.y) - Math.hypot(b.x - p.x, b.y - p.y)
+      );
+    if (!nearby.length) {
+      this._pushChatSystem("There is nothing to target nearby.");
+      return;
+    }
+    const idx = nearby.indexOf(this.target);
+    this.setTarget(nearby[(idx + 1) % nearby.length]);
+  }
+
+  _toggleAutoAttack() {
+    if (this.autoAttack) {
+      this.autoAttack = false;
+      this._pushChatSystem("Auto attack is off.");
+      return;
+    }
+    if (!this.target) this._cycleTarget();
+    if (!this.target) return;
+    this.autoAttack = true;
+    this._pushChatSystem("Auto attack is on.");
+  }
+
+  _updateCombat(dt) {
+    const p = this.player;
+    const rules = this.combat.rules;
+
+    if (p.swingTimer > 0) p.swingTimer = Math.max(0, p.swingTimer - dt);
+    if (p.combatTimer > 0) p.combatTimer = Math.max(0, p.combatTimer - dt);
+
+    // Player auto-attack: swings on its own timer whenever the target is
+    // in reach.
+    if (this.target && !this.target.isAlive()) this.clearTarget();
+    const target = this.target;
+    if (this.autoAttack && target && p.swingTimer <= 0) {
+      const reach = p.radius + target.radius + p.meleeReach;
+      if (Math.hypot(target.x - p.x, target.y - p.y) <= reach) {
+        this._stopResting();
+        p.swingTimer = p.swingTime;
+        p.facingAngle = Math.atan2(target.y - p.y, target.x - p.x);
+        const hit = this.combat.rollMelee(p.derivedStats(), target);
+        this._hitMob(target, hit);
+      }
+    }
+
+    const env = this._aiEnv(null);
+    for (const mob of this.mobs) {
+      if (!mob.isAlive()) {
+        mob.update(dt, p, env);
+        if (mob.deadTime >= rules.respawnTime) mob.respawn();
+        continue;
+      }
+      if (mob.update(dt, p, env) === "swing") {
+        const hit = this.combat.rollMelee(mob, p.derivedStats());
+        p.health = Math.max(0, p.health - hit.amount);
+        p.combatTimer = rules.combatTimeout;
+        this._stopResting();
+        this._addCombatText(
+          p.x,
+          p.y - p.radius,
+          `-${hit.amount}`,
+          hit.crit ? "#ff5a5a" : "#ff9a9a"
+        );
+        if (hit.crit) this.camera.shake(4, 0.25);
+        if (p.isDead()) {
+          this._pushChatSystem(`You have been slain by a ${mob.name}!`);
+          this.clearTarget();
+        } else if (mob.onHit && this.combat.random() < mob.onHit.chance) {
+          this._applyPlayerEffect(mob.onHit.effect, mob);
+        }
+      }
+    }
+
+    for (const text of this.combatText) text.time += dt;
+    this.combatText = this.combatText.filter((t) => t.time < 1.2);
+  }
+
+  // Applies a resolved hit (from melee or a spell) to a mob.
+  _hitMob(mob, hit) {
+    const p = this.player;
+    p.combatTimer = this.combat.rules.combatTimeout;
+    this._addCombatText(
+      mob.x,
+      mob.y - mob.radius,
+      hit.crit ? `${hit.amount}!` : `${hit.amount}`,
+      hit.crit ? "#ffd166" : "#ffffff"
+    );
+    if (mob.takeDamage(hit.amount)) this._onMobKilled(mob);
+  }
+
+  _onMobKilled(mob) {
+    if (this.target === mob) this.clearTarget();
+    this._pushChatSystem(`You have slain a ${mob.name}!`);
+    this._recordQuestEvent({ type: "kill", mob: mob.typeId });
+    if (mob.lootTable) {
+      mob.loot = this.lootRoller.roll(mob.lootTable, mob.level);
+    }
+    const xp = this.combat.xpForKill(mob, this.player.level);
+    if (xp > 0) {
+      this._pushChatSystem("You gain experience!");
+      this._grantXp(xp);
+    }
+  }
+
+  _addCombatText(x, y, text, color) {
+    this.combatText.push({ x, y, text, color, time: 0 });
+  }
+
+  _grantExplorationXp(dt) {
+    // 1 XP every ~3 seconds of active play
+    const rate = 1 / 3;
+    this._grantXp(rate * dt);
+  }
+
+  _grantXp(amount) {
+    const p = this.player;
+    const reached = p.grantXp(amount);
+    for (const level of reached) {
+      this._pushChatSystem(`You have gained a level! (${level})`);
+      for (const skill of p.classDef().skills) {
+        if (skill.level !== level) continue;
+        const name = RACTR_ABILITIES[skill.abilityId].name;
+        this._pushChatSystem(
+          skill.cost
+            ? `You can now train ${name}.`
+            : `You have learned ${name}.`
+        );
+      }
+    }
+    if (reached.length && p.atLevelCap()) {
+      this._pushChatSystem("You have reached the highest level.");
+    }
+    if (reached.length) this._autosave();
+  }
+
+  // ------------- ABILITIES -------------
+
+  useHotbarSlot(index) {
+    const slot = this.hotbarSlots[index];
+    if (slot && slot.abilityId) this.useAbility(slot.abilityId);
+  }
+
+  // Starts an ability on the current target. Problems (no mana, on
+  // cooldown, out of range...) are reported in chat.
+  useAbility(abilityId) {
+    if (!this.player.knowsSkill(abilityId)) {
+      this._pushChatSystem("You do not know that ability.");
+      return false;
+    }
+    const result = this.abilities.use(abilityId, this.player, this.target);
+    if (result.error) {
+      this._pushChatSystem(result.error);
+      return false;
+    }
+    this._stopResting();
+    if (result.started) {
+      // Standing still to cast: stop any click-to-move walk.
+      this.moveTarget = null;
+      const ability = this.abilities.get(abilityId);
+      this._pushChatSystem(`You begin casting ${ability.name}.`);
+    } else {
+      this._applyAbility(result);
+    }
+    return true;
+  }
+
+  _updateAbilities(dt) {
+    const p = this.player;
+    const fired = this.abilities.update(dt, p);
+    if (fired && fired.error) {
+      this._pushChatSystem(fired.error);
+    } else if (fired) {
+      this._applyAbility(fired);
+    }
+
+    // Resting by a fire heals its healPerSecond on top of regeneration
+    // (the warmest fire, if several are in reach); Warmth shows it.
+    let warmth = 0;
+    for (const fire of this.campfires) {
+      fire.remaining -= dt;
+      const near = Math.hypot(p.x - fire.x, p.y - fire.y) <= fire.radius;
+      if (near) warmth = Math.max(warmth, fire.healPerSecond);
+    }
+    this.campfires = this.campfires.filter((f) => f.remaining > 0);
+    if (warmth > 0 && p.resting && !p.inCombat() && !p.isDead()) {
+      this._applyPlayerEffect("warmth", "campfire");
+      p.health = Math.min(p.maxHealth, p.health + warmth * dt);
+    }
+
+    for (const bolt of this.spellEffects) bolt.time += dt;
+    this.spellEffects = this.spellEffects.filter((b) => b.time < 0.3);
+  }
+
+  // Applies a fired ability's effects; see ractr_abilities.js for the
+  // effect types.
+  _applyAbility(fired) {
+    const p = this.player;
+    const stats = p.derivedStats();
+    const { ability, abilityId, target } = fired;
+    for (const effect of ability.effects) {
+      if (effect.type === "heal") {
+        const amount = Math.round(
+          effect.amount + stats.intelligence * (effect.intScale || 0)
+        );
+        const healed = Math.min(amount, p.maxHealth - p.health);
+        p.health += healed;
+        this._addCombatText(
+          p.x,
+          p.y - p.radius,
+          `+${Math.round(healed)}`,
+          "#6fdc8c"
+        );
+      } else if (effect.type === "damage") {
+        if (!target || !target.isAlive()) continue;
+        p.facingAngle = Math.atan2(target.y - p.y, target.x - p.x);
+        this.spellEffects.push({
+          fromX: p.x,
+          fromY: p.y,
+          toX: target.x,
+          toY: target.y,
+          color: ability.color,
+          time: 0,
+        });
+        const hit = this.combat.rollSpell(stats, target, effect.power);
+        this._hitMob(target, hit);
+      } else if (effect.type === "status") {
+        this._applyPlayerEffect(effect.effect, abilityId);
+      } else if (effect.type === "campfire") {
+        // One fire at a time, a step in front of the player.
+        const angle = p.facingAngle || 0;
+        this.campfires = [
+          {
+            x: p.x + Math.cos(angle) * (p.radius + 14),
+            y: p.y + Math.sin(angle) * (p.radius + 14),
+            radius: effect.radius,
+            healPerSecond: effect.healPerSecond,
+            remaining: effect.duration,
+          },
+        ];
+        this._pushChatSystem("You build a campfire.");
+      }
+    }
+  }
+
+  // ------------- STATUS EFFECTS -------------
+
+  // Applies a status effect to the player, announcing it when it is new
+  // rather than a refresh.
+  _applyPlayerEffect(effectId, source) {
+    const effects = this.player.effects;
+    const isNew = !effects.has(effectId);
+    const effect = effects.apply(effectId, source);
+    if (!effect || !isNew) return;
+    const name = effect.def.name;
+    this._pushChatSystem(
+      effect.def.kind === "debuff"
+        ? `You are afflicted by ${name}.`
+        : `You gain ${name}.`
+    );
+  }
+
+  _updateStatusEffects(dt) {
+    const p = this.player;
+    for (const event of p.effects.update(dt)) {
+      const def = event.effect.def;
+      if (event.type === "expire") {
+        this._pushChatSystem(`${def.name} fades.`);
+        continue;
+      }
+      if (p.isDead()) continue;
+      if (event.health > 0) {
+        const healed = Math.min(event.health, p.maxHealth - p.health);
+        p.health += healed;
+        if (healed >= 1) {
+          this._addCombatText(
+            p.x,
+            p.y - p.radius,
+            `+${Math.round(healed)}`,
+            "#6fdc8c"
+          );
+        }
+      } else if (event.health < 0) {
+        p.health = Math.max(0, p.health + event.health);
+        p.combatTimer = this.combat.rules.combatTimeout;
+        this._addCombatText(p.x, p.y - p.radius, `${event.health}`, def.color);
+        if (p.isDead()) {
+          this._pushChatSystem(`You have succumbed to ${def.name}.`);
+          this.clearTarget();
+        }
+      }
+    }
+  }
+
+  // ------------- HOTBAR -------------
+
+  // Puts an ability (or null, to clear) in a hotbar slot. Abilities the
+  // player hasn't learned leave the slot empty.
+  assignHotbarSlot(index, abilityId) {
+    const slot = this.hotbarSlots[index];
+    if (!slot) return;
+    const known =
+      abilityId &&
+      this.abilities.get(abilityId) &&
+      this.player.knowsSkill(abilityId);
+    slot.abilityId = known ? abilityId : null;
+  }
+
+  // The class's starting hotbar.
+  _resetHotbar() {
+    const ids = this.player.classDef().hotbar || [];
+    this.hotbarSlots.forEach((slot, i) =>
+      this.assignHotbarSlot(i, ids[i] || null)
+    );
+  }
+
+  swapHotbarSlots(a, b) {
+    const slots = this.hotbarSlots;
+    if (!slots[a] || !slots[b]) return;
+    const held = slots[a].abilityId;
+    slots[a].abilityId = slots[b].abilityId;
+    slots[b].abilityId = held;
+  }
+
+  // Screen-space hotbar geometry, shared by rendering and pointer input.
+  _hotbarLayout(width, height) {
+    const barWidth = Math.min(420, width - 80);
+    const barHeight = 40;
+    const x = (width - barWidth) / 2;
+    const y = height - barHeight - 14;
+    const slotWidth = (barWidth - 16) / this.hotbarSlots.length;
+    const slots = this.hotbarSlots.map((slot, i) => ({
+      x: x + 8 + i * slotWidth,
+      y: y + 5,
+      w: slotWidth - 4,
+      h: barHeight - 10,
+    }));
+    return { x, y, w: barWidth, h: barHeight, slots };
+  }
+
+  _isOverHotbar(x, y) {
+    const engine = this.engine;
+    const bar = this._hotbarLayout(engine.viewWidth, engine.viewHeight);
+    return x >= bar.x && x <= bar.x + bar.w && y >= bar.y && y <= bar.y + bar.h;
+  }
+
+  // Index of the hotbar slot under a screen point, or -1.
+  _hotbarSlotAt(x, y) {
+    const engine = this.engine;
+    const bar = this._hotbarLayout(engine.viewWidth, engine.viewHeight);
+    return bar.slots.findIndex(
+      (r) => x >= r.x && x <= r.x + r.w && y >= r.y && y <= r.y + r.h
+    );
+  }
+
+  // ------------- INVENTORY -------------
+
+  // What clicking or confirming an item does: drink/eat consumables,
+  // wear gear.
+  activateBagItem(index) {
+    const entry = this.player.inventory.slots[index];
+    if (!entry) return false;
+    const item = RACTR_ITEMS[entry.itemId];
+    if (item.use) return this.useBagItem(index);
+    if (item.slot) return this.equipBagItem(index);
+    this._pushChatSystem(`You can't use the ${item.name}.`);
+    return false;
+  }
+
+  useBagItem(index) {
+    const used = this.player.useItem(index);
+    if (!used) return false;
+    const item = RACTR_ITEMS[used.itemId];
+    this._pushChatSystem(`You ${item.use.verb || "use"} the ${item.name}.`);
+    const p = this.player;
+    if (used.health >= 1) {
+      this._addCombatText(
+        p.x,
+        p.y - p.radius,
+        `+${Math.round(used.health)}`,
+        "#6fdc8c"
+      );
+    }
+    return true;
+  }
+
+  equipBagItem(index) {
+    const itemId = this.player.equipFromBag(index);
+    if (!itemId) return false;
+    this._pushChatSystem(`You equip the ${RACTR_ITEMS[itemId].name}.`);
+    return true;
+  }
+
+  // Moves worn gear into the bag, into bag slot toIndex if it is empty.
+  unequipItem(slot, toIndex) {
+    const itemId = this.player.unequip(slot, toIndex);
+    if (!itemId) {
+      if (this.player.equipment.get(slot)) {
+        this._pushChatSystem("Your bags are full.");
+      }
+      return false;
+    }
+    this._pushChatSystem(`You remove the ${RACTR_ITEMS[itemId].name}.`);
+    return true;
+  }
+
+  // ------------- LOOT -------------
+
+  // Corpses with loot left on them and containers not yet emptied.
+  _lootSources() {
+    const corpses = this.mobs.filter((m) => !m.isAlive() && this._hasLoot(m));
+    const open = this.containers.filter((c) => !c.loot || this._hasLoot(c));
+    return corpses.concat(open);
+  }
+
+  _hasLoot(source) {
+    const loot = source.loot;
+    return !!loot && (loot.gold > 0 || loot.items.length > 0);
+  }
+
+  _inLootReach(source) {
+    const p = this.player;
+    return Math.hypot(source.x - p.x, source.y - p.y) <= p.radius + 40;
+  }
+
+  // The closest loot source in reach. Failing that an emptied container
+  // in reach, so searching it again says it is empty.
+  _lootSourceNear(x, y) {
+    return (
+      this._closestInLootReach(this._lootSources(), x, y) ||
+      this._closestInLootReach(this.containers, x, y)
+    );
+  }
+
+  _closestInLootReach(sources, x, y) {
+    let best = null;
+    let bestDist = Infinity;
+    for (const source of sources) {
+      const d = Math.hypot(source.x - x, source.y - y);
+      if (this._inLootReach(source) && d < bestDist) {
+        best = source;
+        bestDist = d;
+      }
+    }
+    return best;
+  }
+
+  _lootSourceAt(x, y) {
+    return (
+      this._lootSources().find(
+        (s) => Math.hypot(s.x - x, s.y - y) <= (s.radius || 12) + 8
+      ) || null
+    );
+  }
+
+  // Opens the loot window on a corpse or container, rolling a container's
+  // contents the first time it is opened.
+  openLoot(source) {
+    if (source.kind === "container" && !source.loot) {
+      source.loot = this.lootRoller.roll(source.table, source.level);
+    }
+    if (!this._hasLoot(source)) {
+      this._pushChatSystem(`The ${source.name} is empty.`);
+      return false;
+    }
+    this.moveTarget = null;
+    this._stopResting();
+    this.scenes.push(new RactrLootScene(this, source));
+    return true;
+  }
+
+  takeLootGold(source) {
+    const loot = source.loot;
+    if (!loot || loot.gold <= 0) return false;
+    this.player.gold += loot.gold;
+    this._pushChatSystem(`You loot ${loot.gold} gold.`);
+    loot.gold = 0;
+    this._afterLoot(source);
+    return true;
+  }
+
+  // Takes as much of one loot entry as fits in the bags.
+  takeLootItem(source, index) {
+    const loot = source.loot;
+    const entry = loot && loot.items[index];
+    if (!entry) return false;
+    const left = this.player.inventory.add(entry.itemId, entry.count);
+    const taken = entry.count - left;
+    if (taken <= 0) {
+      this._pushChatSystem("Your bags are full.");
+      return false;
+    }
+    const name = RACTR_ITEMS[entry.itemId].name;
+    this._pushChatSystem(
+      taken > 1 ? `You loot ${taken} x ${name}.` : `You loot the ${name}.`
+    );
+    entry.count = left;
+    if (left <= 0) loot.items.splice(index, 1);
+    this._afterLoot(source);
+    return true;
+  }
+
+  lootAll(source) {
+    this.takeLootGold(source);
+    const loot = source.loot;
+    for (let i = loot ? loot.items.length - 1 : -1; i >= 0; i--) {
+      this.takeLootItem(source, i);
+    }
+  }
+
+  // An emptied corpse starts fading like any other; containers stay empty
+  // until the zone reloads.
+  _afterLoot(source) {
+    if (source.kind !== "container" && !this._hasLoot(source)) {
+      source.loot = null;
+    }
+  }
+
+  // ------------- DIALOGUE -------------
+
+  // Hails the NPC and opens the dialogue window on its tree.
+  talkTo(npc) {
+    const conversation = new RactrConversation(
+      RACTR_DIALOGUES[npc.dialogue],
+      this.player
+    );
+    this.moveTarget = null;
+    this._stopResting();
+    this._pushChatSystem(`You say, 'Hail, ${npc.name}'`);
+    this._recordQuestEvent({ type: "talk", npc: npc.id });
+    this.turnInQuests(npc);
+    const actions = conversation.start();
+    this._pushChatNpc(npc, conversation.text());
+    this.scenes.push(new RactrDialogueScene(this, npc, conversation));
+    this.runDialogueActions(actions, npc);
+    return conversation;
+  }
+
+  // Picks a response for the player: says it, moves the conversation on
+  // and runs what it triggers. The dialogue scene closes itself first if
+  // the conversation ended, so shops and travel open over the world.
+  sayDialogueResponse(npc, conversation, response, said) {
+    this._pushChatSystem(`You say, '${said || response.text}'`);
+    // Refused up front, so the conversation stays where it was.
+    const refusal = this._dialogueRefusal(conversation.actionsFor(response));
+    if (refusal) {
+      this._pushChatSystem(refusal);
+      return [];
+    }
+    const actions = conversation.choose(response);
+    if (!conversation.ended) this._pushChatNpc(npc, conversation.text());
+    return actions;
+  }
+
+  // Why the player can't pay what a list of actions takes (takeGold,
+  // takeItem), or null when they can.
+  _dialogueRefusal(actions) {
+    const p = this.player;
+    let gold = 0;
+    const items = {};
+    for (const action of actions) {
+      if (action.type === "takeGold") gold += action.amount;
+      if (action.type === "takeItem") {
+        const count = action.count || 1;
+        items[action.itemId] = (items[action.itemId] || 0) + count;
+      }
+    }
+    if (p.gold < gold) return "You can't afford that.";
+    for (const [itemId, count] of Object.entries(items)) {
+      if (p.inventory.count(itemId) < count) {
+        return `You don't have enough ${RACTR_ITEMS[itemId].name}.`;
+      }
+    }
+    return null;
+  }
+
+  // Runs actions in order. If the player can't pay what they take, none
+  // of them run.
+  runDialogueActions(actions, npc) {
+    const p = this.player;
+    const refusal = this._dialogueRefusal(actions);
+    if (refusal) {
+      this._pushChatSystem(refusal);
+      return;
+    }
+    for (const action of actions) {
+      switch (action.type) {
+        case "giveItem": {
+          const count = action.count || 1;
+          const left = p.inventory.add(action.itemId, count);
+          const name = RACTR_ITEMS[action.itemId].name;
+          if (left < count) this._pushChatSystem(`You receive ${name}.`);
+          if (left > 0) {
+            this._pushChatSystem(`Your bags are full; ${left} x ${name} lost.`);
+          }
+          break;
+        }
+        case "takeItem": {
+          const taken = p.inventory.remove(action.itemId, action.count || 1);
+          const name = RACTR_ITEMS[action.itemId].name;
+          this._pushChatSystem(`You hand over ${taken} x ${name}.`);
+          break;
+        }
+        case "giveGold":
+          p.gold += action.amount;
+          this._pushChatSystem(`You receive ${action.amount} gold.`);
+          break;
+        case "takeGold":
+          p.gold -= action.amount;
+          this._pushChatSystem(`You pay ${action.amount} gold.`);
+          break;
+        case "startQuest":
+          this.startQuest(action.quest);
+          break;
+        case "setFlag":
+          p.flags[action.flag] =
+            action.value === undefined ? true : action.value;
+          break;
+        case "openShop":
+          if (npc && npc.vendor) this.openShop(npc);
+          break;
+        case "openTrainer":
+          this.openTrainer(npc);
+          break;
+        case "teleport":
+          this.travelTo(action.zone, action.spawn);
+          break;
+        case "restore":
+          p.restoreFull();
+          this._pushChatSystem("You feel rested.");
+          break;
+        default:
+          // The trees are checked on start-up, so this is only reachable
+          // from actions built at run time; skip it rather than stop the
+          // frame loop.
+          if (typeof console !== "undefined") {
+            console.warn(`RactrGame: unknown dialogue action '${action.type}'`);
+          }
+          this._pushChatSystem("Nothing happens.");
+      }
+    }
+  }
+
+  // ------------- QUESTS -------------
+
+  startQuest(questId) {
+    const result = this.player.quests.start(questId, this.player);
+    if (result.error) {
+      this._pushChatSystem(result.error);
+      return false;
+    }
+    this._pushChatSystem(`Quest accepted: ${RACTR_QUESTS[questId].name}.`);
+    this._announceQuestChanges(result.changes);
+    return true;
+  }
+
+  abandonQuest(questId) {
+    if (!this.player.quests.abandon(questId)) return false;
+    this._pushChatSystem(`Quest abandoned: ${RACTR_QUESTS[questId].name}.`);
+    return true;
+  }
+
+  // Hands in every finished quest the NPC takes. Returns how many were.
+  turnInQuests(npc) {
+    const p = this.player;
+    let handedIn = 0;
+    for (const questId of p.quests.forNpc(npc.id, p).turnIns) {
+      const result = p.quests.turnIn(questId, p);
+      if (result.error) {
+        this._pushChatSystem(result.error);
+        continue;
+      }
+      handedIn += 1;
+      this._pushChatSystem(
+        `You have completed ${RACTR_QUESTS[questId].name}!`
+      );
+      if (result.gold) this._pushChatSystem(`You receive ${result.gold} gold.`);
+      for (const item of result.items) {
+        const name = RACTR_ITEMS[item.itemId].name;
+        this._pushChatSystem(
+          item.count > 1
+            ? `You receive ${item.count} x ${name}.`
+            : `You receive ${name}.`
+        );
+      }
+      if (result.xp) {
+        this._pushChatSystem("You gain experience!");
+        this._grantXp(result.xp);
+      }
+    }
+    if (handedIn) this._autosave();
+    return handedIn;
+  }
+
+  // Reach objectives are checked against the player's position and
+  // collect objectives against the bags every tick.
+  _updateQuests() {
+    const p = this.player;
+    this._recordQuestEvent({
+      type: "reach",
+      zone: this.zone.id,
+      x: p.x,
+      y: p.y,
+    });
+  }
+
+  _recordQuestEvent(event) {
+    this._announceQuestChanges(
+      this.player.quests.record(event, this.player)
+    );
+  }
+
+  _announceQuestChanges(changes) {
+    for (const change of changes) {
+      const def = RACTR_QUESTS[change.quest];
+      if (change.objective !== undefined) {
+        const text = def.objectives[change.objective].text;
+        this._pushChatSystem(`${text}: ${change.count}/${change.needed}`);
+      } else if (change.state === "complete") {
+        this._pushChatSystem(`${def.name} is ready to hand in.`);
+      }
+    }
+  }
+
+  // ------------- TRAINING -------------
+
+  openTrainer(npc) {
+    this.moveTarget = null;
+    this._stopResting();
+    this.scenes.push(new RactrTrainerScene(this, npc));
+  }
+
+  // Buys a class skill; a newly learned one goes in the first empty
+  // hotbar slot. Returns whether it was learned.
+  trainSkill(abilityId) {
+    const result = this.player.trainSkill(abilityId);
+    if (result.error) {
+      this._pushChatSystem(result.error);
+      return false;
+    }
+    const name = RACTR_ABILITIES[abilityId].name;
+    this._pushChatSystem(`You learn ${name} for ${result.gold} gold.`);
+    const empty = this.hotbarSlots.findIndex((slot) => !slot.abilityId);
+    if (empty >= 0) this.assignHotbarSlot(empty, abilityId);
+    return true;
+  }
+
+  // ------------- MERCHANTS -------------
+
+  merchantFor(vendorId) {
+    if (!this.merchants[vendorId]) {
+      const def = RACTR_MERCHANTS[vendorId];
+      if (!def) return null;
+      this.merchants[vendorId] = new RactrMerchant(vendorId, def);
+    }
+    return this.merchants[vendorId];
+  }
+
+  openShop(npc) {
+    const merchant = this.merchantFor(npc.vendor);
+    if (!merchant) return false;
+    this.moveTarget = null;
+    this._stopResting();
+    this._pushChatNpc(npc, merchant.def.greeting);
+    this.scenes.push(new RactrShopScene(this, merchant, npc));
+    return true;
+  }
+
+  buyFromMerchant(merchant, index, count) {
+    return this._trade(merchant.buy(this.player, index, count), "buy");
+  }
+
+  sellToMerchant(merchant, bagIndex, count) {
+    return this._trade(merchant.sell(this.player, bagIndex, count), "sell");
+  }
+
+  buybackFromMerchant(merchant, index) {
+    return this._trade(merchant.buyBack(this.player, index), "buy");
+  }
+
+  // Reports a trade result in chat; returns whether it went through.
+  _trade(result, verb) {
+    if (result.error) {
+      this._pushChatSystem(result.error);
+      return false;
+    }
+    const name = RACTR_ITEMS[result.itemId].name;
+    const what = result.count > 1 ? `${result.count} x ${name}` : name;
+    this._pushChatSystem(
+      verb === "buy"
+        ? `You buy ${what} for ${result.gold} gold.`
+        : `You sell ${what} for ${result.gold} gold.`
+    );
+    return true;
+  }
+
+  // ------------- SAVE / LOAD -------------
+
+  _saveData() {
+    const p = this.player;
+    return {
+      player: p.snapshot(),
+      position: { zoneId: this.zone.id, x: p.x, y: p.y },
+      bindPoint: { ...this.bindPoint },
+      totalPlayTime: this.state.totalPlayTime,
+      hotbar: this.hotbarSlots.map((slot) => slot.abilityId),
+      corpse: this.corpse ? { ...this.corpse } : null,
+      merchants: this._merchantSnapshots(),
+    };
+  }
+
+  _merchantSnapshots() {
+    const out = {};
+    for (const id of Object.keys(this.merchants)) {
+      out[id] = this.merchants[id].snapshot();
+    }
+    return out;
+  }
+
+  // Resolves to the stored record.
+  saveGame(slot) {
+    return this.saves.save(slot, this._saveData());
   }
 
-  _grantXp(amount) {
-    const p = this.player;
-    p.xp += amount;
-    while (p.xp >= p.xpToNext) {
-      p.xp -= p.xpToNext;
-      p.level += 1;
+  // Resolves to the record's data, or null for an empty slot. The caller
+  // applies it with _applySave, normally while the screen is covered.
+  readSave(slot) {
+    return this.saves
+      .load(slot)
+      .then((record) => (record ? record.data : null));
+  }
 
-      // Light stat growth
-      p.maxHealth += 10;
-      p.maxMana += 4;
-      p.strength += 1;
-      p.agility += 1;
-      p.intelligence += 1;
-      p.attackPower += 2;
-      p.defense += 1;
-      p.critChance += 0.003;
-      p.health = p.maxHealth;
-      p.mana = p.maxMana;
+  _autosave() {
+    this.saveGame("auto").catch((err) => {
+      this._pushChatSystem("Autosave failed.");
+      if (typeof console !== "undefined") {
+        console.warn("RactrGame: autosave failed", err);
+      }
+    });
+  }
 
-      const base = 120;
-      const exp = 1.25;
-      p.xpToNext = Math.floor(base * Math.pow(p.level, exp)) + 40;
+  // Picks up where the last session left off, as long as the player is
+  // still on the intro screen when the autosave arrives.
+  _restoreAutosave() {
+    this.readSave("auto").then(
+      (data) => {
+        if (data && this.scenes.has("intro")) {
+          this._applySave(data);
+          this.player.resting = true;
+          this._pushChatSystem("Your progress has been restored.");
+        }
+      },
+      (err) => {
+        this._pushChatSystem(
+          "Your autosave could not be read; starting fresh."
+        );
+        if (typeof console !== "undefined") {
+          console.warn("RactrGame: autosave rejected", err);
+        }
+      }
+    );
+  }
 
-      this._pushChatSystem(`You have gained a level! (${p.level})`);
+  // data is a save record's data, already brought up to the current
+  // version by RactrSaveStore.
+  _applySave(data) {
+    const state = this.state;
+    state.player = RactrPlayerState.fromSnapshot(
+      data.player,
+      state.config,
+      state.config.meta
+    );
+    state.totalPlayTime = data.totalPlayTime || 0;
+    if (data.bindPoint && this.zones.has(data.bindPoint.zoneId)) {
+      this.bindPoint = { ...data.bindPoint };
+    }
+    this.newCharacter = false;
+    this.hotbarSlots.forEach((slot, i) =>
+      this.assignHotbarSlot(i, data.hotbar[i] || null)
+    );
+    this.abilities.interrupt();
+
+    // Saves can only restore into zones that are available right away;
+    // anything else falls back to the bind point.
+    const pos = data.position || {};
+    const map = pos.zoneId ? this.zones.get(pos.zoneId) : null;
+    if (map && typeof pos.x === "number" && typeof pos.y === "number") {
+      if (map !== this.zone) this._loadZone(map);
+      this.player.placeAt(pos.x, pos.y);
+      this.net.teleport(pos.x, pos.y, this.zone.id);
+      this.camera.snapTo(pos.x, pos.y);
+      this.moveTarget = null;
+    } else {
+      this._resetPlayerToInn();
+    }
+    this.player.zoneId = this.zone.id;
+    const corpse = data.corpse;
+    this.corpse =
+      corpse && this.zones.has(corpse.zoneId) ? { ...corpse } : null;
+    this.merchants = {};
+    for (const [id, snap] of Object.entries(data.merchants || {})) {
+      const merchant = this.merchantFor(id);
+      if (merchant) merchant.restore(snap);
     }
   }
 
   // ------------- RENDERING -------------
 
-  render(ctx, width, height) {
+  // alpha is how far the engine is between the last simulation step and
+  // the next one; moving entities are drawn interpolated by it.
+  render(ctx, width, height, alpha) {
+    this.scenes.render(ctx, width, height, alpha);
+  }
+
+  // Town + HUD; drawn by the playing scene, under any overlay scenes.
+  _renderWorld(ctx, width, height, alpha) {
     // Background sky
     const sky = ctx.createLinearGradient(0, 0, 0, height);
     sky.addColorStop(0, "#050711");
@@ -375,71 +1879,109 @@ class RactrGame {
     ctx.fillStyle = sky;
     ctx.fillRect(0, 0, width, height);
 
-    const rect = this._getTownRect();
-    this._renderGround(ctx, rect);
-    this._renderBuildings(ctx, rect);
-    this._renderNpcAreaHighlights(ctx, rect);
+    const camera = this.camera;
+    camera.setViewport(width, height);
+    camera.begin(ctx, alpha);
+
+    // Culling works off the interpolated view, with a margin for names
+    // and glows that extend past an entity's footprint.
+    const visible = camera.visibleRect(48, alpha);
+
+    const rect = this.zone.bounds;
+    this._renderGround(ctx, rect, visible);
+    this._renderBuildings(ctx, visible);
+    this._renderNpcAreaHighlights(ctx, visible);
 
     // NPCs
     for (const npc of this.npcs) {
-      this._renderNpc(ctx, npc);
+      if (!camera.isPointVisible(npc.x, npc.y, visible)) continue;
+      this._renderNpc(ctx, npc, alpha);
+    }
+
+    // Other players, as the server last reported them
+    for (const remote of this.net.remotePlayers.inZone(this.zone.id)) {
+      if (!camera.isPointVisible(remote.x, remote.y, visible)) continue;
+      this._renderRemotePlayer(ctx, remote, alpha);
+    }
+
+    for (const fire of this.campfires) {
+      if (!camera.isPointVisible(fire.x, fire.y, visible)) continue;
+      this._renderCampfire(ctx, fire);
+    }
+
+    for (const container of this.containers) {
+      if (!camera.isPointVisible(container.x, container.y, visible)) continue;
+      this._renderContainer(ctx, container);
+    }
+    this._renderLockedPortals(ctx, visible);
+
+    const corpse = this.corpse;
+    if (
+      corpse &&
+      corpse.zoneId === this.zone.id &&
+      camera.isPointVisible(corpse.x, corpse.y, visible)
+    ) {
+      this._renderCorpse(ctx, corpse);
+    }
+
+    // Mobs (corpses under the living)
+    for (const mob of this.mobs) {
+      if (!camera.isPointVisible(mob.x, mob.y, visible)) continue;
+      this._renderMob(ctx, mob, alpha);
     }
 
     // Player
-    this._renderPlayer(ctx, this.player);
+    this._renderPlayer(ctx, this.player, alpha);
+
+    this._renderSpellEffects(ctx);
+    this._renderCombatText(ctx);
+
+    ctx.restore();
 
     // HUD
     this._renderTopBars(ctx, width, height);
+    this._renderTargetFrame(ctx, width, height);
     this._renderRpgPanel(ctx, width, height);
+    this._renderStatusEffects(ctx, width, height);
     this._renderZonePanel(ctx, width, height);
+    this._renderQuestTracker(ctx, width, height);
     this._renderHotbar(ctx, width, height);
     this._renderChatLog(ctx, width, height);
-
-    if (this.state === "intro") {
-      this._renderIntroOverlay(ctx, width, height);
-    }
-  }
-
-  _getTownRect() {
-    const c = this.canvas;
-    const pad = 80;
-    const width = c.clientWidth || c.width || 960;
-    const height = c.clientHeight || c.height || 540;
-    const minX = pad;
-    const maxX = width - pad;
-    const minY = pad + 20;
-    const maxY = height - pad - 40;
-    return {
-      minX,
-      maxX,
-      minY,
-      maxY,
-      width: maxX - minX,
-      height: maxY - minY,
-    };
+    this._renderZoneBanner(ctx, width, height);
   }
 
-  _renderGround(ctx, rect) {
-    const tile = 36;
-    for (let y = rect.minY; y < rect.maxY; y += tile) {
-      for (let x = rect.minX; x < rect.maxX; x += tile) {
-        const n =
-          Math.sin(x * 0.05) * 0.4 + Math.cos(y * 0.04) * 0.4 + Math.random() * 0.1;
-        const g = 120 + Math.round(n * 40);
-        const b = 80 + Math.round(n * 30);
-        ctx.fillStyle = `rgb(30, ${g}, ${b})`;
-        ctx.fillRect(x, y, tile + 1, tile + 1);
-      }
+  _renderGround(ctx, rect, visible) {
+    // Blit only the part of the cached ground that overlaps the view.
+    const sx = Math.max(rect.minX, Math.floor(visible.minX));
+    const sy = Math.max(rect.minY, Math.floor(visible.minY));
+    const ex = Math.min(rect.maxX, Math.ceil(visible.maxX));
+    const ey = Math.min(rect.maxY, Math.ceil(visible.maxY));
+    if (ex > sx && ey > sy) {
+      const w = ex - sx;
+      const h = ey - sy;
+      ctx.drawImage(this._groundCache, sx, sy, w, h, sx, sy, w, h);
     }
 
     // Soft border
     ctx.strokeStyle = "rgba(0,0,0,0.6)";
     ctx.lineWidth = 3;
-    ctx.strokeRect(rect.minX, rect.minY, rect.width, rect.height);
+    ctx.strokeRect(
+      rect.minX,
+      rect.minY,
+      rect.maxX - rect.minX,
+      rect.maxY - rect.minY
+    );
   }
 
-  _renderBuildings(ctx, rect) {
+  _renderBuildings(ctx, visible) {
     for (const b of this.buildings) {
+      // Names are drawn above the roof, so allow a little headroom.
+      if (
+        !this.camera.isRectVisible(b.x, b.y - 16, b.w, b.h + 16, visible)
+      ) {
+        continue;
+      }
+
       // Building base
       ctx.fillStyle = b.color;
       ctx.fillRect(b.x, b.y, b.w, b.h);
@@ -448,10 +1990,6 @@ class RactrGame {
       ctx.fillStyle = b.roofColor;
       ctx.fillRect(b.x, b.y, b.w, 20);
 
-      // Door hint
-      ctx.fillStyle = "#d2c9b0";
-      ctx.fillRect(b.x + b.w / 2 - 8, b.y + b.h - 20, 16, 20);
-
       // Name
       ctx.font =
         "11px system-ui, -apple-system, BlinkMacSystemFont, sans-serif";
@@ -459,9 +1997,41 @@ class RactrGame {
       ctx.textAlign = "center";
       ctx.fillText(b.name, b.x + b.w / 2, b.y - 4);
     }
+
+    // Door hints
+    ctx.fillStyle = "#d2c9b0";
+    for (const d of this.doors) {
+      if (!this.camera.isRectVisible(d.x, d.y, d.w, d.h, visible)) continue;
+      ctx.fillRect(d.x, d.y, d.w, d.h);
+    }
+
+    // Exits and gates: a faint band of light
+    ctx.fillStyle = "rgba(250, 235, 190, 0.18)";
+    for (const o of this.zone.objects) {
+      if (o.type !== "portal") continue;
+      if (!this.camera.isRectVisible(o.x, o.y, o.w, o.h, visible)) continue;
+      ctx.fillRect(o.x, o.y, o.w, o.h);
+    }
+  }
+
+  // Bars across portals the player has not been let through yet.
+  _renderLockedPortals(ctx, visible) {
+    ctx.save();
+    for (const o of this.zone.objects) {
+      if (o.type !== "portal" || !o.requiresFlag) continue;
+      if (this.player.flags[o.requiresFlag]) continue;
+      if (!this.camera.isRectVisible(o.x, o.y, o.w, o.h, visible)) continue;
+      ctx.fillStyle = "rgba(40, 30, 24, 0.85)";
+      ctx.fillRect(o.x, o.y + o.h - 6, o.w, 6);
+      ctx.fillStyle = "#5a4636";
+      for (let x = o.x + 4; x < o.x + o.w; x += 12) {
+        ctx.fillRect(x, o.y, 5, o.h);
+      }
+    }
+    ctx.restore();
   }
 
-  _renderNpcAreaHighlights(ctx, rect) {
+  _renderNpcAreaHighlights(ctx, visible) {
     // Simple hint rings around building front areas (like EQ shops)
     ctx.save();
     ctx.globalAlpha = 0.15;
@@ -469,6 +2039,7 @@ class RactrGame {
     for (const b of this.buildings) {
       const cx = b.x + b.w / 2;
       const cy = b.y + b.h + 10;
+      if (!this.camera.isPointVisible(cx, cy, visible)) continue;
       ctx.beginPath();
       ctx.arc(cx, cy, 36, 0, Math.PI * 2);
       ctx.fill();
@@ -476,24 +2047,40 @@ class RactrGame {
     ctx.restore();
   }
 
-  _renderNpc(ctx, npc) {
+  _renderNpc(ctx, npc, alpha) {
     // Light glow orb + name
     ctx.save();
     const t = this.time;
-    const wobble = 1 + Math.sin(t * 3 + npc.x * 0.04) * 0.1;
-    const r = 12 * wobble;
-
-    const grad = ctx.createRadialGradient(npc.x, npc.y, 0, npc.x, npc.y, r * 1.8);
+    const pos = this._interpolatedPosition(npc, alpha);
+    const wobble = 1 + Math.sin(t * 3 + npc.homeX * 0.04) * 0.1;
+    const r = npc.radius * wobble;
+
+    const grad = ctx.createRadialGradient(
+      pos.x,
+      pos.y,
+      0,
+      pos.x,
+      pos.y,
+      r * 1.8
+    );
     grad.addColorStop(0, "rgba(240, 240, 255, 0.95)");
     grad.addColorStop(1, "rgba(160, 200, 255, 0.05)");
     ctx.fillStyle = grad;
     ctx.beginPath();
-    ctx.arc(npc.x, npc.y, r * 1.8, 0, Math.PI * 2);
+    ctx.arc(pos.x, pos.y, r * 1.8, 0, Math.PI * 2);
     ctx.fill();
 
     ctx.beginPath();
     ctx.fillStyle = "#f4f8ff";
-    ctx.arc(npc.x, npc.y, r * 0.8, 0, Math.PI * 2);
+    ctx.arc(pos.x, pos.y, r * 0.8, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Which way they face
+    const fx = pos.x + Math.cos(npc.facingAngle) * r * 0.8;
+    const fy = pos.y + Math.sin(npc.facingAngle) * r * 0.8;
+    ctx.beginPath();
+    ctx.fillStyle = "rgba(90, 110, 160, 0.9)";
+    ctx.arc(fx, fy, 2.5, 0, Math.PI * 2);
     ctx.fill();
 
     // Name
@@ -501,11 +2088,293 @@ class RactrGame {
       "11px system-ui, -apple-system, BlinkMacSystemFont, sans-serif";
     ctx.textAlign = "center";
     ctx.fillStyle = "rgba(230, 230, 255, 0.96)";
-    ctx.fillText(npc.name, npc.x, npc.y - r - 8);
+    ctx.fillText(npc.name, pos.x, pos.y - r - 8);
+
+    // Quest marker: "!" for a quest on offer, "?" for one to hand in
+    // (grey while it is still unfinished).
+    const quests = this.player.quests.forNpc(npc.id, this.player);
+    const marker = quests.turnIns.length
+      ? { text: "?", color: "#ffd54a" }
+      : quests.offers.length
+      ? { text: "!", color: "#ffd54a" }
+      : quests.pending.length
+      ? { text: "?", color: "rgba(190, 190, 200, 0.9)" }
+      : null;
+    if (marker) {
+      ctx.font =
+        "bold 18px system-ui, -apple-system, BlinkMacSystemFont, sans-serif";
+      ctx.lineWidth = 3;
+      ctx.strokeStyle = "rgba(10, 10, 16, 0.9)";
+      ctx.strokeText(marker.text, pos.x, pos.y - r - 22);
+      ctx.fillStyle = marker.color;
+      ctx.fillText(marker.text, pos.x, pos.y - r - 22);
+    }
+    ctx.restore();
+  }
+
+  _renderMob(ctx, mob, alpha) {
+    const rules = this.combat.rules;
+    const lootable = this._hasLoot(mob);
+    if (!mob.isAlive() && !lootable && mob.deadTime >= rules.corpseTime) {
+      return;
+    }
+    const pos = this._interpolatedPosition(mob, alpha);
+    const r = mob.radius;
+
+    ctx.save();
+    if (!mob.isAlive()) {
+      // Corpse: flattened, and fading out once there is nothing on it.
+      const fade = Math.min(1, mob.deadTime / rules.corpseTime);
+      ctx.globalAlpha = lootable ? 0.5 : 0.5 * (1 - fade);
+      ctx.fillStyle = mob.color;
+      ctx.beginPath();
+      ctx.ellipse(pos.x, pos.y, r * 1.2, r * 0.6, 0, 0, Math.PI * 2);
+      ctx.fill();
+      if (lootable) {
+        // A glint marks corpses worth searching.
+        const pulse = 0.5 + 0.5 * Math.sin(this.state.time * 4);
+        ctx.globalAlpha = 0.5 + 0.4 * pulse;
+        ctx.fillStyle = "#ffe08a";
+        ctx.beginPath();
+        ctx.arc(pos.x + r * 0.4, pos.y - r * 0.2, 2.5, 0, Math.PI * 2);
+        ctx.fill();
+      }
+      ctx.restore();
+      return;
+    }
+
+    // Target ring
+    if (mob === this.target) {
+      ctx.strokeStyle = this.autoAttack
+        ? "rgba(255, 90, 90, 0.95)"
+        : "rgba(255, 220, 120, 0.9)";
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(pos.x, pos.y, r + 6, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+
+    ctx.fillStyle = mob.color;
+    ctx.beginPath();
+    ctx.arc(pos.x, pos.y, r, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = "rgba(20, 10, 10, 0.8)";
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
+
+    // Snout towards where it is heading
+    const a = mob.facingAngle;
+    ctx.fillStyle = "rgba(30, 20, 20, 0.9)";
+    ctx.beginPath();
+    ctx.arc(
+      pos.x + Math.cos(a) * r * 0.8,
+      pos.y + Math.sin(a) * r * 0.8,
+      r * 0.35,
+      0,
+      Math.PI * 2
+    );
+    ctx.fill();
+
+    // Name, level and (once hurt) health
+    ctx.font = "11px system-ui, -apple-system, BlinkMacSystemFont, sans-serif";
+    ctx.textAlign = "center";
+    ctx.fillStyle = "rgba(255, 140, 120, 0.96)";
+    ctx.fillText(`${mob.name} (${mob.level})`, pos.x, pos.y - r - 10);
+    if (mob.health < mob.maxHealth) {
+      const w = r * 2.4;
+      ctx.fillStyle = "rgba(0,0,0,0.7)";
+      ctx.fillRect(pos.x - w / 2, pos.y - r - 7, w, 3);
+      ctx.fillStyle = "#e04848";
+      const hp = mob.health / mob.maxHealth;
+      ctx.fillRect(pos.x - w / 2, pos.y - r - 7, w * hp, 3);
+    }
+    ctx.restore();
+  }
+
+  // A small chest; dark once emptied, and named while the player is near.
+  _renderContainer(ctx, container) {
+    const { x, y } = container;
+    const empty = !!container.loot && !this._hasLoot(container);
+    ctx.save();
+    ctx.fillStyle = "rgba(0, 0, 0, 0.35)";
+    ctx.beginPath();
+    ctx.ellipse(x, y + 9, 14, 4, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = empty ? "#4a3a2a" : "#8a5a2b";
+    ctx.fillRect(x - 12, y - 8, 24, 16);
+    ctx.strokeStyle = "rgba(20, 12, 6, 0.9)";
+    ctx.lineWidth = 1.5;
+    ctx.strokeRect(x - 12, y - 8, 24, 16);
+    ctx.beginPath();
+    ctx.moveTo(x - 12, y - 2);
+    ctx.lineTo(x + 12, y - 2);
+    ctx.stroke();
+    ctx.fillStyle = empty ? "#6a6a6a" : "#f5d76e";
+    ctx.fillRect(x - 2, y - 4, 4, 4);
+
+    const p = this.player;
+    if (Math.hypot(p.x - x, p.y - y) < 120) {
+      ctx.font =
+        "11px system-ui, -apple-system, BlinkMacSystemFont, sans-serif";
+      ctx.textAlign = "center";
+      ctx.fillStyle = empty
+        ? "rgba(200, 200, 200, 0.7)"
+        : "rgba(245, 215, 110, 0.95)";
+      ctx.fillText(container.name, x, y - 14);
+    }
+    ctx.restore();
+  }
+
+  // The player's own corpse: a grave marker with a label.
+  _renderCorpse(ctx, corpse) {
+    ctx.save();
+    ctx.fillStyle = "rgba(0, 0, 0, 0.35)";
+    ctx.beginPath();
+    ctx.ellipse(corpse.x, corpse.y + 8, 12, 4, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = "rgba(200, 205, 215, 0.9)";
+    ctx.fillRect(corpse.x - 2, corpse.y - 12, 4, 20);
+    ctx.fillRect(corpse.x - 7, corpse.y - 6, 14, 4);
+    ctx.font = "10px system-ui, -apple-system, BlinkMacSystemFont, sans-serif";
+    ctx.textAlign = "center";
+    ctx.fillStyle = "rgba(220, 225, 255, 0.9)";
+    ctx.fillText("Your corpse", corpse.x, corpse.y - 18);
+    ctx.restore();
+  }
+
+  // Flickering fire with a faint ring showing where it heals.
+  _renderCampfire(ctx, fire) {
+    const flicker = 0.85 + 0.15 * Math.sin(this.time * 14 + fire.x);
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(fire.x, fire.y, fire.radius, 0, Math.PI * 2);
+    ctx.fillStyle = "rgba(255, 159, 67, 0.06)";
+    ctx.fill();
+    ctx.strokeStyle = "rgba(255, 159, 67, 0.25)";
+    ctx.lineWidth = 1;
+    ctx.stroke();
+
+    ctx.fillStyle = "#4a2f1b";
+    ctx.fillRect(fire.x - 9, fire.y + 2, 18, 4);
+    ctx.beginPath();
+    ctx.arc(fire.x, fire.y - 2, 7 * flicker, 0, Math.PI * 2);
+    ctx.fillStyle = "rgba(255, 159, 67, 0.9)";
+    ctx.fill();
+    ctx.beginPath();
+    ctx.arc(fire.x, fire.y - 1, 3.5 * flicker, 0, Math.PI * 2);
+    ctx.fillStyle = "rgba(255, 236, 160, 0.95)";
+    ctx.fill();
+    ctx.restore();
+  }
+
+  // Spell bolts: a bright streak from caster to target that fades fast.
+  _renderSpellEffects(ctx) {
+    if (!this.spellEffects.length) return;
+    ctx.save();
+    ctx.lineCap = "round";
+    for (const bolt of this.spellEffects) {
+      ctx.globalAlpha = Math.max(0, 1 - bolt.time / 0.3);
+      ctx.strokeStyle = bolt.color;
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      ctx.moveTo(bolt.fromX, bolt.fromY);
+      ctx.lineTo(bolt.toX, bolt.toY);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  // Damage numbers drift up and fade over their lifetime.
+  _renderCombatText(ctx) {
+    if (!this.combatText.length) return;
+    ctx.save();
+    ctx.font =
+      "bold 13px system-ui, -apple-system, BlinkMacSystemFont, sans-serif";
+    ctx.textAlign = "center";
+    for (const t of this.combatText) {
+      const k = t.time / 1.2;
+      ctx.globalAlpha = Math.max(0, 1 - k);
+      ctx.fillStyle = t.color;
+      ctx.fillText(t.text, t.x, t.y - 8 - k * 26);
+    }
+    ctx.restore();
+  }
+
+  // Another player: an orb in their class colour with a facing dot, a
+  // nameplate and, when the server sends it, a health bar.
+  _renderRemotePlayer(ctx, remote, alpha) {
+    const pos = this._interpolatedPosition(remote, alpha);
+    const r = this.player.radius;
+    const classDef = remote.classId ? ractrClass(remote.classId) : null;
+    const color = classDef ? classDef.color : "#b8c4d6";
+
+    ctx.save();
+    const aura = ctx.createRadialGradient(
+      pos.x,
+      pos.y,
+      r * 0.5,
+      pos.x,
+      pos.y,
+      r * 1.9
+    );
+    aura.addColorStop(0, "rgba(255, 255, 255, 0.35)");
+    aura.addColorStop(1, "rgba(0,0,0,0)");
+    ctx.fillStyle = aura;
+    ctx.beginPath();
+    ctx.arc(pos.x, pos.y, r * 1.9, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.beginPath();
+    ctx.fillStyle = color;
+    ctx.arc(pos.x, pos.y, r, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = "rgba(10, 12, 20, 0.8)";
+    ctx.lineWidth = 1;
+    ctx.stroke();
+
+    const fx = pos.x + Math.cos(remote.facingAngle) * r * 0.7;
+    const fy = pos.y + Math.sin(remote.facingAngle) * r * 0.7;
+    ctx.beginPath();
+    ctx.fillStyle = "rgba(255, 255, 255, 0.9)";
+    ctx.arc(fx, fy, 2.5, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.font =
+      "11px system-ui, -apple-system, BlinkMacSystemFont, sans-serif";
+    ctx.textAlign = "center";
+    ctx.fillStyle = "rgba(160, 220, 255, 0.96)";
+    ctx.fillText(`${remote.name} (${remote.level})`, pos.x, pos.y - r - 10);
+    if (remote.maxHealth > 0 && remote.health !== null) {
+      const ratio = Math.max(0, Math.min(1, remote.health / remote.maxHealth));
+      ctx.fillStyle = "rgba(0,0,0,0.6)";
+      ctx.fillRect(pos.x - 16, pos.y - r - 6, 32, 3);
+      ctx.fillStyle = "rgba(120, 220, 120, 0.95)";
+      ctx.fillRect(pos.x - 16, pos.y - r - 6, 32 * ratio, 3);
+    }
     ctx.restore();
   }
 
-  _renderPlayer(ctx, p) {
+  _interpolatedPosition(entity, alpha) {
+    const a = typeof alpha === "number" ? alpha : 1;
+    const fromX = typeof entity.prevX === "number" ? entity.prevX : entity.x;
+    const fromY = typeof entity.prevY === "number" ? entity.prevY : entity.y;
+    return {
+      x: fromX + (entity.x - fromX) * a,
+      y: fromY + (entity.y - fromY) * a,
+    };
+  }
+
+  _renderPlayer(ctx, player, alpha) {
+    // Draw from an interpolated copy so the simulated position is untouched.
+    // A server correction is eased in rather than jumped to.
+    const pos = this._interpolatedPosition(player, alpha);
+    const correction = this.net.prediction;
+    const p = {
+      ...player,
+      x: pos.x + correction.offsetX,
+      y: pos.y + correction.offsetY,
+    };
+
     ctx.save();
     const t = this.time;
     const breath = 0.07 * Math.sin(t * 3) + 1;
@@ -540,6 +2409,17 @@ class RactrGame {
     ctx.arc(p.x, p.y, r * 0.6, 0, Math.PI * 2);
     ctx.fill();
 
+    if (p.resting) {
+      // Sitting: blade lowered, a slow "z" drifting overhead instead.
+      ctx.font =
+        "11px system-ui, -apple-system, BlinkMacSystemFont, sans-serif";
+      ctx.textAlign = "center";
+      ctx.fillStyle = `rgba(220, 235, 255, ${0.5 + 0.3 * Math.sin(t * 2)})`;
+      ctx.fillText("z", p.x + r * 0.8, p.y - r - 6 - 3 * Math.sin(t * 1.5));
+      ctx.restore();
+      return;
+    }
+
     // Facing “blade”
     const angle = p.facingAngle || 0;
     const bladeLen = r + 10;
@@ -585,7 +2465,8 @@ class RactrGame {
     const barY = 32;
 
     // HP
-    const hpRatio = Math.max(0, Math.min(1, p.health / p.maxHealth));
+    const derived = p.derivedStats();
+    const hpRatio = derived.healthRatio;
     ctx.fillStyle = "rgba(0,0,0,0.7)";
     ctx.fillRect(barX, barY, barWidth, barHeight);
     const hpGrad = ctx.createLinearGradient(barX, barY, barX + barWidth, barY);
@@ -599,7 +2480,7 @@ class RactrGame {
     ctx.strokeRect(barX + 0.5, barY + 0.5, barWidth - 1, barHeight - 1);
 
     // MP
-    const mpRatio = Math.max(0, Math.min(1, p.mana / p.maxMana));
+    const mpRatio = derived.manaRatio;
     const mpY = barY + barHeight + 4;
     ctx.fillStyle = "rgba(0,0,0,0.7)";
     ctx.fillRect(barX, mpY, barWidth, barHeight);
@@ -611,6 +2492,39 @@ class RactrGame {
     ctx.strokeStyle = "rgba(255,255,255,0.7)";
     ctx.strokeRect(barX + 0.5, mpY + 0.5, barWidth - 1, barHeight - 1);
 
+    if (p.resting) {
+      ctx.textAlign = "left";
+      ctx.fillStyle = "rgba(190, 230, 200, 0.9)";
+      ctx.fillText("Resting", barX + barWidth + 8, mpY + 9);
+    }
+
+    ctx.restore();
+  }
+
+  // Target name, level and health under the HP/MP bars.
+  _renderTargetFrame(ctx, width, height) {
+    const mob = this.target;
+    if (!mob) return;
+    const w = Math.min(220, width * 0.4);
+    const x = (width - w) / 2;
+    const y = 62;
+
+    ctx.save();
+    ctx.fillStyle = "rgba(5, 6, 10, 0.75)";
+    ctx.fillRect(x, y, w, 30);
+    ctx.font = "11px system-ui, -apple-system, BlinkMacSystemFont, sans-serif";
+    ctx.textAlign = "left";
+    ctx.fillStyle = "rgba(255, 160, 140, 0.96)";
+    ctx.fillText(`${mob.name}  Lv ${mob.level}`, x + 6, y + 12);
+    if (this.autoAttack) {
+      ctx.textAlign = "right";
+      ctx.fillStyle = "rgba(255, 90, 90, 0.95)";
+      ctx.fillText("Attacking", x + w - 6, y + 12);
+    }
+    ctx.fillStyle = "rgba(255,255,255,0.1)";
+    ctx.fillRect(x + 6, y + 18, w - 12, 6);
+    ctx.fillStyle = "#e04848";
+    ctx.fillRect(x + 6, y + 18, ((w - 12) * mob.health) / mob.maxHealth, 6);
     ctx.restore();
   }
 
@@ -653,15 +2567,17 @@ class RactrGame {
     ctx.fillStyle = "rgba(255,255,255,0.95)";
     ctx.font = "11px system-ui, -apple-system, BlinkMacSystemFont, sans-serif";
     ctx.textAlign = "left";
-    ctx.fillText(`${p.name} – ${p.classId}`, 8, y);
+    ctx.fillText(`${p.name} – ${p.classDef().name}`, 8, y);
 
     y += lineHeight;
     const levelLine = `Lv ${p.level}`;
-    const xpLine = `${Math.floor(p.xp)}/${p.xpToNext}`;
+    const xpLine = p.atLevelCap()
+      ? "max"
+      : `${Math.floor(p.xp)}/${p.xpToNext}`;
     ctx.fillStyle = "rgba(190, 210, 255, 0.96)";
     ctx.fillText(`${levelLine} · XP ${xpLine}`, 8, y);
 
-    const xpRatio = Math.max(0, Math.min(1, p.xp / p.xpToNext));
+    const xpRatio = p.derivedStats().xpRatio;
     const xpBarX = 8;
     const xpBarY = y + 3;
     const xpBarWidth = panelWidth - 16;
@@ -679,21 +2595,23 @@ class RactrGame {
     ctx.fillStyle = "rgba(200, 220, 255, 0.9)";
     ctx.fillText(`Mana ${Math.ceil(p.mana)}/${p.maxMana}`, 8, y);
 
+    // Stats as modified by buffs and debuffs.
+    const stats = p.derivedStats();
     y += lineHeight;
     ctx.fillStyle = "rgba(255,255,255,0.85)";
     ctx.fillText(
-      `STR ${Math.round(p.strength)}  AGI ${Math.round(
-        p.agility
-      )}  INT ${Math.round(p.intelligence)}`,
+      `STR ${Math.round(stats.strength)}  AGI ${Math.round(
+        stats.agility
+      )}  INT ${Math.round(stats.intelligence)}`,
       8,
       y
     );
 
     y += lineHeight;
-    const critPercent = (p.critChance * 100).toFixed(1);
+    const critPercent = (stats.critChance * 100).toFixed(1);
     ctx.fillText(
-      `ATK ${Math.round(p.attackPower)}  DEF ${Math.round(
-        p.defense
+      `ATK ${Math.round(stats.attackPower)}  DEF ${Math.round(
+        stats.defense
       )}  Crit ${critPercent}%`,
       8,
       y
@@ -706,6 +2624,58 @@ class RactrGame {
     ctx.restore();
   }
 
+  // Buff and debuff icons under the character panel: buffs first, each
+  // with its stack count and seconds left.
+  _renderStatusEffects(ctx, width, height) {
+    const active = this.player.effects.active;
+    if (!active.length) return;
+    const ordered = active
+      .filter((e) => e.def.kind !== "debuff")
+      .concat(active.filter((e) => e.def.kind === "debuff"));
+    const size = 24;
+    const gap = 4;
+    const y = 126;
+
+    ctx.save();
+    ctx.textAlign = "center";
+    ordered.forEach((effect, i) => {
+      const x = 8 + i * (size + gap);
+      const def = effect.def;
+      ctx.fillStyle = "rgba(5, 6, 10, 0.8)";
+      ctx.fillRect(x, y, size, size);
+      ctx.globalAlpha = 0.75;
+      ctx.fillStyle = def.color;
+      ctx.fillRect(x + 2, y + 2, size - 4, size - 4);
+      ctx.globalAlpha = 1;
+      ctx.strokeStyle =
+        def.kind === "debuff"
+          ? "rgba(255, 90, 90, 0.95)"
+          : "rgba(255,255,255,0.5)";
+      ctx.lineWidth = 1;
+      ctx.strokeRect(x + 0.5, y + 0.5, size - 1, size - 1);
+
+      ctx.font =
+        "bold 10px system-ui, -apple-system, BlinkMacSystemFont, sans-serif";
+      ctx.fillStyle = "rgba(10, 10, 16, 0.95)";
+      ctx.fillText(def.icon, x + size / 2, y + 15);
+      if (effect.stacks > 1) {
+        ctx.textAlign = "right";
+        ctx.fillStyle = "rgba(255,255,255,0.95)";
+        ctx.fillText(`${effect.stacks}`, x + size - 2, y + size - 2);
+        ctx.textAlign = "center";
+      }
+
+      ctx.font = "9px system-ui, -apple-system, BlinkMacSystemFont, sans-serif";
+      ctx.fillStyle = "rgba(255,255,255,0.85)";
+      ctx.fillText(
+        `${Math.ceil(Math.max(0, effect.remaining))}s`,
+        x + size / 2,
+        y + size + 10
+      );
+    });
+    ctx.restore();
+  }
+
   _renderZonePanel(ctx, width, height) {
     const zone = this.zone;
     const padding = 8;
@@ -742,20 +2712,91 @@ class RactrGame {
     ctx.fillStyle = "rgba(210, 225, 255, 0.96)";
     ctx.fillText(zone.name, 8, 13);
 
-    if (zone.levelRange && zone.levelRange.length === 2) {
-      const range = `Lv ${zone.levelRange[0]}–${zone.levelRange[1]}`;
-      ctx.fillStyle = "rgba(180, 200, 255, 0.9)";
-      ctx.fillText(range, 8, 25);
+    // Interiors have no level range; they are always safe.
+    const range =
+      zone.levelRange && zone.levelRange.length === 2
+        ? `Lv ${zone.levelRange[0]}–${zone.levelRange[1]}`
+        : "Safe area";
+    ctx.fillStyle = "rgba(180, 200, 255, 0.9)";
+    ctx.fillText(range, 8, 25);
+
+    const hour = this.state.hour;
+    const minutes = Math.floor((hour % 1) * 60);
+    ctx.textAlign = "right";
+    ctx.fillText(
+      `${Math.floor(hour)}:${String(minutes).padStart(2, "0")}`,
+      w - 8,
+      13
+    );
+
+    ctx.restore();
+  }
+
+  // Open quests and their objectives, under the zone panel.
+  _renderQuestTracker(ctx, width, height) {
+    const log = this.player.quests;
+    const open = log.open();
+    if (!open.length) return;
+    const padding = 8;
+    const w = Math.min(220, width * 0.4);
+    const x = width - w - padding;
+    const lines = [];
+    for (const questId of open) {
+      const complete = log.state(questId, this.player) === "complete";
+      lines.push({ text: RACTR_QUESTS[questId].name, title: true, complete });
+      if (complete) {
+        lines.push({ text: "Ready to hand in", done: true });
+        continue;
+      }
+      for (const o of log.objectives(questId)) {
+        const count = o.needed > 1 ? `: ${o.count}/${o.needed}` : "";
+        lines.push({ text: `- ${o.text}${count}`, done: o.done });
+      }
     }
 
+    ctx.save();
+    ctx.fillStyle = "rgba(5, 6, 10, 0.55)";
+    ctx.fillRect(x, 50, w, lines.length * 14 + 8);
+    ctx.textAlign = "left";
+    lines.forEach((line, i) => {
+      const y = 50 + 15 + i * 14;
+      ctx.font = line.title
+        ? "bold 11px system-ui, -apple-system, BlinkMacSystemFont, sans-serif"
+        : "10px system-ui, -apple-system, BlinkMacSystemFont, sans-serif";
+      ctx.fillStyle = line.title
+        ? line.complete
+          ? "rgba(255, 213, 74, 0.98)"
+          : "rgba(230, 220, 180, 0.98)"
+        : line.done
+        ? "rgba(150, 220, 150, 0.9)"
+        : "rgba(220, 225, 240, 0.9)";
+      ctx.fillText(line.text, x + 8, y, w - 16);
+    });
+    ctx.restore();
+  }
+
+  // Zone name across the top of the screen for a few seconds on arrival.
+  _renderZoneBanner(ctx, width, height) {
+    const banner = this.zoneBanner;
+    if (!banner) return;
+    const t = banner.time;
+    const fade = Math.min(1, t / 0.4, (3 - t) / 0.8);
+    if (fade <= 0) return;
+
+    ctx.save();
+    ctx.globalAlpha = fade;
+    ctx.textAlign = "center";
+    ctx.font = "20px system-ui, -apple-system, BlinkMacSystemFont, sans-serif";
+    ctx.fillStyle = "rgba(255, 240, 210, 0.96)";
+    ctx.fillText(banner.text, width / 2, height * 0.22);
     ctx.restore();
   }
 
   _renderHotbar(ctx, width, height) {
-    const barWidth = Math.min(420, width - 80);
-    const barHeight = 40;
-    const x = (width - barWidth) / 2;
-    const y = height - barHeight - 14;
+    const bar = this._hotbarLayout(width, height);
+    const { x, y } = bar;
+    const barWidth = bar.w;
+    const barHeight = bar.h;
 
     ctx.save();
     ctx.fillStyle = "rgba(5, 6, 12, 0.85)";
@@ -781,39 +2822,99 @@ class RactrGame {
     ctx.fill();
     ctx.stroke();
 
-    const slotCount = this.hotbarSlots.length;
-    const slotWidth = (barWidth - 16) / slotCount;
-    const slotHeight = barHeight - 10;
-    const slotY = y + 5;
-
     ctx.font = "10px system-ui, -apple-system, BlinkMacSystemFont, sans-serif";
     ctx.textAlign = "center";
 
-    for (let i = 0; i < slotCount; i++) {
+    const casting = this.abilities.cast;
+    for (let i = 0; i < this.hotbarSlots.length; i++) {
       const slot = this.hotbarSlots[i];
-      const slotX = x + 8 + i * slotWidth;
-      ctx.strokeStyle = "rgba(255,255,255,0.22)";
+      const r = bar.slots[i];
+      const ability = slot.abilityId
+        ? this.abilities.get(slot.abilityId)
+        : null;
+
+      if (ability) {
+        // Colour strip along the bottom stands in for an icon.
+        ctx.fillStyle = ability.color;
+        ctx.globalAlpha = 0.8;
+        ctx.fillRect(r.x, r.y + r.h - 3, r.w, 3);
+        ctx.globalAlpha = 1;
+      }
+
+      const active = casting && casting.abilityId === slot.abilityId;
+      ctx.strokeStyle = active
+        ? "rgba(245, 215, 110, 0.95)"
+        : "rgba(255,255,255,0.22)";
       ctx.lineWidth = 1;
-      ctx.strokeRect(slotX, slotY, slotWidth - 4, slotHeight);
+      ctx.strokeRect(r.x, r.y, r.w, r.h);
 
       ctx.fillStyle = "rgba(255,255,255,0.3)";
-      ctx.fillText(
-        slot.key,
-        slotX + (slotWidth - 4) / 2,
-        slotY + 10
+      ctx.fillText(slot.key, r.x + r.w / 2, r.y + 10);
+
+      if (!ability) continue;
+      const affordable = this.player.mana >= ability.cost;
+      ctx.fillStyle = affordable
+        ? "rgba(255,255,255,0.85)"
+        : "rgba(140, 160, 255, 0.7)";
+      ctx.fillText(ability.name, r.x + r.w / 2, r.y + 22);
+
+      this._renderCooldownSweep(
+        ctx,
+        r,
+        this.abilities.cooldownFraction(slot.abilityId)
       );
-
-      if (slot.name) {
-        ctx.fillStyle = "rgba(255,255,255,0.85)";
-        ctx.fillText(
-          slot.name,
-          slotX + (slotWidth - 4) / 2,
-          slotY + 22
-        );
-      }
     }
 
     ctx.restore();
+
+    this._renderCastBar(ctx, width, bar.y - 24);
+  }
+
+  // Dark wedge over a slot for the part of its cooldown still to run,
+  // shrinking clockwise from 12 o'clock.
+  _renderCooldownSweep(ctx, rect, fraction) {
+    if (fraction <= 0) return;
+    const cx = rect.x + rect.w / 2;
+    const cy = rect.y + rect.h / 2;
+    const reach = Math.hypot(rect.w, rect.h) / 2;
+    const start = -Math.PI / 2 + (1 - fraction) * Math.PI * 2;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(rect.x, rect.y, rect.w, rect.h);
+    ctx.clip();
+    ctx.beginPath();
+    ctx.moveTo(cx, cy);
+    ctx.arc(cx, cy, reach, start, Math.PI * 1.5);
+    ctx.closePath();
+    ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+    ctx.fill();
+    ctx.restore();
+  }
+
+  // Progress of the current cast, just above the hotbar.
+  _renderCastBar(ctx, width, y) {
+    const cast = this.abilities.cast;
+    if (!cast) return;
+    const ability = this.abilities.get(cast.abilityId);
+    const w = Math.min(200, width * 0.4);
+    const x = (width - w) / 2;
+    const h = 14;
+    const progress = Math.min(1, cast.time / cast.castTime);
+
+    ctx.save();
+    ctx.fillStyle = "rgba(5, 6, 12, 0.85)";
+    ctx.fillRect(x, y, w, h);
+    ctx.fillStyle = ability.color;
+    ctx.fillRect(x + 2, y + 2, (w - 4) * progress, h - 4);
+    ctx.strokeStyle = "rgba(255,255,255,0.3)";
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x + 0.5, y + 0.5, w - 1, h - 1);
+    ctx.font = "10px system-ui, -apple-system, BlinkMacSystemFont, sans-serif";
+    ctx.textAlign = "center";
+    ctx.fillStyle = "rgba(255,255,255,0.95)";
+    ctx.fillText(ability.name, width / 2, y + 10);
+    ctx.restore();
   }
 
   _renderChatLog(ctx, width, height) {
@@ -888,7 +2989,7 @@ class RactrGame {
       centerY + 16
     );
     ctx.fillText(
-      "Move with WASD / arrows. Space to dash. J to talk to NPCs.",
+      "Move with WASD / arrows. Space to dash. J to talk to NPCs. Tab to target, Q to attack.",
       centerX,
       centerY + 36
     );
@@ -907,3 +3008,6 @@ class RactrGame {
 if (typeof window !== "undefined") {
   window.RactrGame = RactrGame;
 }
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { RactrGame };
+}
@@ -0,0 +1,2340 @@
+// RactrGameScenes: the scenes RactrGame runs on its RactrSceneManager.
+// The stack normally looks like [playing] with at most one overlay on top:
+// intro and character creation (at startup), pause menu, character sheet,
+// abilities, bags, loot, a conversation, a shop, a trainer, the quest
+// journal, save slots or game over.
+// Zone changes briefly push a full-screen loading scene. Scenes hold no
+// game state themselves; they route update/render to RactrGame.
+
+const RACTR_UI_FONT = "system-ui, -apple-system, BlinkMacSystemFont, sans-serif";
+
+function ractrPanelPath(ctx, x, y, w, h, radius) {
+  ctx.beginPath();
+  ctx.moveTo(x + radius, y);
+  ctx.lineTo(x + w - radius, y);
+  ctx.quadraticCurveTo(x + w, y, x + w, y + radius);
+  ctx.lineTo(x + w, y + h - radius);
+  ctx.quadraticCurveTo(x + w, y + h, x + w - radius, y + h);
+  ctx.lineTo(x + radius, y + h);
+  ctx.quadraticCurveTo(x, y + h, x, y + h - radius);
+  ctx.lineTo(x, y + radius);
+  ctx.quadraticCurveTo(x, y, x + radius, y);
+  ctx.closePath();
+}
+
+const RACTR_STAT_LABELS = {
+  strength: "Strength",
+  agility: "Agility",
+  intelligence: "Intelligence",
+  attackPower: "Attack",
+  defense: "Defense",
+  critChance: "Critical",
+  moveSpeed: "Movement",
+  dashSpeed: "Dash",
+};
+
+// Short text for an item cell: the initials of its name.
+function ractrItemInitials(item) {
+  return item.name
+    .split(" ")
+    .map((word) => word[0])
+    .join("")
+    .slice(0, 2);
+}
+
+// Tooltip lines for an item: [text, color] pairs, name first.
+function ractrItemTooltipLines(item) {
+  const rarity = RACTR_ITEM_RARITIES[item.rarity] || RACTR_ITEM_RARITIES.common;
+  const lines = [[item.name, rarity.color]];
+  const kind = item.slot
+    ? `${rarity.name} ${item.slot}`
+    : `${rarity.name} ${item.type}`;
+  lines.push([kind, "rgba(190, 210, 255, 0.8)"]);
+  for (const [stat, mod] of Object.entries(item.modifiers || {})) {
+    const label = RACTR_STAT_LABELS[stat] || stat;
+    if (mod.add) {
+      const amount =
+        stat === "critChance" ? `${(mod.add * 100).toFixed(1)}%` : mod.add;
+      lines.push([`${mod.add > 0 ? "+" : ""}${amount} ${label}`, "#9fe89f"]);
+    }
+    if (mod.multiply) {
+      const pct = Math.round((mod.multiply - 1) * 100);
+      lines.push([`${pct > 0 ? "+" : ""}${pct}% ${label}`, "#9fe89f"]);
+    }
+  }
+  if (item.use && item.use.health) {
+    lines.push([`Use: restores ${item.use.health} health`, "#9fe89f"]);
+  }
+  if (item.use && item.use.mana) {
+    lines.push([`Use: restores ${item.use.mana} mana`, "#9fd0ff"]);
+  }
+  if (item.description) {
+    lines.push([item.description, "rgba(245, 215, 110, 0.85)"]);
+  }
+  lines.push([
+    `Weight ${item.weight || 0} · Value ${item.value || 0}g`,
+    "rgba(255,255,255,0.6)",
+  ]);
+  return lines;
+}
+
+// An item icon in the rect r: initials on a rarity-coloured frame, with
+// the stack count in the corner.
+function ractrRenderItemCell(ctx, entry, r) {
+  const item = RACTR_ITEMS[entry.itemId];
+  const rarity = RACTR_ITEM_RARITIES[item.rarity];
+  ctx.fillStyle = "rgba(40, 44, 60, 0.95)";
+  ctx.fillRect(r.x + 2, r.y + 2, r.w - 4, r.h - 4);
+  ctx.strokeStyle = rarity.color;
+  ctx.strokeRect(r.x + 2.5, r.y + 2.5, r.w - 5, r.h - 5);
+  ctx.font = `bold 11px ${RACTR_UI_FONT}`;
+  ctx.textAlign = "center";
+  ctx.fillStyle = rarity.color;
+  ctx.fillText(ractrItemInitials(item), r.x + r.w / 2, r.y + r.h / 2 + 4);
+  if (entry.count > 1) {
+    ctx.font = `9px ${RACTR_UI_FONT}`;
+    ctx.textAlign = "right";
+    ctx.fillStyle = "rgba(255,255,255,0.95)";
+    ctx.fillText(`${entry.count}`, r.x + r.w - 4, r.y + r.h - 4);
+  }
+}
+
+// Draws an item tooltip near (x, y), kept inside the screen.
+function ractrRenderItemTooltip(ctx, item, x, y, width, height) {
+  const lines = ractrItemTooltipLines(item);
+  ctx.save();
+  ctx.font = `11px ${RACTR_UI_FONT}`;
+  const w =
+    16 + Math.max(...lines.map(([text]) => ctx.measureText(text).width));
+  const h = 10 + lines.length * 14;
+  const tx = Math.min(x + 14, width - w - 4);
+  const ty = Math.min(y + 14, height - h - 4);
+  ctx.fillStyle = "rgba(8, 9, 16, 0.96)";
+  ctx.strokeStyle = "rgba(255,255,255,0.25)";
+  ctx.lineWidth = 1;
+  ractrPanelPath(ctx, tx, ty, w, h, 5);
+  ctx.fill();
+  ctx.stroke();
+  ctx.textAlign = "left";
+  lines.forEach(([text, color], i) => {
+    ctx.fillStyle = color;
+    ctx.fillText(text, tx + 8, ty + 16 + i * 14);
+  });
+  ctx.restore();
+}
+
+class RactrPlayingScene extends RactrScene {
+  constructor(game) {
+    super("playing");
+    this.game = game;
+  }
+
+  update(dt, input) {
+    const game = this.game;
+
+    if (input.pressed.cancel) {
+      // Escape drops the current target first, like most MMO clients.
+      if (game.target) {
+        game.clearTarget();
+      } else {
+        this.manager.push(new RactrPauseScene(game));
+      }
+      return;
+    }
+    if (input.pressed.openCharacter) {
+      this.manager.push(new RactrCharacterScene(game));
+      return;
+    }
+    if (input.pressed.openAbilities) {
+      this.manager.push(new RactrAbilityScene(game));
+      return;
+    }
+    if (input.pressed.openInventory) {
+      this.manager.push(new RactrInventoryScene(game));
+      return;
+    }
+    if (input.pressed.openJournal) {
+      this.manager.push(new RactrJournalScene(game));
+      return;
+    }
+
+    game._updatePlaying(dt, input);
+
+    if (game.player.isDead()) {
+      const xpLost = game._onPlayerDeath();
+      this.manager.push(new RactrGameOverScene(game, xpLost), {
+        transition: { type: "fade", duration: 0.6, color: "#1a0004" },
+      });
+    }
+  }
+
+  render(ctx, width, height, alpha) {
+    this.game._renderWorld(ctx, width, height, alpha);
+  }
+}
+
+class RactrIntroScene extends RactrScene {
+  constructor(game) {
+    super("intro", { overlay: true });
+    this.game = game;
+  }
+
+  update(dt, input) {
+    // Space (dash) or Enter (confirm) stands the character up, by way of
+    // character creation for a new one.
+    if (input.pressed.confirm || input.pressed.dash) {
+      input.consume("dash");
+      if (this.game.newCharacter) {
+        this.manager.replace(new RactrCharacterCreationScene(this.game));
+        return;
+      }
+      this.manager.pop();
+      this.game._standUp();
+    }
+  }
+
+  render(ctx, width, height) {
+    this.game._renderIntroOverlay(ctx, width, height);
+  }
+}
+
+// Name and class for a new character. Typing edits the name, Tab or a
+// click picks the class, Enter starts and Esc goes back to the intro.
+// An empty name takes the default one.
+class RactrCharacterCreationScene extends RactrScene {
+  constructor(game) {
+    super("create", { overlay: true });
+    this.game = game;
+    this.classIds = Object.keys(RACTR_CLASSES);
+    this.selected = Math.max(0, this.classIds.indexOf(RACTR_DEFAULT_CLASS_ID));
+    this.characterName = "";
+    this.maxNameLength = 12;
+    this.error = null;
+    this.time = 0;
+    this._pointerWasDown = false;
+  }
+
+  update(dt, input) {
+    const game = this.game;
+    if (input.moveTarget) game._lastMoveTargetId = input.moveTarget.id;
+    this.time += dt;
+
+    for (const ch of input.text) {
+      if (ch === "\b") {
+        this.characterName = this.characterName.slice(0, -1);
+      } else if (
+        /^[a-z]$/i.test(ch) &&
+        this.characterName.length < this.maxNameLength
+      ) {
+        this.characterName += ch;
+      }
+      this.error = null;
+    }
+
+    const p = input.pressed;
+    if (p.cancel) {
+      this.manager.replace(new RactrIntroScene(game));
+      return;
+    }
+    const count = this.classIds.length;
+    if (p.targetNext) this.selected = (this.selected + 1) % count;
+    if (p.confirm) this._begin(input);
+
+    const ptr = input.pointer;
+    if (ptr.down && !this._pointerWasDown) this._click(ptr.x, ptr.y, input);
+    this._pointerWasDown = ptr.down;
+  }
+
+  // Letters only, capitalised, EverQuest style.
+  _formattedName() {
+    const name = this.characterName || RACTR_PLAYER_DEFAULTS.name;
+    return name.charAt(0).toUpperCase() + name.slice(1).toLowerCase();
+  }
+
+  _begin(input) {
+    if (this.characterName && this.characterName.length < 3) {
+      this.error = "Names need at least 3 letters.";
+      return;
+    }
+    input.consume("dash");
+    const game = this.game;
+    game.createCharacter(this._formattedName(), this.classIds[this.selected]);
+    this.manager.pop();
+    game._standUp();
+  }
+
+  _click(px, py, input) {
+    const l = this._layout();
+    l.cards.forEach((r, i) => {
+      if (px >= r.x && px <= r.x + r.w && py >= r.y && py <= r.y + r.h) {
+        this.selected = i;
+      }
+    });
+    const b = l.begin;
+    if (px >= b.x && px <= b.x + b.w && py >= b.y && py <= b.y + b.h) {
+      this._begin(input);
+    }
+  }
+
+  _layout() {
+    const engine = this.game.engine;
+    const cardW = 220;
+    const gap = 16;
+    const count = this.classIds.length;
+    const w = count * cardW + (count - 1) * gap + 40;
+    const h = 360;
+    const x = (engine.viewWidth - w) / 2;
+    const y = Math.max(8, (engine.viewHeight - h) / 2);
+    const cards = this.classIds.map((id, i) => ({
+      x: x + 20 + i * (cardW + gap),
+      y: y + 96,
+      w: cardW,
+      h: 200,
+    }));
+    return {
+      x,
+      y,
+      w,
+      h,
+      field: { x: x + w / 2 - 110, y: y + 50, w: 220, h: 28 },
+      cards,
+      begin: { x: x + w / 2 - 60, y: y + h - 52, w: 120, h: 26 },
+    };
+  }
+
+  render(ctx, width, height) {
+    const l = this._layout();
+
+    ctx.save();
+    ctx.fillStyle = "rgba(0,0,0,0.6)";
+    ctx.fillRect(0, 0, width, height);
+    ctx.fillStyle = "rgba(5, 6, 10, 0.94)";
+    ctx.strokeStyle = "rgba(255,255,255,0.15)";
+    ctx.lineWidth = 1;
+    ractrPanelPath(ctx, l.x, l.y, l.w, l.h, 8);
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.font = `16px ${RACTR_UI_FONT}`;
+    ctx.textAlign = "center";
+    ctx.fillStyle = "rgba(255,255,255,0.96)";
+    ctx.fillText("Create your character", width / 2, l.y + 30);
+
+    // Name field, with the default name greyed out while it is empty.
+    const f = l.field;
+    ctx.fillStyle = "rgba(255,255,255,0.06)";
+    ctx.fillRect(f.x, f.y, f.w, f.h);
+    ctx.strokeStyle = "rgba(245, 215, 110, 0.6)";
+    ctx.strokeRect(f.x + 0.5, f.y + 0.5, f.w - 1, f.h - 1);
+    ctx.font = `14px ${RACTR_UI_FONT}`;
+    ctx.textAlign = "left";
+    const shown = this.characterName ? this._formattedName() : "";
+    ctx.fillStyle = shown ? "rgba(255,255,255,0.96)" : "rgba(255,255,255,0.35)";
+    ctx.fillText(shown || RACTR_PLAYER_DEFAULTS.name, f.x + 10, f.y + 19);
+    if (Math.floor(this.time * 2) % 2 === 0) {
+      const caretX = f.x + 10 + ctx.measureText(shown).width + 1;
+      ctx.fillStyle = "rgba(245, 215, 110, 0.9)";
+      ctx.fillRect(caretX, f.y + 6, 1, f.h - 12);
+    }
+
+    this.classIds.forEach((id, i) => {
+      this._renderClassCard(ctx, RACTR_CLASSES[id], l.cards[i], i);
+    });
+
+    const b = l.begin;
+    ctx.fillStyle = "rgba(245, 215, 110, 0.2)";
+    ctx.fillRect(b.x, b.y, b.w, b.h);
+    ctx.font = `13px ${RACTR_UI_FONT}`;
+    ctx.textAlign = "center";
+    ctx.fillStyle = "rgba(245, 215, 110, 0.95)";
+    ctx.fillText("Begin", b.x + b.w / 2, b.y + 17);
+
+    ctx.font = `11px ${RACTR_UI_FONT}`;
+    if (this.error) {
+      ctx.fillStyle = "rgba(255, 120, 120, 0.95)";
+      ctx.fillText(this.error, width / 2, b.y - 8);
+    }
+    ctx.fillStyle = "rgba(255,255,255,0.5)";
+    ctx.fillText(
+      "Type a name · Tab: class · Enter: begin · Esc: back",
+      width / 2,
+      l.y + l.h - 12
+    );
+    ctx.restore();
+  }
+
+  _renderClassCard(ctx, def, r, index) {
+    const selected = index === this.selected;
+    ctx.fillStyle = selected
+      ? "rgba(245, 215, 110, 0.1)"
+      : "rgba(255,255,255,0.04)";
+    ctx.fillRect(r.x, r.y, r.w, r.h);
+    ctx.strokeStyle = selected
+      ? "rgba(245, 215, 110, 0.8)"
+      : "rgba(255,255,255,0.12)";
+    ctx.strokeRect(r.x + 0.5, r.y + 0.5, r.w - 1, r.h - 1);
+    ctx.fillStyle = def.color;
+    ctx.fillRect(r.x, r.y, 4, r.h);
+
+    ctx.textAlign = "left";
+    ctx.font = `14px ${RACTR_UI_FONT}`;
+    ctx.fillStyle = "rgba(255,255,255,0.96)";
+    ctx.fillText(def.name, r.x + 14, r.y + 22);
+
+    ctx.font = `11px ${RACTR_UI_FONT}`;
+    ctx.fillStyle = "rgba(190, 210, 255, 0.85)";
+    let y = r.y + 40;
+    for (const line of ractrWrapText(ctx, def.description, r.w - 28)) {
+      ctx.fillText(line, r.x + 14, y);
+      y += 14;
+    }
+
+    // Starting stats; anything the class leaves out is the default.
+    const base = { ...RACTR_PLAYER_DEFAULTS, ...def.base };
+    const stats = [
+      ["Health", base.maxHealth],
+      ["Mana", base.baseMaxMana],
+      ["Strength", base.baseStrength],
+      ["Agility", base.baseAgility],
+      ["Intelligence", base.baseIntelligence],
+      ["Critical", `${Math.round(base.baseCritChance * 100)}%`],
+    ];
+    y += 6;
+    stats.forEach(([label, value], i) => {
+      const sx = r.x + 14 + (i % 2) * 100;
+      const sy = y + Math.floor(i / 2) * 15;
+      ctx.fillStyle = "rgba(190, 210, 255, 0.7)";
+      ctx.fillText(label, sx, sy);
+      ctx.fillStyle = "rgba(255,255,255,0.92)";
+      ctx.fillText(`${value}`, sx + 68, sy);
+    });
+
+    const starting = def.skills
+      .filter((skill) => skill.level <= 1 && !skill.cost)
+      .map((skill) => RACTR_ABILITIES[skill.abilityId].name);
+    ctx.fillStyle = "rgba(245, 215, 110, 0.85)";
+    y += 54;
+    for (const line of ractrWrapText(ctx, starting.join(", "), r.w - 28)) {
+      ctx.fillText(line, r.x + 14, y);
+      y += 14;
+    }
+  }
+}
+
+class RactrPauseScene extends RactrScene {
+  constructor(game) {
+    super("paused", { overlay: true });
+    this.game = game;
+    this.items = [
+      { id: "resume", label: "Resume" },
+      { id: "character", label: "Character" },
+      { id: "saves", label: "Save / Load" },
+    ];
+    this.selected = 0;
+  }
+
+  update(dt, input) {
+    const p = input.pressed;
+    if (p.cancel) {
+      this.manager.pop();
+      return;
+    }
+    if (p.up) {
+      this.selected = (this.selected + this.items.length - 1) % this.items.length;
+    }
+    if (p.down) {
+      this.selected = (this.selected + 1) % this.items.length;
+    }
+    if (p.confirm) {
+      const item = this.items[this.selected];
+      if (item.id === "resume") {
+        this.manager.pop();
+      } else if (item.id === "character") {
+        this.manager.replace(new RactrCharacterScene(this.game));
+      } else if (item.id === "saves") {
+        this.manager.replace(new RactrSaveScene(this.game));
+      }
+    }
+  }
+
+  render(ctx, width, height) {
+    ctx.save();
+    ctx.fillStyle = "rgba(0,0,0,0.55)";
+    ctx.fillRect(0, 0, width, height);
+
+    const w = 220;
+    const h = 48 + this.items.length * 24;
+    const x = (width - w) / 2;
+    const y = (height - h) / 2;
+    ctx.fillStyle = "rgba(5, 6, 10, 0.9)";
+    ctx.strokeStyle = "rgba(255,255,255,0.15)";
+    ctx.lineWidth = 1;
+    ractrPanelPath(ctx, x, y, w, h, 8);
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.textAlign = "center";
+    ctx.font = `16px ${RACTR_UI_FONT}`;
+    ctx.fillStyle = "rgba(255,255,255,0.96)";
+    ctx.fillText("Paused", width / 2, y + 24);
+
+    ctx.font = `13px ${RACTR_UI_FONT}`;
+    this.items.forEach((item, i) => {
+      const selected = i === this.selected;
+      ctx.fillStyle = selected
+        ? "rgba(245, 215, 110, 0.98)"
+        : "rgba(255,255,255,0.75)";
+      const label = selected ? `› ${item.label} ‹` : item.label;
+      ctx.fillText(label, width / 2, y + 52 + i * 24);
+    });
+
+    ctx.restore();
+  }
+}
+
+class RactrCharacterScene extends RactrScene {
+  constructor(game) {
+    super("character", { overlay: true });
+    this.game = game;
+  }
+
+  update(dt, input) {
+    if (input.pressed.openCharacter || input.pressed.cancel) {
+      this.manager.pop();
+    }
+  }
+
+  render(ctx, width, height) {
+    const p = this.game.player;
+    const stats = p.derivedStats();
+    // Effective value, with the base value alongside while an effect
+    // changes it.
+    const stat = (key, format) => {
+      const shown = format(stats[key]);
+      const base = format(p[key]);
+      return shown === base ? shown : `${shown} (${base})`;
+    };
+    const whole = (v) => `${Math.round(v)}`;
+    const rows = [
+      ["Level", `${p.level}`],
+      [
+        "Experience",
+        p.atLevelCap()
+          ? "Max level"
+          : `${Math.floor(p.xp)} / ${p.xpToNext}`,
+      ],
+      ["Health", `${Math.ceil(p.health)} / ${p.maxHealth}`],
+      ["Mana", `${Math.ceil(p.mana)} / ${p.maxMana}`],
+      ["Strength", stat("strength", whole)],
+      ["Agility", stat("agility", whole)],
+      ["Intelligence", stat("intelligence", whole)],
+      ["Attack", stat("attackPower", whole)],
+      ["Defense", stat("defense", whole)],
+      ["Critical", stat("critChance", (v) => `${(v * 100).toFixed(1)}%`)],
+      ["Gold", `${p.gold}`],
+    ];
+
+    const w = 260;
+    const h = 58 + rows.length * 16;
+    const x = (width - w) / 2;
+    const y = (height - h) / 2;
+
+    ctx.save();
+    ctx.fillStyle = "rgba(0,0,0,0.35)";
+    ctx.fillRect(0, 0, width, height);
+    ctx.fillStyle = "rgba(5, 6, 10, 0.92)";
+    ctx.strokeStyle = "rgba(255,255,255,0.15)";
+    ctx.lineWidth = 1;
+    ractrPanelPath(ctx, x, y, w, h, 8);
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.font = `14px ${RACTR_UI_FONT}`;
+    ctx.textAlign = "center";
+    ctx.fillStyle = "rgba(255,255,255,0.96)";
+    ctx.fillText(`${p.name} – ${p.classDef().name}`, width / 2, y + 22);
+
+    ctx.font = `12px ${RACTR_UI_FONT}`;
+    rows.forEach(([label, value], i) => {
+      const rowY = y + 46 + i * 16;
+      ctx.textAlign = "left";
+      ctx.fillStyle = "rgba(190, 210, 255, 0.9)";
+      ctx.fillText(label, x + 16, rowY);
+      ctx.textAlign = "right";
+      ctx.fillStyle = "rgba(255,255,255,0.92)";
+      ctx.fillText(value, x + w - 16, rowY);
+    });
+
+    ctx.restore();
+  }
+}
+
+// Abilities window. Drag an ability onto the hotbar to put it there, drag
+// a slot onto another to swap them, or off the bar to empty it. Without a
+// mouse: up/down picks an ability and 1-8 puts it in that slot. The world
+// keeps drawing underneath (hotbar included) but is paused.
+class RactrAbilityScene extends RactrScene {
+  constructor(game) {
+    super("abilities", { overlay: true });
+    this.game = game;
+    // Only what the player has learned.
+    this.abilityIds = game.player.skills.slice();
+    this.selected = 0;
+    // { abilityId, fromSlot } while something is being dragged; fromSlot
+    // is null when it came from the list.
+    this.drag = null;
+    this.pointer = { x: 0, y: 0 };
+    this._pointerWasDown = false;
+  }
+
+  update(dt, input) {
+    const game = this.game;
+    // Clicks made here must not turn into a walk once the window closes.
+    if (input.moveTarget) game._lastMoveTargetId = input.moveTarget.id;
+
+    const p = input.pressed;
+    if (p.openAbilities || p.cancel) {
+      this.manager.pop();
+      return;
+    }
+    const count = this.abilityIds.length;
+    if (p.up) this.selected = (this.selected + count - 1) % count;
+    if (p.down) this.selected = (this.selected + 1) % count;
+    for (let i = 0; i < game.hotbarSlots.length; i++) {
+      if (p[`hotbar${i + 1}`]) {
+        game.assignHotbarSlot(i, this.abilityIds[this.selected]);
+      }
+    }
+
+    const ptr = input.pointer;
+    this.pointer = { x: ptr.x, y: ptr.y };
+    if (ptr.down && !this._pointerWasDown) this._startDrag(ptr.x, ptr.y);
+    if (!ptr.down && this._pointerWasDown) this._drop(ptr.x, ptr.y);
+    this._pointerWasDown = ptr.down;
+  }
+
+  _layout() {
+    const engine = this.game.engine;
+    const w = 300;
+    const rowHeight = 34;
+    const h = 44 + this.abilityIds.length * rowHeight;
+    const x = (engine.viewWidth - w) / 2;
+    // Sit above the hotbar so both are in view while dragging.
+    const y = Math.max(8, (engine.viewHeight - h) / 2 - 40);
+    return { x, y, w, h, rowHeight, rowsY: y + 34 };
+  }
+
+  _rowAt(px, py) {
+    const l = this._layout();
+    if (px < l.x || px > l.x + l.w || py < l.rowsY) return -1;
+    const row = Math.floor((py - l.rowsY) / l.rowHeight);
+    return row < this.abilityIds.length ? row : -1;
+  }
+
+  _startDrag(px, py) {
+    const game = this.game;
+    const row = this._rowAt(px, py);
+    if (row >= 0) {
+      this.selected = row;
+      this.drag = { abilityId: this.abilityIds[row], fromSlot: null };
+      return;
+    }
+    const slot = game._hotbarSlotAt(px, py);
+    if (slot >= 0 && game.hotbarSlots[slot].abilityId) {
+      const abilityId = game.hotbarSlots[slot].abilityId;
+      this.drag = { abilityId, fromSlot: slot };
+    }
+  }
+
+  _drop(px, py) {
+    const drag = this.drag;
+    this.drag = null;
+    if (!drag) return;
+    const game = this.game;
+    const slot = game._hotbarSlotAt(px, py);
+    if (slot >= 0 && drag.fromSlot !== null) {
+      game.swapHotbarSlots(drag.fromSlot, slot);
+    } else if (slot >= 0) {
+      game.assignHotbarSlot(slot, drag.abilityId);
+    } else if (drag.fromSlot !== null && !game._isOverHotbar(px, py)) {
+      game.assignHotbarSlot(drag.fromSlot, null);
+    }
+  }
+
+  render(ctx, width, height) {
+    const game = this.game;
+    const l = this._layout();
+
+    ctx.save();
+    ctx.fillStyle = "rgba(5, 6, 10, 0.92)";
+    ctx.strokeStyle = "rgba(255,255,255,0.15)";
+    ctx.lineWidth = 1;
+    ractrPanelPath(ctx, l.x, l.y, l.w, l.h, 8);
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.font = `14px ${RACTR_UI_FONT}`;
+    ctx.textAlign = "center";
+    ctx.fillStyle = "rgba(255,255,255,0.96)";
+    ctx.fillText("Abilities", width / 2, l.y + 22);
+
+    this.abilityIds.forEach((id, i) => {
+      const ability = game.abilities.get(id);
+      const rowY = l.rowsY + i * l.rowHeight;
+      if (i === this.selected) {
+        ctx.fillStyle = "rgba(245, 215, 110, 0.12)";
+        ctx.fillRect(l.x + 6, rowY, l.w - 12, l.rowHeight - 2);
+      }
+      ctx.fillStyle = ability.color;
+      ctx.fillRect(l.x + 12, rowY + 6, 4, l.rowHeight - 14);
+
+      ctx.textAlign = "left";
+      ctx.font = `12px ${RACTR_UI_FONT}`;
+      ctx.fillStyle = "rgba(255,255,255,0.95)";
+      ctx.fillText(ability.name, l.x + 24, rowY + 14);
+      ctx.font = `10px ${RACTR_UI_FONT}`;
+      ctx.fillStyle = "rgba(190, 210, 255, 0.8)";
+      ctx.fillText(ability.description, l.x + 24, rowY + 27);
+
+      const cast = ability.castTime > 0 ? `${ability.castTime}s` : "Instant";
+      ctx.textAlign = "right";
+      ctx.fillText(
+        `${ability.cost} mana · ${cast} · ${ability.cooldown}s cd`,
+        l.x + l.w - 12,
+        rowY + 14
+      );
+    });
+
+    if (this.drag) {
+      const ability = game.abilities.get(this.drag.abilityId);
+      const slot = game._hotbarSlotAt(this.pointer.x, this.pointer.y);
+      if (slot >= 0) {
+        const r = game._hotbarLayout(width, height).slots[slot];
+        ctx.strokeStyle = "rgba(245, 215, 110, 0.95)";
+        ctx.lineWidth = 2;
+        ctx.strokeRect(r.x, r.y, r.w, r.h);
+      }
+      ctx.globalAlpha = 0.85;
+      ctx.fillStyle = ability.color;
+      ctx.fillRect(this.pointer.x - 30, this.pointer.y - 9, 60, 18);
+      ctx.globalAlpha = 1;
+      ctx.textAlign = "center";
+      ctx.font = `10px ${RACTR_UI_FONT}`;
+      ctx.fillStyle = "#10131c";
+      ctx.fillText(ability.name, this.pointer.x, this.pointer.y + 3);
+    }
+
+    ctx.restore();
+  }
+}
+
+// Bags and equipment. Drag items between bag cells (matching stacks
+// merge), onto the equipment slot they fit, or from a slot back into the
+// bag; hold Shift (splitStack) while dropping to move half a stack.
+// Clicking a selected item again, or Enter, uses or wears it. Without a
+// mouse the arrow keys move the selection and Shift splits the selected
+// stack.
+class RactrInventoryScene extends RactrScene {
+  constructor(game) {
+    super("inventory", { overlay: true });
+    this.game = game;
+    this.columns = 8;
+    this.selected = 0;
+    // { kind: "bag" | "equip", index | slot, startX, startY, moved }
+    this.drag = null;
+    this.hover = null;
+    this.pointer = { x: 0, y: 0 };
+    this._pointerWasDown = false;
+    this._splitPending = false;
+  }
+
+  get player() {
+    return this.game.player;
+  }
+
+  update(dt, input) {
+    const game = this.game;
+    if (input.moveTarget) game._lastMoveTargetId = input.moveTarget.id;
+
+    const p = input.pressed;
+    if (p.openInventory || p.cancel) {
+      this.manager.pop();
+      return;
+    }
+    const bag = this.player.inventory;
+    const cols = this.columns;
+    if (p.left) this.selected = (this.selected + bag.size - 1) % bag.size;
+    if (p.right) this.selected = (this.selected + 1) % bag.size;
+    if (p.up) this.selected = (this.selected + bag.size - cols) % bag.size;
+    if (p.down) this.selected = (this.selected + cols) % bag.size;
+    if (p.confirm) game.activateBagItem(this.selected);
+    // Shift alone splits the selected stack, on release: held through a
+    // drag it splits the dragged stack instead (see _drop).
+    const ptr = input.pointer;
+    if (p.splitStack) {
+      // Shift dashes too by default; don't carry that into play.
+      input.consume("dash");
+      this._splitPending = true;
+    }
+    if (this.drag || ptr.down) this._splitPending = false;
+    if (input.released.splitStack && this._splitPending) {
+      this._splitPending = false;
+      this._splitHalf(this.selected);
+    }
+
+    this.pointer = { x: ptr.x, y: ptr.y };
+    this.hover = this._hitTest(ptr.x, ptr.y);
+    if (ptr.down && !this._pointerWasDown) this._startDrag(ptr.x, ptr.y);
+    if (ptr.down && this.drag) {
+      const d = this.drag;
+      if (Math.hypot(ptr.x - d.startX, ptr.y - d.startY) > 4) d.moved = true;
+    }
+    if (!ptr.down && this._pointerWasDown) this._drop(input.splitStack);
+    this._pointerWasDown = ptr.down;
+  }
+
+  _splitHalf(from, to) {
+    const entry = this.player.inventory.slots[from];
+    if (!entry || entry.count < 2) return false;
+    return this.player.inventory.split(from, Math.floor(entry.count / 2), to);
+  }
+
+  _layout() {
+    const engine = this.game.engine;
+    const cell = 34;
+    const step = cell + 2;
+    const equipWidth = 120;
+    const rows = Math.ceil(this.player.inventory.size / this.columns);
+    const w = 16 + equipWidth + 12 + this.columns * step + 14;
+    const bodyHeight = Math.max(rows * step, RACTR_EQUIPMENT_SLOTS.length * 28);
+    const h = 40 + bodyHeight + 34;
+    const x = (engine.viewWidth - w) / 2;
+    const y = Math.max(8, (engine.viewHeight - h) / 2 - 30);
+    return {
+      x,
+      y,
+      w,
+      h,
+      cell,
+      step,
+      equipX: x + 16,
+      equipWidth,
+      gridX: x + 16 + equipWidth + 12,
+      bodyY: y + 36,
+    };
+  }
+
+  _cellRect(l, index) {
+    return {
+      x: l.gridX + (index % this.columns) * l.step,
+      y: l.bodyY + Math.floor(index / this.columns) * l.step,
+      w: l.cell,
+      h: l.cell,
+    };
+  }
+
+  _equipRect(l, i) {
+    return { x: l.equipX, y: l.bodyY + i * 28, w: l.equipWidth, h: 24 };
+  }
+
+  // What is under a screen point: { kind: "bag", index } or
+  // { kind: "equip", slot }, or null.
+  _hitTest(px, py) {
+    const l = this._layout();
+    const inside = (r) =>
+      px >= r.x && px <= r.x + r.w && py >= r.y && py <= r.y + r.h;
+    for (let i = 0; i < this.player.inventory.size; i++) {
+      if (inside(this._cellRect(l, i))) return { kind: "bag", index: i };
+    }
+    for (let i = 0; i < RACTR_EQUIPMENT_SLOTS.length; i++) {
+      if (inside(this._equipRect(l, i))) {
+        return { kind: "equip", slot: RACTR_EQUIPMENT_SLOTS[i] };
+      }
+    }
+    return null;
+  }
+
+  _startDrag(px, py) {
+    const hit = this._hitTest(px, py);
+    if (!hit) return;
+    if (hit.kind === "bag" && !this.player.inventory.slots[hit.index]) {
+      this.selected = hit.index;
+      return;
+    }
+    if (hit.kind === "equip" && !this.player.equipment.get(hit.slot)) return;
+    this.drag = { ...hit, startX: px, startY: py, moved: false };
+  }
+
+  _drop(splitting) {
+    const drag = this.drag;
+    this.drag = null;
+    if (!drag) return;
+    const game = this.game;
+    const bag = this.player.inventory;
+    const target = this.hover;
+
+    if (!drag.moved) {
+      // A click: select, or use what is already selected.
+      if (drag.kind !== "bag") return;
+      if (this.selected === drag.index) game.activateBagItem(drag.index);
+      this.selected = drag.index;
+      return;
+    }
+    if (!target) return;
+
+    if (drag.kind === "equip") {
+      if (target.kind === "bag") game.unequipItem(drag.slot, target.index);
+      return;
+    }
+    if (target.kind === "equip") {
+      const item = RACTR_ITEMS[bag.slots[drag.index].itemId];
+      if (item.slot === target.slot) game.equipBagItem(drag.index);
+      return;
+    }
+    if (splitting) {
+      this._splitHalf(drag.index, target.index);
+    } else {
+      bag.move(drag.index, target.index);
+    }
+    this.selected = target.index;
+  }
+
+  render(ctx, width, height) {
+    const player = this.player;
+    const bag = player.inventory;
+    const l = this._layout();
+    const dragged = this.drag && this.drag.moved ? this.drag : null;
+
+    ctx.save();
+    ctx.fillStyle = "rgba(5, 6, 10, 0.92)";
+    ctx.strokeStyle = "rgba(255,255,255,0.15)";
+    ctx.lineWidth = 1;
+    ractrPanelPath(ctx, l.x, l.y, l.w, l.h, 8);
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.font = `14px ${RACTR_UI_FONT}`;
+    ctx.textAlign = "center";
+    ctx.fillStyle = "rgba(255,255,255,0.96)";
+    ctx.fillText("Inventory", l.x + l.w / 2, l.y + 22);
+
+    // Equipment column
+    RACTR_EQUIPMENT_SLOTS.forEach((slot, i) => {
+      const r = this._equipRect(l, i);
+      const itemId = player.equipment.get(slot);
+      const item = itemId ? RACTR_ITEMS[itemId] : null;
+      const hovered =
+        this.hover && this.hover.kind === "equip" && this.hover.slot === slot;
+      ctx.fillStyle = hovered
+        ? "rgba(255,255,255,0.08)"
+        : "rgba(255,255,255,0.03)";
+      ctx.fillRect(r.x, r.y, r.w, r.h);
+      ctx.strokeStyle = item
+        ? RACTR_ITEM_RARITIES[item.rarity].color
+        : "rgba(255,255,255,0.15)";
+      ctx.strokeRect(r.x + 0.5, r.y + 0.5, r.w - 1, r.h - 1);
+      ctx.textAlign = "left";
+      ctx.font = `9px ${RACTR_UI_FONT}`;
+      ctx.fillStyle = "rgba(190, 210, 255, 0.7)";
+      ctx.fillText(slot.toUpperCase(), r.x + 5, r.y + 9);
+      if (item) {
+        ctx.font = `10px ${RACTR_UI_FONT}`;
+        ctx.fillStyle = RACTR_ITEM_RARITIES[item.rarity].color;
+        ctx.fillText(item.name, r.x + 5, r.y + 20);
+      }
+    });
+
+    // Bag grid
+    ctx.textAlign = "center";
+    for (let i = 0; i < bag.size; i++) {
+      const r = this._cellRect(l, i);
+      const entry = bag.slots[i];
+      ctx.fillStyle = "rgba(255,255,255,0.04)";
+      ctx.fillRect(r.x, r.y, r.w, r.h);
+      const lifted = dragged && dragged.kind === "bag" && dragged.index === i;
+      if (entry && !lifted) ractrRenderItemCell(ctx, entry, r);
+      ctx.strokeStyle =
+        i === this.selected
+          ? "rgba(245, 215, 110, 0.95)"
+          : "rgba(255,255,255,0.14)";
+      ctx.strokeRect(r.x + 0.5, r.y + 0.5, r.w - 1, r.h - 1);
+    }
+
+    // Footer: weight and gold
+    const stats = player.derivedStats();
+    ctx.font = `11px ${RACTR_UI_FONT}`;
+    ctx.textAlign = "left";
+    ctx.fillStyle =
+      stats.carried > stats.capacity
+        ? "rgba(255, 120, 120, 0.95)"
+        : "rgba(255,255,255,0.75)";
+    ctx.fillText(
+      `Weight ${stats.carried.toFixed(1)} / ${Math.round(stats.capacity)}`,
+      l.gridX,
+      l.y + l.h - 12
+    );
+    ctx.textAlign = "right";
+    ctx.fillStyle = "rgba(245, 215, 110, 0.9)";
+    ctx.fillText(`Gold ${player.gold}`, l.x + l.w - 14, l.y + l.h - 12);
+
+    if (dragged) {
+      const itemId =
+        dragged.kind === "bag"
+          ? bag.slots[dragged.index].itemId
+          : player.equipment.get(dragged.slot);
+      const entry = { itemId, count: 1 };
+      if (dragged.kind === "bag") entry.count = bag.slots[dragged.index].count;
+      ractrRenderItemCell(ctx, entry, {
+        x: this.pointer.x - l.cell / 2,
+        y: this.pointer.y - l.cell / 2,
+        w: l.cell,
+        h: l.cell,
+      });
+    } else {
+      const shown = this._tooltipItem();
+      if (shown) {
+        ractrRenderItemTooltip(
+          ctx,
+          shown,
+          this.pointer.x,
+          this.pointer.y,
+          width,
+          height
+        );
+      }
+    }
+    ctx.restore();
+  }
+
+  // The hovered item, if any.
+  _tooltipItem() {
+    const hit = this.hover;
+    if (!hit) return null;
+    const itemId =
+      hit.kind === "bag"
+        ? (this.player.inventory.slots[hit.index] || {}).itemId
+        : this.player.equipment.get(hit.slot);
+    return itemId ? RACTR_ITEMS[itemId] : null;
+  }
+}
+
+// What a corpse or container holds. Click a row, or pick one with up/down
+// and press Enter, to take it; Space (dash) or the button takes
+// everything. Closes by itself once nothing is left.
+class RactrLootScene extends RactrScene {
+  constructor(game, source) {
+    super("loot", { overlay: true });
+    this.game = game;
+    this.source = source;
+    this.selected = 0;
+    this.hover = -1;
+    this.pointer = { x: 0, y: 0 };
+    this._pointerWasDown = false;
+  }
+
+  // One row per thing to take: gold first, then items in roll order.
+  _rows() {
+    const loot = this.source.loot;
+    if (!loot) return [];
+    const rows = loot.gold > 0 ? [{ kind: "gold" }] : [];
+    loot.items.forEach((entry, index) =>
+      rows.push({ kind: "item", index, entry })
+    );
+    return rows;
+  }
+
+  _take(row) {
+    if (row.kind === "gold") this.game.takeLootGold(this.source);
+    else this.game.takeLootItem(this.source, row.index);
+  }
+
+  update(dt, input) {
+    const game = this.game;
+    if (input.moveTarget) game._lastMoveTargetId = input.moveTarget.id;
+
+    const p = input.pressed;
+    if (p.cancel || p.interact || !game._hasLoot(this.source)) {
+      this.manager.pop();
+      return;
+    }
+    const rows = this._rows();
+    this.selected = Math.min(this.selected, rows.length - 1);
+    if (p.up) this.selected = (this.selected + rows.length - 1) % rows.length;
+    if (p.down) this.selected = (this.selected + 1) % rows.length;
+    if (p.confirm) this._take(rows[this.selected]);
+    if (p.dash) {
+      input.consume("dash");
+      game.lootAll(this.source);
+    }
+
+    const ptr = input.pointer;
+    this.pointer = { x: ptr.x, y: ptr.y };
+    const l = this._layout(rows.length);
+    this.hover = this._rowAt(l, rows.length, ptr.x, ptr.y);
+    if (ptr.down && !this._pointerWasDown) {
+      if (this.hover >= 0) {
+        this.selected = this.hover;
+        this._take(rows[this.hover]);
+      } else if (this._inside(l.button, ptr.x, ptr.y)) {
+        game.lootAll(this.source);
+      }
+    }
+    this._pointerWasDown = ptr.down;
+  }
+
+  _layout(rowCount) {
+    const engine = this.game.engine;
+    const rowHeight = 30;
+    const w = 260;
+    const h = 40 + rowCount * rowHeight + 46;
+    const x = (engine.viewWidth - w) / 2;
+    const y = Math.max(8, (engine.viewHeight - h) / 2 - 40);
+    const rowsY = y + 34;
+    return {
+      x,
+      y,
+      w,
+      h,
+      rowHeight,
+      rowsY,
+      button: { x: x + w / 2 - 50, y: y + h - 36, w: 100, h: 22 },
+    };
+  }
+
+  _inside(r, px, py) {
+    return px >= r.x && px <= r.x + r.w && py >= r.y && py <= r.y + r.h;
+  }
+
+  _rowAt(l, rowCount, px, py) {
+    if (px < l.x + 6 || px > l.x + l.w - 6 || py < l.rowsY) return -1;
+    const i = Math.floor((py - l.rowsY) / l.rowHeight);
+    return i < rowCount ? i : -1;
+  }
+
+  render(ctx, width, height) {
+    const rows = this._rows();
+    const l = this._layout(rows.length);
+
+    ctx.save();
+    ctx.fillStyle = "rgba(5, 6, 10, 0.92)";
+    ctx.strokeStyle = "rgba(255,255,255,0.15)";
+    ctx.lineWidth = 1;
+    ractrPanelPath(ctx, l.x, l.y, l.w, l.h, 8);
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.font = `14px ${RACTR_UI_FONT}`;
+    ctx.textAlign = "center";
+    ctx.fillStyle = "rgba(255,255,255,0.96)";
+    ctx.fillText(this.source.name, l.x + l.w / 2, l.y + 22);
+
+    rows.forEach((row, i) => {
+      const rowY = l.rowsY + i * l.rowHeight;
+      if (i === this.selected || i === this.hover) {
+        ctx.fillStyle =
+          i === this.selected
+            ? "rgba(245, 215, 110, 0.12)"
+            : "rgba(255,255,255,0.06)";
+        ctx.fillRect(l.x + 6, rowY, l.w - 12, l.rowHeight - 2);
+      }
+      const icon = { x: l.x + 10, y: rowY, w: 28, h: 28 };
+      ctx.textAlign = "left";
+      ctx.font = `12px ${RACTR_UI_FONT}`;
+      if (row.kind === "gold") {
+        ctx.fillStyle = "#f5d76e";
+        ctx.beginPath();
+        ctx.arc(icon.x + 14, rowY + 14, 8, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillText(`${this.source.loot.gold} gold`, l.x + 46, rowY + 18);
+        return;
+      }
+      ractrRenderItemCell(ctx, row.entry, icon);
+      const item = RACTR_ITEMS[row.entry.itemId];
+      ctx.textAlign = "left";
+      ctx.font = `12px ${RACTR_UI_FONT}`;
+      ctx.fillStyle = RACTR_ITEM_RARITIES[item.rarity].color;
+      const count = row.entry.count > 1 ? ` x ${row.entry.count}` : "";
+      ctx.fillText(`${item.name}${count}`, l.x + 46, rowY + 18);
+    });
+
+    const b = l.button;
+    ctx.fillStyle = "rgba(245, 215, 110, 0.18)";
+    ctx.strokeStyle = "rgba(245, 215, 110, 0.6)";
+    ractrPanelPath(ctx, b.x, b.y, b.w, b.h, 4);
+    ctx.fill();
+    ctx.stroke();
+    ctx.font = `11px ${RACTR_UI_FONT}`;
+    ctx.textAlign = "center";
+    ctx.fillStyle = "rgba(255,255,255,0.95)";
+    ctx.fillText("Take all", b.x + b.w / 2, b.y + 15);
+
+    const hovered = rows[this.hover];
+    if (hovered && hovered.kind === "item") {
+      ractrRenderItemTooltip(
+        ctx,
+        RACTR_ITEMS[hovered.entry.itemId],
+        this.pointer.x,
+        this.pointer.y,
+        width,
+        height
+      );
+    }
+    ctx.restore();
+  }
+}
+
+// A conversation with an NPC. The NPC's words sit on top with their
+// [keywords] highlighted; clicking one says it. Below are the numbered
+// responses: click one, press its number, or pick with up/down and Enter.
+// Esc walks away.
+class RactrDialogueScene extends RactrScene {
+  constructor(game, npc, conversation) {
+    super("dialogue", { overlay: true });
+    this.game = game;
+    this.npc = npc;
+    this.conversation = conversation;
+    this.selected = 0;
+    this.hover = -1;
+    this._pointerWasDown = false;
+  }
+
+  update(dt, input) {
+    const game = this.game;
+    if (input.moveTarget) game._lastMoveTargetId = input.moveTarget.id;
+
+    const p = input.pressed;
+    if (p.cancel) {
+      this.manager.pop();
+      return;
+    }
+    const responses = this.conversation.listed();
+    const count = responses.length;
+    if (count) {
+      if (p.up) this.selected = (this.selected + count - 1) % count;
+      if (p.down) this.selected = (this.selected + 1) % count;
+    }
+    for (let i = 0; i < Math.min(count, 8); i++) {
+      if (p[`hotbar${i + 1}`]) {
+        this._choose(responses[i]);
+        return;
+      }
+    }
+    if (p.confirm && count) {
+      this._choose(responses[this.selected]);
+      return;
+    }
+
+    const ptr = input.pointer;
+    const l = this._layout();
+    this.hover = l.responses.findIndex((r) => this._inside(r, ptr.x, ptr.y));
+    if (ptr.down && !this._pointerWasDown) {
+      const keyword = l.keywords.find((k) => this._inside(k, ptr.x, ptr.y));
+      if (keyword && keyword.response) {
+        this._choose(keyword.response, keyword.word);
+      } else if (this.hover >= 0) {
+        this._choose(responses[this.hover]);
+      }
+    }
+    this._pointerWasDown = ptr.down;
+  }
+
+  _choose(response, said) {
+    const game = this.game;
+    const conversation = this.conversation;
+    const actions = game.sayDialogueResponse(
+      this.npc,
+      conversation,
+      response,
+      said
+    );
+    this.selected = 0;
+    if (conversation.ended) this.manager.pop();
+    game.runDialogueActions(actions, this.npc);
+  }
+
+  _inside(r, px, py) {
+    return px >= r.x && px <= r.x + r.w && py >= r.y && py <= r.y + r.h;
+  }
+
+  // Word-wraps the NPC's text and places the responses under it. Returns
+  // { x, y, w, h, lines, keywords, responses }: lines of
+  // { text, x, y, keyword }, keyword hit boxes { x, y, w, h, word,
+  // response }, and one hit box per listed response.
+  _layout() {
+    const game = this.game;
+    const ctx = game.ctx;
+    const conversation = this.conversation;
+    const w = 440;
+    const x = (game.engine.viewWidth - w) / 2;
+    const textWidth = w - 32;
+    const lineHeight = 17;
+
+    ctx.save();
+    ctx.font = `13px ${RACTR_UI_FONT}`;
+    const space = ctx.measureText(" ").width;
+    // Words, with each [keyword] phrase kept together as one unit.
+    const units = [];
+    conversation.text().split(/(\[[^\]]+\])/).forEach((part) => {
+      if (!part) return;
+      if (part.startsWith("[")) {
+        units.push({ text: part, word: part.slice(1, -1) });
+      } else {
+        for (const word of part.split(/\s+/)) {
+          if (word) units.push({ text: word, word: null });
+        }
+      }
+    });
+    const pieces = [];
+    let cx = 0;
+    let row = 0;
+    for (const unit of units) {
+      const uw = ctx.measureText(unit.text).width;
+      // Punctuation right after a keyword stays on its line.
+      const glued = /^[.,!?;:]/.test(unit.text);
+      if (cx > 0 && cx + (glued ? 0 : space) + uw > textWidth) {
+        cx = 0;
+        row += 1;
+      } else if (cx > 0 && !glued) {
+        cx += space;
+      }
+      pieces.push({ ...unit, dx: cx, row, width: uw });
+      cx += uw;
+    }
+    ctx.restore();
+
+    const responses = conversation.listed();
+    const textHeight = (row + 1) * lineHeight;
+    const h = 40 + textHeight + 14 + responses.length * 24 + 30;
+    const y = Math.max(8, game.engine.viewHeight - h - 110);
+    const textY = y + 40;
+
+    const lines = pieces.map((piece) => ({
+      text: piece.text,
+      keyword: piece.word,
+      x: x + 16 + piece.dx,
+      y: textY + piece.row * lineHeight,
+    }));
+    const keywords = pieces
+      .filter((piece) => piece.word)
+      .map((piece) => ({
+        x: x + 16 + piece.dx,
+        y: textY + piece.row * lineHeight - 12,
+        w: piece.width,
+        h: lineHeight,
+        word: piece.word,
+        response: conversation.forKeyword(piece.word),
+      }));
+    const listY = textY + textHeight + 6;
+    const responseBoxes = responses.map((r, i) => ({
+      x: x + 10,
+      y: listY + i * 24,
+      w: w - 20,
+      h: 22,
+    }));
+    return { x, y, w, h, lines, keywords, responses: responseBoxes };
+  }
+
+  render(ctx, width, height) {
+    const l = this._layout();
+    const responses = this.conversation.listed();
+
+    ctx.save();
+    ctx.fillStyle = "rgba(5, 6, 10, 0.92)";
+    ctx.strokeStyle = "rgba(255,255,255,0.15)";
+    ctx.lineWidth = 1;
+    ractrPanelPath(ctx, l.x, l.y, l.w, l.h, 8);
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.font = `14px ${RACTR_UI_FONT}`;
+    ctx.textAlign = "left";
+    ctx.fillStyle = "rgba(230, 230, 255, 0.96)";
+    ctx.fillText(this.npc.name, l.x + 16, l.y + 22);
+
+    ctx.font = `13px ${RACTR_UI_FONT}`;
+    for (const piece of l.lines) {
+      const keyword =
+        piece.keyword && l.keywords.find((k) => k.word === piece.keyword);
+      const live = keyword && keyword.response;
+      ctx.fillStyle = live
+        ? "rgba(245, 215, 110, 0.98)"
+        : "rgba(255,255,255,0.9)";
+      ctx.fillText(piece.text, piece.x, piece.y);
+    }
+
+    responses.forEach((response, i) => {
+      const r = l.responses[i];
+      if (i === this.selected || i === this.hover) {
+        ctx.fillStyle =
+          i === this.selected
+            ? "rgba(245, 215, 110, 0.12)"
+            : "rgba(255,255,255,0.06)";
+        ctx.fillRect(r.x, r.y, r.w, r.h);
+      }
+      ctx.font = `12px ${RACTR_UI_FONT}`;
+      ctx.fillStyle = "rgba(160, 200, 255, 0.95)";
+      ctx.fillText(`${i + 1}. ${response.text}`, r.x + 8, r.y + 15);
+    });
+
+    ctx.font = `10px ${RACTR_UI_FONT}`;
+    ctx.textAlign = "right";
+    ctx.fillStyle = "rgba(255,255,255,0.5)";
+    ctx.fillText("Esc: leave", l.x + l.w - 14, l.y + l.h - 10);
+    ctx.restore();
+  }
+}
+
+// A merchant's shop with Buy, Sell and Buyback tabs. Left/right or a click
+// on a tab switches tabs; up/down picks a row. Enter or a click trades one
+// item, Shift (dash) a whole stack. Only bag items can be sold, not worn
+// gear.
+class RactrShopScene extends RactrScene {
+  constructor(game, merchant, npc) {
+    super("shop", { overlay: true });
+    this.game = game;
+    this.merchant = merchant;
+    this.npc = npc;
+    this.tabs = ["buy", "sell", "buyback"];
+    this.tab = 0;
+    this.selected = 0;
+    this.scroll = 0;
+    this.visibleRows = 9;
+    this.hover = -1;
+    this.pointer = { x: 0, y: 0 };
+    this._pointerWasDown = false;
+  }
+
+  // Rows for the current tab: { itemId, count, price, note, index }.
+  _rows() {
+    const merchant = this.merchant;
+    const tab = this.tabs[this.tab];
+    if (tab === "buy") {
+      return merchant.stock.map((s, index) => {
+        let note = "";
+        if (s.quantity !== null) {
+          note = s.quantity > 0 ? `${s.quantity} left` : "Sold out";
+        }
+        return { itemId: s.itemId, count: 1, price: s.price, note, index };
+      });
+    }
+    if (tab === "buyback") {
+      return merchant.buyback.map((b, index) => ({
+        itemId: b.itemId,
+        count: b.count,
+        price: b.price * b.count,
+        note: "",
+        index,
+      }));
+    }
+    const rows = [];
+    this.game.player.inventory.slots.forEach((slot, index) => {
+      if (!slot) return;
+      const price = merchant.sellPrice(slot.itemId);
+      rows.push({
+        itemId: slot.itemId,
+        count: slot.count,
+        price,
+        note: price > 0 ? "each" : "Won't buy",
+        index,
+      });
+    });
+    return rows;
+  }
+
+  // One item, or with `stack` a full stack (buy), the whole slot (sell).
+  _trade(row, stack) {
+    const game = this.game;
+    const tab = this.tabs[this.tab];
+    if (tab === "buy") {
+      const entry = this.merchant.stock[row.index];
+      let count = 1;
+      const item = ractrItem(row.itemId);
+      if (stack && item.stackable) {
+        count = item.maxStack || 1;
+        if (entry.quantity !== null) count = Math.min(count, entry.quantity);
+      }
+      game.buyFromMerchant(this.merchant, row.index, Math.max(1, count));
+    } else if (tab === "sell") {
+      game.sellToMerchant(this.merchant, row.index, stack ? undefined : 1);
+    } else {
+      game.buybackFromMerchant(this.merchant, row.index);
+    }
+  }
+
+  _switchTab(tab) {
+    this.tab = (tab + this.tabs.length) % this.tabs.length;
+    this.selected = 0;
+    this.scroll = 0;
+  }
+
+  update(dt, input) {
+    const game = this.game;
+    if (input.moveTarget) game._lastMoveTargetId = input.moveTarget.id;
+
+    const p = input.pressed;
+    if (p.cancel || p.interact) {
+      this.manager.pop();
+      return;
+    }
+    if (p.left) this._switchTab(this.tab - 1);
+    if (p.right) this._switchTab(this.tab + 1);
+
+    let rows = this._rows();
+    if (rows.length) {
+      if (p.up) this.selected = (this.selected + rows.length - 1) % rows.length;
+      if (p.down) this.selected = (this.selected + 1) % rows.length;
+      if (p.confirm) this._trade(rows[this.selected], false);
+      if (p.dash) {
+        input.consume("dash");
+        this._trade(rows[this.selected], true);
+      }
+    }
+
+    const ptr = input.pointer;
+    this.pointer = { x: ptr.x, y: ptr.y };
+    const l = this._layout();
+    this.hover = this._rowAt(l, rows.length, ptr.x, ptr.y);
+    if (ptr.down && !this._pointerWasDown) {
+      const tab = this._tabAt(l, ptr.x, ptr.y);
+      if (tab >= 0) {
+        this._switchTab(tab);
+      } else if (this.hover >= 0) {
+        this.selected = this.hover;
+        this._trade(rows[this.hover], input.dash);
+      }
+    }
+    this._pointerWasDown = ptr.down;
+
+    // Trades can shrink the list; keep the selection on it and in view.
+    rows = this._rows();
+    this.selected = Math.max(0, Math.min(this.selected, rows.length - 1));
+    if (this.selected < this.scroll) this.scroll = this.selected;
+    if (this.selected >= this.scroll + this.visibleRows) {
+      this.scroll = this.selected - this.visibleRows + 1;
+    }
+    this.scroll = Math.max(
+      0,
+      Math.min(this.scroll, rows.length - this.visibleRows)
+    );
+  }
+
+  _layout() {
+    const engine = this.game.engine;
+    const rowHeight = 30;
+    const w = 340;
+    const h = 76 + this.visibleRows * rowHeight + 40;
+    const x = (engine.viewWidth - w) / 2;
+    const y = Math.max(8, (engine.viewHeight - h) / 2 - 30);
+    const tabW = (w - 24) / this.tabs.length;
+    return { x, y, w, h, rowHeight, tabW, tabY: y + 34, rowsY: y + 66 };
+  }
+
+  _tabAt(l, px, py) {
+    if (py < l.tabY || py > l.tabY + 22) return -1;
+    const i = Math.floor((px - l.x - 12) / l.tabW);
+    return i >= 0 && i < this.tabs.length ? i : -1;
+  }
+
+  // Index into the tab's rows (scroll included), or -1.
+  _rowAt(l, rowCount, px, py) {
+    if (px < l.x + 6 || px > l.x + l.w - 6 || py < l.rowsY) return -1;
+    const i = Math.floor((py - l.rowsY) / l.rowHeight);
+    if (i >= this.visibleRows) return -1;
+    return i + this.scroll < rowCount ? i + this.scroll : -1;
+  }
+
+  render(ctx, width, height) {
+    const l = this._layout();
+    const rows = this._rows();
+    const labels = { buy: "Buy", sell: "Sell", buyback: "Buyback" };
+
+    ctx.save();
+    ctx.fillStyle = "rgba(5, 6, 10, 0.92)";
+    ctx.strokeStyle = "rgba(255,255,255,0.15)";
+    ctx.lineWidth = 1;
+    ractrPanelPath(ctx, l.x, l.y, l.w, l.h, 8);
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.font = `14px ${RACTR_UI_FONT}`;
+    ctx.textAlign = "center";
+    ctx.fillStyle = "rgba(255,255,255,0.96)";
+    ctx.fillText(this.npc.name, l.x + l.w / 2, l.y + 22);
+
+    this.tabs.forEach((tab, i) => {
+      const tx = l.x + 12 + i * l.tabW;
+      ctx.fillStyle =
+        i === this.tab ? "rgba(245, 215, 110, 0.2)" : "rgba(255,255,255,0.05)";
+      ctx.fillRect(tx + 2, l.tabY, l.tabW - 4, 22);
+      ctx.font = `12px ${RACTR_UI_FONT}`;
+      ctx.fillStyle =
+        i === this.tab ? "rgba(245, 215, 110, 0.95)" : "rgba(255,255,255,0.7)";
+      ctx.fillText(labels[tab], tx + l.tabW / 2, l.tabY + 15);
+    });
+
+    if (!rows.length) {
+      ctx.font = `12px ${RACTR_UI_FONT}`;
+      ctx.fillStyle = "rgba(255,255,255,0.5)";
+      const empty =
+        this.tabs[this.tab] === "sell"
+          ? "You have nothing to sell."
+          : "Nothing here.";
+      ctx.fillText(empty, l.x + l.w / 2, l.rowsY + 20);
+    }
+
+    const shown = rows.slice(this.scroll, this.scroll + this.visibleRows);
+    shown.forEach((row, i) => {
+      const index = i + this.scroll;
+      const rowY = l.rowsY + i * l.rowHeight;
+      if (index === this.selected || index === this.hover) {
+        ctx.fillStyle =
+          index === this.selected
+            ? "rgba(245, 215, 110, 0.12)"
+            : "rgba(255,255,255,0.06)";
+        ctx.fillRect(l.x + 6, rowY, l.w - 12, l.rowHeight - 2);
+      }
+      ractrRenderItemCell(ctx, row, { x: l.x + 10, y: rowY, w: 28, h: 28 });
+      const item = RACTR_ITEMS[row.itemId];
+      ctx.textAlign = "left";
+      ctx.font = `12px ${RACTR_UI_FONT}`;
+      ctx.fillStyle = RACTR_ITEM_RARITIES[item.rarity].color;
+      ctx.fillText(item.name, l.x + 46, rowY + 13);
+      ctx.font = `10px ${RACTR_UI_FONT}`;
+      ctx.fillStyle = "rgba(190, 210, 255, 0.7)";
+      ctx.fillText(row.note, l.x + 46, rowY + 25);
+      ctx.textAlign = "right";
+      ctx.font = `12px ${RACTR_UI_FONT}`;
+      ctx.fillStyle = "rgba(245, 215, 110, 0.95)";
+      if (row.price > 0) {
+        ctx.fillText(`${row.price}g`, l.x + l.w - 14, rowY + 18);
+      }
+    });
+
+    ctx.font = `11px ${RACTR_UI_FONT}`;
+    ctx.textAlign = "left";
+    ctx.fillStyle = "rgba(245, 215, 110, 0.9)";
+    ctx.fillText(`Gold ${this.game.player.gold}`, l.x + 14, l.y + l.h - 14);
+    ctx.textAlign = "right";
+    ctx.fillStyle = "rgba(255,255,255,0.5)";
+    ctx.fillText(
+      "Enter: one · Shift: stack · Esc: close",
+      l.x + l.w - 14,
+      l.y + l.h - 14
+    );
+
+    const hovered = rows[this.hover];
+    if (hovered) {
+      ractrRenderItemTooltip(
+        ctx,
+        RACTR_ITEMS[hovered.itemId],
+        this.pointer.x,
+        this.pointer.y,
+        width,
+        height
+      );
+    }
+    ctx.restore();
+  }
+}
+
+// Class skills from a trainer: ones already known, ones that can be bought
+// now and ones still waiting on a level. Up/down or a click selects, Enter
+// or a click on the selected row trains it.
+class RactrTrainerScene extends RactrScene {
+  constructor(game, npc) {
+    super("trainer", { overlay: true });
+    this.game = game;
+    this.npc = npc;
+    this.selected = 0;
+    this.hover = -1;
+    this._pointerWasDown = false;
+  }
+
+  // { abilityId, level, cost, status: "known" | "ready" | "locked" }
+  _rows() {
+    const p = this.game.player;
+    return p.classDef().skills.map((skill) => {
+      let status = "ready";
+      if (p.knowsSkill(skill.abilityId)) status = "known";
+      else if (p.level < skill.level) status = "locked";
+      return {
+        abilityId: skill.abilityId,
+        level: skill.level,
+        cost: skill.cost || 0,
+        status,
+      };
+    });
+  }
+
+  update(dt, input) {
+    const game = this.game;
+    if (input.moveTarget) game._lastMoveTargetId = input.moveTarget.id;
+
+    const p = input.pressed;
+    if (p.cancel || p.interact) {
+      this.manager.pop();
+      return;
+    }
+    const rows = this._rows();
+    const count = rows.length;
+    if (p.up) this.selected = (this.selected + count - 1) % count;
+    if (p.down) this.selected = (this.selected + 1) % count;
+    if (p.confirm) game.trainSkill(rows[this.selected].abilityId);
+
+    const ptr = input.pointer;
+    const l = this._layout(count);
+    this.hover = this._rowAt(l, count, ptr.x, ptr.y);
+    if (ptr.down && !this._pointerWasDown && this.hover >= 0) {
+      if (this.hover === this.selected) {
+        game.trainSkill(rows[this.hover].abilityId);
+      }
+      this.selected = this.hover;
+    }
+    this._pointerWasDown = ptr.down;
+  }
+
+  _layout(count) {
+    const engine = this.game.engine;
+    const rowHeight = 34;
+    const w = 340;
+    const h = 44 + count * rowHeight + 34;
+    const x = (engine.viewWidth - w) / 2;
+    const y = Math.max(8, (engine.viewHeight - h) / 2 - 30);
+    return { x, y, w, h, rowHeight, rowsY: y + 38 };
+  }
+
+  _rowAt(l, count, px, py) {
+    if (px < l.x + 6 || px > l.x + l.w - 6 || py < l.rowsY) return -1;
+    const i = Math.floor((py - l.rowsY) / l.rowHeight);
+    return i < count ? i : -1;
+  }
+
+  render(ctx, width, height) {
+    const p = this.game.player;
+    const rows = this._rows();
+    const l = this._layout(rows.length);
+
+    ctx.save();
+    ctx.fillStyle = "rgba(5, 6, 10, 0.92)";
+    ctx.strokeStyle = "rgba(255,255,255,0.15)";
+    ctx.lineWidth = 1;
+    ractrPanelPath(ctx, l.x, l.y, l.w, l.h, 8);
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.font = `14px ${RACTR_UI_FONT}`;
+    ctx.textAlign = "center";
+    ctx.fillStyle = "rgba(255,255,255,0.96)";
+    ctx.fillText(
+      `${this.npc ? this.npc.name : "Trainer"} – ${p.classDef().name} skills`,
+      l.x + l.w / 2,
+      l.y + 22
+    );
+
+    rows.forEach((row, i) => {
+      const ability = RACTR_ABILITIES[row.abilityId];
+      const rowY = l.rowsY + i * l.rowHeight;
+      if (i === this.selected || i === this.hover) {
+        ctx.fillStyle =
+          i === this.selected
+            ? "rgba(245, 215, 110, 0.12)"
+            : "rgba(255,255,255,0.06)";
+        ctx.fillRect(l.x + 6, rowY, l.w - 12, l.rowHeight - 2);
+      }
+      ctx.globalAlpha = row.status === "locked" ? 0.45 : 1;
+      ctx.fillStyle = ability.color;
+      ctx.fillRect(l.x + 12, rowY + 6, 4, l.rowHeight - 14);
+
+      ctx.textAlign = "left";
+      ctx.font = `12px ${RACTR_UI_FONT}`;
+      ctx.fillStyle = "rgba(255,255,255,0.95)";
+      ctx.fillText(ability.name, l.x + 24, rowY + 14);
+      ctx.font = `10px ${RACTR_UI_FONT}`;
+      ctx.fillStyle = "rgba(190, 210, 255, 0.8)";
+      ctx.fillText(ability.description, l.x + 24, rowY + 27, l.w - 100);
+
+      ctx.textAlign = "right";
+      ctx.font = `11px ${RACTR_UI_FONT}`;
+      if (row.status === "known") {
+        ctx.fillStyle = "rgba(111, 220, 140, 0.9)";
+        ctx.fillText("Known", l.x + l.w - 14, rowY + 14);
+      } else if (row.status === "locked") {
+        ctx.fillStyle = "rgba(255,255,255,0.7)";
+        ctx.fillText(`Level ${row.level}`, l.x + l.w - 14, rowY + 14);
+      } else {
+        ctx.fillStyle =
+          p.gold >= row.cost
+            ? "rgba(245, 215, 110, 0.95)"
+            : "rgba(255, 120, 120, 0.9)";
+        ctx.fillText(`${row.cost}g`, l.x + l.w - 14, rowY + 14);
+      }
+      ctx.globalAlpha = 1;
+    });
+
+    ctx.font = `11px ${RACTR_UI_FONT}`;
+    ctx.textAlign = "left";
+    ctx.fillStyle = "rgba(245, 215, 110, 0.9)";
+    ctx.fillText(`Gold ${p.gold}`, l.x + 14, l.y + l.h - 14);
+    ctx.textAlign = "right";
+    ctx.fillStyle = "rgba(255,255,255,0.5)";
+    ctx.fillText("Enter: train · Esc: close", l.x + l.w - 14, l.y + l.h - 14);
+    ctx.restore();
+  }
+}
+
+// Splits text into lines no wider than maxWidth in the current font.
+function ractrWrapText(ctx, text, maxWidth) {
+  const lines = [];
+  let line = "";
+  for (const word of text.split(/\s+/)) {
+    if (!word) continue;
+    const next = line ? `${line} ${word}` : word;
+    if (line && ctx.measureText(next).width > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = next;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+// Quest journal: open quests first, then finished ones. Up/down or a click
+// picks a quest; its details, objectives and rewards show on the right.
+// Abandoning takes two clicks on the button so it can't happen by accident.
+class RactrJournalScene extends RactrScene {
+  constructor(game) {
+    super("journal", { overlay: true });
+    this.game = game;
+    this.selected = 0;
+    this.confirmAbandon = false;
+    this._pointerWasDown = false;
+  }
+
+  // Open quests, oldest first, then the ones handed in.
+  _questIds() {
+    const log = this.game.player.quests;
+    const done = Object.keys(log.entries).filter(
+      (id) => log.entries[id].state === "done"
+    );
+    return log.open().concat(done);
+  }
+
+  update(dt, input) {
+    const game = this.game;
+    if (input.moveTarget) game._lastMoveTargetId = input.moveTarget.id;
+
+    const p = input.pressed;
+    if (p.openJournal || p.cancel) {
+      this.manager.pop();
+      return;
+    }
+    const ids = this._questIds();
+    const count = ids.length;
+    if (count && (p.up || p.down)) {
+      this.selected = (this.selected + count + (p.up ? -1 : 1)) % count;
+      this.confirmAbandon = false;
+    }
+    this.selected = Math.min(this.selected, Math.max(0, count - 1));
+
+    const ptr = input.pointer;
+    if (ptr.down && !this._pointerWasDown) this._click(ptr.x, ptr.y, ids);
+    this._pointerWasDown = ptr.down;
+  }
+
+  _click(px, py, ids) {
+    const l = this._layout();
+    const b = l.abandon;
+    const questId = ids[this.selected];
+    if (px >= b.x && px <= b.x + b.w && py >= b.y && py <= b.y + b.h) {
+      if (!questId || !this._canAbandon(questId)) return;
+      if (!this.confirmAbandon) {
+        this.confirmAbandon = true;
+        return;
+      }
+      this.game.abandonQuest(questId);
+      this.confirmAbandon = false;
+      return;
+    }
+    if (px < l.x || px > l.x + l.listW || py < l.rowsY) return;
+    const row = Math.floor((py - l.rowsY) / l.rowHeight);
+    if (row < ids.length) {
+      this.selected = row;
+      this.confirmAbandon = false;
+    }
+  }
+
+  _canAbandon(questId) {
+    return this.game.player.quests.entries[questId].state !== "done";
+  }
+
+  _layout() {
+    const engine = this.game.engine;
+    const w = 520;
+    const h = 320;
+    const x = (engine.viewWidth - w) / 2;
+    const y = Math.max(8, (engine.viewHeight - h) / 2 - 30);
+    const listW = 180;
+    return {
+      x,
+      y,
+      w,
+      h,
+      listW,
+      rowHeight: 22,
+      rowsY: y + 38,
+      abandon: { x: x + w - 130, y: y + h - 34, w: 116, h: 22 },
+    };
+  }
+
+  render(ctx, width, height) {
+    const game = this.game;
+    const log = game.player.quests;
+    const ids = this._questIds();
+    const l = this._layout();
+
+    ctx.save();
+    ctx.fillStyle = "rgba(5, 6, 10, 0.92)";
+    ctx.strokeStyle = "rgba(255,255,255,0.15)";
+    ctx.lineWidth = 1;
+    ractrPanelPath(ctx, l.x, l.y, l.w, l.h, 8);
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.font = `14px ${RACTR_UI_FONT}`;
+    ctx.textAlign = "center";
+    ctx.fillStyle = "rgba(255,255,255,0.96)";
+    ctx.fillText("Quest Journal", width / 2, l.y + 22);
+
+    ctx.strokeStyle = "rgba(255,255,255,0.1)";
+    ctx.beginPath();
+    ctx.moveTo(l.x + l.listW + 0.5, l.rowsY);
+    ctx.lineTo(l.x + l.listW + 0.5, l.y + l.h - 12);
+    ctx.stroke();
+
+    ctx.textAlign = "left";
+    if (!ids.length) {
+      ctx.font = `12px ${RACTR_UI_FONT}`;
+      ctx.fillStyle = "rgba(190, 210, 255, 0.8)";
+      ctx.fillText("No quests yet.", l.x + 14, l.rowsY + 16);
+      ctx.fillText(
+        "Look for a gold ! over someone's head.",
+        l.x + l.listW + 14,
+        l.rowsY + 16
+      );
+      ctx.restore();
+      return;
+    }
+
+    ids.forEach((id, i) => {
+      const rowY = l.rowsY + i * l.rowHeight;
+      if (i === this.selected) {
+        ctx.fillStyle = "rgba(245, 215, 110, 0.12)";
+        ctx.fillRect(l.x + 6, rowY, l.listW - 12, l.rowHeight - 2);
+      }
+      const state = log.entries[id].state;
+      ctx.font = `12px ${RACTR_UI_FONT}`;
+      ctx.fillStyle =
+        state === "done"
+          ? "rgba(150, 150, 160, 0.8)"
+          : state === "complete"
+          ? "rgba(255, 213, 74, 0.98)"
+          : "rgba(255,255,255,0.95)";
+      ctx.fillText(RACTR_QUESTS[id].name, l.x + 14, rowY + 15, l.listW - 28);
+    });
+
+    const questId = ids[this.selected];
+    const def = RACTR_QUESTS[questId];
+    const state = log.entries[questId].state;
+    const dx = l.x + l.listW + 14;
+    const dw = l.w - l.listW - 28;
+    let y = l.rowsY + 14;
+
+    ctx.font = `14px ${RACTR_UI_FONT}`;
+    ctx.fillStyle = "rgba(245, 215, 110, 0.98)";
+    ctx.fillText(def.name, dx, y);
+    y += 16;
+    ctx.font = `10px ${RACTR_UI_FONT}`;
+    ctx.fillStyle = "rgba(190, 210, 255, 0.8)";
+    const status =
+      state === "done"
+        ? "Completed"
+        : state === "complete"
+        ? "Ready to hand in"
+        : "In progress";
+    ctx.fillText(`Suggested level ${def.level || 1} · ${status}`, dx, y);
+    y += 20;
+
+    ctx.font = `12px ${RACTR_UI_FONT}`;
+    ctx.fillStyle = "rgba(255,255,255,0.9)";
+    for (const line of ractrWrapText(ctx, def.summary || "", dw)) {
+      ctx.fillText(line, dx, y);
+      y += 16;
+    }
+
+    y += 8;
+    ctx.fillStyle = "rgba(190, 210, 255, 0.9)";
+    ctx.fillText("Objectives", dx, y);
+    y += 16;
+    for (const o of log.objectives(questId)) {
+      const done = o.done || state === "done";
+      const shown = done ? o.needed : o.count;
+      const count = o.needed > 1 ? ` (${shown}/${o.needed})` : "";
+      ctx.fillStyle = done
+        ? "rgba(150, 220, 150, 0.9)"
+        : "rgba(220, 225, 240, 0.9)";
+      ctx.fillText(`${done ? "✓" : "•"} ${o.text}${count}`, dx + 6, y, dw);
+      y += 16;
+    }
+
+    const rewards = def.rewards || {};
+    const parts = [];
+    if (rewards.xp) parts.push(`${rewards.xp} XP`);
+    if (rewards.gold) parts.push(`${rewards.gold} gold`);
+    for (const item of rewards.items || []) {
+      const name = RACTR_ITEMS[item.itemId].name;
+      parts.push(item.count > 1 ? `${item.count} x ${name}` : name);
+    }
+    if (parts.length) {
+      y += 8;
+      ctx.fillStyle = "rgba(190, 210, 255, 0.9)";
+      ctx.fillText("Rewards", dx, y);
+      y += 16;
+      ctx.fillStyle = "rgba(255,255,255,0.9)";
+      for (const line of ractrWrapText(ctx, parts.join(", "), dw)) {
+        ctx.fillText(line, dx + 6, y);
+        y += 16;
+      }
+    }
+
+    if (this._canAbandon(questId)) {
+      const b = l.abandon;
+      ctx.fillStyle = this.confirmAbandon
+        ? "rgba(200, 60, 60, 0.5)"
+        : "rgba(255,255,255,0.08)";
+      ractrPanelPath(ctx, b.x, b.y, b.w, b.h, 4);
+      ctx.fill();
+      ctx.font = `11px ${RACTR_UI_FONT}`;
+      ctx.textAlign = "center";
+      ctx.fillStyle = "rgba(255, 200, 200, 0.95)";
+      ctx.fillText(
+        this.confirmAbandon ? "Click to confirm" : "Abandon quest",
+        b.x + b.w / 2,
+        b.y + 15
+      );
+    }
+
+    ctx.font = `10px ${RACTR_UI_FONT}`;
+    ctx.textAlign = "left";
+    ctx.fillStyle = "rgba(255,255,255,0.5)";
+    ctx.fillText("L / Esc: close", l.x + 14, l.y + l.h - 14);
+    ctx.restore();
+  }
+}
+
+// Death screen; confirming respawns at the bind point.
+class RactrGameOverScene extends RactrScene {
+  constructor(game, xpLost) {
+    super("gameover", { overlay: true });
+    this.game = game;
+    this.xpLost = xpLost || 0;
+  }
+
+  update(dt, input) {
+    if (input.pressed.confirm) {
+      this.manager.pop({ transition: { type: "fade", duration: 0.8 } });
+    }
+  }
+
+  // Leaving the game-over screen always means getting back up; this runs
+  // while the fade has the screen covered.
+  exit() {
+    this.game._respawnAfterGameOver();
+  }
+
+  render(ctx, width, height) {
+    ctx.save();
+    ctx.fillStyle = "rgba(30, 0, 6, 0.6)";
+    ctx.fillRect(0, 0, width, height);
+
+    ctx.textAlign = "center";
+    ctx.font = `24px ${RACTR_UI_FONT}`;
+    ctx.fillStyle = "rgba(255, 200, 200, 0.96)";
+    ctx.fillText("You have died.", width / 2, height / 2 - 8);
+
+    const game = this.game;
+    const bind = game.zones.meta(game.bindPoint.zoneId);
+    ctx.font = `13px ${RACTR_UI_FONT}`;
+    ctx.fillStyle = "rgba(255,255,255,0.8)";
+    if (this.xpLost > 0) {
+      ctx.fillText(
+        `You lost ${this.xpLost} experience; recover your corpse for some of it.`,
+        width / 2,
+        height / 2 + 20
+      );
+    }
+    const place = bind ? bind.name : "your bind point";
+    ctx.fillText(
+      `Press Enter to return to ${place}.`,
+      width / 2,
+      height / 2 + 40
+    );
+    ctx.restore();
+  }
+}
+
+// Save slots. Up/down picks a slot, left/right picks what to do with it,
+// confirm does it. Storage is asynchronous, so the slot list and the
+// status line fill in when each operation settles.
+class RactrSaveScene extends RactrScene {
+  constructor(game) {
+    super("saves", { overlay: true });
+    this.game = game;
+    this.slots = RACTR_SAVE_SLOTS.map((slot) => ({ slot, empty: true }));
+    this.selected = 0;
+    this.actions = ["Save", "Load", "Export", "Import", "Delete"];
+    // Export/import need a browser to pick or download files.
+    if (typeof document === "undefined") this.actions.splice(2, 2);
+    this.action = 0;
+    this.busy = false;
+    this.status = "";
+    // Save data waiting to be applied once the closing fade covers the
+    // screen.
+    this.pendingLoad = null;
+  }
+
+  enter() {
+    this._refresh().catch((err) => this._fail(err));
+  }
+
+  _refresh() {
+    return this.game.saves.list().then((slots) => {
+      this.slots = slots;
+    });
+  }
+
+  _run(promise, done) {
+    this.busy = true;
+    promise
+      .then((result) => {
+        this.busy = false;
+        this.status = done(result) || "";
+        return this._refresh();
+      })
+      .catch((err) => {
+        this.busy = false;
+        this._fail(err);
+      });
+  }
+
+  _fail(err) {
+    this.status = err.message.replace(/^RactrSaveStore: /, "");
+  }
+
+  update(dt, input) {
+    const p = input.pressed;
+    if (p.cancel) {
+      this.manager.pop();
+      return;
+    }
+    if (this.busy) return;
+
+    const count = this.slots.length;
+    if (p.up) this.selected = (this.selected + count - 1) % count;
+    if (p.down) this.selected = (this.selected + 1) % count;
+    const actions = this.actions.length;
+    if (p.left) this.action = (this.action + actions - 1) % actions;
+    if (p.right) this.action = (this.action + 1) % actions;
+    if (p.confirm) this._perform(this.actions[this.action]);
+  }
+
+  _perform(action) {
+    const game = this.game;
+    const saves = game.saves;
+    const slot = this.slots[this.selected].slot;
+
+    if (action === "Save") {
+      this._run(game.saveGame(slot), () => `Saved to slot ${slot}.`);
+    } else if (action === "Load") {
+      this._run(game.readSave(slot), (data) => {
+        if (!data) return "That slot is empty.";
+        this.pendingLoad = data;
+        this.manager.pop({ transition: { type: "fade", duration: 0.6 } });
+        return "Loading…";
+      });
+    } else if (action === "Export") {
+      this._run(saves.exportText(slot), (text) => {
+        RactrSaveStore.downloadText(`ractr-save-${slot}.json`, text);
+        return "Save exported.";
+      });
+    } else if (action === "Import") {
+      this._run(
+        RactrSaveStore.pickFileText().then((text) =>
+          text == null ? null : saves.importText(slot, text)
+        ),
+        (record) => (record ? `Imported into slot ${slot}.` : "")
+      );
+    } else if (action === "Delete") {
+      this._run(saves.remove(slot), () => `Slot ${slot} cleared.`);
+    }
+  }
+
+  exit() {
+    if (this.pendingLoad) {
+      this.game._applySave(this.pendingLoad);
+      this.game._pushChatSystem("Game loaded.");
+      this.pendingLoad = null;
+    }
+  }
+
+  render(ctx, width, height) {
+    const w = 320;
+    const h = 92 + this.slots.length * 22;
+    const x = (width - w) / 2;
+    const y = (height - h) / 2;
+
+    ctx.save();
+    ctx.fillStyle = "rgba(0,0,0,0.45)";
+    ctx.fillRect(0, 0, width, height);
+    ctx.fillStyle = "rgba(5, 6, 10, 0.92)";
+    ctx.strokeStyle = "rgba(255,255,255,0.15)";
+    ctx.lineWidth = 1;
+    ractrPanelPath(ctx, x, y, w, h, 8);
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.textAlign = "center";
+    ctx.font = `14px ${RACTR_UI_FONT}`;
+    ctx.fillStyle = "rgba(255,255,255,0.96)";
+    ctx.fillText("Save / Load", width / 2, y + 22);
+
+    ctx.font = `12px ${RACTR_UI_FONT}`;
+    ctx.fillStyle = "rgba(245, 215, 110, 0.95)";
+    ctx.fillText(`‹ ${this.actions[this.action]} ›`, width / 2, y + 42);
+
+    this.slots.forEach((entry, i) => {
+      const rowY = y + 66 + i * 22;
+      const selected = i === this.selected;
+      ctx.textAlign = "left";
+      ctx.fillStyle = selected
+        ? "rgba(245, 215, 110, 0.98)"
+        : "rgba(190, 210, 255, 0.9)";
+      const label = entry.slot === "auto" ? "Autosave" : `Slot ${entry.slot}`;
+      ctx.fillText(selected ? `› ${label}` : label, x + 16, rowY);
+
+      let summary = "Empty";
+      if (entry.error) {
+        summary = "Unreadable";
+      } else if (!entry.empty) {
+        const zone = this.game.zones.meta(entry.zoneId);
+        summary = `${entry.name} · Lv ${entry.level}${zone ? ` · ${zone.name}` : ""}`;
+      }
+      ctx.textAlign = "right";
+      ctx.fillStyle = "rgba(255,255,255,0.85)";
+      ctx.fillText(summary, x + w - 16, rowY);
+    });
+
+    if (this.status) {
+      ctx.textAlign = "center";
+      ctx.fillStyle = "rgba(255,255,255,0.75)";
+      ctx.fillText(this.status, width / 2, y + h - 12);
+    }
+    ctx.restore();
+  }
+}
+
+// Covers the world while the next zone is fetched and swapped in. Entered
+// and left through fades, so the old zone is never seen in the new one's
+// place. Inline zones are ready immediately; URL-backed ones are awaited.
+class RactrLoadingScene extends RactrScene {
+  constructor(game, zoneId, spawnName) {
+    super("loading");
+    this.game = game;
+    this.zoneId = zoneId;
+    this.spawnName = spawnName;
+    this.map = null;
+    this.error = null;
+    this.done = false;
+  }
+
+  enter() {
+    const zones = this.game.zones;
+    this.map = zones.get(this.zoneId);
+    if (this.map) return;
+    zones.load(this.zoneId).then(
+      (map) => {
+        this.map = map;
+      },
+      (err) => {
+        this.error = err;
+      }
+    );
+  }
+
+  update() {
+    if (this.done) return;
+    if (this.map) {
+      this.done = true;
+      this.game._enterZone(this.map, this.spawnName);
+      this.manager.pop({ transition: { type: "fade", duration: 0.5 } });
+    } else if (this.error) {
+      this.done = true;
+      this.game._travelFailed(this.zoneId, this.error);
+      this.manager.pop({ transition: { type: "fade", duration: 0.5 } });
+    }
+  }
+
+  render(ctx, width, height) {
+    const meta = this.game.zones.meta(this.zoneId);
+    ctx.save();
+    ctx.fillStyle = "#05060b";
+    ctx.fillRect(0, 0, width, height);
+    ctx.textAlign = "center";
+    ctx.font = `16px ${RACTR_UI_FONT}`;
+    ctx.fillStyle = "rgba(255,255,255,0.9)";
+    ctx.fillText(meta ? meta.name : this.zoneId, width / 2, height / 2 - 6);
+    ctx.font = `12px ${RACTR_UI_FONT}`;
+    ctx.fillStyle = "rgba(190, 210, 255, 0.8)";
+    ctx.fillText("Loading…", width / 2, height / 2 + 16);
+    ctx.restore();
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.RactrPlayingScene = RactrPlayingScene;
+  window.RactrIntroScene = RactrIntroScene;
+  window.RactrCharacterCreationScene = RactrCharacterCreationScene;
+  window.RactrPauseScene = RactrPauseScene;
+  window.RactrCharacterScene = RactrCharacterScene;
+  window.RactrAbilityScene = RactrAbilityScene;
+  window.RactrInventoryScene = RactrInventoryScene;
+  window.RactrLootScene = RactrLootScene;
+  window.RactrDialogueScene = RactrDialogueScene;
+  window.RactrShopScene = RactrShopScene;
+  window.RactrTrainerScene = RactrTrainerScene;
+  window.RactrJournalScene = RactrJournalScene;
+  window.ractrRenderItemTooltip = ractrRenderItemTooltip;
+  window.RactrGameOverScene = RactrGameOverScene;
+  window.RactrSaveScene = RactrSaveScene;
+  window.RactrLoadingScene = RactrLoadingScene;
+}
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    RactrPlayingScene,
+    RactrIntroScene,
+    RactrCharacterCreationScene,
+    RactrPauseScene,
+    RactrCharacterScene,
+    RactrAbilityScene,
+    RactrInventoryScene,
+    RactrLootScene,
+    RactrDialogueScene,
+    RactrShopScene,
+    RactrTrainerScene,
+    RactrJournalScene,
+    RactrGameOverScene,
+    RactrSaveScene,
+    RactrLoadingScene,
+  };
+}
@@ -0,0 +1,201 @@
+// RactrHeadless: DOM-free stand-ins for the canvas plus a driver that steps
+// RactrGame a fixed number of ticks with scripted input. This is what lets
+// movement, NPC interaction and leveling run under Node (e.g. on CI) with
+// no browser at all.
+//
+// Browser: load this before ractr_engine.js if you want headless engines
+// on a page. Node: require it; it pulls in the other engine scripts.
+
+// A 2D context that draws nothing. With { record: true } every call and
+// property write is kept in `calls` so tests can assert on what a frame
+// would have drawn.
+class RactrRecordingContext {
+  constructor(options) {
+    const opts = options || {};
+    this.record = !!opts.record;
+    this.calls = [];
+
+    const state = {
+      fillStyle: "#000000",
+      strokeStyle: "#000000",
+      lineWidth: 1,
+      font: "10px sans-serif",
+      textAlign: "start",
+      globalAlpha: 1,
+    };
+
+    const gradient = () => ({ addColorStop() {} });
+    const methods = {
+      createLinearGradient: gradient,
+      createRadialGradient: gradient,
+      measureText: (text) => ({ width: String(text).length * 6 }),
+    };
+
+    return new Proxy(this, {
+      get: (target, prop) => {
+        if (prop in target) return target[prop];
+        if (prop in state) return state[prop];
+        return (...args) => {
+          if (target.record) {
+            target.calls.push({ op: prop, args });
+          }
+          return methods[prop] ? methods[prop](...args) : undefined;
+        };
+      },
+      set: (target, prop, value) => {
+        if (prop in target) {
+          target[prop] = value;
+          return true;
+        }
+        state[prop] = value;
+        if (target.record) {
+          target.calls.push({ op: "set", prop, value });
+        }
+        return true;
+      },
+    });
+  }
+
+  clear() {
+    this.calls.length = 0;
+  }
+}
+
+// Just enough of HTMLCanvasElement for the engine and game.
+class RactrHeadlessCanvas {
+  constructor(width, height, options) {
+    this.width = width || 960;
+    this.height = height || 540;
+    this.clientWidth = this.width;
+    this.clientHeight = this.height;
+    this.classList = { add() {}, remove() {}, contains: () => false };
+    this._ctx = new RactrRecordingContext(options);
+  }
+
+  getContext() {
+    return this._ctx;
+  }
+
+  getBoundingClientRect() {
+    return {
+      left: 0,
+      top: 0,
+      width: this.clientWidth,
+      height: this.clientHeight,
+    };
+  }
+
+  addEventListener() {}
+
+  removeEventListener() {}
+}
+
+// Owns a headless engine + game pair. The clock is manual by default:
+// advance(ms) moves it and runs one engine frame through the same
+// accumulator as the browser loop, while step(ticks) runs exact ticks.
+class RactrHeadlessDriver {
+  constructor(options) {
+    const opts = options || {};
+
+    this.now = 0;
+    const clock =
+      typeof opts.clock === "function" ? opts.clock : () => this.now;
+
+    // Timing options given here win over config.engine.
+    const engineCfg = (opts.config && opts.config.engine) || {};
+    this.engine = new RactrEngine(null, {
+      headless: true,
+      clock,
+      width: opts.width,
+      height: opts.height,
+      recordRender: opts.recordRender,
+      simulationHz: opts.simulationHz || engineCfg.simulationHz,
+      maxCatchUpSteps: opts.maxCatchUpSteps || engineCfg.maxCatchUpSteps,
+      maxFrameTime: opts.maxFrameTime || engineCfg.maxFrameTime,
+      gamepadDeadzone: engineCfg.gamepadDeadzone,
+    });
+
+    const GameClass = opts.gameClass || RactrGame;
+    this.game = new GameClass(this.engine, opts.config);
+    this.engine.setGame(this.game);
+    this.engine.start();
+  }
+
+  // input: a snapshot object, an array of snapshots (one per tick) or a
+  // function (tick, game) => snapshot. Returns the game state afterwards.
+  step(ticks, input) {
+    this.engine.stepTicks(ticks || 1, input === undefined ? null : input);
+    return this.state();
+  }
+
+  // Advances the manual clock by `ms` and runs one engine frame. Like
+  // step(), omitting input means an idle keyboard.
+  advance(ms, input) {
+    this.engine.setScriptedInput(input === undefined ? null : input);
+    this.now += ms;
+    this.engine.frame();
+    return this.state();
+  }
+
+  // Renders one frame and returns the recorded draw calls (empty unless
+  // the driver was built with recordRender: true).
+  render() {
+    const ctx = this.engine.ctx;
+    ctx.clear();
+    this.engine.renderFrame();
+    return ctx.calls.slice();
+  }
+
+  state() {
+    if (this.game && typeof this.game.snapshot === "function") {
+      return this.game.snapshot();
+    }
+    return null;
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.RactrRecordingContext = RactrRecordingContext;
+  window.RactrHeadlessCanvas = RactrHeadlessCanvas;
+  window.RactrHeadlessDriver = RactrHeadlessDriver;
+}
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    RactrRecordingContext,
+    RactrHeadlessCanvas,
+    RactrHeadlessDriver,
+  };
+
+  // The engine scripts reference each other as page globals; under Node,
+  // load them in page order and publish their exports the same way.
+  Object.assign(globalThis, module.exports);
+  for (const file of [
+    "./ractr_state.js",
+    "./ractr_save.js",
+    "./ractr_input.js",
+    "./ractr_engine.js",
+    "./ractr_scene.js",
+    "./ractr_camera.js",
+    "./ractr_tilemap.js",
+    "./ractr_collision.js",
+    "./ractr_zone_data.js",
+    "./ractr_zones.js",
+    "./ractr_ai.js",
+    "./ractr_mob_data.js",
+    "./ractr_combat.js",
+    "./ractr_effects.js",
+    "./ractr_items.js",
+    "./ractr_loot.js",
+    "./ractr_merchants.js",
+    "./ractr_dialogue.js",
+    "./ractr_quests.js",
+    "./ractr_abilities.js",
+    "./ractr_classes.js",
+    "./ractr_game_scenes.js",
+    "./ractr_net.js",
+    "./ractr_game.js",
+    "./ractr_config.js",
+  ]) {
+    Object.assign(globalThis, require(file));
+  }
+}
@@ -0,0 +1,721 @@
+// RactrInput: action-mapping layer between raw devices and the game.
+// Keyboard keys, gamepad buttons/axes, mouse clicks and touch all feed the
+// same named actions, so the game only ever reads an input snapshot.
+//
+// Binding strings:
+// - "key:<KeyboardEvent.key, lowercased>"   e.g. "key:w", "key:arrowup"
+// - "pad:<standard gamepad button index>"   e.g. "pad:0" (A / cross)
+// - "axis:<index><+|->"                     e.g. "axis:0-" (left stick left)
+// User rebinds are persisted to localStorage and merged over the defaults.
+//
+// Each snapshot carries, per action:
+// - the held state (snapshot.dash, snapshot.confirm, ...)
+// - pressed / released: edges since the previous snapshot
+// - buffered: pressed within the last `bufferWindow` seconds and not yet
+//   consumed, so an input slightly too early (e.g. dash on cooldown) still
+//   counts once it becomes possible.
+// It also carries `text`: the characters typed since the previous snapshot,
+// with "\b" for each Backspace, for name entry and the like. Typing still
+// presses whatever actions the keys are bound to.
+// And `moveTarget`: the latest click-to-move destination, { id, x, y }. The
+// id must change with every click, since the game only walks to a target
+// whose id it has not seen. Scripted sources may leave it out; a target
+// object is then given a fresh id the first time it is passed.
+// And `wheel`: mouse wheel notches since the previous snapshot, positive
+// for scrolling down (towards the player). Every 100 pixels of scrolling
+// makes one notch, so a trackpad flick counts about as much as a wheel.
+
+const RACTR_INPUT_ACTIONS = [
+  "left",
+  "right",
+  "up",
+  "down",
+  "dash",
+  "interact",
+  "sit",
+  "attack",
+  "targetNext",
+  "hotbar1",
+  "hotbar2",
+  "hotbar3",
+  "hotbar4",
+  "hotbar5",
+  "hotbar6",
+  "hotbar7",
+  "hotbar8",
+  "openCharacter",
+  "openInventory",
+  "openAbilities",
+  "openJournal",
+  "splitStack",
+  "zoomIn",
+  "zoomOut",
+  "confirm",
+  "cancel",
+];
+
+// J is reserved for interact, so vi-style HJKL movement is not bound by
+// default (it used to make J walk down *and* talk).
+const RACTR_DEFAULT_BINDINGS = {
+  left: ["key:a", "key:arrowleft", "pad:14", "axis:0-"],
+  right: ["key:d", "key:arrowright", "pad:15", "axis:0+"],
+  up: ["key:w", "key:arrowup", "pad:12", "axis:1-"],
+  down: ["key:s", "key:arrowdown", "pad:13", "axis:1+"],
+  dash: ["key: ", "key:shift", "pad:5"],
+  interact: ["key:j", "pad:0"],
+  sit: ["key:x"],
+  attack: ["key:q", "pad:7"],
+  targetNext: ["key:tab", "pad:4"],
+  hotbar1: ["key:1"],
+  hotbar2: ["key:2"],
+  hotbar3: ["key:3"],
+  hotbar4: ["key:4"],
+  hotbar5: ["key:5"],
+  hotbar6: ["key:6"],
+  hotbar7: ["key:7"],
+  hotbar8: ["key:8"],
+  openCharacter: ["key:i", "pad:3"],
+  openInventory: ["key:b", "key:\"", "pad:2"],
+  openAbilities: ["key:k"],
+  openJournal: ["key:l"],
+  splitStack: ["key:shift"],
+  zoomIn: ["key:=", "key:+"],
+  zoomOut: ["key:-"],
+  confirm: ["key:enter", "pad:0", "pad:9"],
+  cancel: ["key:escape", "pad:1", "pad:8"],
+};
+
+const RACTR_BINDINGS_STORAGE_KEY = "ractr.inputBindings";
+
+// Keys the browser acts on by itself (focus change, page scrolling); when
+// one of them is bound, the browser's default is suppressed.
+const RACTR_BROWSER_KEYS = new Set([
+  "tab",
+  " ",
+  "arrowup",
+  "arrowdown",
+  "arrowleft",
+  "arrowright",
+]);
+
+class RactrInputMap {
+  constructor(options) {
+    const opts = options || {};
+
+    this.storage = opts.storage || null;
+    // Radial deadzone for analog sticks; also the threshold at which an
+    // axis binding counts as "pressed" for digital actions.
+    this.deadzone = typeof opts.deadzone === "number" ? opts.deadzone : 0.2;
+    this.joystickRadius = opts.joystickRadius || 56;
+    this.bufferWindow =
+      typeof opts.bufferWindow === "number" ? opts.bufferWindow : 0.15;
+
+    this.bindings = {};
+    this.resetBindings({ persist: false });
+    this.loadBindings();
+
+    this.keysDown = new Set();
+
+    // Latest gamepad state, refreshed on every snapshot.
+    this.padButtons = [];
+    this.padAxes = [];
+
+    // Mouse / touch pointer in canvas CSS pixels.
+    this.pointer = { x: 0, y: 0, down: false };
+    // Touch that is acting as the pointer (a tap outside the joystick and
+    // buttons), so it can be held and dragged like the mouse.
+    this._pointerTouchId = null;
+    // Click-to-move: each click gets a new id so the game can tell a new
+    // destination from the one it is already walking to.
+    this.moveTarget = null;
+    this._moveTargetSeq = 0;
+    // The last id-less scripted target and the id it was given.
+    this._scriptedTarget = null;
+    this._scriptedTargetId = 0;
+
+    // Virtual joystick (touch): origin is where the thumb went down.
+    this.joystick = { active: false, touchId: null, ox: 0, oy: 0, dx: 0, dy: 0 };
+    this.touchButtons = {};
+    this.touchUsed = false;
+
+    // Edge tracking. Key presses are also recorded from events so a tap
+    // that starts and ends between two snapshots is not lost.
+    this._prevHeld = {};
+    this._keysPressed = new Set();
+    this._keysReleased = new Set();
+    this._buffer = {};
+    // Characters typed since the last snapshot; key repeat counts here.
+    this._typed = "";
+    // Wheel notches since the last snapshot, and scrolling (in pixels)
+    // not yet worth a whole one. Trackpads send many small deltas per
+    // gesture where a mouse wheel sends one of about 100 pixels.
+    this._wheel = 0;
+    this._wheelPixels = 0;
+    this.wheelNotch = 100;
+
+    // Headless engines feed snapshots through here instead of devices, so
+    // they get the same edge and buffer behaviour.
+    this.scripted = false;
+    this._scriptedSource = null;
+
+    this._capture = null;
+    this.canvas = null;
+    this._listeners = [];
+  }
+
+  // ---------------- BINDINGS ----------------
+
+  getBindings(action) {
+    return (this.bindings[action] || []).slice();
+  }
+
+  setBindings(action, list, options) {
+    if (!RACTR_INPUT_ACTIONS.includes(action)) {
+      throw new Error(`RactrInputMap: unknown action '${action}'`);
+    }
+    this.bindings[action] = Array.isArray(list) ? list.slice() : [];
+    if (!options || options.persist !== false) {
+      this.saveBindings();
+    }
+  }
+
+  bind(action, binding) {
+    const list = this.getBindings(action);
+    if (!list.includes(binding)) list.push(binding);
+    this.setBindings(action, list);
+  }
+
+  unbind(action, binding) {
+    this.setBindings(
+      action,
+      this.getBindings(action).filter((b) => b !== binding)
+    );
+  }
+
+  resetBindings(options) {
+    this.bindings = {};
+    for (const action of RACTR_INPUT_ACTIONS) {
+      this.bindings[action] = RACTR_DEFAULT_BINDINGS[action].slice();
+    }
+    if (!options || options.persist !== false) {
+      this.saveBindings();
+    }
+  }
+
+  // The next key or gamepad button pressed replaces the action's primary
+  // binding of that device type; callback receives the new binding.
+  captureNextBinding(action, callback) {
+    this._capture = { action, callback: callback || null };
+  }
+
+  loadBindings() {
+    if (!this.storage) return;
+    let saved = null;
+    try {
+      saved = JSON.parse(this.storage.getItem(RACTR_BINDINGS_STORAGE_KEY));
+    } catch (e) {
+      // Corrupt or unavailable storage; keep the defaults.
+      return;
+    }
+    if (!saved || typeof saved !== "object") return;
+    for (const action of RACTR_INPUT_ACTIONS) {
+      const list = saved[action];
+      if (Array.isArray(list) && list.every((b) => typeof b === "string")) {
+        this.bindings[action] = list.slice();
+      }
+    }
+  }
+
+  saveBindings() {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(
+        RACTR_BINDINGS_STORAGE_KEY,
+        JSON.stringify(this.bindings)
+      );
+    } catch (e) {
+      // Storage full or disabled (private mode); bindings stay in memory.
+    }
+  }
+
+  _finishCapture(binding) {
+    const { action, callback } = this._capture;
+    this._capture = null;
+    const kind = binding.split(":")[0];
+    const list = this.getBindings(action).filter(
+      (b) => b.split(":")[0] !== kind || b === binding
+    );
+    if (!list.includes(binding)) list.unshift(binding);
+    this.setBindings(action, list);
+    if (callback) callback(binding);
+  }
+
+  // ---------------- DEVICES ----------------
+
+  attach(target, canvas) {
+    this.detach();
+    this.canvas = canvas || null;
+
+    this._listen(target, "keydown", (e) => {
+      const key = e.key.toLowerCase();
+      if (this._capture && !e.repeat) {
+        this._finishCapture(`key:${key}`);
+        return;
+      }
+      if (RACTR_BROWSER_KEYS.has(key) && this._isBoundKey(key)) {
+        e.preventDefault();
+      }
+      if (!e.repeat) this._keysPressed.add(key);
+      this.keysDown.add(key);
+      if (!e.ctrlKey && !e.metaKey && !e.altKey) {
+        if (e.key.length === 1) this._typed += e.key;
+        else if (key === "backspace") this._typed += "\b";
+      }
+    });
+
+    this._listen(target, "keyup", (e) => {
+      const key = e.key.toLowerCase();
+      this._keysReleased.add(key);
+      this.keysDown.delete(key);
+    });
+
+    // Keyup never arrives for keys held while focus leaves the window, so
+    // treat losing focus as releasing everything.
+    this._listen(target, "blur", () => this.releaseAll());
+
+    if (!canvas) return;
+
+    this._listen(canvas, "mousemove", (e) => {
+      this._setPointer(e.clientX, e.clientY);
+    });
+    this._listen(canvas, "mousedown", (e) => {
+      if (e.button !== 0) return;
+      this._setPointer(e.clientX, e.clientY);
+      this.pointer.down = true;
+      this._setMoveTarget(this.pointer.x, this.pointer.y);
+    });
+    this._listen(canvas, "mouseup", () => {
+      this.pointer.down = false;
+    });
+    // Not passive, so the page does not scroll while the game zooms.
+    this._listen(
+      canvas,
+      "wheel",
+      (e) => {
+        e.preventDefault();
+        this._addWheel(e.deltaY, e.deltaMode);
+      },
+      { passive: false }
+    );
+
+    const touchOpts = { passive: false };
+    this._listen(
+      canvas,
+      "touchstart",
+      (e) => {
+        e.preventDefault();
+        this.touchUsed = true;
+        for (const t of e.changedTouches) this._touchStart(t);
+      },
+      touchOpts
+    );
+    this._listen(
+      canvas,
+      "touchmove",
+      (e) => {
+        e.preventDefault();
+        for (const t of e.changedTouches) this._touchMove(t);
+      },
+      touchOpts
+    );
+    const end = (e) => {
+      for (const t of e.changedTouches) this._touchEnd(t);
+    };
+    this._listen(canvas, "touchend", end);
+    this._listen(canvas, "touchcancel", end);
+  }
+
+  // Removes every listener added by attach().
+  detach() {
+    for (const { target, type, handler, options } of this._listeners) {
+      target.removeEventListener(type, handler, options);
+    }
+    this._listeners = [];
+    this.releaseAll();
+  }
+
+  releaseAll() {
+    for (const key of this.keysDown) this._keysReleased.add(key);
+    this.keysDown.clear();
+    this.pointer.down = false;
+    this._pointerTouchId = null;
+    this.joystick.active = false;
+    this.joystick.touchId = null;
+    this.joystick.dx = 0;
+    this.joystick.dy = 0;
+    this.touchButtons = {};
+  }
+
+  _listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this._listeners.push({ target, type, handler, options });
+  }
+
+  _canvasPoint(clientX, clientY) {
+    if (!this.canvas) return { x: clientX, y: clientY };
+    const rect = this.canvas.getBoundingClientRect();
+    return { x: clientX - rect.left, y: clientY - rect.top };
+  }
+
+  _setPointer(clientX, clientY) {
+    const pt = this._canvasPoint(clientX, clientY);
+    this.pointer.x = pt.x;
+    this.pointer.y = pt.y;
+  }
+
+  _isBoundKey(key) {
+    const binding = `key:${key}`;
+    return RACTR_INPUT_ACTIONS.some((action) =>
+      (this.bindings[action] || []).includes(binding)
+    );
+  }
+
+  _setMoveTarget(x, y) {
+    this._moveTargetSeq++;
+    this.moveTarget = { id: this._moveTargetSeq, x, y };
+  }
+
+  // deltaMode 1 is lines and 2 pages; count both in pixels.
+  _addWheel(delta, mode) {
+    const scale = mode === 1 ? 40 : mode === 2 ? 800 : 1;
+    this._wheelPixels += (delta || 0) * scale;
+    const notches = Math.trunc(this._wheelPixels / this.wheelNotch);
+    this._wheel += notches;
+    this._wheelPixels -= notches * this.wheelNotch;
+  }
+
+  _canvasSize() {
+    const c = this.canvas;
+    return {
+      width: (c && (c.clientWidth || c.width)) || 960,
+      height: (c && (c.clientHeight || c.height)) || 540,
+    };
+  }
+
+  // Virtual buttons sit in the bottom-right corner, above the hotbar.
+  _touchButtonLayout() {
+    const { width, height } = this._canvasSize();
+    const r = 28;
+    return [
+      { action: "interact", label: "J", x: width - 48, y: height - 130, r },
+      { action: "dash", label: "»", x: width - 112, y: height - 100, r },
+      { action: "attack", label: "⚔", x: width - 48, y: height - 196, r },
+      { action: "targetNext", label: "◎", x: width - 112, y: height - 166, r },
+    ];
+  }
+
+  _touchStart(t) {
+    const pt = this._canvasPoint(t.clientX, t.clientY);
+
+    for (const btn of this._touchButtonLayout()) {
+      if (Math.hypot(pt.x - btn.x, pt.y - btn.y) <= btn.r) {
+        this.touchButtons[t.identifier] = btn.action;
+        return;
+      }
+    }
+
+    const { width } = this._canvasSize();
+    if (!this.joystick.active && pt.x < width * 0.4) {
+      this.joystick.active = true;
+      this.joystick.touchId = t.identifier;
+      this.joystick.ox = pt.x;
+      this.joystick.oy = pt.y;
+      this.joystick.dx = 0;
+      this.joystick.dy = 0;
+      return;
+    }
+
+    // A tap anywhere else behaves like a mouse click.
+    this.pointer.x = pt.x;
+    this.pointer.y = pt.y;
+    if (this._pointerTouchId === null) {
+      this._pointerTouchId = t.identifier;
+      this.pointer.down = true;
+    }
+    this._setMoveTarget(pt.x, pt.y);
+  }
+
+  _touchMove(t) {
+    if (t.identifier === this._pointerTouchId) {
+      const pt = this._canvasPoint(t.clientX, t.clientY);
+      this.pointer.x = pt.x;
+      this.pointer.y = pt.y;
+      return;
+    }
+    if (!this.joystick.active || t.identifier !== this.joystick.touchId) {
+      return;
+    }
+    const pt = this._canvasPoint(t.clientX, t.clientY);
+    let dx = (pt.x - this.joystick.ox) / this.joystickRadius;
+    let dy = (pt.y - this.joystick.oy) / this.joystickRadius;
+    const mag = Math.hypot(dx, dy);
+    if (mag > 1) {
+      dx /= mag;
+      dy /= mag;
+    }
+    this.joystick.dx = dx;
+    this.joystick.dy = dy;
+  }
+
+  _touchEnd(t) {
+    if (t.identifier === this._pointerTouchId) {
+      this._pointerTouchId = null;
+      this.pointer.down = false;
+    }
+    if (this.joystick.active && t.identifier === this.joystick.touchId) {
+      this.joystick.active = false;
+      this.joystick.touchId = null;
+      this.joystick.dx = 0;
+      this.joystick.dy = 0;
+    }
+    delete this.touchButtons[t.identifier];
+  }
+
+  _pollGamepads() {
+    this.padButtons = [];
+    this.padAxes = [];
+    if (typeof navigator === "undefined" || !navigator.getGamepads) return;
+
+    const pads = navigator.getGamepads() || [];
+    for (const pad of pads) {
+      if (!pad || !pad.connected) continue;
+      // First connected pad wins; local play is single-player.
+      this.padButtons = pad.buttons.map((b) => b.pressed || b.value > 0.5);
+      this.padAxes = pad.axes.slice();
+      break;
+    }
+
+    if (this._capture) {
+      const idx = this.padButtons.findIndex(Boolean);
+      if (idx >= 0) this._finishCapture(`pad:${idx}`);
+    }
+  }
+
+  _isBindingActive(binding) {
+    const sep = binding.indexOf(":");
+    const kind = binding.slice(0, sep);
+    const code = binding.slice(sep + 1);
+    if (kind === "key") {
+      return this.keysDown.has(code);
+    }
+    if (kind === "pad") {
+      return !!this.padButtons[Number(code)];
+    }
+    if (kind === "axis") {
+      const value = this.padAxes[Number(code.slice(0, -1))] || 0;
+      return code.endsWith("-")
+        ? value < -this.deadzone
+        : value > this.deadzone;
+    }
+    return false;
+  }
+
+  // Left stick with a radial deadzone, rescaled so the output still spans
+  // the full 0..1 range just outside the deadzone.
+  _analogStick() {
+    const x = this.padAxes[0] || 0;
+    const y = this.padAxes[1] || 0;
+    const mag = Math.hypot(x, y);
+    if (mag <= this.deadzone) return { x: 0, y: 0 };
+    const scaled = Math.min(1, (mag - this.deadzone) / (1 - this.deadzone));
+    return { x: (x / mag) * scaled, y: (y / mag) * scaled };
+  }
+
+  // ---------------- SNAPSHOT ----------------
+
+  setScriptedSource(src) {
+    this.scripted = true;
+    const target = src && src.moveTarget;
+    if (target && target.id == null) {
+      // Passing the same object on later ticks is still the same click.
+      if (target !== this._scriptedTarget) {
+        this._scriptedTarget = target;
+        this._scriptedTargetId = ++this._moveTargetSeq;
+      }
+      src = { ...src, moveTarget: { ...target, id: this._scriptedTargetId } };
+    }
+    this._scriptedSource = src || null;
+  }
+
+  // dt is the simulation step the snapshot is for; it ages the buffer.
+  snapshot(dt) {
+    const src = this.scripted
+      ? this._scriptedSource || {}
+      : this._sampleDevices();
+    const out = RactrInputMap.normalizeSnapshot(src);
+    this._applyEdges(out, dt || 0);
+    return out;
+  }
+
+  consume(action) {
+    delete this._buffer[action];
+  }
+
+  _applyEdges(out, dt) {
+    out.pressed = {};
+    out.released = {};
+    out.buffered = {};
+
+    for (const action of RACTR_INPUT_ACTIONS) {
+      const held = out[action];
+      const wasHeld = !!this._prevHeld[action];
+      const keys = this.getBindings(action)
+        .filter((b) => b.startsWith("key:"))
+        .map((b) => b.slice(4));
+      const tapped = keys.some((k) => this._keysPressed.has(k));
+      const lifted = keys.some((k) => this._keysReleased.has(k));
+
+      out.pressed[action] = (held && !wasHeld) || tapped;
+      out.released[action] = !held && (wasHeld || lifted);
+      this._prevHeld[action] = held;
+
+      if (out.pressed[action]) {
+        this._buffer[action] = this.bufferWindow;
+      } else if (this._buffer[action] !== undefined) {
+        this._buffer[action] -= dt;
+        if (this._buffer[action] < 0) delete this._buffer[action];
+      }
+      out.buffered[action] = this._buffer[action] !== undefined;
+    }
+
+    this._keysPressed.clear();
+    this._keysReleased.clear();
+    out.consume = (action) => this.consume(action);
+  }
+
+  _sampleDevices() {
+    this._pollGamepads();
+
+    const src = {};
+    for (const action of RACTR_INPUT_ACTIONS) {
+      src[action] = this.getBindings(action).some((b) =>
+        this._isBindingActive(b)
+      );
+    }
+    for (const id of Object.keys(this.touchButtons)) {
+      src[this.touchButtons[id]] = true;
+    }
+
+    // Analog sources take precedence over the digital directions.
+    const analog = this.joystick.active
+      ? { x: this.joystick.dx, y: this.joystick.dy }
+      : this._analogStick();
+    if (analog.x !== 0 || analog.y !== 0) {
+      src.moveX = analog.x;
+      src.moveY = analog.y;
+    }
+
+    src.pointer = { ...this.pointer };
+    src.moveTarget = this.moveTarget ? { ...this.moveTarget } : null;
+    src.text = this._typed;
+    this._typed = "";
+    src.wheel = this._wheel;
+    this._wheel = 0;
+    return src;
+  }
+
+  // Fills in every held action plus moveX/moveY from a partial snapshot, so
+  // scripted (headless) input and device input look the same to the game.
+  static normalizeSnapshot(src) {
+    const s = src || {};
+    const out = {};
+    for (const action of RACTR_INPUT_ACTIONS) {
+      out[action] = !!s[action];
+    }
+
+    if (typeof s.moveX === "number" || typeof s.moveY === "number") {
+      out.moveX = s.moveX || 0;
+      out.moveY = s.moveY || 0;
+    } else {
+      const x = (out.right ? 1 : 0) - (out.left ? 1 : 0);
+      const y = (out.down ? 1 : 0) - (out.up ? 1 : 0);
+      const mag = Math.hypot(x, y) || 1;
+      out.moveX = x / mag;
+      out.moveY = y / mag;
+    }
+
+    out.pointer = s.pointer
+      ? { x: s.pointer.x || 0, y: s.pointer.y || 0, down: !!s.pointer.down }
+      : { x: 0, y: 0, down: false };
+    out.moveTarget = s.moveTarget
+      ? { id: s.moveTarget.id || 0, x: s.moveTarget.x, y: s.moveTarget.y }
+      : null;
+    out.text = typeof s.text === "string" ? s.text : "";
+    out.wheel = typeof s.wheel === "number" ? s.wheel : 0;
+    return out;
+  }
+
+  // ---------------- OVERLAY ----------------
+
+  // Draws the virtual joystick and buttons, only once touch has been used.
+  renderTouchOverlay(ctx) {
+    if (!this.touchUsed) return;
+
+    ctx.save();
+    ctx.font = "14px system-ui, -apple-system, BlinkMacSystemFont, sans-serif";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+
+    if (this.joystick.active) {
+      const j = this.joystick;
+      ctx.beginPath();
+      ctx.fillStyle = "rgba(255,255,255,0.08)";
+      ctx.strokeStyle = "rgba(255,255,255,0.3)";
+      ctx.lineWidth = 2;
+      ctx.arc(j.ox, j.oy, this.joystickRadius, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+
+      ctx.beginPath();
+      ctx.fillStyle = "rgba(255,255,255,0.45)";
+      ctx.arc(
+        j.ox + j.dx * this.joystickRadius,
+        j.oy + j.dy * this.joystickRadius,
+        this.joystickRadius * 0.4,
+        0,
+        Math.PI * 2
+      );
+      ctx.fill();
+    }
+
+    const held = new Set(Object.values(this.touchButtons));
+    for (const btn of this._touchButtonLayout()) {
+      ctx.beginPath();
+      ctx.fillStyle = held.has(btn.action)
+        ? "rgba(255,255,255,0.35)"
+        : "rgba(255,255,255,0.12)";
+      ctx.strokeStyle = "rgba(255,255,255,0.4)";
+      ctx.lineWidth = 2;
+      ctx.arc(btn.x, btn.y, btn.r, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+      ctx.fillStyle = "rgba(255,255,255,0.9)";
+      ctx.fillText(btn.label, btn.x, btn.y);
+    }
+
+    ctx.restore();
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.RACTR_INPUT_ACTIONS = RACTR_INPUT_ACTIONS;
+  window.RACTR_DEFAULT_BINDINGS = RACTR_DEFAULT_BINDINGS;
+  window.RactrInputMap = RactrInputMap;
+}
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    RACTR_INPUT_ACTIONS,
+    RACTR_DEFAULT_BINDINGS,
+    RactrInputMap,
+  };
+}
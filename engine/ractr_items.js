@@ -0,0 +1,457 @@
+// RactrItems: the item database, the bag grid and equipment slots.
+//
+// Definition format (RACTR_ITEMS):
+//   {
+//     name, description,
+//     type: "weapon" | "armor" | "consumable" | "material",
+//     slot,                            // equipment slot, for gear
+//     rarity,                          // key of RACTR_ITEM_RARITIES
+//     stackable, maxStack,             // maxStack defaults to 1
+//     weight, value,                   // value in gold, for merchants
+//     modifiers: { stat: { add, multiply } },   // gear, while worn
+//     use: { health, mana, verb },     // consumables; verb for chat
+//   }
+// Gear modifiers use the same shape as status effect modifiers (see
+// ractr_effects.js) and the same stat names.
+//
+// RactrInventory is a fixed-size grid of slots, each null or
+// { itemId, count }. RactrEquipment maps each equipment slot to an item id
+// or null. Both serialize to plain data for saves.
+
+const RACTR_ITEM_RARITIES = {
+  common: { name: "Common", color: "#e6e6e6" },
+  uncommon: { name: "Uncommon", color: "#5fd068" },
+  rare: { name: "Rare", color: "#4f9dff" },
+  epic: { name: "Epic", color: "#b36bff" },
+};
+
+const RACTR_EQUIPMENT_SLOTS = [
+  "head",
+  "chest",
+  "hands",
+  "legs",
+  "feet",
+  "weapon",
+  "offhand",
+];
+
+const RACTR_BAG_SIZE = 32;
+
+const RACTR_ITEMS = {
+  // --- Weapons ---
+  worn_shortsword: {
+    name: "Worn Shortsword",
+    description: "Nicked, but it still holds an edge.",
+    type: "weapon",
+    slot: "weapon",
+    rarity: "common",
+    weight: 3,
+    value: 4,
+    modifiers: { attackPower: { add: 3 } },
+  },
+  ironwood_longsword: {
+    name: "Ironwood Longsword",
+    description: "Warden steel set in a grip of ironwood.",
+    type: "weapon",
+    slot: "weapon",
+    rarity: "uncommon",
+    weight: 5,
+    value: 45,
+    modifiers: { attackPower: { add: 7 }, critChance: { add: 0.01 } },
+  },
+  packleader_fang_blade: {
+    name: "Packleader's Fang",
+    description: "A jagged blade with a wolf's fang set in the pommel.",
+    type: "weapon",
+    slot: "weapon",
+    rarity: "rare",
+    weight: 4,
+    value: 120,
+    modifiers: {
+      attackPower: { add: 10 },
+      critChance: { add: 0.03 },
+      agility: { add: 2 },
+    },
+  },
+  oak_buckler: {
+    name: "Oak Buckler",
+    description: "A small round shield banded with iron.",
+    type: "armor",
+    slot: "offhand",
+    rarity: "common",
+    weight: 5,
+    value: 12,
+    modifiers: { defense: { add: 3 } },
+  },
+
+  // --- Armor ---
+  leather_cap: {
+    name: "Leather Cap",
+    description: "Keeps the rain off, mostly.",
+    type: "armor",
+    slot: "head",
+    rarity: "common",
+    weight: 1,
+    value: 6,
+    modifiers: { defense: { add: 1 } },
+  },
+  padded_tunic: {
+    name: "Padded Tunic",
+    description: "Quilted cloth, stitched by the Everlight tailor.",
+    type: "armor",
+    slot: "chest",
+    rarity: "common",
+    weight: 4,
+    value: 8,
+    modifiers: { defense: { add: 2 } },
+  },
+  warden_gloves: {
+    name: "Warden Gloves",
+    description: "Thick gloves worn by the forest wardens.",
+    type: "armor",
+    slot: "hands",
+    rarity: "common",
+    weight: 1,
+    value: 9,
+    modifiers: { defense: { add: 1 }, strength: { add: 1 } },
+  },
+  canvas_leggings: {
+    name: "Canvas Leggings",
+    description: "Sturdy travelling trousers.",
+    type: "armor",
+    slot: "legs",
+    rarity: "common",
+    weight: 3,
+    value: 7,
+    modifiers: { defense: { add: 1 } },
+  },
+  wolfhide_boots: {
+    name: "Wolfhide Boots",
+    description: "Soft-soled boots that make little sound.",
+    type: "armor",
+    slot: "feet",
+    rarity: "uncommon",
+    weight: 2,
+    value: 28,
+    modifiers: {
+      defense: { add: 2 },
+      agility: { add: 2 },
+      moveSpeed: { multiply: 1.05 },
+    },
+  },
+
+  // --- Consumables ---
+  minor_healing_potion: {
+    name: "Minor Healing Potion",
+    description: "A red draught that closes small wounds.",
+    type: "consumable",
+    rarity: "common",
+    stackable: true,
+    maxStack: 10,
+    weight: 0.5,
+    value: 5,
+    use: { health: 40, verb: "drink" },
+  },
+  minor_mana_potion: {
+    name: "Minor Mana Potion",
+    description: "Tastes of cold water and starlight.",
+    type: "consumable",
+    rarity: "common",
+    stackable: true,
+    maxStack: 10,
+    weight: 0.5,
+    value: 6,
+    use: { mana: 30, verb: "drink" },
+  },
+  travel_bread: {
+    name: "Travel Bread",
+    description: "Dense, dry and filling.",
+    type: "consumable",
+    rarity: "common",
+    stackable: true,
+    maxStack: 20,
+    weight: 0.2,
+    value: 1,
+    use: { health: 15, verb: "eat" },
+  },
+
+  // --- Materials ---
+  wolf_pelt: {
+    name: "Wolf Pelt",
+    description: "Worth a few coins to a trader.",
+    type: "material",
+    rarity: "common",
+    stackable: true,
+    maxStack: 20,
+    weight: 1,
+    value: 3,
+  },
+  boar_tusk: {
+    name: "Boar Tusk",
+    description: "Curved and sharp. Traders like these.",
+    type: "material",
+    rarity: "common",
+    stackable: true,
+    maxStack: 20,
+    weight: 0.5,
+    value: 4,
+  },
+  timber_wolf_fang: {
+    name: "Timber Wolf Fang",
+    description: "Longer than your finger.",
+    type: "material",
+    rarity: "uncommon",
+    stackable: true,
+    maxStack: 20,
+    weight: 0.2,
+    value: 9,
+  },
+};
+
+function ractrItem(itemId) {
+  const item = RACTR_ITEMS[itemId];
+  if (!item) throw new Error(`RactrItems: unknown item '${itemId}'`);
+  return item;
+}
+
+function ractrMaxStack(item) {
+  return item.stackable ? item.maxStack || 1 : 1;
+}
+
+// base with a list of { add, multiply } modifier maps applied for `stat`:
+// all additions first, then all multipliers.
+function ractrApplyModifiers(stat, base, modifierMaps) {
+  let add = 0;
+  let mult = 1;
+  for (const mods of modifierMaps) {
+    const mod = mods && mods[stat];
+    if (!mod) continue;
+    if (mod.add) add += mod.add;
+    if (mod.multiply) mult *= mod.multiply;
+  }
+  return (base + add) * mult;
+}
+
+class RactrInventory {
+  constructor(size) {
+    this.size = size || RACTR_BAG_SIZE;
+    this.slots = new Array(this.size).fill(null);
+  }
+
+  // Unknown items and malformed entries are dropped, so a save from an
+  // older item list still loads.
+  static fromSnapshot(snapshot, size) {
+    const bag = new RactrInventory(size);
+    (snapshot || []).forEach((entry, i) => {
+      if (i >= bag.size || !entry || !RACTR_ITEMS[entry.itemId]) return;
+      const max = ractrMaxStack(RACTR_ITEMS[entry.itemId]);
+      const count = Math.min(max, Math.floor(entry.count) || 0);
+      if (count > 0) bag.slots[i] = { itemId: entry.itemId, count };
+    });
+    return bag;
+  }
+
+  snapshot() {
+    return this.slots.map((s) =>
+      s ? { itemId: s.itemId, count: s.count } : null
+    );
+  }
+
+  count(itemId) {
+    return this.slots.reduce(
+      (n, s) => (s && s.itemId === itemId ? n + s.count : n),
+      0
+    );
+  }
+
+  firstEmpty() {
+    return this.slots.indexOf(null);
+  }
+
+  // Tops up existing stacks first, then fills empty slots. Returns how
+  // many did not fit (0 when everything went in).
+  add(itemId, count) {
+    const item = ractrItem(itemId);
+    const max = ractrMaxStack(item);
+    let left = count === undefined ? 1 : count;
+    if (item.stackable) {
+      for (const s of this.slots) {
+        if (left <= 0) break;
+        if (!s || s.itemId !== itemId || s.count >= max) continue;
+        const moved = Math.min(left, max - s.count);
+        s.count += moved;
+        left -= moved;
+      }
+    }
+    while (left > 0) {
+      const idx = this.firstEmpty();
+      if (idx < 0) break;
+      const moved = Math.min(left, max);
+      this.slots[idx] = { itemId, count: moved };
+      left -= moved;
+    }
+    return left;
+  }
+
+  // Whether `count` of an item would fit without leaving anything over.
+  canAdd(itemId, count) {
+    const item = ractrItem(itemId);
+    const max = ractrMaxStack(item);
+    let room = 0;
+    for (const s of this.slots) {
+      if (!s) room += max;
+      else if (item.stackable && s.itemId === itemId) room += max - s.count;
+    }
+    return room >= (count === undefined ? 1 : count);
+  }
+
+  // Removes up to `count`, emptying the last stacks first. Returns how
+  // many were removed.
+  remove(itemId, count) {
+    let left = count === undefined ? 1 : count;
+    for (let i = this.slots.length - 1; i >= 0 && left > 0; i--) {
+      const s = this.slots[i];
+      if (!s || s.itemId !== itemId) continue;
+      const taken = Math.min(left, s.count);
+      s.count -= taken;
+      left -= taken;
+      if (s.count <= 0) this.slots[i] = null;
+    }
+    return (count === undefined ? 1 : count) - left;
+  }
+
+  // Takes `count` from one slot (all of it by default) and returns
+  // { itemId, count }, or null if the slot is empty.
+  takeAt(index, count) {
+    const s = this.slots[index];
+    if (!s) return null;
+    const taken = Math.min(s.count, count === undefined ? s.count : count);
+    s.count -= taken;
+    if (s.count <= 0) this.slots[index] = null;
+    return { itemId: s.itemId, count: taken };
+  }
+
+  // Drag and drop between slots: merges matching stacks as far as they
+  // go, otherwise swaps the two slots.
+  move(from, to) {
+    if (from === to) return;
+    const a = this.slots[from];
+    const b = this.slots[to];
+    if (!a) return;
+    if (b && b.itemId === a.itemId && RACTR_ITEMS[a.itemId].stackable) {
+      const max = ractrMaxStack(RACTR_ITEMS[a.itemId]);
+      const moved = Math.min(a.count, max - b.count);
+      b.count += moved;
+      a.count -= moved;
+      if (a.count <= 0) this.slots[from] = null;
+      return;
+    }
+    this.slots[from] = b;
+    this.slots[to] = a;
+  }
+
+  // Moves `count` off a stack into slot `to` (an empty slot, or one with
+  // the same item and room), or the first empty slot when `to` is
+  // omitted. Returns false when there is nowhere to put it.
+  split(from, count, to) {
+    const a = this.slots[from];
+    if (!a || count <= 0 || count >= a.count) return false;
+    const dest = to === undefined ? this.firstEmpty() : to;
+    if (dest < 0 || dest === from) return false;
+    const b = this.slots[dest];
+    const max = ractrMaxStack(RACTR_ITEMS[a.itemId]);
+    if (b && (b.itemId !== a.itemId || b.count + count > max)) return false;
+    if (b) b.count += count;
+    else this.slots[dest] = { itemId: a.itemId, count };
+    a.count -= count;
+    return true;
+  }
+
+  totalWeight() {
+    return this.slots.reduce(
+      (w, s) => (s ? w + (RACTR_ITEMS[s.itemId].weight || 0) * s.count : w),
+      0
+    );
+  }
+}
+
+class RactrEquipment {
+  constructor() {
+    this.slots = {};
+    for (const slot of RACTR_EQUIPMENT_SLOTS) this.slots[slot] = null;
+  }
+
+  static fromSnapshot(snapshot) {
+    const gear = new RactrEquipment();
+    const snap = snapshot || {};
+    for (const slot of RACTR_EQUIPMENT_SLOTS) {
+      const item = RACTR_ITEMS[snap[slot]];
+      if (item && item.slot === slot) gear.slots[slot] = snap[slot];
+    }
+    return gear;
+  }
+
+  snapshot() {
+    return { ...this.slots };
+  }
+
+  get(slot) {
+    return this.slots[slot] || null;
+  }
+
+  // Puts an item in its slot and returns the item id it replaced (or
+  // null). Throws for items that cannot be worn.
+  equip(itemId) {
+    const item = ractrItem(itemId);
+    if (!item.slot || !(item.slot in this.slots)) {
+      throw new Error(`RactrEquipment: '${itemId}' cannot be equipped`);
+    }
+    const previous = this.slots[item.slot];
+    this.slots[item.slot] = itemId;
+    return previous;
+  }
+
+  unequip(slot) {
+    const previous = this.slots[slot] || null;
+    this.slots[slot] = null;
+    return previous;
+  }
+
+  totalWeight() {
+    return RACTR_EQUIPMENT_SLOTS.reduce((w, slot) => {
+      const id = this.slots[slot];
+      return id ? w + (RACTR_ITEMS[id].weight || 0) : w;
+    }, 0);
+  }
+
+  // base with every worn item's modifier for `stat` applied.
+  modify(stat, base) {
+    const maps = [];
+    for (const slot of RACTR_EQUIPMENT_SLOTS) {
+      const id = this.slots[slot];
+      if (id) maps.push(RACTR_ITEMS[id].modifiers);
+    }
+    return ractrApplyModifiers(stat, base, maps);
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.RACTR_ITEM_RARITIES = RACTR_ITEM_RARITIES;
+  window.RACTR_EQUIPMENT_SLOTS = RACTR_EQUIPMENT_SLOTS;
+  window.RACTR_BAG_SIZE = RACTR_BAG_SIZE;
+  window.RACTR_ITEMS = RACTR_ITEMS;
+  window.ractrItem = ractrItem;
+  window.RactrInventory = RactrInventory;
+  window.RactrEquipment = RactrEquipment;
+}
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    RACTR_ITEM_RARITIES,
+    RACTR_EQUIPMENT_SLOTS,
+    RACTR_BAG_SIZE,
+    RACTR_ITEMS,
+    ractrItem,
+    RactrInventory,
+    RactrEquipment,
+  };
+}
@@ -0,0 +1,220 @@
+// RactrLoot: loot tables, the roller that turns them into drops, and a
+// seeded random number generator so drops can be reproduced.
+//
+// Table format (RACTR_LOOT_TABLES):
+//   {
+//     gold: [min, max],                // whole coins, inclusive
+//     guaranteed: [ entry, ... ],      // always dropped, weights ignored
+//     rolls: n | [min, max],           // picks from `entries` (default 1)
+//     entries: [ entry, ... ],         // picked by weight
+//   }
+// Entries:
+//   { weight, itemId, count }          count: n or [min, max]
+//   { weight, table }                  rolls another table in full
+//   { weight, gear: [itemId, ...] }    rolls a rarity for the dropper's
+//                                      level, then an item of it
+//   { weight }                         nothing
+//
+// Rarity rolls use RACTR_LOOT_RARITY_WEIGHTS: each rarity weighs
+// base + perLevel * (level - 1), so higher-level mobs and containers lean
+// towards better gear. When the pool has nothing of the rolled rarity the
+// next rarity down is tried.
+//
+// RactrLootRoller takes its random source like RactrCombat does: any
+// function returning [0, 1). ractrSeededRandom(seed) gives one that always
+// produces the same sequence for the same seed.
+
+const RACTR_LOOT_RARITY_WEIGHTS = {
+  common: { base: 100, perLevel: -4 },
+  uncommon: { base: 20, perLevel: 4 },
+  rare: { base: 2, perLevel: 1.5 },
+  epic: { base: 0, perLevel: 0.25 },
+};
+
+const RACTR_LOOT_TABLES = {
+  forest_scraps: {
+    entries: [
+      { weight: 40, itemId: "travel_bread", count: [1, 2] },
+      { weight: 35, itemId: "minor_healing_potion" },
+      { weight: 25, itemId: "minor_mana_potion" },
+    ],
+  },
+  forest_gear: {
+    entries: [
+      {
+        weight: 1,
+        gear: [
+          "leather_cap",
+          "warden_gloves",
+          "canvas_leggings",
+          "oak_buckler",
+          "wolfhide_boots",
+          "ironwood_longsword",
+          "packleader_fang_blade",
+        ],
+      },
+    ],
+  },
+  forest_wolf: {
+    gold: [0, 3],
+    entries: [{ weight: 70, itemId: "wolf_pelt" }, { weight: 30 }],
+  },
+  timber_wolf: {
+    gold: [1, 6],
+    guaranteed: [{ itemId: "wolf_pelt" }],
+    rolls: [1, 2],
+    entries: [
+      { weight: 35, itemId: "timber_wolf_fang" },
+      { weight: 20, table: "forest_scraps" },
+      { weight: 8, table: "forest_gear" },
+      { weight: 37 },
+    ],
+  },
+  bramble_boar: {
+    gold: [2, 8],
+    guaranteed: [{ itemId: "boar_tusk", count: [1, 2] }],
+    entries: [
+      { weight: 30, table: "forest_scraps" },
+      { weight: 10, table: "forest_gear" },
+      { weight: 60 },
+    ],
+  },
+  forest_cache: {
+    gold: [5, 15],
+    guaranteed: [{ table: "forest_scraps" }],
+    rolls: 2,
+    entries: [
+      { weight: 40, table: "forest_scraps" },
+      { weight: 25, table: "forest_gear" },
+      { weight: 35 },
+    ],
+  },
+};
+
+// mulberry32: small, fast and good enough for games.
+function ractrSeededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+class RactrLootRoller {
+  constructor(tables, options) {
+    const opts = options || {};
+    this.tables = tables || RACTR_LOOT_TABLES;
+    this.random = opts.random || Math.random;
+    this.rarityWeights = opts.rarityWeights || RACTR_LOOT_RARITY_WEIGHTS;
+    // Nested tables deeper than this are treated as a cycle.
+    this.maxDepth = opts.maxDepth || 8;
+  }
+
+  // Rolls a whole table for a dropper of the given level. Returns
+  // { gold, items: [{ itemId, count }] } with stackable items merged.
+  roll(tableId, level) {
+    const drop = { gold: 0, items: [] };
+    this._rollTable(tableId, level || 1, drop, 0);
+    return drop;
+  }
+
+  // A rarity id for the given level, by RACTR_LOOT_RARITY_WEIGHTS.
+  rollRarity(level) {
+    const entries = Object.entries(this.rarityWeights).map(([id, w]) => ({
+      id,
+      weight: Math.max(0, w.base + w.perLevel * ((level || 1) - 1)),
+    }));
+    const picked = this._pick(entries);
+    return picked ? picked.id : "common";
+  }
+
+  _rollTable(tableId, level, drop, depth) {
+    const table = this.tables[tableId];
+    if (!table) {
+      throw new Error(`RactrLootRoller: unknown loot table '${tableId}'`);
+    }
+    if (depth > this.maxDepth) {
+      throw new Error(
+        `RactrLootRoller: loot table '${tableId}' nests too deep`
+      );
+    }
+    if (table.gold) drop.gold += this._count(table.gold);
+    for (const entry of table.guaranteed || []) {
+      this._rollEntry(entry, level, drop, depth);
+    }
+    const rolls = this._count(table.rolls === undefined ? 1 : table.rolls);
+    for (let i = 0; i < rolls && table.entries; i++) {
+      const entry = this._pick(table.entries);
+      if (entry) this._rollEntry(entry, level, drop, depth);
+    }
+  }
+
+  _rollEntry(entry, level, drop, depth) {
+    if (entry.table) {
+      this._rollTable(entry.table, level, drop, depth + 1);
+    } else if (entry.gear) {
+      const itemId = this._rollGear(entry.gear, level);
+      if (itemId) this._addItem(drop, itemId, 1);
+    } else if (entry.itemId) {
+      const count = this._count(entry.count === undefined ? 1 : entry.count);
+      if (count > 0) this._addItem(drop, entry.itemId, count);
+    }
+  }
+
+  _rollGear(pool, level) {
+    const order = Object.keys(this.rarityWeights);
+    let rank = order.indexOf(this.rollRarity(level));
+    for (; rank >= 0; rank--) {
+      const candidates = pool.filter(
+        (id) => ractrItem(id).rarity === order[rank]
+      );
+      if (candidates.length) {
+        return candidates[Math.floor(this.random() * candidates.length)];
+      }
+    }
+    return null;
+  }
+
+  _addItem(drop, itemId, count) {
+    const item = ractrItem(itemId);
+    const same = item.stackable && drop.items.find((i) => i.itemId === itemId);
+    if (same) same.count += count;
+    else drop.items.push({ itemId, count });
+  }
+
+  // n, or a whole number in [min, max].
+  _count(spec) {
+    if (!Array.isArray(spec)) return spec;
+    const [min, max] = spec;
+    return min + Math.floor(this.random() * (max - min + 1));
+  }
+
+  _pick(entries) {
+    const total = entries.reduce((sum, e) => sum + (e.weight || 0), 0);
+    if (total <= 0) return null;
+    let r = this.random() * total;
+    for (const entry of entries) {
+      r -= entry.weight || 0;
+      if (r < 0) return entry;
+    }
+    return entries[entries.length - 1];
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.RACTR_LOOT_RARITY_WEIGHTS = RACTR_LOOT_RARITY_WEIGHTS;
+  window.RACTR_LOOT_TABLES = RACTR_LOOT_TABLES;
+  window.ractrSeededRandom = ractrSeededRandom;
+  window.RactrLootRoller = RactrLootRoller;
+}
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    RACTR_LOOT_RARITY_WEIGHTS,
+    RACTR_LOOT_TABLES,
+    ractrSeededRandom,
+    RactrLootRoller,
+  };
+}
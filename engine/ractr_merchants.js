@@ -0,0 +1,179 @@
+// RactrMerchants: shop stock, prices and the buy/sell/buyback rules.
+//
+// Definition format (RACTR_MERCHANTS), keyed by the `vendor` field of an
+// `npc` object in a zone map:
+//   {
+//     greeting,                        // said when the shop opens
+//     markup,                          // buy price = item value * markup
+//     sellRatio,                       // sell price = item value * ratio
+//     restockTime,                     // seconds per unit restocked
+//     buybackSize,                     // how many sales can be bought back
+//     stock: [ { itemId, price, quantity } ],
+//   }
+// `price` overrides the marked-up value. `quantity` limits how many are on
+// hand (restocked one at a time up to it); leave it out for unlimited.
+//
+// RactrMerchant is one shop's running state. Like RactrAbilityCaster it
+// only decides; buy(), sell() and buyBack() return { error } when refused,
+// otherwise what changed hands, and move gold and items on the player they
+// are given.
+
+const RACTR_MERCHANTS = {
+  kerrin: {
+    greeting: "Have a look. Everything's for sale, except me.",
+    markup: 1.25,
+    sellRatio: 0.3,
+    restockTime: 120,
+    buybackSize: 8,
+    stock: [
+      { itemId: "minor_healing_potion", quantity: 8 },
+      { itemId: "minor_mana_potion", quantity: 8 },
+      { itemId: "travel_bread" },
+      { itemId: "leather_cap", quantity: 2 },
+      { itemId: "canvas_leggings", quantity: 2 },
+      { itemId: "warden_gloves", quantity: 2 },
+      { itemId: "oak_buckler", quantity: 1 },
+      { itemId: "ironwood_longsword", price: 60, quantity: 1 },
+    ],
+  },
+  seren: {
+    greeting: "Hungry? Thirsty? Both, by the look of you.",
+    markup: 1,
+    sellRatio: 0.2,
+    restockTime: 60,
+    buybackSize: 4,
+    stock: [
+      { itemId: "travel_bread", price: 1 },
+      { itemId: "minor_healing_potion", price: 7, quantity: 3 },
+    ],
+  },
+};
+
+class RactrMerchant {
+  constructor(id, def) {
+    this.id = id;
+    this.def = def;
+    // { itemId, price, quantity, max, restockTimer }; quantity and max
+    // are null for unlimited stock.
+    this.stock = def.stock.map((s) => {
+      const max = s.quantity === undefined ? null : s.quantity;
+      return {
+        itemId: s.itemId,
+        price:
+          s.price !== undefined
+            ? s.price
+            : Math.max(1, Math.ceil(ractrItem(s.itemId).value * def.markup)),
+        quantity: max,
+        max,
+        restockTimer: 0,
+      };
+    });
+    // Most recent sale first: { itemId, count, price } with price per unit.
+    this.buyback = [];
+  }
+
+  // What the merchant pays for one of an item; 0 means they won't take it.
+  sellPrice(itemId) {
+    const value = ractrItem(itemId).value || 0;
+    if (value <= 0) return 0;
+    return Math.max(1, Math.floor(value * this.def.sellRatio));
+  }
+
+  buy(player, index, count) {
+    const entry = this.stock[index];
+    if (!entry) return { error: "That is not for sale." };
+    const want = Math.max(1, Math.floor(count || 1));
+    if (entry.quantity !== null && entry.quantity < want) {
+      return {
+        error: entry.quantity > 0 ? "Not that many left." : "Sold out.",
+      };
+    }
+    const cost = entry.price * want;
+    if (player.gold < cost) return { error: "You can't afford that." };
+    if (!player.inventory.canAdd(entry.itemId, want)) {
+      return { error: "Your bags are full." };
+    }
+    player.gold -= cost;
+    player.inventory.add(entry.itemId, want);
+    if (entry.quantity !== null) entry.quantity -= want;
+    return { itemId: entry.itemId, count: want, gold: cost };
+  }
+
+  // Sells `count` (default: the whole stack) from one bag slot.
+  sell(player, bagIndex, count) {
+    const slot = player.inventory.slots[bagIndex];
+    if (!slot) return { error: "There is nothing there to sell." };
+    const price = this.sellPrice(slot.itemId);
+    if (price <= 0) return { error: "The merchant isn't interested in that." };
+    const taken = player.inventory.takeAt(bagIndex, count);
+    const gold = price * taken.count;
+    player.gold += gold;
+    this.buyback.unshift({ itemId: taken.itemId, count: taken.count, price });
+    this.buyback.length = Math.min(this.buyback.length, this.def.buybackSize);
+    return { itemId: taken.itemId, count: taken.count, gold };
+  }
+
+  // Buys a sold stack back for what the merchant paid for it.
+  buyBack(player, index) {
+    const entry = this.buyback[index];
+    if (!entry) return { error: "That is no longer available." };
+    const cost = entry.price * entry.count;
+    if (player.gold < cost) return { error: "You can't afford that." };
+    if (!player.inventory.canAdd(entry.itemId, entry.count)) {
+      return { error: "Your bags are full." };
+    }
+    player.gold -= cost;
+    player.inventory.add(entry.itemId, entry.count);
+    this.buyback.splice(index, 1);
+    return { itemId: entry.itemId, count: entry.count, gold: cost };
+  }
+
+  // Limited stock comes back one unit per restockTime while below its max.
+  update(dt) {
+    for (const entry of this.stock) {
+      if (entry.quantity === null || entry.quantity >= entry.max) {
+        entry.restockTimer = 0;
+        continue;
+      }
+      entry.restockTimer += dt;
+      if (entry.restockTimer >= this.def.restockTime) {
+        entry.restockTimer -= this.def.restockTime;
+        entry.quantity += 1;
+      }
+    }
+  }
+
+  snapshot() {
+    return {
+      stock: this.stock.map((s) => ({
+        itemId: s.itemId,
+        quantity: s.quantity,
+        restockTimer: s.restockTimer,
+      })),
+      buyback: this.buyback.map((b) => ({ ...b })),
+    };
+  }
+
+  // Entries are matched by item id, so a changed stock list still loads.
+  restore(snapshot) {
+    if (!snapshot) return;
+    for (const saved of snapshot.stock || []) {
+      const entry = this.stock.find((s) => s.itemId === saved.itemId);
+      if (!entry || entry.max === null) continue;
+      entry.quantity = Math.max(0, Math.min(entry.max, saved.quantity | 0));
+      entry.restockTimer = Number(saved.restockTimer) || 0;
+    }
+    this.buyback = (snapshot.buyback || [])
+      .filter((b) => RACTR_ITEMS[b.itemId] && b.count > 0)
+      .slice(0, this.def.buybackSize)
+      .map((b) => ({ itemId: b.itemId, count: b.count, price: b.price }));
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.RACTR_MERCHANTS = RACTR_MERCHANTS;
+  window.RactrMerchant = RactrMerchant;
+}
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { RACTR_MERCHANTS, RactrMerchant };
+}
@@ -0,0 +1,76 @@
+// RactrMobData: hostile creature types, keyed by the `mob` field of the
+// `mob_spawn` objects in zone maps (see ractr_zone_data.js).
+//
+// Stats use the same names as the player's, so the combat formulas in
+// RactrCombat treat both sides alike. Distances are world units, times are
+// seconds. `onHit` names a status effect (RACTR_STATUS_EFFECTS) that each
+// landed hit has `chance` to apply. `loot` names the RACTR_LOOT_TABLES
+// table rolled for its corpse. `behavior` is what it does while nothing
+// is in aggro range (a RactrBrain behaviour, ractr_ai.js; it stands at its
+// spawn point without one).
+
+const RACTR_MOB_TYPES = {
+  forest_wolf: {
+    name: "Forest Wolf",
+    level: 2,
+    maxHealth: 48,
+    attackPower: 7,
+    defense: 1,
+    critChance: 0.04,
+    swingTime: 1.7,
+    reach: 8,
+    radius: 12,
+    speed: 95,
+    aggroRadius: 130,
+    leashRadius: 360,
+    xp: 22,
+    loot: "forest_wolf",
+    color: "#8a8f99",
+    behavior: { type: "wander", radius: 50, pause: [3, 8], speed: 40 },
+  },
+  bramble_boar: {
+    name: "Bramble Boar",
+    level: 3,
+    maxHealth: 95,
+    attackPower: 10,
+    defense: 5,
+    critChance: 0.03,
+    swingTime: 2.2,
+    reach: 8,
+    radius: 14,
+    speed: 85,
+    aggroRadius: 90,
+    leashRadius: 300,
+    xp: 34,
+    loot: "bramble_boar",
+    onHit: { effect: "dazed", chance: 0.2 },
+    color: "#7a4a2e",
+    behavior: { type: "wander", radius: 30, pause: [5, 12], speed: 25 },
+  },
+  timber_wolf: {
+    name: "Timber Wolf",
+    level: 4,
+    maxHealth: 80,
+    attackPower: 11,
+    defense: 3,
+    critChance: 0.06,
+    swingTime: 1.6,
+    reach: 8,
+    radius: 13,
+    speed: 105,
+    aggroRadius: 150,
+    leashRadius: 380,
+    xp: 40,
+    loot: "timber_wolf",
+    onHit: { effect: "bleeding", chance: 0.3 },
+    color: "#5d5346",
+    behavior: { type: "wander", radius: 60, pause: [2, 6], speed: 45 },
+  },
+};
+
+if (typeof window !== "undefined") {
+  window.RACTR_MOB_TYPES = RACTR_MOB_TYPES;
+}
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { RACTR_MOB_TYPES };
+}
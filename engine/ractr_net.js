@@ -1,7 +1,298 @@
 // RactrNetClient: thin client-side networking layer scaffold.
 // This file defines the networking surface used by the game. It is fully
-// optional: if no backend URLs are provided in ractr_config.json, all
-// operations become no-ops and the game remains purely single-player.
+// optional: if no backend URLs are provided in the "net" section of
+// ractr_config.json (see RactrConfig), all operations become no-ops and the
+// game remains purely single-player.
+//
+// Other players arrive in `world_snapshot` messages:
+//   {
+//     type: "world_snapshot",
+//     players: [ { id, name, classId, level, zoneId, x, y, facingAngle,
+//                  health, maxHealth } ],
+//     removed: [ id, ... ],            // players who left
+//     partial,                         // true: players lists only changes
+//   }
+// A full snapshot (the default) removes anyone it leaves out. The local
+// player (the id from `welcome`) is skipped. RactrRemotePlayers keeps them
+// and plays their movement back interpolationDelay seconds behind, so there
+// is always a later position to move towards.
+//
+// Movement is predicted: the game moves the local player at once and
+// sends each step as a sequenced command,
+//   { type: "client_input", seq, dt, moveX, moveY, dash, arrive, zoneId }
+// with arrive a point the step stops exactly on (click-to-move), and the
+// server answers with the position it computed:
+//   { type: "input_ack", seq, epoch, x, y, zoneId }
+// RactrMovementPrediction replays the commands after seq from there. When
+// the game puts the player somewhere instead of walking them there
+// (respawn, zone change, loading a save) it sends
+//   { type: "client_teleport", epoch, seq, x, y, zoneId }
+// with a new epoch and the last seq sent before it. The server moves the
+// player there and echoes that epoch in every later input_ack; acks from
+// an older epoch were worked out from the old position and are ignored.
+// Epochs start from 0 on each connection. The rest of the player state
+// goes out as `client_tick` once a second.
+
+// Remote players from world snapshots, with entity interpolation.
+// Snapshots are timed by when they arrive on the client clock, so the delay
+// should cover the server's send interval plus some jitter. A player not
+// heard from for `timeout` seconds is dropped.
+class RactrRemotePlayers {
+  constructor(options) {
+    const opts = options || {};
+    this.interpolationDelay =
+      typeof opts.interpolationDelay === "number"
+        ? opts.interpolationDelay
+        : 0.15;
+    this.timeout = opts.timeout || 5;
+    // Seconds, advanced by update().
+    this.clock = 0;
+    this.localId = null;
+    // id -> { id, name, classId, level, zoneId, health, maxHealth, x, y,
+    //         prevX, prevY, facingAngle, samples, lastSeen }, with samples
+    // [{ time, x, y, facingAngle }] oldest first.
+    this.players = new Map();
+  }
+
+  get(id) {
+    return this.players.get(String(id)) || null;
+  }
+
+  // Remote players standing in a zone.
+  inZone(zoneId) {
+    const out = [];
+    for (const remote of this.players.values()) {
+      if (remote.zoneId === zoneId) out.push(remote);
+    }
+    return out;
+  }
+
+  clear() {
+    this.players.clear();
+  }
+
+  applySnapshot(msg) {
+    const seen = new Set();
+    for (const entry of msg.players || []) {
+      if (!entry || entry.id === undefined || entry.id === null) continue;
+      const id = String(entry.id);
+      if (id === this.localId) continue;
+      if (typeof entry.x !== "number" || typeof entry.y !== "number") {
+        continue;
+      }
+      seen.add(id);
+      this._update(id, entry);
+    }
+    for (const id of msg.removed || []) {
+      this.players.delete(String(id));
+    }
+    if (msg.partial) return;
+    for (const id of Array.from(this.players.keys())) {
+      if (!seen.has(id)) this.players.delete(id);
+    }
+  }
+
+  _update(id, entry) {
+    let remote = this.players.get(id);
+    const zoneId = entry.zoneId || null;
+    const sample = {
+      time: this.clock,
+      x: entry.x,
+      y: entry.y,
+      facingAngle: typeof entry.facingAngle === "number" ? entry.facingAngle : 0
+    };
+    if (!remote || remote.zoneId !== zoneId) {
+      // New, or just arrived from another zone: appear in place rather
+      // than sliding across the map.
+      const known = remote || {};
+      remote = {
+        id,
+        name: known.name,
+        classId: known.classId,
+        level: known.level,
+        zoneId,
+        x: sample.x,
+        y: sample.y,
+        prevX: sample.x,
+        prevY: sample.y,
+        facingAngle: sample.facingAngle,
+        samples: []
+      };
+      this.players.set(id, remote);
+    }
+    remote.name = entry.name || remote.name || "Stranger";
+    remote.classId = entry.classId || remote.classId || null;
+    remote.level = entry.level || remote.level || 1;
+    remote.health = typeof entry.health === "number" ? entry.health : null;
+    remote.maxHealth =
+      typeof entry.maxHealth === "number" ? entry.maxHealth : null;
+    remote.lastSeen = this.clock;
+    remote.samples.push(sample);
+  }
+
+  // Advances the clock, drops players that timed out and moves everyone
+  // to where they were interpolationDelay seconds ago.
+  update(dt) {
+    this.clock += dt;
+    const time = this.clock - this.interpolationDelay;
+    for (const [id, remote] of Array.from(this.players)) {
+      if (this.clock - remote.lastSeen > this.timeout) {
+        this.players.delete(id);
+        continue;
+      }
+      remote.prevX = remote.x;
+      remote.prevY = remote.y;
+      this._sampleAt(remote, time);
+    }
+  }
+
+  _sampleAt(remote, time) {
+    const samples = remote.samples;
+    // Keep one sample at or before the playback time.
+    while (samples.length > 2 && samples[1].time <= time) samples.shift();
+    const a = samples[0];
+    const b = samples[1];
+    if (!a) return;
+    if (!b || time <= a.time) {
+      this._placeAt(remote, a);
+      return;
+    }
+    if (time >= b.time) {
+      this._placeAt(remote, b);
+      return;
+    }
+    const t = (time - a.time) / (b.time - a.time);
+    let turn = b.facingAngle - a.facingAngle;
+    turn = Math.atan2(Math.sin(turn), Math.cos(turn));
+    remote.x = a.x + (b.x - a.x) * t;
+    remote.y = a.y + (b.y - a.y) * t;
+    remote.facingAngle = a.facingAngle + turn * t;
+  }
+
+  _placeAt(remote, sample) {
+    remote.x = sample.x;
+    remote.y = sample.y;
+    remote.facingAngle = sample.facingAngle;
+  }
+}
+
+// Unconfirmed movement commands and the reconciliation against server
+// acks. A correction moves the body at once but keeps the old position as
+// an offset (offsetX/offsetY) that fades over correctionTime seconds, so
+// it is drawn sliding over; one past snapDistance is shown as a jump.
+class RactrMovementPrediction {
+  constructor(options) {
+    const opts = options || {};
+    this.correctionTime =
+      typeof opts.correctionTime === "number" ? opts.correctionTime : 0.1;
+    this.snapDistance =
+      typeof opts.snapDistance === "number" ? opts.snapDistance : 96;
+    // Differences below this are rounding, not a disagreement.
+    this.tolerance = 0.5;
+    // Commands kept while the server is silent; the oldest go first.
+    this.maxPending = 240;
+
+    this.seq = 0;
+    // [{ seq, dt, moveX, moveY, speed, dash, arrive }], oldest first
+    this.pending = [];
+    // Raised by each teleport the server is told about; acks carrying an
+    // older one predate it.
+    this.epoch = 0;
+    // Latest ack not yet reconciled: { seq, x, y, zoneId }
+    this.ack = null;
+    this.offsetX = 0;
+    this.offsetY = 0;
+    this.corrections = 0;
+  }
+
+  // Numbers the command and keeps it for replay.
+  record(cmd) {
+    this.seq += 1;
+    const entry = { ...cmd, seq: this.seq };
+    this.pending.push(entry);
+    if (this.pending.length > this.maxPending) this.pending.shift();
+    return entry;
+  }
+
+  acknowledge(msg) {
+    if (typeof msg.seq !== "number" || (msg.epoch || 0) !== this.epoch) {
+      return;
+    }
+    if (typeof msg.x !== "number" || typeof msg.y !== "number") return;
+    if (this.ack && msg.seq < this.ack.seq) return;
+    this.ack = { seq: msg.seq, x: msg.x, y: msg.y, zoneId: msg.zoneId };
+  }
+
+  // Applies the latest ack to body ({ x, y, prevX, prevY, radius }):
+  // replays the commands the server had not processed from its position
+  // with step(from, cmd) -> { x, y }, and moves the body there if that
+  // disagrees with the prediction. Returns whether it did.
+  reconcile(body, zoneId, step) {
+    const ack = this.ack;
+    if (!ack) return false;
+    this.ack = null;
+    this.pending = this.pending.filter((cmd) => cmd.seq > ack.seq);
+    if (ack.zoneId && ack.zoneId !== zoneId) return false;
+
+    let pos = { x: ack.x, y: ack.y, radius: body.radius };
+    for (const cmd of this.pending) {
+      const moved = step(pos, cmd);
+      pos = { x: moved.x, y: moved.y, radius: body.radius };
+    }
+    const dx = body.x - pos.x;
+    const dy = body.y - pos.y;
+    const error = Math.hypot(dx, dy);
+    if (error <= this.tolerance) return false;
+
+    if (error < this.snapDistance) {
+      this.offsetX += dx;
+      this.offsetY += dy;
+    } else {
+      this.offsetX = 0;
+      this.offsetY = 0;
+    }
+    body.x = pos.x;
+    body.y = pos.y;
+    // Keep the step's interpolation as it was, just shifted.
+    body.prevX -= dx;
+    body.prevY -= dy;
+    this.corrections += 1;
+    return true;
+  }
+
+  // Fades the correction offset.
+  update(dt) {
+    const keep =
+      this.correctionTime > 0 ? Math.exp(-dt / this.correctionTime) : 0;
+    this.offsetX *= keep;
+    this.offsetY *= keep;
+    if (Math.hypot(this.offsetX, this.offsetY) < 0.05) {
+      this.offsetX = 0;
+      this.offsetY = 0;
+    }
+  }
+
+  // Forgets unconfirmed moves and starts a new epoch; returns it. The
+  // caller tells the server (RactrNetClient.teleport).
+  teleport() {
+    this._forget();
+    this.epoch += 1;
+    return this.epoch;
+  }
+
+  // Forgets everything for a new connection.
+  reset() {
+    this._forget();
+    this.epoch = 0;
+  }
+
+  _forget() {
+    this.pending = [];
+    this.ack = null;
+    this.offsetX = 0;
+    this.offsetY = 0;
+  }
+}
 
 class RactrNetClient {
   constructor(config) {
@@ -15,6 +306,20 @@ class RactrNetClient {
     this.wsReconnectDelay = 5; // seconds between reconnect attempts
 
     this.playerId = null;
+
+    // Other players, from world snapshots.
+    this.remotePlayers = new RactrRemotePlayers({
+      interpolationDelay: safeCfg.interpolationDelay,
+      timeout: safeCfg.remoteTimeout
+    });
+    // The local player's predicted movement.
+    this.prediction = new RactrMovementPrediction({
+      correctionTime: safeCfg.correctionTime,
+      snapDistance: safeCfg.snapDistance
+    });
+    // Seconds between client_tick state updates.
+    this.stateInterval = 1;
+    this._stateTimer = this.stateInterval;
   }
 
   applyConfig(config) {
@@ -25,20 +330,42 @@ class RactrNetClient {
     if (typeof config.httpBaseUrl === "string") {
       this.httpBaseUrl = config.httpBaseUrl;
     }
+    if (typeof config.interpolationDelay === "number") {
+      this.remotePlayers.interpolationDelay = config.interpolationDelay;
+    }
+    if (typeof config.remoteTimeout === "number") {
+      this.remotePlayers.timeout = config.remoteTimeout;
+    }
+    if (typeof config.correctionTime === "number") {
+      this.prediction.correctionTime = config.correctionTime;
+    }
+    if (typeof config.snapDistance === "number") {
+      this.prediction.snapDistance = config.snapDistance;
+    }
   }
 
   // Called each frame; safe when no backend is available.
-  // "context" is a lightweight snapshot of player + world
-  // state that the server might care about.
-  tick(dt, context) {
+  // "getContext" returns a snapshot of the player + world state the
+  // server might care about. It is only called when a client_tick is
+  // due, since building it copies the whole player.
+  tick(dt, getContext) {
     if (!this.websocketUrl) return;
 
+    this.remotePlayers.update(dt);
+    this.prediction.update(dt);
+
     this.wsLastAttempt += dt;
     if (!this.ws && this.wsLastAttempt >= this.wsReconnectDelay) {
       this._tryConnect();
     }
 
-    if (this.wsConnected && context && context.player) {
+    // Movement goes out with every step (sendInput); the rest of the
+    // player changes slowly.
+    this._stateTimer += dt;
+    if (!this.wsConnected || this._stateTimer < this.stateInterval) return;
+    const context = getContext ? getContext() : null;
+    if (context && context.player) {
+      this._stateTimer = 0;
       const payload = {
         type: "client_tick",
         player: context.player,
@@ -49,6 +376,44 @@ class RactrNetClient {
     }
   }
 
+  // Sends one step's movement command ({ dt, moveX, moveY, speed, dash,
+  // arrive }) and keeps it for reconciliation. speed stays local: the
+  // server works its own out from dash. A no-op while disconnected.
+  sendInput(cmd, zoneId) {
+    if (!this.wsConnected) return null;
+    const entry = this.prediction.record(cmd);
+    this._sendJson({
+      type: "client_input",
+      seq: entry.seq,
+      dt: entry.dt,
+      moveX: entry.moveX,
+      moveY: entry.moveY,
+      dash: entry.dash,
+      arrive: entry.arrive,
+      zoneId
+    });
+    return entry;
+  }
+
+  // The local player was placed at (x, y) rather than walked there, so
+  // no pending move or in-flight ack may pull them back. Offline there is
+  // nothing in flight and the next connection starts fresh.
+  teleport(x, y, zoneId) {
+    if (!this.wsConnected) {
+      this.prediction.reset();
+      return;
+    }
+    const epoch = this.prediction.teleport();
+    this._sendJson({
+      type: "client_teleport",
+      epoch,
+      seq: this.prediction.seq,
+      x,
+      y,
+      zoneId
+    });
+  }
+
   _tryConnect() {
     this.wsLastAttempt = 0;
     try {
@@ -68,6 +433,10 @@ class RactrNetClient {
       ws.onclose = () => {
         this.wsConnected = false;
         this.ws = null;
+        // Nobody else is visible without a server, and nobody is left
+        // to confirm pending moves.
+        this.remotePlayers.clear();
+        this.prediction.reset();
       };
 
       ws.onerror = () => {
@@ -111,14 +480,19 @@ class RactrNetClient {
         // Initial handshake from server, usually assigning a stable playerId.
         if (msg.playerId) {
           this.playerId = msg.playerId;
+          this.remotePlayers.localId = String(msg.playerId);
+          this.remotePlayers.players.delete(String(msg.playerId));
         }
         break;
       }
+      case "input_ack": {
+        // Reconciled by the game on its next step.
+        this.prediction.acknowledge(msg);
+        break;
+      }
       case "world_snapshot": {
-        // Future work:
-        // - Apply authoritative world/zone state
-        // - Sync positions of other players and NPCs
-        // For now, this is intentionally a no-op.
+        // Other players; zone state and NPCs stay local for now.
+        this.remotePlayers.applySnapshot(msg);
         break;
       }
       case "server_event": {
@@ -190,5 +564,14 @@ class RactrNetClient {
 }
 
 if (typeof window !== "undefined") {
+  window.RactrRemotePlayers = RactrRemotePlayers;
+  window.RactrMovementPrediction = RactrMovementPrediction;
   window.RactrNetClient = RactrNetClient;
 }
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    RactrRemotePlayers,
+    RactrMovementPrediction,
+    RactrNetClient
+  };
+}
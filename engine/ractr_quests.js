@@ -0,0 +1,336 @@
+// RactrQuests: quest definitions and each player's quest log.
+//
+// Definition format (RACTR_QUESTS):
+//   {
+//     name,
+//     giver,                           // npc id that offers it
+//     turnIn,                          // npc id it is handed in to
+//     level,                           // suggested level, for the journal
+//     summary,                         // journal description
+//     prerequisites: { level, quests: [questId, ...] },
+//     objectives: [ objective, ... ],
+//     rewards: { xp, gold, items: [ { itemId, count } ] },
+//   }
+// Objectives, each with a `text` for the journal and tracker:
+//   { type: "kill", mob, count }       mob type id (RACTR_MOB_TYPES)
+//   { type: "collect", itemId, count, keep }
+//                                      counted from the bags; handed over
+//                                      on turn-in unless keep is true
+//   { type: "talk", npc }              hail that npc
+//   { type: "reach", zone, x, y, radius }
+//
+// Quest states, as RactrQuestLog.state() reports them:
+//   "unavailable"  not started, prerequisites not met
+//   "available"    not started, can be picked up
+//   "active"       started, objectives outstanding
+//   "complete"     every objective met; hand it in to the turnIn npc
+//   "done"         handed in
+// Offering is left to dialogue (a startQuest action behind a
+// { type: "quest", state: "available" } condition); handing in happens
+// when the player hails the turnIn npc.
+//
+// Like RactrMerchant the log only decides: start() and turnIn() return
+// { error } when refused, and progress calls return what changed so the
+// game can announce it.
+
+const RACTR_QUESTS = {
+  beyond_the_gate: {
+    name: "Beyond the Gate",
+    giver: "innkeeper",
+    turnIn: "guildmaster",
+    level: 1,
+    summary:
+      "Seren says every new Warden starts the same way: talk Bren into opening the North Gate, find the supply cache the last patrol left in the forest, then report to Guildmaster Elowen.",
+    objectives: [
+      { type: "talk", npc: "gate_guard", text: "Speak with Gate Guard Bren" },
+      {
+        type: "reach",
+        zone: "everlight_forest",
+        x: 1170,
+        y: 180,
+        radius: 90,
+        text: "Find the Warden's Supply Cache",
+      },
+    ],
+    rewards: { xp: 60, gold: 5 },
+  },
+  cull_the_pack: {
+    name: "Cull the Pack",
+    giver: "guildmaster",
+    turnIn: "guildmaster",
+    level: 2,
+    summary:
+      "The forest wolves grow bold and the caravans are nervous. Thin their numbers in the meadows north of the gate.",
+    prerequisites: { quests: ["beyond_the_gate"] },
+    objectives: [
+      {
+        type: "kill",
+        mob: "forest_wolf",
+        count: 5,
+        text: "Forest wolves slain",
+      },
+    ],
+    rewards: {
+      xp: 150,
+      gold: 12,
+      items: [{ itemId: "wolfhide_boots", count: 1 }],
+    },
+  },
+  pelts_for_kerrin: {
+    name: "Pelts for Kerrin",
+    giver: "merchant",
+    turnIn: "merchant",
+    level: 2,
+    summary:
+      "Kerrin is short of wolf pelts and will pay better than the usual price for five of them.",
+    prerequisites: { level: 2 },
+    objectives: [
+      {
+        type: "collect",
+        itemId: "wolf_pelt",
+        count: 5,
+        text: "Wolf pelts",
+      },
+    ],
+    rewards: {
+      xp: 80,
+      gold: 25,
+      items: [{ itemId: "minor_healing_potion", count: 3 }],
+    },
+  },
+};
+
+class RactrQuestLog {
+  constructor(defs) {
+    this.defs = defs || RACTR_QUESTS;
+    // questId -> { state: "active" | "complete" | "done", progress: [n] },
+    // with progress one count per objective.
+    this.entries = {};
+  }
+
+  def(questId) {
+    const def = this.defs[questId];
+    if (!def) throw new Error(`RactrQuestLog: unknown quest '${questId}'`);
+    return def;
+  }
+
+  state(questId, player) {
+    const entry = this.entries[questId];
+    if (entry) return entry.state;
+    return this.canStart(questId, player) ? "available" : "unavailable";
+  }
+
+  canStart(questId, player) {
+    if (this.entries[questId]) return false;
+    const pre = this.def(questId).prerequisites || {};
+    if (pre.level && (!player || player.level < pre.level)) return false;
+    return (pre.quests || []).every(
+      (id) => this.entries[id] && this.entries[id].state === "done"
+    );
+  }
+
+  // Started quests not yet handed in, oldest first.
+  open() {
+    return Object.keys(this.entries).filter(
+      (id) => this.entries[id].state !== "done"
+    );
+  }
+
+  // [{ text, count, needed, done }] for a started quest.
+  objectives(questId) {
+    const entry = this.entries[questId];
+    return this.def(questId).objectives.map((o, i) => {
+      const needed = this._needed(o);
+      const count = entry ? Math.min(needed, entry.progress[i] || 0) : 0;
+      return { text: o.text, count, needed, done: count >= needed };
+    });
+  }
+
+  // What an npc has to do with quests, for the markers over its head.
+  forNpc(npcId, player) {
+    const out = { offers: [], turnIns: [], pending: [] };
+    for (const [id, def] of Object.entries(this.defs)) {
+      const state = this.state(id, player);
+      if (def.giver === npcId && state === "available") out.offers.push(id);
+      if (def.turnIn !== npcId) continue;
+      if (state === "complete") out.turnIns.push(id);
+      else if (state === "active") out.pending.push(id);
+    }
+    return out;
+  }
+
+  start(questId, player) {
+    const def = this.def(questId);
+    if (this.entries[questId]) {
+      return { error: "You are already on that quest." };
+    }
+    if (!this.canStart(questId, player)) {
+      return { error: "You are not ready for that quest yet." };
+    }
+    this.entries[questId] = {
+      state: "active",
+      progress: def.objectives.map(() => 0),
+    };
+    return { quest: questId, changes: this.refresh(player) };
+  }
+
+  // Drops a quest that has not been handed in; it can be picked up again.
+  abandon(questId) {
+    const entry = this.entries[questId];
+    if (!entry || entry.state === "done") return false;
+    delete this.entries[questId];
+    return true;
+  }
+
+  // Progress for a kill, talk or reach event:
+  //   { type: "kill", mob } / { type: "talk", npc }
+  //   { type: "reach", zone, x, y }
+  // Returns the changes, as refresh() does.
+  record(event, player) {
+    const changes = [];
+    for (const id of this.open()) {
+      const entry = this.entries[id];
+      this.def(id).objectives.forEach((o, i) => {
+        if (o.type !== event.type) return;
+        const needed = this._needed(o);
+        if (entry.progress[i] >= needed || !this._matches(o, event)) return;
+        entry.progress[i] += 1;
+        changes.push(this._change(id, i));
+      });
+    }
+    return changes.concat(this.refresh(player));
+  }
+
+  // Recounts collect objectives from the bags and moves quests between
+  // active and complete. Returns [{ quest, objective, count, needed }]
+  // for objectives that changed and [{ quest, state }] for quests that
+  // did.
+  refresh(player) {
+    const changes = [];
+    for (const id of this.open()) {
+      const entry = this.entries[id];
+      const def = this.def(id);
+      def.objectives.forEach((o, i) => {
+        if (o.type !== "collect" || !player) return;
+        const count = Math.min(
+          this._needed(o),
+          player.inventory.count(o.itemId)
+        );
+        if (count === entry.progress[i]) return;
+        entry.progress[i] = count;
+        changes.push(this._change(id, i));
+      });
+      const complete = def.objectives.every(
+        (o, i) => entry.progress[i] >= this._needed(o)
+      );
+      const state = complete ? "complete" : "active";
+      if (state !== entry.state) {
+        entry.state = state;
+        changes.push({ quest: id, state });
+      }
+    }
+    return changes;
+  }
+
+  // Hands in a complete quest: takes collected items and gives the
+  // rewards' gold and items. Returns { quest, xp, gold, items }; the
+  // caller grants the XP.
+  turnIn(questId, player) {
+    const def = this.def(questId);
+    this.refresh(player);
+    if (this.state(questId, player) !== "complete") {
+      return { error: "That quest is not finished." };
+    }
+    const rewards = def.rewards || {};
+    const items = rewards.items || [];
+    for (const reward of items) {
+      if (!player.inventory.canAdd(reward.itemId, reward.count || 1)) {
+        return { error: "Make room in your bags first." };
+      }
+    }
+    for (const o of def.objectives) {
+      if (o.type === "collect" && !o.keep) {
+        player.inventory.remove(o.itemId, this._needed(o));
+      }
+    }
+    player.gold += rewards.gold || 0;
+    for (const reward of items) {
+      player.inventory.add(reward.itemId, reward.count || 1);
+    }
+    this.entries[questId].state = "done";
+    return {
+      quest: questId,
+      xp: rewards.xp || 0,
+      gold: rewards.gold || 0,
+      items: items.map((r) => ({ itemId: r.itemId, count: r.count || 1 })),
+    };
+  }
+
+  snapshot() {
+    const out = {};
+    for (const [id, entry] of Object.entries(this.entries)) {
+      out[id] = { state: entry.state, progress: entry.progress.slice() };
+    }
+    return out;
+  }
+
+  // Unknown quests and states are dropped; missing progress counts from
+  // zero.
+  static fromSnapshot(snapshot, defs) {
+    const log = new RactrQuestLog(defs);
+    for (const [id, saved] of Object.entries(snapshot || {})) {
+      const def = log.defs[id];
+      if (!def || !saved) continue;
+      const state = saved.state;
+      if (!["active", "complete", "done"].includes(state)) continue;
+      const progress = saved.progress || [];
+      log.entries[id] = {
+        state,
+        progress: def.objectives.map((o, i) =>
+          Math.max(0, Math.min(log._needed(o), progress[i] | 0))
+        ),
+      };
+    }
+    return log;
+  }
+
+  _needed(objective) {
+    return objective.count || 1;
+  }
+
+  _matches(objective, event) {
+    switch (objective.type) {
+      case "kill":
+        return objective.mob === event.mob;
+      case "talk":
+        return objective.npc === event.npc;
+      case "reach":
+        return (
+          objective.zone === event.zone &&
+          Math.hypot(event.x - objective.x, event.y - objective.y) <=
+            (objective.radius || 0)
+        );
+      default:
+        return false;
+    }
+  }
+
+  _change(questId, index) {
+    const entry = this.entries[questId];
+    const objective = this.def(questId).objectives[index];
+    return {
+      quest: questId,
+      objective: index,
+      count: entry.progress[index],
+      needed: this._needed(objective),
+    };
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.RACTR_QUESTS = RACTR_QUESTS;
+  window.RactrQuestLog = RactrQuestLog;
+}
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { RACTR_QUESTS, RactrQuestLog };
+}
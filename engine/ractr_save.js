@@ -0,0 +1,475 @@
+// RactrSave: character save slots with a versioned, checksummed format.
+//
+// A save record, as stored and as exported to a file:
+//   {
+//     format: "ractr-save",
+//     version: RACTR_SAVE_VERSION,
+//     savedAt: <ms since epoch>,
+//     checksum: <FNV-1a of the canonical JSON of data, as 8 hex digits>,
+//     data: {
+//       player,                        // RactrPlayerState.snapshot()
+//       position: { zoneId, x, y },
+//       bindPoint, totalPlayTime,
+//       hotbar: [ abilityId | null ],
+//       corpse,                        // { zoneId, x, y, ... } or null
+//       merchants: { npcId: RactrMerchant.snapshot() },
+//     }
+//   }
+// In player, null inventory and equipment mean the starting kit.
+//
+// Older records are upgraded on load by running RACTR_SAVE_MIGRATIONS in
+// order; a record whose checksum does not match its data is rejected.
+// Storage goes through a backend (IndexedDB, localStorage or memory) with a
+// promise-based get/set/remove/keys interface, so the store is the same
+// whichever one the browser allows.
+
+const RACTR_SAVE_FORMAT = "ractr-save";
+const RACTR_SAVE_VERSION = 9;
+const RACTR_SAVE_SLOTS = ["auto", "1", "2", "3"];
+
+// RACTR_SAVE_MIGRATIONS[n] turns version n data into version n + 1. They
+// only fill in what is missing, since a version 1 player snapshot can be
+// from any era.
+const RACTR_SAVE_MIGRATIONS = {
+  // Version 1 was a bare RactrPlayerState.snapshot(), which is also what
+  // older tools and the net client pass around, so it can still be imported.
+  1: (player) => ({
+    player,
+    position: { zoneId: player.zoneId || null, x: null, y: null },
+    bindPoint: null,
+    totalPlayTime: 0,
+  }),
+  // 3: the hotbar, as the class starts it.
+  2: (data) => ({
+    ...data,
+    hotbar: data.hotbar || ractrClass(data.player.classId).hotbar.slice(),
+  }),
+  // 4: the corpse left by the last death.
+  3: (data) => ({ ...data, corpse: data.corpse || null }),
+  // 5: items. The old inventory was a list of names with nothing behind
+  // them; those characters get the starting kit.
+  4: (data) =>
+    data.player.equipment
+      ? data
+      : {
+          ...data,
+          player: { ...data.player, inventory: null, equipment: null },
+        },
+  // 6: merchant stock and buyback.
+  5: (data) => ({ ...data, merchants: data.merchants || {} }),
+  // 7: dialogue flags and quest states.
+  6: (data) => ({
+    ...data,
+    player: {
+      ...data.player,
+      flags: data.player.flags || {},
+      quests: data.player.quests || {},
+    },
+  }),
+  // 8: quests keep objective progress; plain states start from zero.
+  7: (data) => {
+    const quests = {};
+    for (const [id, saved] of Object.entries(data.player.quests)) {
+      quests[id] =
+        typeof saved === "string" ? { state: saved, progress: [] } : saved;
+    }
+    return { ...data, player: { ...data.player, quests } };
+  },
+  // 9: class skills, and class ids in lower case. Skills free at the
+  // character's level are learned again on load.
+  8: (data) => ({
+    ...data,
+    player: {
+      ...data.player,
+      classId: ractrClassId(data.player.classId),
+      skills: data.player.skills || [],
+    },
+  }),
+};
+
+// JSON with object keys sorted, so equal data always hashes the same.
+function ractrCanonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(ractrCanonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value)
+      .filter((k) => value[k] !== undefined)
+      .sort();
+    return `{${keys
+      .map((k) => `${JSON.stringify(k)}:${ractrCanonicalJson(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// 32-bit FNV-1a; catches truncation and hand edits, not tampering.
+function ractrChecksum(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+// ---------------- BACKENDS ----------------
+
+class RactrMemorySaveBackend {
+  constructor() {
+    this.items = new Map();
+  }
+
+  get(key) {
+    return Promise.resolve(this.items.has(key) ? this.items.get(key) : null);
+  }
+
+  set(key, value) {
+    this.items.set(key, value);
+    return Promise.resolve();
+  }
+
+  remove(key) {
+    this.items.delete(key);
+    return Promise.resolve();
+  }
+
+  keys() {
+    return Promise.resolve(Array.from(this.items.keys()));
+  }
+}
+
+class RactrLocalStorageSaveBackend {
+  constructor(storage, prefix) {
+    this.storage = storage;
+    this.prefix = prefix || "ractr.save.";
+  }
+
+  get(key) {
+    return Promise.resolve().then(() =>
+      this.storage.getItem(this.prefix + key)
+    );
+  }
+
+  set(key, value) {
+    return Promise.resolve().then(() =>
+      this.storage.setItem(this.prefix + key, value)
+    );
+  }
+
+  remove(key) {
+    return Promise.resolve().then(() =>
+      this.storage.removeItem(this.prefix + key)
+    );
+  }
+
+  keys() {
+    return Promise.resolve().then(() => {
+      const out = [];
+      for (let i = 0; i < this.storage.length; i++) {
+        const key = this.storage.key(i);
+        if (key && key.startsWith(this.prefix)) {
+          out.push(key.slice(this.prefix.length));
+        }
+      }
+      return out;
+    });
+  }
+}
+
+// One object store of string values keyed by slot. Browsers can refuse
+// the database even when indexedDB exists (private browsing, another tab
+// holding an older version open); from then on the fallback backend is
+// used for the rest of the session. Without one the error is passed on
+// and the next operation tries to open the database again.
+class RactrIndexedDbSaveBackend {
+  constructor(indexedDB, dbName, fallback) {
+    this.indexedDB = indexedDB;
+    this.dbName = dbName || "ractr";
+    this.storeName = "saves";
+    this.fallback = fallback || null;
+    this._db = null;
+    this._failed = false;
+  }
+
+  // Resolves to the database, or to null once the fallback has taken over.
+  _open() {
+    if (this._failed) return Promise.resolve(null);
+    if (this._db) return this._db;
+    this._db = new Promise((resolve, reject) => {
+      const req = this.indexedDB.open(this.dbName, 1);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(this.storeName);
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+      req.onblocked = () =>
+        reject(new Error("RactrSaveStore: save database is blocked"));
+    }).catch((err) => {
+      this._db = null;
+      if (!this.fallback) throw err;
+      this._failed = true;
+      return null;
+    });
+    return this._db;
+  }
+
+  // fn runs against the object store; useFallback against the fallback
+  // backend when the database could not be opened.
+  _request(mode, fn, useFallback) {
+    return this._open().then((db) => {
+      if (!db) return useFallback(this.fallback);
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(this.storeName, mode);
+        const req = fn(tx.objectStore(this.storeName));
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    });
+  }
+
+  get(key) {
+    return this._request(
+      "readonly",
+      (store) => store.get(key),
+      (backend) => backend.get(key)
+    ).then((v) => (v === undefined ? null : v));
+  }
+
+  set(key, value) {
+    return this._request(
+      "readwrite",
+      (store) => store.put(value, key),
+      (backend) => backend.set(key, value)
+    ).then(() => undefined);
+  }
+
+  remove(key) {
+    return this._request(
+      "readwrite",
+      (store) => store.delete(key),
+      (backend) => backend.remove(key)
+    ).then(() => undefined);
+  }
+
+  keys() {
+    return this._request(
+      "readonly",
+      (store) => store.getAllKeys(),
+      (backend) => backend.keys()
+    ).then((keys) => keys.map(String));
+  }
+}
+
+// ---------------- STORE ----------------
+
+class RactrSaveStore {
+  constructor(backend) {
+    this.backend = backend || new RactrMemorySaveBackend();
+  }
+
+  // Best backend the engine's environment has: IndexedDB, then
+  // localStorage, then memory (headless engines, private browsing). The
+  // next best also stands behind IndexedDB in case it fails to open.
+  static backendFor(engine) {
+    if (engine && engine.headless) return new RactrMemorySaveBackend();
+    const storage = engine && engine.storage;
+    const fallback = storage
+      ? new RactrLocalStorageSaveBackend(storage)
+      : new RactrMemorySaveBackend();
+    try {
+      if (typeof indexedDB !== "undefined" && indexedDB) {
+        return new RactrIndexedDbSaveBackend(indexedDB, null, fallback);
+      }
+    } catch (e) {
+      // Access can throw when storage is disabled for the page.
+    }
+    return fallback;
+  }
+
+  static createRecord(data, savedAt) {
+    return {
+      format: RACTR_SAVE_FORMAT,
+      version: RACTR_SAVE_VERSION,
+      savedAt: typeof savedAt === "number" ? savedAt : Date.now(),
+      checksum: ractrChecksum(ractrCanonicalJson(data)),
+      data,
+    };
+  }
+
+  // Validates and upgrades a parsed record (or a bare version 1 player
+  // snapshot) to the current version. Throws on anything it cannot trust.
+  static readRecord(record) {
+    if (!record || typeof record !== "object") {
+      throw new Error("RactrSaveStore: save is not an object");
+    }
+    if (record.format !== RACTR_SAVE_FORMAT) {
+      if (typeof record.level === "number" && typeof record.xp === "number") {
+        record = RactrSaveStore.createRecord(record, 0);
+        record.version = 1;
+      } else {
+        throw new Error("RactrSaveStore: not a Ractr save");
+      }
+    }
+    const version = record.version;
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error("RactrSaveStore: save has no valid version");
+    }
+    if (version > RACTR_SAVE_VERSION) {
+      throw new Error(
+        `RactrSaveStore: save version ${version} is newer than this game (${RACTR_SAVE_VERSION})`
+      );
+    }
+    if (record.checksum !== ractrChecksum(ractrCanonicalJson(record.data))) {
+      throw new Error("RactrSaveStore: save is corrupted (checksum mismatch)");
+    }
+
+    let data = record.data;
+    for (let v = version; v < RACTR_SAVE_VERSION; v++) {
+      const migrate = RACTR_SAVE_MIGRATIONS[v];
+      if (!migrate) {
+        throw new Error(`RactrSaveStore: no migration from version ${v}`);
+      }
+      data = migrate(data);
+    }
+    if (!data || !data.player || typeof data.player.level !== "number") {
+      throw new Error("RactrSaveStore: save has no player data");
+    }
+    // A save without a position starts the player wherever the zone does.
+    if (!data.position || typeof data.position !== "object") {
+      data = {
+        ...data,
+        position: { zoneId: data.player.zoneId || null, x: null, y: null },
+      };
+    }
+    return { ...record, version: RACTR_SAVE_VERSION, data };
+  }
+
+  static parse(text) {
+    let record;
+    try {
+      record = JSON.parse(text);
+    } catch (e) {
+      throw new Error("RactrSaveStore: save is not valid JSON");
+    }
+    return RactrSaveStore.readRecord(record);
+  }
+
+  save(slot, data) {
+    const record = RactrSaveStore.createRecord(data);
+    return this.backend.set(slot, JSON.stringify(record)).then(() => record);
+  }
+
+  // Resolves to the upgraded record, or null for an empty slot; rejects
+  // for a corrupted or unreadable one.
+  load(slot) {
+    return this.backend
+      .get(slot)
+      .then((text) => (text == null ? null : RactrSaveStore.parse(text)));
+  }
+
+  remove(slot) {
+    return this.backend.remove(slot);
+  }
+
+  // One entry per slot in RACTR_SAVE_SLOTS:
+  // { slot, empty, error, savedAt, name, level, zoneId }.
+  list() {
+    return Promise.all(
+      RACTR_SAVE_SLOTS.map((slot) =>
+        this.load(slot).then(
+          (record) =>
+            record
+              ? {
+                  slot,
+                  empty: false,
+                  error: null,
+                  savedAt: record.savedAt,
+                  name: record.data.player.name,
+                  level: record.data.player.level,
+                  zoneId: (record.data.position || {}).zoneId || null,
+                }
+              : { slot, empty: true, error: null },
+          (err) => ({ slot, empty: false, error: err.message })
+        )
+      )
+    );
+  }
+
+  // Export/import go through text so files round-trip exactly.
+  exportText(slot) {
+    return this.backend.get(slot).then((text) => {
+      if (text == null) throw new Error(`RactrSaveStore: slot '${slot}' is empty`);
+      RactrSaveStore.parse(text);
+      return text;
+    });
+  }
+
+  importText(slot, text) {
+    return Promise.resolve().then(() => {
+      const record = RactrSaveStore.parse(text);
+      // Stored upgraded, with a fresh checksum over the migrated data.
+      const stored = RactrSaveStore.createRecord(record.data, record.savedAt);
+      return this.backend.set(slot, JSON.stringify(stored)).then(() => stored);
+    });
+  }
+
+  // ---------------- FILES (browser only) ----------------
+
+  static downloadText(filename, text) {
+    const blob = new Blob([text], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  // Opens a file picker; resolves to the chosen file's text, or null if
+  // the picker was dismissed.
+  static pickFileText() {
+    return new Promise((resolve, reject) => {
+      const input = document.createElement("input");
+      input.type = "file";
+      input.accept = ".json,application/json";
+      input.addEventListener("change", () => {
+        const file = input.files && input.files[0];
+        if (!file) {
+          resolve(null);
+          return;
+        }
+        file.text().then(resolve, reject);
+      });
+      input.addEventListener("cancel", () => resolve(null));
+      input.click();
+    });
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.RACTR_SAVE_VERSION = RACTR_SAVE_VERSION;
+  window.RACTR_SAVE_SLOTS = RACTR_SAVE_SLOTS;
+  window.RACTR_SAVE_MIGRATIONS = RACTR_SAVE_MIGRATIONS;
+  window.ractrCanonicalJson = ractrCanonicalJson;
+  window.ractrChecksum = ractrChecksum;
+  window.RactrMemorySaveBackend = RactrMemorySaveBackend;
+  window.RactrLocalStorageSaveBackend = RactrLocalStorageSaveBackend;
+  window.RactrIndexedDbSaveBackend = RactrIndexedDbSaveBackend;
+  window.RactrSaveStore = RactrSaveStore;
+}
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    RACTR_SAVE_VERSION,
+    RACTR_SAVE_SLOTS,
+    RACTR_SAVE_MIGRATIONS,
+    ractrCanonicalJson,
+    ractrChecksum,
+    RactrMemorySaveBackend,
+    RactrLocalStorageSaveBackend,
+    RactrIndexedDbSaveBackend,
+    RactrSaveStore,
+  };
+}
@@ -0,0 +1,178 @@
+// RactrScene: scene stack used in place of a single string state.
+// - Only the top scene updates; anything below it is paused.
+// - Rendering starts at the topmost non-overlay scene and draws upwards,
+//   so overlay scenes (pause menu, character sheet) sit on top of the
+//   scene they paused.
+// - push/pop/replace can run through a fade transition: the stack change
+//   happens at the midpoint, while the screen is fully covered.
+
+class RactrScene {
+  constructor(name, options) {
+    const opts = options || {};
+    this.name = name;
+    // Overlays draw over the scene beneath instead of replacing it.
+    this.overlay = !!opts.overlay;
+    this.manager = null;
+  }
+
+  // Called when the scene is added to the stack; data comes from push().
+  enter(data) {}
+
+  // Called when the scene is removed from the stack.
+  exit() {}
+
+  // Called when another scene is pushed on top of this one.
+  pause() {}
+
+  // Called when this scene becomes the top of the stack again.
+  resume() {}
+
+  update(dt, input) {}
+
+  render(ctx, width, height, alpha) {}
+}
+
+class RactrSceneManager {
+  constructor() {
+    this.stack = [];
+    // { phase: "out" | "in", time, duration, color, apply }
+    this.transition = null;
+  }
+
+  get current() {
+    return this.stack.length ? this.stack[this.stack.length - 1] : null;
+  }
+
+  names() {
+    return this.stack.map((scene) => scene.name);
+  }
+
+  has(name) {
+    return this.stack.some((scene) => scene.name === name);
+  }
+
+  isTransitioning() {
+    return this.transition !== null;
+  }
+
+  // options: { data, transition: { type: "fade", duration, color } }
+  push(scene, options) {
+    const opts = options || {};
+    this._change(() => this._push(scene, opts.data), opts.transition);
+  }
+
+  pop(options) {
+    const opts = options || {};
+    this._change(() => this._pop(), opts.transition);
+  }
+
+  replace(scene, options) {
+    const opts = options || {};
+    this._change(() => {
+      this._pop();
+      this._push(scene, opts.data);
+    }, opts.transition);
+  }
+
+  // Replaces the whole stack with a single scene.
+  reset(scene, options) {
+    const opts = options || {};
+    this._change(() => {
+      while (this.stack.length) this._pop();
+      this._push(scene, opts.data);
+    }, opts.transition);
+  }
+
+  update(dt, input) {
+    if (this.transition) {
+      this._updateTransition(dt);
+      // Scenes are frozen while the screen fades.
+      return;
+    }
+    const top = this.current;
+    if (top) top.update(dt, input);
+  }
+
+  render(ctx, width, height, alpha) {
+    let start = this.stack.length - 1;
+    while (start > 0 && this.stack[start].overlay) start--;
+    for (let i = Math.max(0, start); i < this.stack.length; i++) {
+      this.stack[i].render(ctx, width, height, alpha);
+    }
+
+    const t = this.transition;
+    if (t) {
+      const progress = Math.min(1, t.time / t.duration);
+      const cover = t.phase === "out" ? progress : 1 - progress;
+      ctx.save();
+      ctx.globalAlpha = cover;
+      ctx.fillStyle = t.color;
+      ctx.fillRect(0, 0, width, height);
+      ctx.restore();
+    }
+  }
+
+  _change(apply, transition) {
+    if (!transition || transition.type !== "fade") {
+      apply();
+      return;
+    }
+    // A change requested mid-fade runs at once so it is never dropped.
+    if (this.transition) {
+      this._finishOut();
+    }
+    const duration = transition.duration || 0.4;
+    this.transition = {
+      phase: "out",
+      time: 0,
+      duration: duration / 2,
+      color: transition.color || "#000",
+      apply,
+    };
+  }
+
+  _updateTransition(dt) {
+    const t = this.transition;
+    t.time += dt;
+    if (t.time < t.duration) return;
+    if (t.phase === "out") {
+      this._finishOut();
+    } else {
+      this.transition = null;
+    }
+  }
+
+  _finishOut() {
+    const t = this.transition;
+    const apply = t.apply;
+    t.apply = null;
+    t.phase = "in";
+    t.time = 0;
+    if (apply) apply();
+  }
+
+  _push(scene, data) {
+    const below = this.current;
+    if (below) below.pause();
+    scene.manager = this;
+    this.stack.push(scene);
+    scene.enter(data);
+  }
+
+  _pop() {
+    const scene = this.stack.pop();
+    if (!scene) return;
+    scene.exit();
+    scene.manager = null;
+    const top = this.current;
+    if (top) top.resume();
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.RactrScene = RactrScene;
+  window.RactrSceneManager = RactrSceneManager;
+}
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { RactrScene, RactrSceneManager };
+}
@@ -1,88 +1,540 @@
-// RactrState: foundational game, player, and world state scaffolding.
-// For now, RactrGame still holds most logic, but new MMORPG-grade systems
-// will be built around this state container and gradually migrated.
+// RactrState: game, player, and world state.
+// RactrGame keeps all simulation state here, so save/load, networking and
+// UI read one source of truth. Rendering and input stay in RactrGame.
+// The player's stored stats are base values (level-ups grow them, saves
+// keep them); status effects only change what derivedStats() reports.
+
+// Player defaults. The character's class (RACTR_CLASSES) replaces the base
+// stats, growth and XP table; config.player overrides either.
+const RACTR_PLAYER_DEFAULTS = {
+  name: "Adventurer",
+  classId: "warden",
+
+  maxHealth: 120,
+  baseMaxMana: 60,
+  baseStrength: 10,
+  baseAgility: 11,
+  baseIntelligence: 9,
+  baseAttackPower: 15,
+  baseDefense: 3,
+  baseCritChance: 0.05,
+  startingGold: 12,
+  // What a new character carries and wears (item ids from RACTR_ITEMS).
+  startingItems: [
+    { itemId: "minor_healing_potion", count: 3 },
+    { itemId: "travel_bread", count: 5 }
+  ],
+  startingEquipment: { weapon: "worn_shortsword", chest: "padded_tunic" },
+  // Carrying more than carryBase + strength * carryPerStrength in bags
+  // and gear slows the player to encumberedSpeed of normal.
+  carryBase: 40,
+  carryPerStrength: 3,
+  encumberedSpeed: 0.7,
+
+  radius: 14,
+  baseSpeed: 150,
+  dashSpeed: 280,
+  dashCooldown: 0.65,
+
+  // Melee: seconds between auto-attack swings, and how far past touching
+  // a target a swing still lands.
+  swingTime: 1.8,
+  meleeReach: 16,
+
+  // Added to the character on every level-up.
+  growthPerLevel: {
+    maxHealth: 10,
+    maxMana: 4,
+    strength: 1,
+    agility: 1,
+    intelligence: 1,
+    attackPower: 2,
+    defense: 1,
+    critChance: 0.003
+  },
+
+  // XP needed to leave level L: floor(base * L^exponent) + offset, except
+  // level 1, which needs `first`. Only used when neither config.player
+  // nor the class gives an XP table; config.player.xpCurve replaces the
+  // class's table.
+  xpCurve: { first: 120, base: 120, exponent: 1.25, offset: 40 },
+  levelCap: 20,
+
+  // Per-second regeneration: base + stat * perStat, scaled by
+  // inCombatFactor while in combat or by restFactor while sitting.
+  regen: {
+    healthBase: 0.6,
+    healthPerStrength: 0.08,
+    manaBase: 0.4,
+    manaPerIntelligence: 0.1,
+    inCombatFactor: 0.15,
+    restFactor: 3
+  },
+
+  // Dying costs xpPenalty of the current level's XP (never a level); the
+  // corpse keeps recoverFraction of that for corpseDecay seconds of play.
+  // Respawns come back with respawnVitals of full health and mana.
+  death: {
+    xpPenalty: 0.1,
+    recoverFraction: 0.5,
+    corpseDecay: 900,
+    respawnVitals: 0.5
+  }
+};
+
+// Persistent fields copied by snapshot() and fromSnapshot(), besides the
+// inventory, equipment, skills, flags and quests.
+const RACTR_PLAYER_SNAPSHOT_FIELDS = [
+  "id",
+  "name",
+  "classId",
+  "level",
+  "xp",
+  "xpToNext",
+  "strength",
+  "agility",
+  "intelligence",
+  "maxHealth",
+  "health",
+  "maxMana",
+  "mana",
+  "attackPower",
+  "defense",
+  "critChance",
+  "gold",
+  "zoneId"
+];
 
 class RactrPlayerState {
-  constructor(config, metaConfig) {
+  // character: { name, classId } from character creation; it wins over
+  // config.player.
+  constructor(config, metaConfig, character) {
     const playerCfg = config && config.player ? config.player : {};
     const metaCfg = metaConfig || {};
+    const chosen = character || {};
+    const classId = ractrClassId(chosen.classId || playerCfg.classId);
+    const classDef = RACTR_CLASSES[classId];
+    const cfg = {
+      ...RACTR_PLAYER_DEFAULTS,
+      ...classDef.base,
+      ...playerCfg
+    };
+    this.growthPerLevel = {
+      ...RACTR_PLAYER_DEFAULTS.growthPerLevel,
+      ...(classDef.growth || {}),
+      ...(playerCfg.growthPerLevel || {})
+    };
+    // A config curve replaces the class table; with neither, the default
+    // curve applies.
+    this.xpCurve = {
+      ...RACTR_PLAYER_DEFAULTS.xpCurve,
+      ...(playerCfg.xpCurve || {})
+    };
+    this.xpTable =
+      !playerCfg.xpCurve && RACTR_XP_TABLES[classDef.xpTable]
+        ? RACTR_XP_TABLES[classDef.xpTable]
+        : null;
+    this.levelCap =
+      playerCfg.levelCap || classDef.levelCap || RACTR_PLAYER_DEFAULTS.levelCap;
+    if (this.xpTable) {
+      this.levelCap = Math.min(this.levelCap, this.xpTable.length + 1);
+    }
+    this.regen = {
+      ...RACTR_PLAYER_DEFAULTS.regen,
+      ...(playerCfg.regen || {})
+    };
+    this.deathRules = {
+      ...RACTR_PLAYER_DEFAULTS.death,
+      ...(playerCfg.death || {})
+    };
 
     this.id = "local-player";
-    this.name = "Adventurer";
-    this.classId = "dashblade";
+    this.name = chosen.name || cfg.name;
+    this.classId = classId;
 
     this.level = 1;
     this.xp = 0;
-    this.xpToNext = 100;
+    this.xpToNext = this.xpToNextFor(this.level);
 
-    this.strength = playerCfg.baseStrength || 10;
-    this.agility = playerCfg.baseAgility || 10;
-    this.intelligence = playerCfg.baseIntelligence || 10;
+    this.strength = cfg.baseStrength;
+    this.agility = cfg.baseAgility;
+    this.intelligence = cfg.baseIntelligence;
 
-    this.maxHealth = playerCfg.maxHealth || 100;
+    this.maxHealth = cfg.maxHealth;
     this.health = this.maxHealth;
 
-    this.maxMana = playerCfg.baseMaxMana || 50;
+    this.maxMana = cfg.baseMaxMana;
     this.mana = this.maxMana;
 
-    this.attackPower = playerCfg.baseAttackPower || 10;
-    this.defense = playerCfg.baseDefense || 2;
-    this.critChance = playerCfg.baseCritChance || 0.05;
+    this.attackPower = cfg.baseAttackPower;
+    this.defense = cfg.baseDefense;
+    this.critChance = cfg.baseCritChance;
+
+    this.gold = cfg.startingGold;
+    this.carryBase = cfg.carryBase;
+    this.carryPerStrength = cfg.carryPerStrength;
+    this.encumberedSpeed = cfg.encumberedSpeed;
+    // Bag grid (RactrInventory) and worn gear (RactrEquipment); gear
+    // modifiers count towards derivedStats().
+    this.inventory = new RactrInventory();
+    for (const entry of cfg.startingItems) {
+      this.inventory.add(entry.itemId, entry.count);
+    }
+    this.equipment = new RactrEquipment();
+    for (const itemId of Object.values(cfg.startingEquipment)) {
+      this.equipment.equip(itemId);
+    }
 
-    this.gold = 0;
-    this.inventory = [];
+    // Ability ids learned so far (see the class's skills); free ones come
+    // with the level.
+    this.skills = [];
+    this.learnFreeSkills();
 
-    this.zoneId = (metaCfg && metaCfg.startingZoneId) || "training_grounds";
+    this.zoneId = metaCfg.startingZoneId || "everlight_inn";
+    // Story state set by dialogue (flag -> value) and the quest log
+    // (RactrQuestLog, see questState()).
+    this.flags = {};
+    this.quests = new RactrQuestLog();
 
     // Runtime-only movement/combat fields
-    this.x = 200;
-    this.y = 200;
+    this.x = 0;
+    this.y = 0;
+    // Position at the start of the last simulation step, used to
+    // interpolate rendering between fixed updates.
+    this.prevX = 0;
+    this.prevY = 0;
     this.vx = 0;
     this.vy = 0;
-    this.radius = 16;
-    this.baseSpeed = playerCfg.baseSpeed || 180;
-    this.dashSpeed = playerCfg.dashSpeed || 360;
+    this.facingAngle = 0;
+    this.radius = cfg.radius;
+    this.baseSpeed = cfg.baseSpeed;
+    this.dashSpeed = cfg.dashSpeed;
     this.dashCooldown = 0;
+    this.dashCooldownMax = cfg.dashCooldown;
     this.invulnTime = 0;
+    this.swingTime = cfg.swingTime;
+    this.swingTimer = 0;
+    this.meleeReach = cfg.meleeReach;
+    // Seconds left before the player counts as out of combat.
+    this.combatTimer = 0;
+    // Buffs and debuffs (RactrStatusEffects). Not saved.
+    this.effects = new RactrStatusEffects();
+    // Sitting down: faster regeneration until the player does anything.
+    this.resting = false;
+  }
 
-    this._initializedFromConfig = false;
+  // Rebuilds a player from snapshot() output (e.g. a save). Fields the
+  // snapshot lacks or has the wrong type for keep their config defaults.
+  static fromSnapshot(snapshot, config, metaConfig) {
+    const snap = snapshot || {};
+    const player = new RactrPlayerState(config, metaConfig, {
+      classId: snap.classId
+    });
+    for (const key of RACTR_PLAYER_SNAPSHOT_FIELDS) {
+      if (key !== "classId" && typeof snap[key] === typeof player[key]) {
+        player[key] = snap[key];
+      }
+    }
+    // The class's table decides, not whatever the save recorded.
+    player.level = Math.max(1, Math.min(player.level, player.levelCap));
+    player.xpToNext = player.xpToNextFor(player.level);
+    if (player.xpToNext === 0) player.xp = 0;
+    player.skills = (snap.skills || []).filter((id) => player.classSkill(id));
+    player.learnFreeSkills();
+    // Null inventory and equipment keep the starting kit (see ractr_save.js).
+    if (snap.equipment) {
+      player.inventory = RactrInventory.fromSnapshot(snap.inventory);
+      player.equipment = RactrEquipment.fromSnapshot(snap.equipment);
+    }
+    if (snap.flags && typeof snap.flags === "object") {
+      player.flags = { ...snap.flags };
+    }
+    if (snap.quests && typeof snap.quests === "object") {
+      player.quests = RactrQuestLog.fromSnapshot(snap.quests);
+    }
+    player.health = Math.min(player.health, player.maxHealth);
+    player.mana = Math.min(player.mana, player.maxMana);
+    return player;
   }
 
-  snapshot() {
+  // XP needed to leave a level; 0 at the level cap.
+  xpToNextFor(level) {
+    if (level >= this.levelCap) return 0;
+    if (this.xpTable) {
+      const table = this.xpTable;
+      return table[Math.min(level, table.length) - 1];
+    }
+    const curve = this.xpCurve;
+    if (level <= 1) return curve.first;
+    return Math.floor(curve.base * Math.pow(level, curve.exponent)) + curve.offset;
+  }
+
+  atLevelCap() {
+    return this.level >= this.levelCap;
+  }
+
+  // Adds XP and applies any level-ups it pays for. Returns the levels
+  // reached (empty when none), so callers can announce each one. XP past
+  // the level cap is lost.
+  grantXp(amount) {
+    const reached = [];
+    if (this.atLevelCap()) return reached;
+    this.xp += amount;
+    while (!this.atLevelCap() && this.xp >= this.xpToNext) {
+      this.xp -= this.xpToNext;
+      this.levelUp();
+      reached.push(this.level);
+    }
+    if (this.atLevelCap()) this.xp = 0;
+    return reached;
+  }
+
+  // Applies one level of stat growth and refills health and mana.
+  levelUp() {
+    const g = this.growthPerLevel;
+    this.level += 1;
+    this.maxHealth += g.maxHealth;
+    this.maxMana += g.maxMana;
+    this.strength += g.strength;
+    this.agility += g.agility;
+    this.intelligence += g.intelligence;
+    this.attackPower += g.attackPower;
+    this.defense += g.defense;
+    this.critChance += g.critChance;
+    this.restoreFull();
+    this.xpToNext = this.xpToNextFor(this.level);
+    this.learnFreeSkills();
+  }
+
+  classDef() {
+    return RACTR_CLASSES[this.classId];
+  }
+
+  // The class's { abilityId, level, cost } entry for an ability, or null.
+  classSkill(abilityId) {
+    return (
+      this.classDef().skills.find((s) => s.abilityId === abilityId) || null
+    );
+  }
+
+  knowsSkill(abilityId) {
+    return this.skills.includes(abilityId);
+  }
+
+  // Learns every free skill the character's level allows. Returns the
+  // ability ids that are new.
+  learnFreeSkills() {
+    const learned = [];
+    for (const skill of this.classDef().skills) {
+      if (skill.cost || skill.level > this.level) continue;
+      if (this.knowsSkill(skill.abilityId)) continue;
+      this.skills.push(skill.abilityId);
+      learned.push(skill.abilityId);
+    }
+    return learned;
+  }
+
+  // Why a skill can't be trained right now, or null if it can.
+  trainProblem(abilityId) {
+    const skill = this.classSkill(abilityId);
+    if (!skill) return "Your class cannot learn that.";
+    if (this.knowsSkill(abilityId)) return "You already know that.";
+    if (this.level < skill.level) {
+      return `You must be level ${skill.level} to learn that.`;
+    }
+    if (this.gold < (skill.cost || 0)) return "You can't afford that.";
+    return null;
+  }
+
+  // Pays for and learns a skill. Returns { abilityId, gold }, or { error }
+  // when refused.
+  trainSkill(abilityId) {
+    const error = this.trainProblem(abilityId);
+    if (error) return { error };
+    const cost = this.classSkill(abilityId).cost || 0;
+    this.gold -= cost;
+    this.skills.push(abilityId);
+    return { abilityId, gold: cost };
+  }
+
+  restoreFull() {
+    this.health = this.maxHealth;
+    this.mana = this.maxMana;
+  }
+
+  isDead() {
+    return this.health <= 0;
+  }
+
+  // "unavailable", "available", "active", "complete" or "done"; see
+  // RactrQuestLog.
+  questState(questId) {
+    return this.quests.state(questId, this);
+  }
+
+  inCombat() {
+    return this.combatTimer > 0;
+  }
+
+  // Health and mana regained per second right now.
+  regenRates() {
+    const r = this.regen;
+    const stats = this.derivedStats();
+    let factor = 1;
+    if (this.inCombat()) factor = r.inCombatFactor;
+    else if (this.resting) factor = r.restFactor;
+    return {
+      health: (r.healthBase + stats.strength * r.healthPerStrength) * factor,
+      mana: (r.manaBase + stats.intelligence * r.manaPerIntelligence) * factor
+    };
+  }
+
+  regenerate(dt) {
+    if (this.isDead()) return;
+    const rates = this.regenRates();
+    this.health = Math.min(this.maxHealth, this.health + rates.health * dt);
+    this.mana = Math.min(this.maxMana, this.mana + rates.mana * dt);
+  }
+
+  // Takes the death XP penalty and returns how much was lost. XP never
+  // drops below the start of the current level.
+  applyDeathPenalty() {
+    const lost = Math.min(
+      this.xp,
+      Math.round(this.xpToNext * this.deathRules.xpPenalty)
+    );
+    this.xp -= lost;
+    return lost;
+  }
+
+  // Stats with status effects applied, for UI and game rules. Combat
+  // rolls take this rather than the player, so buffs and debuffs count.
+  derivedStats() {
+    // Gear first, then status effects on top.
+    const stat = (key, base) =>
+      Math.max(0, this.effects.modify(key, this.equipment.modify(key, base)));
+    const strength = stat("strength", this.strength);
+    const carried =
+      this.inventory.totalWeight() + this.equipment.totalWeight();
+    const capacity = this.carryBase + strength * this.carryPerStrength;
+    const slow = carried > capacity ? this.encumberedSpeed : 1;
     return {
-      id: this.id,
-      name: this.name,
-      classId: this.classId,
       level: this.level,
-      xp: this.xp,
-      xpToNext: this.xpToNext,
-      strength: this.strength,
-      agility: this.agility,
-      intelligence: this.intelligence,
-      maxHealth: this.maxHealth,
-      health: this.health,
-      maxMana: this.maxMana,
-      mana: this.mana,
-      attackPower: this.attackPower,
-      defense: this.defense,
-      critChance: this.critChance,
-      gold: this.gold,
-      inventory: this.inventory.slice(),
-      zoneId: this.zoneId
+      healthRatio: Math.max(0, Math.min(1, this.health / this.maxHealth)),
+      manaRatio: Math.max(0, Math.min(1, this.mana / this.maxMana)),
+      xpRatio:
+        this.xpToNext > 0
+          ? Math.max(0, Math.min(1, this.xp / this.xpToNext))
+          : 1,
+      strength,
+      agility: stat("agility", this.agility),
+      intelligence: stat("intelligence", this.intelligence),
+      attackPower: stat("attackPower", this.attackPower),
+      defense: stat("defense", this.defense),
+      critChance: stat("critChance", this.critChance),
+      moveSpeed: stat("moveSpeed", this.baseSpeed) * slow,
+      dashSpeed: stat("dashSpeed", this.dashSpeed) * slow,
+      carried,
+      capacity
+    };
+  }
+
+  // Wears the item in a bag slot; whatever it replaces goes back into
+  // that bag slot. Returns the item id equipped, or null if the slot does
+  // not hold wearable gear.
+  equipFromBag(index) {
+    const entry = this.inventory.slots[index];
+    if (!entry || !RACTR_ITEMS[entry.itemId].slot) return null;
+    this.inventory.takeAt(index, 1);
+    const previous = this.equipment.equip(entry.itemId);
+    if (previous) {
+      if (this.inventory.slots[index]) this.inventory.add(previous, 1);
+      else this.inventory.slots[index] = { itemId: previous, count: 1 };
+    }
+    return entry.itemId;
+  }
+
+  // Moves worn gear into the bag (into `toIndex` when that slot is
+  // empty). Returns the item id, or null if the slot is empty or the bag
+  // is full.
+  unequip(slot, toIndex) {
+    const itemId = this.equipment.get(slot);
+    if (!itemId) return null;
+    const bag = this.inventory;
+    if (toIndex !== undefined && toIndex >= 0 && !bag.slots[toIndex]) {
+      bag.slots[toIndex] = { itemId, count: 1 };
+    } else if (bag.add(itemId, 1) > 0) {
+      return null;
+    }
+    this.equipment.unequip(slot);
+    return itemId;
+  }
+
+  // Drinks/eats the item in a bag slot. Returns what it restored, or null
+  // if the slot holds nothing usable.
+  useItem(index) {
+    const entry = this.inventory.slots[index];
+    const item = entry && RACTR_ITEMS[entry.itemId];
+    if (!item || !item.use || this.isDead()) return null;
+    const before = { health: this.health, mana: this.mana };
+    if (item.use.health) {
+      this.health = Math.min(this.maxHealth, this.health + item.use.health);
+    }
+    if (item.use.mana) {
+      this.mana = Math.min(this.maxMana, this.mana + item.use.mana);
+    }
+    this.inventory.takeAt(index, 1);
+    return {
+      itemId: entry.itemId,
+      health: this.health - before.health,
+      mana: this.mana - before.mana
     };
   }
+
+  // Puts the player at a point with no motion and nothing to interpolate
+  // from (spawns, zone changes).
+  placeAt(x, y) {
+    this.x = x;
+    this.y = y;
+    this.prevX = x;
+    this.prevY = y;
+    this.vx = 0;
+    this.vy = 0;
+  }
+
+  snapshot() {
+    const out = {};
+    for (const key of RACTR_PLAYER_SNAPSHOT_FIELDS) {
+      out[key] = this[key];
+    }
+    out.inventory = this.inventory.snapshot();
+    out.equipment = this.equipment.snapshot();
+    out.skills = this.skills.slice();
+    out.flags = { ...this.flags };
+    out.quests = this.quests.snapshot();
+    return out;
+  }
 }
 
 class RactrWorldState {
   constructor(config) {
     const metaCfg = (config && config.meta) || {};
-    this.zones = metaCfg.zones || {
-      training_grounds: {
-        id: "training_grounds",
-        name: "Training Grounds",
-        levelRange: [1, 3]
-      }
-    };
+    // id -> { id, name, levelRange }
+    this.zones = { ...(metaCfg.zones || {}) };
+    // In-game clock: a day lasts dayLength seconds of play, starting at
+    // startHour.
+    this.dayLength = metaCfg.dayLength || 1440;
+    this.startHour = metaCfg.startHour === undefined ? 8 : metaCfg.startHour;
+  }
+
+  registerZone(meta) {
+    this.zones[meta.id] = { ...meta };
+  }
+
+  // The in-game hour, 0 to just under 24, after playTime seconds of play.
+  hourAt(playTime) {
+    const hours = this.startHour + (playTime / this.dayLength) * 24;
+    return ((hours % 24) + 24) % 24;
   }
 }
 
@@ -90,24 +542,40 @@ class RactrGameState {
   constructor(config) {
     this.config = config || {};
 
-    // High-level loop state
+    // Simulation clock, and time spent actually playing (not in menus).
     this.time = 0;
+    this.totalPlayTime = 0;
     this.timeAlive = 0;
     this.bestTime = 0;
-    this.state = "intro"; // intro | playing | gameover
+    // Name of the top scene (intro, playing, paused, ...), kept in sync
+    // with RactrGame's scene stack.
+    this.state = "intro";
 
     // Player + world containers
     this.world = new RactrWorldState(this.config);
     this.player = new RactrPlayerState(this.config, this.config.meta);
 
-    // Active hazards/enemies in the current zone (kept compatible with
-    // the existing dash survival gameplay for now).
-    this.hazards = [];
+    // Hostile mobs (RactrMob) in the current zone.
+    this.mobs = [];
+  }
+
+  // Time of day for NPC schedules; it only moves while playing.
+  get hour() {
+    return this.world.hourAt(this.totalPlayTime);
   }
 }
 
 if (typeof window !== "undefined") {
+  window.RACTR_PLAYER_DEFAULTS = RACTR_PLAYER_DEFAULTS;
   window.RactrPlayerState = RactrPlayerState;
   window.RactrWorldState = RactrWorldState;
   window.RactrGameState = RactrGameState;
 }
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    RACTR_PLAYER_DEFAULTS,
+    RactrPlayerState,
+    RactrWorldState,
+    RactrGameState
+  };
+}
@@ -0,0 +1,362 @@
+// RactrTilemap: zone maps made of tile layers plus object layers.
+//
+// Two input formats are accepted by RactrTilemap.fromJson():
+//
+// 1. The native format (see ractr_zone_data.js):
+//    {
+//      format: "ractr-tilemap", version: 1,
+//      id, name, levelRange, description,
+//      tileSize, width, height,            // width/height in tiles
+//      tileset: { "<id>": { name, color, solid, water, spawn } },
+//      legend: { "<char>": <tile id> },    // for layers written as rows
+//      layers: [
+//        { name, type: "tiles", rows: ["#..=", ...] }   // or data: [ids]
+//        { name, type: "objects", objects: [{ type, name, x, y, w, h, ... }] }
+//      ]
+//    }
+//
+// 2. Tiled's JSON export (orthogonal, finite maps, CSV/array layer data,
+//    embedded tilesets). Tile properties come from the tileset's per-tile
+//    custom properties; object `type`/`class` becomes the object type and
+//    custom properties are flattened onto the object.
+//
+// Tile ids are 1-based (0 = empty), matching Tiled's gids.
+
+const RACTR_TILED_FLIP_MASK = 0x1fffffff;
+
+class RactrTilemap {
+  constructor(def) {
+    this.id = def.id;
+    this.name = def.name || def.id;
+    this.levelRange = def.levelRange || null;
+    this.description = def.description || "";
+
+    this.tileSize = def.tileSize;
+    this.cols = def.cols;
+    this.rows = def.rows;
+    this.width = this.cols * this.tileSize;
+    this.height = this.rows * this.tileSize;
+    this.bounds = { minX: 0, minY: 0, maxX: this.width, maxY: this.height };
+
+    // id -> { name, color, solid, water, spawn, ... }
+    this.tileProps = def.tileProps;
+    // [{ name, data }] with data a row-major array of tile ids.
+    this.tileLayers = def.tileLayers;
+
+    // Object layers, grouped by object type.
+    const objects = def.objects || [];
+    this.objects = objects;
+    this.buildings = objects.filter((o) => o.type === "building");
+    this.npcs = objects.filter((o) => o.type === "npc");
+    this.doors = objects.filter((o) => o.type === "door");
+    this.triggers = objects.filter((o) => o.type === "trigger");
+    this.spawns = {};
+    for (const o of objects) {
+      if (o.type === "spawn") this.spawns[o.name] = { x: o.x, y: o.y };
+    }
+
+    // Tiles flagged `spawn` (e.g. wildlife spawn areas), in world units.
+    this.spawnTiles = [];
+    this._forEachTile((id, col, row) => {
+      if (this.tileProps[id] && this.tileProps[id].spawn) {
+        this.spawnTiles.push({
+          col,
+          row,
+          x: (col + 0.5) * this.tileSize,
+          y: (row + 0.5) * this.tileSize,
+        });
+      }
+    });
+  }
+
+  // ---------------- LOADING ----------------
+
+  static fromJson(json) {
+    if (!json || typeof json !== "object") {
+      throw new Error("RactrTilemap: map data must be an object");
+    }
+    if (json.format === "ractr-tilemap") {
+      return new RactrTilemap(RactrTilemap._parseNative(json));
+    }
+    if (Array.isArray(json.layers) && typeof json.tilewidth === "number") {
+      return new RactrTilemap(RactrTilemap._parseTiled(json));
+    }
+    throw new Error(
+      "RactrTilemap: unrecognised map format (expected ractr-tilemap or Tiled JSON)"
+    );
+  }
+
+  // Fetches a map file; `overrides` (e.g. { id, name }) fill in metadata
+  // Tiled has no fields for.
+  static load(url, overrides) {
+    return fetch(url)
+      .then((res) => {
+        if (!res.ok) {
+          throw new Error(`RactrTilemap: failed to load '${url}' (${res.status})`);
+        }
+        return res.json();
+      })
+      .then((json) => RactrTilemap.fromJson({ ...json, ...(overrides || {}) }));
+  }
+
+  static _parseNative(json) {
+    const cols = json.width;
+    const rows = json.height;
+    const tileProps = {};
+    for (const key of Object.keys(json.tileset || {})) {
+      tileProps[Number(key)] = { ...json.tileset[key] };
+    }
+
+    const tileLayers = [];
+    const objects = [];
+    for (const layer of json.layers || []) {
+      if (layer.type === "tiles") {
+        let data = layer.data;
+        if (!data && layer.rows) {
+          data = RactrTilemap._decodeRows(layer, json.legend || {}, cols, rows);
+        }
+        if (!Array.isArray(data) || data.length !== cols * rows) {
+          throw new Error(
+            `RactrTilemap: layer '${layer.name}' must have ${cols * rows} tiles`
+          );
+        }
+        tileLayers.push({ name: layer.name, data: data.slice() });
+      } else if (layer.type === "objects") {
+        for (const obj of layer.objects || []) {
+          objects.push({ ...obj, layer: layer.name });
+        }
+      }
+    }
+
+    return {
+      id: json.id,
+      name: json.name,
+      levelRange: json.levelRange,
+      description: json.description,
+      tileSize: json.tileSize,
+      cols,
+      rows,
+      tileProps,
+      tileLayers,
+      objects,
+    };
+  }
+
+  static _decodeRows(layer, legend, cols, rows) {
+    if (layer.rows.length !== rows) {
+      throw new Error(
+        `RactrTilemap: layer '${layer.name}' has ${layer.rows.length} rows, expected ${rows}`
+      );
+    }
+    const data = [];
+    layer.rows.forEach((line, r) => {
+      if (line.length !== cols) {
+        throw new Error(
+          `RactrTilemap: layer '${layer.name}' row ${r} has ${line.length} tiles, expected ${cols}`
+        );
+      }
+      for (const ch of line) {
+        if (!(ch in legend)) {
+          throw new Error(`RactrTilemap: no legend entry for '${ch}'`);
+        }
+        data.push(legend[ch]);
+      }
+    });
+    return data;
+  }
+
+  static _parseTiled(json) {
+    if (json.infinite) {
+      throw new Error("RactrTilemap: infinite Tiled maps are not supported");
+    }
+    if (json.orientation && json.orientation !== "orthogonal") {
+      throw new Error(
+        `RactrTilemap: ${json.orientation} Tiled maps are not supported`
+      );
+    }
+    if (json.tilewidth !== json.tileheight) {
+      throw new Error("RactrTilemap: tiles must be square");
+    }
+
+    const tileProps = {};
+    for (const ts of json.tilesets || []) {
+      if (ts.source) {
+        throw new Error(
+          `RactrTilemap: external tileset '${ts.source}' must be embedded before export`
+        );
+      }
+      for (const tile of ts.tiles || []) {
+        const props = RactrTilemap._tiledProperties(tile.properties);
+        const name = tile.type || tile.class || props.name;
+        tileProps[ts.firstgid + tile.id] = name ? { name, ...props } : props;
+      }
+    }
+
+    const tileLayers = [];
+    const objects = [];
+    const visit = (layers) => {
+      for (const layer of layers || []) {
+        if (layer.type === "group") {
+          visit(layer.layers);
+        } else if (layer.type === "tilelayer") {
+          if (layer.encoding && layer.encoding !== "csv") {
+            throw new Error(
+              `RactrTilemap: layer '${layer.name}' uses ${layer.encoding} encoding; export as CSV`
+            );
+          }
+          tileLayers.push({
+            name: layer.name,
+            data: layer.data.map((gid) => gid & RACTR_TILED_FLIP_MASK),
+          });
+        } else if (layer.type === "objectgroup") {
+          for (const obj of layer.objects || []) {
+            objects.push(RactrTilemap._tiledObject(obj, layer.name));
+          }
+        }
+      }
+    };
+    visit(json.layers);
+
+    const mapProps = RactrTilemap._tiledProperties(json.properties);
+    return {
+      id: json.id || mapProps.id,
+      name: json.name || mapProps.name,
+      levelRange:
+        json.levelRange ||
+        (mapProps.minLevel ? [mapProps.minLevel, mapProps.maxLevel] : null),
+      description: json.description || mapProps.description,
+      tileSize: json.tilewidth,
+      cols: json.width,
+      rows: json.height,
+      tileProps,
+      tileLayers,
+      objects,
+    };
+  }
+
+  static _tiledObject(obj, layerName) {
+    const props = RactrTilemap._tiledProperties(obj.properties);
+    const w = obj.width || 0;
+    const h = obj.height || 0;
+    // Tile objects are anchored bottom-left in Tiled.
+    const y = obj.gid ? obj.y - h : obj.y;
+    const out = {
+      ...props,
+      type: obj.type || obj.class || props.type || "",
+      id: props.id || String(obj.id),
+      name: obj.name || props.name || "",
+      x: obj.x,
+      y,
+      w,
+      h,
+      layer: layerName,
+    };
+    // Multi-line dialog is authored as one string property.
+    if (typeof out.dialog === "string") {
+      out.dialog = out.dialog.split("\n").filter(Boolean);
+    }
+    return out;
+  }
+
+  static _tiledProperties(list) {
+    const out = {};
+    for (const prop of list || []) {
+      out[prop.name] = prop.value;
+    }
+    return out;
+  }
+
+  // ---------------- QUERIES ----------------
+
+  _forEachTile(fn) {
+    for (const layer of this.tileLayers) {
+      for (let i = 0; i < layer.data.length; i++) {
+        const id = layer.data[i];
+        if (id) fn(id, i % this.cols, Math.floor(i / this.cols), layer);
+      }
+    }
+  }
+
+  inBounds(col, row) {
+    return col >= 0 && row >= 0 && col < this.cols && row < this.rows;
+  }
+
+  // Topmost non-empty tile id at a cell, or 0.
+  tileAt(col, row) {
+    if (!this.inBounds(col, row)) return 0;
+    const idx = row * this.cols + col;
+    for (let i = this.tileLayers.length - 1; i >= 0; i--) {
+      const id = this.tileLayers[i].data[idx];
+      if (id) return id;
+    }
+    return 0;
+  }
+
+  // Properties merged across all layers at a cell; later layers win.
+  cellProps(col, row) {
+    const out = {};
+    if (!this.inBounds(col, row)) return out;
+    const idx = row * this.cols + col;
+    for (const layer of this.tileLayers) {
+      const id = layer.data[idx];
+      if (id && this.tileProps[id]) Object.assign(out, this.tileProps[id]);
+    }
+    return out;
+  }
+
+  propsAtWorld(x, y) {
+    return this.cellProps(
+      Math.floor(x / this.tileSize),
+      Math.floor(y / this.tileSize)
+    );
+  }
+
+  isSolidCell(col, row) {
+    if (!this.inBounds(col, row)) return true;
+    return !!this.cellProps(col, row).solid;
+  }
+
+  // ---------------- RENDERING ----------------
+
+  // Paints every tile layer once into `canvas` (sized to the map). Shading
+  // is a fixed function of the cell, so the cached ground never changes.
+  paintStatic(canvas) {
+    canvas.width = this.width;
+    canvas.height = this.height;
+    const ctx = canvas.getContext("2d");
+    const tile = this.tileSize;
+
+    for (const layer of this.tileLayers) {
+      for (let i = 0; i < layer.data.length; i++) {
+        const id = layer.data[i];
+        if (!id) continue;
+        const col = i % this.cols;
+        const row = Math.floor(i / this.cols);
+        const x = col * tile;
+        const y = row * tile;
+        const props = this.tileProps[id] || {};
+        const n = Math.sin(x * 0.05) * 0.4 + Math.cos(y * 0.04) * 0.4;
+        ctx.fillStyle = RactrTilemap._shade(props.color || "#1e7850", n);
+        ctx.fillRect(x, y, tile, tile);
+      }
+    }
+    return canvas;
+  }
+
+  // Lightens/darkens a #rrggbb colour by n in [-1, 1].
+  static _shade(hex, n) {
+    const v = parseInt(hex.slice(1), 16);
+    const amount = Math.round(n * 24);
+    const r = Math.max(0, Math.min(255, ((v >> 16) & 255) + amount));
+    const g = Math.max(0, Math.min(255, ((v >> 8) & 255) + amount));
+    const b = Math.max(0, Math.min(255, (v & 255) + amount));
+    return `rgb(${r}, ${g}, ${b})`;
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.RactrTilemap = RactrTilemap;
+}
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { RactrTilemap };
+}
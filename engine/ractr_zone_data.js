@@ -0,0 +1,616 @@
+// RactrZoneData: built-in zone maps in the native RactrTilemap format.
+// Kept as a script (rather than a .json file) so the game can build its
+// starting zone synchronously; designer-authored Tiled exports can be
+// loaded at runtime with RactrTilemap.load(url) or registered by URL with
+// RactrZoneRegistry.
+//
+// Doors with a `target`, and `portal` objects, move the player to the
+// target zone's `targetSpawn` spawn point. `mob_spawn` objects place
+// `count` mobs of type `mob` (see ractr_mob_data.js) within `radius`.
+// An `npc` with a `vendor` runs that shop (see ractr_merchants.js), and
+// one with a `dialogue` talks through that tree (see ractr_dialogue.js);
+// the rest say a random `dialog` line. NPCs move by their `behavior` (see
+// RactrBrain in ractr_ai.js) and otherwise stand where they are placed,
+// facing `facing` radians (default: down). Portals with `requiresFlag` stay
+// shut, saying `lockedMessage`, until the player has that flag.
+// `container` objects hold a roll of the `loot` table (see ractr_loot.js)
+// at `level`, filled when first opened and again when the zone reloads.
+
+// Shared by the building interiors.
+const RACTR_INTERIOR_TILESET = {
+  1: { name: "wall", color: "#2b2320", solid: true },
+  2: { name: "floorboards", color: "#5a4330" },
+  3: { name: "hearth", color: "#7a2e1a", solid: true },
+  4: { name: "table", color: "#6b4a2e", solid: true },
+  5: { name: "counter", color: "#4a3322", solid: true },
+  6: { name: "rug", color: "#6a2a35" },
+  7: { name: "bed", color: "#8a7a6a", solid: true },
+  8: { name: "shelves", color: "#3e2f22", solid: true },
+  9: { name: "barrel", color: "#5e4026", solid: true },
+  10: { name: "armor_stand", color: "#6a6f7a", solid: true },
+  11: { name: "training_dummy", color: "#8a6a3a", solid: true },
+};
+
+const RACTR_INTERIOR_LEGEND = {
+  "#": 1,
+  ".": 2,
+  h: 3,
+  t: 4,
+  f: 4,
+  c: 5,
+  r: 6,
+  b: 7,
+  s: 8,
+  B: 9,
+  a: 10,
+  d: 11,
+};
+
+const RACTR_ZONE_DATA = {
+  everlight_town: {
+    format: "ractr-tilemap",
+    version: 1,
+    id: "everlight_town",
+    name: "Everlight Crossroads",
+    levelRange: [1, 5],
+    description:
+      "A frontier town at the edge of the Everlight Forest, where new adventurers wake up.",
+    tileSize: 36,
+    width: 28,
+    height: 20,
+    tileset: {
+      1: { name: "grass", color: "#1e7850" },
+      2: { name: "dirt_path", color: "#7a6444" },
+      3: { name: "pond", color: "#1f4f7a", water: true, solid: true },
+      4: { name: "palisade", color: "#3a2c22", solid: true },
+      5: { name: "cobblestone", color: "#66666c" },
+      6: { name: "wildflowers", color: "#3c8a4a" },
+    },
+    legend: {
+      ".": 1,
+      "=": 2,
+      "~": 3,
+      "#": 4,
+      o: 5,
+      "'": 6,
+    },
+    layers: [
+      {
+        name: "ground",
+        type: "tiles",
+        rows: [
+          "############====############",
+          "#.............=............#",
+          "#....'........=............#",
+          "#.............=.....'......#",
+          "#.............=.......'....#",
+          "#.............=............#",
+          "#.............=............#",
+          "#..=================.......#",
+          "#..=..........=............#",
+          "#..=..........=.........'..#",
+          "#..=..........=.....'......#",
+          "#..=..........=............#",
+          "#..=================.......#",
+          "#........=..oooooo.........#",
+          "#........=..oooooo....~~~..#",
+          "#........=..oooooo...~~~~~.#",
+          "#....'...=...........~~~~~.#",
+          "#..'.....=............~~~..#",
+          "#........=.................#",
+          "############################",
+        ],
+      },
+      {
+        name: "buildings",
+        type: "objects",
+        objects: [
+          {
+            type: "building",
+            id: "inn",
+            name: "Everlight Inn",
+            x: 140,
+            y: 130,
+            w: 200,
+            h: 120,
+            color: "#4b3424",
+            roofColor: "#8b5a2b",
+          },
+          {
+            type: "building",
+            id: "shop",
+            name: "General Goods",
+            x: 430,
+            y: 140,
+            w: 170,
+            h: 110,
+            color: "#3e2f27",
+            roofColor: "#7a5634",
+          },
+          {
+            type: "building",
+            id: "guildhall",
+            name: "Warden Guildhall",
+            x: 210,
+            y: 310,
+            w: 220,
+            h: 120,
+            color: "#3c3430",
+            roofColor: "#6f4a3a",
+          },
+          {
+            type: "building",
+            id: "gatehouse",
+            name: "North Gate",
+            x: 420,
+            y: 310,
+            w: 190,
+            h: 100,
+            color: "#3b3f4a",
+            roofColor: "#70788a",
+          },
+          // Doors sit on the bottom edge of each building.
+          {
+            type: "door",
+            id: "inn_door",
+            building: "inn",
+            x: 232,
+            y: 230,
+            w: 16,
+            h: 20,
+            target: "everlight_inn",
+            targetSpawn: "entrance",
+          },
+          {
+            type: "door",
+            id: "shop_door",
+            building: "shop",
+            x: 507,
+            y: 230,
+            w: 16,
+            h: 20,
+            target: "everlight_shop",
+            targetSpawn: "entrance",
+          },
+          {
+            type: "door",
+            id: "guildhall_door",
+            building: "guildhall",
+            x: 312,
+            y: 410,
+            w: 16,
+            h: 20,
+            target: "warden_guildhall",
+            targetSpawn: "entrance",
+          },
+          {
+            type: "door",
+            id: "gatehouse_door",
+            building: "gatehouse",
+            x: 507,
+            y: 390,
+            w: 16,
+            h: 20,
+          },
+        ],
+      },
+      {
+        name: "npcs",
+        type: "objects",
+        // Buildings are solid, so anyone in town stands out front.
+        objects: [
+          {
+            type: "npc",
+            id: "gate_guard",
+            name: "Gate Guard Bren",
+            x: 566,
+            y: 432,
+            dialogue: "gate_guard",
+            dialog: [
+              "Beyond this gate? Wolves, bandits, and worse.",
+              "We’ll open it for you when you’re ready.",
+            ],
+          },
+          // Cries the news by day, lights the lamps at dusk and sleeps
+          // by the inn.
+          {
+            type: "npc",
+            id: "town_crier",
+            name: "Pell the Crier",
+            x: 540,
+            y: 520,
+            behavior: {
+              type: "schedule",
+              entries: [
+                {
+                  from: 7,
+                  to: 19,
+                  type: "wander",
+                  radius: 70,
+                  pause: [3, 8],
+                },
+                {
+                  from: 19,
+                  to: 23,
+                  type: "patrol",
+                  route: [
+                    { x: 126, y: 270, wait: 3 },
+                    { x: 720, y: 270, wait: 3 },
+                    { x: 720, y: 470, wait: 3 },
+                    { x: 126, y: 470, wait: 3 },
+                  ],
+                },
+                { from: 23, to: 7, type: "idle", x: 240, y: 290 },
+              ],
+            },
+            dialog: [
+              "Hear ye! The North Gate opens to Wardens only!",
+              "Lamps are lit at dusk, by order of the Guild.",
+              "Wolves seen in the south meadow. Travel in pairs!",
+            ],
+          },
+          {
+            type: "npc",
+            id: "town_dog",
+            name: "Biscuit",
+            x: 700,
+            y: 600,
+            radius: 8,
+            speed: 60,
+            behavior: { type: "wander", radius: 90, pause: [1, 4] },
+            dialog: ["Woof!", "*Biscuit wags happily.*"],
+          },
+        ],
+      },
+      {
+        name: "markers",
+        type: "objects",
+        objects: [
+          {
+            type: "portal",
+            id: "north_gate",
+            x: 432,
+            y: 0,
+            w: 144,
+            h: 18,
+            target: "everlight_forest",
+            targetSpawn: "south_gate",
+            requiresFlag: "north_gate_open",
+            lockedMessage: "The North Gate is shut. Gate Guard Bren keeps it.",
+          },
+          // Arrival points, each just clear of the door or gate it is for.
+          { type: "spawn", name: "inn_door", x: 240, y: 284 },
+          { type: "spawn", name: "shop_door", x: 515, y: 284 },
+          { type: "spawn", name: "guildhall_door", x: 320, y: 464 },
+          { type: "spawn", name: "north_gate", x: 504, y: 64 },
+        ],
+      },
+    ],
+  },
+
+  everlight_inn: {
+    format: "ractr-tilemap",
+    version: 1,
+    id: "everlight_inn",
+    name: "Everlight Inn",
+    description: "Warm, smoky, and louder than it looks from the road.",
+    tileSize: 36,
+    width: 14,
+    height: 10,
+    tileset: RACTR_INTERIOR_TILESET,
+    legend: RACTR_INTERIOR_LEGEND,
+    layers: [
+      {
+        name: "ground",
+        type: "tiles",
+        rows: [
+          "##############",
+          "#hh..........#",
+          "#............#",
+          "#.tt....cccc.#",
+          "#.tt.......c.#",
+          "#......rr....#",
+          "#.tt...rr..bb#",
+          "#.tt.......bb#",
+          "#............#",
+          "######..######",
+        ],
+      },
+      {
+        name: "objects",
+        type: "objects",
+        objects: [
+          {
+            type: "portal",
+            id: "inn_exit",
+            x: 216,
+            y: 340,
+            w: 72,
+            h: 20,
+            target: "everlight_town",
+            targetSpawn: "inn_door",
+          },
+          {
+            type: "npc",
+            id: "innkeeper",
+            name: "Seren the Innkeeper",
+            x: 342,
+            y: 88,
+            dialogue: "innkeeper",
+            vendor: "seren",
+            dialog: [
+              "A rough night? Rooms are cheap, stories are free.",
+              "Most new Wardens head to the forest north of the gate.",
+            ],
+          },
+          // Beside the beds, where new arrivals wake up.
+          { type: "spawn", name: "start", x: 372, y: 240 },
+          { type: "spawn", name: "entrance", x: 252, y: 300 },
+        ],
+      },
+    ],
+  },
+
+  everlight_shop: {
+    format: "ractr-tilemap",
+    version: 1,
+    id: "everlight_shop",
+    name: "General Goods",
+    description: "Rope, lamp oil, and opinions, all sold by the pound.",
+    tileSize: 36,
+    width: 12,
+    height: 9,
+    tileset: RACTR_INTERIOR_TILESET,
+    legend: RACTR_INTERIOR_LEGEND,
+    layers: [
+      {
+        name: "ground",
+        type: "tiles",
+        rows: [
+          "############",
+          "#ssss..ssss#",
+          "#..........#",
+          "#..cccccc..#",
+          "#..........#",
+          "#.B......B.#",
+          "#..........#",
+          "#..........#",
+          "#####..#####",
+        ],
+      },
+      {
+        name: "objects",
+        type: "objects",
+        objects: [
+          {
+            type: "portal",
+            id: "shop_exit",
+            x: 180,
+            y: 304,
+            w: 72,
+            h: 20,
+            target: "everlight_town",
+            targetSpawn: "shop_door",
+          },
+          {
+            type: "npc",
+            id: "merchant",
+            name: "Kerrin the Trader",
+            x: 216,
+            y: 88,
+            dialogue: "merchant",
+            vendor: "kerrin",
+            dialog: [
+              "If it rattles, clinks, or burns, I’ve probably got it.",
+              "Bring me wolf pelts and I’ll see what I can do.",
+            ],
+          },
+          { type: "spawn", name: "entrance", x: 216, y: 262 },
+        ],
+      },
+    ],
+  },
+
+  warden_guildhall: {
+    format: "ractr-tilemap",
+    version: 1,
+    id: "warden_guildhall",
+    name: "Warden Guildhall",
+    description: "Training dummies, old banners, and the smell of oiled leather.",
+    tileSize: 36,
+    width: 14,
+    height: 10,
+    tileset: RACTR_INTERIOR_TILESET,
+    legend: RACTR_INTERIOR_LEGEND,
+    layers: [
+      {
+        name: "ground",
+        type: "tiles",
+        rows: [
+          "##############",
+          "#..a......a..#",
+          "#............#",
+          "#...ffffff...#",
+          "#............#",
+          "#.d........d.#",
+          "#............#",
+          "#............#",
+          "#............#",
+          "######..######",
+        ],
+      },
+      {
+        name: "objects",
+        type: "objects",
+        objects: [
+          {
+            type: "portal",
+            id: "guildhall_exit",
+            x: 216,
+            y: 340,
+            w: 72,
+            h: 20,
+            target: "everlight_town",
+            targetSpawn: "guildhall_door",
+          },
+          {
+            type: "npc",
+            id: "guildmaster",
+            name: "Guildmaster Elowen",
+            x: 252,
+            y: 176,
+            dialogue: "guildmaster",
+            dialog: [
+              "Wardens watch the line between forest and stone.",
+              "You’re green now, but you’ll harden fast.",
+            ],
+          },
+          { type: "spawn", name: "entrance", x: 252, y: 300 },
+        ],
+      },
+    ],
+  },
+
+  everlight_forest: {
+    format: "ractr-tilemap",
+    version: 1,
+    id: "everlight_forest",
+    name: "Everlight Forest",
+    levelRange: [2, 6],
+    description: "Old pines, wolf tracks, and paths that were not there yesterday.",
+    tileSize: 36,
+    width: 36,
+    height: 28,
+    tileset: {
+      1: { name: "forest_floor", color: "#1d6a40" },
+      2: { name: "pine", color: "#0f3a22", solid: true },
+      3: { name: "trail", color: "#6e5a3e" },
+      4: { name: "meadow", color: "#2a7a48", spawn: true },
+      5: { name: "stream", color: "#1f4f7a", water: true, solid: true },
+      6: { name: "ford", color: "#3a6f8a", water: true },
+      7: { name: "boulder", color: "#55555a", solid: true },
+    },
+    legend: {
+      ".": 1,
+      T: 2,
+      p: 3,
+      "*": 4,
+      "~": 5,
+      f: 6,
+      o: 7,
+    },
+    layers: [
+      {
+        name: "ground",
+        type: "tiles",
+        rows: [
+          "TTTTTTTTTTTTTTTTTTTTTTTTTTTTTTTTTTTT",
+          "T............................~.....T",
+          "T............................~...T.T",
+          "T...***TT.TT.................~.....T",
+          "T...*o*..T.TT........T.......~T....T",
+          "T...***.......................~..TTT",
+          "T......TTT...................T~..TTT",
+          "T.............................f....T",
+          "T........................TTT..~T***T",
+          "T.......o.....................~.***T",
+          "T........................T..T~..***T",
+          "T.TT...T..T..................~TT...T",
+          "T....TT...T......pp..........~TT...T",
+          "T..TT............pp..........~...T.T",
+          "T....TT.TT.......pp.....TToT.~.....T",
+          "T................pp...........~....T",
+          "T.....T..........pp.....TT....~TTT.T",
+          "T......TT...T....pp..........T~....T",
+          "T....***.........pp...........f....T",
+          "T..T.***TT...TT..pp......T....~....T",
+          "T....***.T.T..TT.pp...TT*o*..~.....T",
+          "T................pp.....***..~.....T",
+          "T....To..........pp.....***..~.....T",
+          "T.....T..........pp.......TTT~.....T",
+          "T................pp..........~.....T",
+          "T................pp...........~....T",
+          "T................pp...........~....T",
+          "TTTTTTTTTTTTTTTTppppTTTTTTTTTTTTTTTT",
+        ],
+      },
+      {
+        name: "objects",
+        type: "objects",
+        objects: [
+          {
+            type: "portal",
+            id: "forest_south_gate",
+            x: 576,
+            y: 990,
+            w: 144,
+            h: 18,
+            target: "everlight_town",
+            targetSpawn: "north_gate",
+          },
+          { type: "spawn", name: "south_gate", x: 630, y: 950 },
+          // Wildlife gathers in the meadows.
+          {
+            type: "mob_spawn",
+            id: "west_meadow_wolves",
+            mob: "forest_wolf",
+            count: 2,
+            x: 198,
+            y: 162,
+            radius: 48,
+          },
+          {
+            type: "mob_spawn",
+            id: "south_meadow_wolves",
+            mob: "forest_wolf",
+            count: 3,
+            x: 234,
+            y: 702,
+            radius: 60,
+          },
+          {
+            type: "mob_spawn",
+            id: "clearing_boar",
+            mob: "bramble_boar",
+            count: 1,
+            x: 918,
+            y: 790,
+            radius: 30,
+          },
+          {
+            type: "mob_spawn",
+            id: "east_meadow_pack",
+            mob: "timber_wolf",
+            count: 2,
+            x: 1206,
+            y: 342,
+            radius: 40,
+          },
+          // Left behind by a warden patrol that never came back.
+          {
+            type: "container",
+            id: "warden_cache",
+            name: "Warden's Supply Cache",
+            loot: "forest_cache",
+            level: 4,
+            x: 1170,
+            y: 180,
+          },
+        ],
+      },
+    ],
+  },
+};
+
+if (typeof window !== "undefined") {
+  window.RACTR_INTERIOR_TILESET = RACTR_INTERIOR_TILESET;
+  window.RACTR_INTERIOR_LEGEND = RACTR_INTERIOR_LEGEND;
+  window.RACTR_ZONE_DATA = RACTR_ZONE_DATA;
+}
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    RACTR_INTERIOR_TILESET,
+    RACTR_INTERIOR_LEGEND,
+    RACTR_ZONE_DATA,
+  };
+}
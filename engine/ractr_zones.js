@@ -0,0 +1,98 @@
+// RactrZones: registry of every zone the game can travel to.
+// A zone is registered either with inline map data (native or Tiled JSON,
+// parsed on demand and available synchronously) or with a URL to a map
+// file (fetched asynchronously). Parsed maps are cached, and only the most
+// recently used few are kept so leaving a zone releases its content.
+
+class RactrZoneRegistry {
+  constructor(zoneData, options) {
+    const opts = options || {};
+    // id -> { id, data, url, name, levelRange }
+    this.entries = new Map();
+    // id -> RactrTilemap, in least-recently-used order
+    this.loaded = new Map();
+    this.maxLoaded = opts.maxLoaded || 2;
+
+    for (const id of Object.keys(zoneData || {})) {
+      this.register(id, zoneData[id]);
+    }
+  }
+
+  // source: map data object, or a URL string. meta fills in name and
+  // level range for the zone list before a URL-backed map is fetched.
+  register(id, source, meta) {
+    const entry = { id, data: null, url: null, name: id, levelRange: null };
+    if (typeof source === "string") {
+      entry.url = source;
+    } else {
+      entry.data = source;
+      entry.name = source.name || id;
+      entry.levelRange = source.levelRange || null;
+    }
+    if (meta) Object.assign(entry, meta);
+    this.entries.set(id, entry);
+    this.loaded.delete(id);
+  }
+
+  has(id) {
+    return this.entries.has(id);
+  }
+
+  // Lightweight description for UI and world state, without parsing.
+  meta(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return null;
+    return { id, name: entry.name, levelRange: entry.levelRange };
+  }
+
+  // The parsed map if it can be had without waiting (cached or inline),
+  // otherwise null.
+  get(id) {
+    const cached = this.loaded.get(id);
+    if (cached) {
+      this._touch(id, cached);
+      return cached;
+    }
+    const entry = this.entries.get(id);
+    if (!entry || !entry.data) return null;
+    const map = RactrTilemap.fromJson({ id, ...entry.data });
+    this._touch(id, map);
+    return map;
+  }
+
+  // Always asynchronous; rejects for unknown zones or failed fetches.
+  load(id) {
+    const entry = this.entries.get(id);
+    if (!entry) {
+      return Promise.reject(new Error(`RactrZoneRegistry: unknown zone '${id}'`));
+    }
+    const ready = this.get(id);
+    if (ready) return Promise.resolve(ready);
+    return RactrTilemap.load(entry.url, { id }).then((map) => {
+      entry.name = map.name;
+      entry.levelRange = map.levelRange;
+      this._touch(id, map);
+      return map;
+    });
+  }
+
+  unload(id) {
+    this.loaded.delete(id);
+  }
+
+  _touch(id, map) {
+    this.loaded.delete(id);
+    this.loaded.set(id, map);
+    while (this.loaded.size > this.maxLoaded) {
+      const oldest = this.loaded.keys().next().value;
+      this.loaded.delete(oldest);
+    }
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.RactrZoneRegistry = RactrZoneRegistry;
+}
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { RactrZoneRegistry };
+}